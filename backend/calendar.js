@@ -0,0 +1,398 @@
+/**
+ * calendar.js
+ *
+ * The reporting calendar every time range, period comparison and date group-by is rendered with
+ * (the semantic model's calendar section):
+ *  {
+ *    fiscalYearStartMonth: 1,        // 1-12; 4 = the fiscal year runs April to March
+ *    weekStartDay: 'sunday',         // first day of a week
+ *    useReportedMonth: true,         // months (and quarters, years) come from MONTH_REPORTED / YEAR_REPORTED
+ *    useReportedWeek: false,         // weeks come from WEEK_REPORTED
+ *    timeZone: 'America/Toronto'     // business time zone "today" is taken in (IANA name)
+ *  }
+ *
+ * Relative periods ("today", "last week", "this quarter", YTD) are resolved here, against today's date
+ * in the business time zone or an "as of" date (on(asOf)), and bound as date / month / year parameters;
+ * the database's GETDATE() and time zone are never used.
+ *
+ * A fiscal year is named by the calendar year it ends in (fiscal start April: FY 2026 = April 2025 to
+ * March 2026); "this year", "Q1 2025", "by quarter" and YTD all follow it. Week group-bys never depend
+ * on the server's DATEFIRST setting: the week start is computed from DATEDIFF(DAY, 0, date), day 0 being
+ * Monday 1900-01-01. WEEK_REPORTED is read as the week number within YEAR_REPORTED; week 1 holds
+ * January 1 and a week belongs to the year it ends in.
+ *
+ * Reported columns only apply to tables that have them (tables.<key>.reportedColumns); a table with
+ * a dateColumn (logins: LogedIn) gets every period from that column.
+ *
+ * Periods are { unit: 'day' | 'week' | 'month' | 'quarter' | 'year' } plus either
+ * shifts: [[DATEPART, n], ...] (relative to today; toDate: up to and including the reference day) or
+ * year / month / quarter / date (absolute).
+ */
+
+'use strict';
+
+const WEEK_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+  'October', 'November', 'December'];
+const REPORTED_COLUMNS = ['month', 'week'];
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CALENDAR = {
+  fiscalYearStartMonth: 1,
+  weekStartDay: 'sunday',
+  useReportedMonth: true,
+  useReportedWeek: false,
+  timeZone: 'America/Toronto'
+};
+
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// 'YYYY-MM-DD' -> Date at UTC midnight, or null when it is not a real date
+function parseDay(text) {
+  const m = DATE_RE.exec(String(text));
+  if (!m) return null;
+  const day = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return day.getUTCMonth() === +m[2] - 1 && day.getUTCDate() === +m[3] ? day : null;
+}
+
+function isoDay(day) {
+  return day.toISOString().slice(0, 10);
+}
+
+function addDays(day, n) {
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + n));
+}
+
+// Like T-SQL DATEADD(MONTH, n, day): the day is clamped to the end of the target month
+function addMonths(day, n) {
+  const first = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + n, 1));
+  const last = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), Math.min(day.getUTCDate(), last)));
+}
+
+const SHIFTS = {
+  DAY: (day, n) => addDays(day, n),
+  WEEK: (day, n) => addDays(day, 7 * n),
+  MONTH: (day, n) => addMonths(day, n),
+  QUARTER: (day, n) => addMonths(day, 3 * n),
+  YEAR: (day, n) => addMonths(day, 12 * n)
+};
+
+/**
+ * "As of" date of a request: null when absent, otherwise the Date it names; throws on anything that
+ * is not a YYYY-MM-DD calendar date.
+ */
+function parseAsOf(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const day = parseDay(value);
+  if (!day) throw new Error('asOf must be a date (YYYY-MM-DD)');
+  return day;
+}
+
+/**
+ * Check a model's calendar section. Returns a list of problems (empty when valid or absent).
+ */
+function validateCalendar(raw) {
+  const errors = [];
+  if (raw === undefined) return errors;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['calendar: must be an object'];
+  const start = raw.fiscalYearStartMonth;
+  if (start !== undefined && (!Number.isInteger(start) || start < 1 || start > 12)) {
+    errors.push('calendar.fiscalYearStartMonth: must be a month number from 1 to 12');
+  }
+  if (raw.weekStartDay !== undefined && !WEEK_DAYS.includes(String(raw.weekStartDay).toLowerCase())) {
+    errors.push(`calendar.weekStartDay: must be one of ${WEEK_DAYS.join(', ')}`);
+  }
+  for (const flag of ['useReportedMonth', 'useReportedWeek']) {
+    if (raw[flag] !== undefined && typeof raw[flag] !== 'boolean') errors.push(`calendar.${flag}: must be true or false`);
+  }
+  if (raw.timeZone !== undefined && (typeof raw.timeZone !== 'string' || !isTimeZone(raw.timeZone))) {
+    errors.push('calendar.timeZone: must be an IANA time zone name such as America/Toronto');
+  }
+  return errors;
+}
+
+// @month, or @currentMonth in a comparison
+function paramName(prefix, base) {
+  return prefix ? `${prefix}${base.charAt(0).toUpperCase()}${base.slice(1)}` : base;
+}
+
+class FiscalCalendar {
+  /**
+   * @param {Object} config - the model's calendar section (defaults above)
+   * @param {Object} table - semantic-model table config ({ dateColumn?, reportedColumns? }); none = sales columns
+   * @param {Date} asOf - the day relative periods are resolved against (default: today in the time zone)
+   */
+  constructor(config = {}, table = null, asOf = null) {
+    this.config = { ...DEFAULT_CALENDAR, ...config };
+    this.table = table;
+    this.asOf = asOf;
+    this.fiscalStart = this.config.fiscalYearStartMonth;
+    this.weekStart = WEEK_DAYS.indexOf(String(this.config.weekStartDay).toLowerCase());
+    this.dateColumn = (table && table.dateColumn) || 'DATE_REPORTED';
+    const reported = table ? (table.dateColumn ? [] : table.reportedColumns || []) : REPORTED_COLUMNS;
+    this.reportedMonth = this.config.useReportedMonth && reported.includes('month');
+    this.reportedWeek = this.config.useReportedWeek && reported.includes('week');
+  }
+
+  // The same calendar for another table's columns
+  forTable(table) {
+    return new FiscalCalendar(this.config, table, this.asOf);
+  }
+
+  // The same calendar with relative periods resolved against asOf (a Date, or null for today)
+  on(asOf) {
+    return new FiscalCalendar(this.config, this.table, asOf || null);
+  }
+
+  // Today in the business time zone, or the "as of" date
+  today() {
+    if (this.asOf) return this.asOf;
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.config.timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).formatToParts(new Date());
+    const part = (type) => parts.find(p => p.type === type).value;
+    return parseDay(`${part('year')}-${part('month')}-${part('day')}`);
+  }
+
+  // First day of the week holding x (SQL), whatever DATEFIRST is
+  weekStartOf(x) {
+    return `DATEADD(DAY, -((DATEDIFF(DAY, 0, ${x}) + ${7 - this.weekStart}) % 7), CAST(${x} AS DATE))`;
+  }
+
+  // First day of the week holding day (Date)
+  weekStartDate(day) {
+    return addDays(day, -((day.getUTCDay() + 13 - this.weekStart) % 7));
+  }
+
+  // Months since year 0 of the rows (reporting month when reported columns are used)
+  monthIndex() {
+    return this.reportedMonth
+      ? "(CAST(YEAR_REPORTED AS INT) * 12 + (CHARINDEX(LEFT(MONTH_REPORTED, 3), 'JanFebMarAprMayJunJulAugSepOctNovDec') + 2) / 3)"
+      : `(YEAR(${this.dateColumn}) * 12 + MONTH(${this.dateColumn}))`;
+  }
+
+  // Fiscal year and quarter of a calendar month (1-12)
+  fiscalPeriod(year, month) {
+    const into = (month - this.fiscalStart + 12) % 12;
+    return {
+      year: this.fiscalStart === 1 || month < this.fiscalStart ? year : year + 1,
+      quarter: Math.floor(into / 3) + 1
+    };
+  }
+
+  // First day of a fiscal quarter (by default, of the fiscal year)
+  fiscalStartDate(year, quarter = 1) {
+    const firstYear = this.fiscalStart === 1 ? year : year - 1;
+    return addMonths(new Date(Date.UTC(firstYear, this.fiscalStart - 1, 1)), (quarter - 1) * 3);
+  }
+
+  /**
+   * The absolute period a relative one means today. Spans that end on the reference day (YTD, MTD)
+   * become { unit: 'range', start, end } with an exclusive end.
+   */
+  resolve(period) {
+    if (!period.shifts) return period;
+    const ref = period.shifts.reduce((day, [part, n]) => SHIFTS[part](day, n), this.today());
+    const year = ref.getUTCFullYear();
+    const month = ref.getUTCMonth() + 1;
+    const fiscal = this.fiscalPeriod(year, month);
+    if (period.toDate) {
+      const start = period.unit === 'year' ? this.fiscalStartDate(fiscal.year) : new Date(Date.UTC(year, month - 1, 1));
+      return { unit: 'range', start: isoDay(start), end: isoDay(addDays(ref, 1)) };
+    }
+    switch (period.unit) {
+      case 'day': return { unit: 'day', date: isoDay(ref) };
+      case 'week': return { unit: 'week', start: isoDay(this.weekStartDate(ref)) };
+      case 'month': return { unit: 'month', year, month };
+      case 'quarter': return { unit: 'quarter', year: fiscal.year, quarter: fiscal.quarter };
+      default: return { unit: 'year', year: fiscal.year };
+    }
+  }
+
+  // Normalized range of any period: { start, end } as YYYY-MM-DD, end exclusive
+  range(period) {
+    const [start, end] = this.bounds(this.resolve(period));
+    return { start: isoDay(start), end: isoDay(end) };
+  }
+
+  // [start, end) of an absolute period as Dates
+  bounds(period) {
+    switch (period.unit) {
+      case 'range': return [parseDay(period.start), parseDay(period.end)];
+      case 'day': return [parseDay(period.date), addDays(parseDay(period.date), 1)];
+      case 'week': return [parseDay(period.start), addDays(parseDay(period.start), 7)];
+      case 'month': {
+        const start = new Date(Date.UTC(period.year, period.month - 1, 1));
+        return [start, addMonths(start, 1)];
+      }
+      case 'quarter': {
+        const start = this.fiscalStartDate(period.year, period.quarter);
+        return [start, addMonths(start, 3)];
+      }
+      default: {
+        const start = this.fiscalStartDate(period.year);
+        return [start, addMonths(start, 12)];
+      }
+    }
+  }
+
+  /**
+   * SQL condition for a period; every value it depends on is bound as a parameter.
+   * @param {Object} period - see the header, or { unit: 'range', start, end } (YYYY-MM-DD, end exclusive)
+   * @param {string} prefix - parameter name prefix ('current' -> @currentYear)
+   * @returns {{ sqlCondition: string, params: Object }}
+   */
+  condition(period, prefix = '') {
+    const D = this.dateColumn;
+    const F = this.fiscalStart;
+    const name = (base) => paramName(prefix, base);
+    const params = {};
+    const absolute = this.resolve(period);
+
+    if (absolute.unit === 'day') {
+      params[name('date')] = { type: 'Date', value: absolute.date };
+      return { sqlCondition: `CAST(${D} AS DATE) = @${name('date')}`, params };
+    }
+    if (absolute.unit === 'week' && this.reportedWeek) {
+      const start = parseDay(absolute.start);
+      const year = addDays(start, 6).getUTCFullYear();
+      const week = Math.round((start - this.weekStartDate(new Date(Date.UTC(year, 0, 1)))) / (7 * DAY_MS)) + 1;
+      params[name('year')] = { type: 'VarChar', value: String(year) };
+      params[name('week')] = { type: 'VarChar', value: String(week) };
+      return { sqlCondition: `YEAR_REPORTED = @${name('year')} AND WEEK_REPORTED = @${name('week')}`, params };
+    }
+    if (this.reportedMonth && absolute.unit === 'month') {
+      params[name('month')] = { type: 'VarChar', value: MONTHS[absolute.month - 1] };
+      params[name('year')] = { type: 'VarChar', value: String(absolute.year) };
+      return { sqlCondition: `MONTH_REPORTED = @${name('month')} AND YEAR_REPORTED = @${name('year')}`, params };
+    }
+    if (this.reportedMonth && absolute.unit === 'year' && F === 1) {
+      params[name('year')] = { type: 'VarChar', value: String(absolute.year) };
+      return { sqlCondition: `YEAR_REPORTED = @${name('year')}`, params };
+    }
+    if (this.reportedMonth && (absolute.unit === 'quarter' || absolute.unit === 'year')) {
+      // Reporting months from the fiscal period's first month index on
+      params[name('yearNumber')] = { type: 'Int', value: absolute.year };
+      let start = `@${name('yearNumber')} * 12 ${F === 1 ? '+ 1' : `- ${12 - F}`}`;
+      if (absolute.unit === 'quarter') {
+        params[name('quarter')] = { type: 'Int', value: absolute.quarter };
+        start += ` + (@${name('quarter')} - 1) * 3`;
+      }
+      const months = absolute.unit === 'quarter' ? 3 : 12;
+      return { sqlCondition: `${this.monthIndex()} BETWEEN (${start}) AND (${start}) + ${months - 1}`, params };
+    }
+
+    const [start, end] = this.bounds(absolute);
+    params[name('startDate')] = { type: 'Date', value: isoDay(start) };
+    params[name('endDate')] = { type: 'Date', value: isoDay(end) };
+    return { sqlCondition: `${D} >= @${name('startDate')} AND ${D} < @${name('endDate')}`, params };
+  }
+
+  // The n days before today ("last 7 days"), today excluded
+  lastDays(n, prefix = '') {
+    const today = this.today();
+    return this.condition({ unit: 'range', start: isoDay(addDays(today, -n)), end: isoDay(today) }, prefix);
+  }
+
+  /**
+   * Output columns, grouping and ordering of a date group-by.
+   * @param {string} unit - 'day' | 'week' | 'month' | 'quarter' | 'year'
+   * @returns {{ select: string[], group: string[], orderBy: string }}
+   */
+  groupByShape(unit) {
+    const D = this.dateColumn;
+    const F = this.fiscalStart;
+    const fiscalYear = `(${this.monthIndex()} - ${F}) / 12 + 1`;
+    switch (unit) {
+      case 'day':
+        return { select: [`CAST(${D} AS DATE) AS ReportDate`], group: [`CAST(${D} AS DATE)`], orderBy: 'ReportDate' };
+      case 'week':
+        if (this.reportedWeek) {
+          return { select: ['YEAR_REPORTED', 'WEEK_REPORTED'], group: ['YEAR_REPORTED', 'WEEK_REPORTED'], orderBy: `YEAR_REPORTED, MIN(${D})` };
+        }
+        return { select: [`${this.weekStartOf(D)} AS WeekStart`], group: [this.weekStartOf(D)], orderBy: 'WeekStart' };
+      case 'month':
+        if (this.reportedMonth) {
+          return { select: ['YEAR_REPORTED', 'MONTH_REPORTED'], group: ['YEAR_REPORTED', 'MONTH_REPORTED'], orderBy: `YEAR_REPORTED, MIN(${D})` };
+        }
+        return {
+          select: [`YEAR(${D}) AS ReportYear`, `DATENAME(MONTH, ${D}) AS ReportMonth`],
+          group: [`YEAR(${D})`, `DATENAME(MONTH, ${D})`],
+          orderBy: `ReportYear, MIN(${D})`
+        };
+      case 'quarter': {
+        if (F === 1 && !this.reportedMonth) {
+          return {
+            select: [`YEAR(${D}) AS ReportYear`, `DATEPART(QUARTER, ${D}) AS ReportQuarter`],
+            group: [`YEAR(${D})`, `DATEPART(QUARTER, ${D})`],
+            orderBy: 'ReportYear, ReportQuarter'
+          };
+        }
+        const year = F === 1 ? `(${this.monthIndex()} - 1) / 12` : fiscalYear;
+        const quarter = `((${this.monthIndex()} - ${F}) % 12) / 3 + 1`;
+        const [yearAlias, quarterAlias] = F === 1 ? ['ReportYear', 'ReportQuarter'] : ['FiscalYear', 'FiscalQuarter'];
+        return {
+          select: [`${year} AS ${yearAlias}`, `${quarter} AS ${quarterAlias}`],
+          group: [year, quarter],
+          orderBy: `${yearAlias}, ${quarterAlias}`
+        };
+      }
+      default:
+        if (F !== 1) return { select: [`${fiscalYear} AS FiscalYear`], group: [fiscalYear], orderBy: 'FiscalYear' };
+        if (this.reportedMonth) return { select: ['YEAR_REPORTED'], group: ['YEAR_REPORTED'], orderBy: 'YEAR_REPORTED' };
+        return { select: [`YEAR(${D}) AS ReportYear`], group: [`YEAR(${D})`], orderBy: 'ReportYear' };
+    }
+  }
+
+  // Calendar rules for the LLM prompt, with the resolved conditions of common relative periods
+  describe() {
+    const literal = ({ sqlCondition, params }) =>
+      sqlCondition.replace(/@(\w+)/g, (m, p) => (params[p].type === 'Int' ? String(params[p].value) : `'${params[p].value}'`));
+    const relative = (unit, n, extra = {}) =>
+      literal(this.condition({ unit, shifts: n ? [[unit.toUpperCase(), n]] : [], ...extra }));
+    return [
+      `Today is ${isoDay(this.today())} (${this.asOf ? 'the report\'s as-of date' : this.config.timeZone}); ` +
+        'write relative periods with the dates below, never with GETDATE() or SYSDATETIME()',
+      `Fiscal year starts in ${MONTHS[this.fiscalStart - 1]}${this.fiscalStart === 1 ? ' (calendar year)' : ' and is named by the calendar year it ends in'}; weeks start on ${WEEK_DAYS[this.weekStart]}`,
+      'Never use DATEPART(WEEKDAY, ...) or DATEPART(WEEK, ...): they depend on the server\'s DATEFIRST setting',
+      this.reportedMonth
+        ? 'Months, quarters and years are reporting periods: use MONTH_REPORTED / YEAR_REPORTED, not the month of DATE_REPORTED'
+        : `Months, quarters and years come from ${this.dateColumn}`,
+      `Today: ${relative('day', 0)}`,
+      `Yesterday: ${relative('day', -1)}`,
+      `This week: ${relative('week', 0)}`,
+      `Last week: ${relative('week', -1)}`,
+      `This month: ${relative('month', 0)}`,
+      `Last month: ${relative('month', -1)}`,
+      `This quarter: ${relative('quarter', 0)}`,
+      `This year: ${relative('year', 0)}`,
+      `MTD: ${relative('month', 0, { toDate: true })}`,
+      `YTD: ${relative('year', 0, { toDate: true })}`,
+      `Last 7 days: ${literal(this.lastDays(7))}`,
+      `Last 30 days: ${literal(this.lastDays(30))}`,
+      `Group by week: ${this.groupByShape('week').select.join(', ')}`,
+      `Group by quarter: ${this.groupByShape('quarter').select.join(', ')}`
+    ];
+  }
+}
+
+module.exports = {
+  FiscalCalendar,
+  validateCalendar,
+  parseAsOf,
+  parseDay,
+  isoDay,
+  addDays,
+  addMonths,
+  MONTHS,
+  DEFAULT_CALENDAR
+};
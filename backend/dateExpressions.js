@@ -0,0 +1,298 @@
+/**
+ * dateExpressions.js
+ *
+ * One parser for the date expressions of a prompt. parseDateExpression returns the first (most
+ * specific) one as { type, text, period }, period being a calendar.js period:
+ *  - "between Dec 20 2025 and Jan 10 2026", "from March 1 to March 15"    -> range (both days included)
+ *  - "from January to March 2026", "between Nov 2025 and Feb 15 2026"      -> range (whole months)
+ *  - "since March 15", "since 2025-01-09", "since June"                      -> range up to and including today
+ *  - "last 90 days", "past 6 weeks", "last three months", "last 2 years"     -> rolling range ending yesterday
+ *  - "H1 2025", "second half of last year"                                   -> range (fiscal halves)
+ *  - "first week of June", "last week of December 2025"                      -> range (days 1-7 / last 7 days)
+ *  - "Q3 2025", "Q3 last year", "Q3" (this fiscal year), "last quarter"      -> quarter
+ *  - "2026-01-09", "01/09/2026" (month first), "January 9, 2026", "9 Jan 2026" -> day
+ *  - "December 2025", "2025 December"; "this week", "last month", "next year", YTD, MTD; "today",
+ *    "yesterday", "day before yesterday"; a bare year ("2025")
+ *
+ * A day or month without a year is the latest one on or before today; in a range, the start is moved
+ * back a year when it would fall after the end. Rolling ranges cover whole days before today ("last 7
+ * days" on the 19th = the 12th to the 18th). calendar.range(period) gives the normalized
+ * { start, end } (end exclusive) every table's date column can use.
+ *
+ * An expression that names no real range ("Feb 30", a range that ends before it starts, "last 99999
+ * years") is returned as { type, text, invalid, suggestion } instead of being read as a narrower one;
+ * invalid says what is wrong and suggestion, when there is an obvious fix, is the corrected text.
+ */
+
+'use strict';
+
+const { parseDay, isoDay, addDays, addMonths } = require('./calendar');
+
+const MONTH_NAMES = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const MONTH_PREFIXES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const ORDINAL = '(?:st|nd|rd|th)?';
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, eighteen: 18, twenty: 20, thirty: 30, sixty: 60, ninety: 90
+};
+const WEEK_ORDINALS = { first: 0, '1st': 0, second: 1, '2nd': 1, third: 2, '3rd': 2, fourth: 3, '4th': 3 };
+const UNITS = { day: 'DAY', week: 'WEEK', month: 'MONTH', quarter: 'QUARTER', year: 'YEAR' };
+
+// One day, with or without a year: 2026-01-09, 01/09/2026, January 9, 2026, Jan 9th 2026, 9 Jan 2026, March 15
+const DAY_FORMS = [
+  { regex: new RegExp('^(\\d{4})-(\\d{1,2})-(\\d{1,2})$', 'i'), parts: (m) => [m[1], m[2], m[3]] },
+  { regex: new RegExp('^(\\d{1,2})/(\\d{1,2})/(\\d{4})$', 'i'), parts: (m) => [m[3], m[1], m[2]] },
+  { regex: new RegExp(`^(${MONTH_NAMES})\\.?\\s+(\\d{1,2})${ORDINAL}(?:,?\\s+(\\d{4}))?$`, 'i'), parts: (m) => [m[3], monthNumber(m[1]), m[2]] },
+  { regex: new RegExp(`^(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?(${MONTH_NAMES})\\.?(?:,?\\s+(\\d{4}))?$`, 'i'), parts: (m) => [m[3], monthNumber(m[2]), m[1]] }
+];
+const DAY = `(?:\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}/\\d{1,2}/\\d{4}|(?:${MONTH_NAMES})\\.?\\s+\\d{1,2}${ORDINAL}(?:,?\\s+\\d{4})?|\\d{1,2}${ORDINAL}\\s+(?:of\\s+)?(?:${MONTH_NAMES})\\.?(?:,?\\s+\\d{4})?)`;
+const YEAR_WORDS = '(\\d{4}|last\\s+year|this\\s+year|next\\s+year)';
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+// A side of a range: a day, or a whole month ("January", "Nov 2025")
+const RANGE_SIDE = `${DAY}|(?:${MONTH_NAMES})\\.?(?:,?\\s+\\d{4})?`;
+const RANGE_WORDS = '(and|to|through|until|-)';
+// Rolling ranges reach back no further than this (T-SQL dates and the data start long after)
+const EARLIEST_DAY = parseDay('1900-01-01');
+
+function monthNumber(name) {
+  return MONTH_PREFIXES.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+// { year?, month, day } of a day expression, or null
+function parseDayParts(text) {
+  for (const form of DAY_FORMS) {
+    const m = form.regex.exec(text.trim());
+    if (!m) continue;
+    const [year, month, day] = form.parts(m);
+    // "may 45" is not a day mention
+    if (parseInt(day, 10) > 31) return null;
+    return { year: year ? parseInt(year, 10) : null, month: parseInt(month, 10), day: parseInt(day, 10) };
+  }
+  return null;
+}
+
+// { year?, month, day } of a range side; a month alone starts on its first day (wholeMonth)
+function parseRangeSide(text) {
+  const m = new RegExp(`^(${MONTH_NAMES})\\.?(?:,?\\s+(\\d{4}))?$`, 'i').exec(text.trim());
+  if (!m) return parseDayParts(text);
+  return { year: m[2] ? parseInt(m[2], 10) : null, month: monthNumber(m[1]), day: 1, wholeMonth: true };
+}
+
+// A Date for the parts, the latest one on or before `latest` when no year is given; null if not a real day
+function toDay(parts, latest) {
+  const at = (year) => parseDay(`${year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`);
+  if (parts.year) return at(parts.year);
+  const day = at(latest.getUTCFullYear());
+  return day && day > latest ? at(latest.getUTCFullYear() - 1) : day;
+}
+
+// An expression that names no real range, with the corrected text when the fix is obvious
+function invalid(reason, suggestion = null) {
+  return { invalid: reason, suggestion };
+}
+
+function notADay(text) {
+  return invalid(`"${text}" is not a date.`);
+}
+
+function count(word) {
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word.toLowerCase()];
+}
+
+// Fiscal year a year expression names: 2025, "last year", "this year" (default), "next year"
+function fiscalYear(text, calendar) {
+  const today = calendar.today();
+  const current = calendar.fiscalPeriod(today.getUTCFullYear(), today.getUTCMonth() + 1).year;
+  if (!text) return current;
+  if (/^\d{4}$/.test(text)) return parseInt(text, 10);
+  const rel = text.toLowerCase().split(/\s+/)[0];
+  return rel === 'last' ? current - 1 : rel === 'next' ? current + 1 : current;
+}
+
+function range(start, end) {
+  return { unit: 'range', start: isoDay(start), end: isoDay(end) };
+}
+
+function relative(word) {
+  return { previous: 'last', current: 'this' }[word.toLowerCase()] || word.toLowerCase();
+}
+
+function relativeShift(rel, unit) {
+  const n = rel === 'last' ? -1 : rel === 'next' ? 1 : 0;
+  return n ? [[UNITS[unit], n]] : [];
+}
+
+// Most specific first: a range or a rolling span wins over the periods and years written inside it
+const EXPRESSIONS = [
+  {
+    type: 'custom_range',
+    regex: new RegExp(`\\b(between|from)\\s+(${RANGE_SIDE})\\s+${RANGE_WORDS}\\s+(${RANGE_SIDE})(?![\\w/-]|\\.?\\s+\\d)`, 'i'),
+    period: (m, calendar) => {
+      const [from, to] = [parseRangeSide(m[2]), parseRangeSide(m[4])];
+      if (!from || !to) return null;
+      // A month alone runs from its first day to its last
+      const last = (day) => (day && to.wholeMonth ? addDays(addMonths(day, 1), -1) : day);
+      let end = last(toDay(to.year ? to : { ...to, year: from.year }, calendar.today()));
+      if (!end) return notADay(m[4]);
+      let start = toDay({ ...from, year: from.year || end.getUTCFullYear() }, end);
+      if (!start) return notADay(m[2]);
+      // Only a year written on neither side moves: "from Dec 20 to Jan 10", "from Dec 20 2025 to Jan 10"
+      if (!from.year && start > end) start = toDay({ ...from, year: end.getUTCFullYear() - 1 }, end);
+      else if (!to.year && start > end) end = last(toDay({ ...to, year: end.getUTCFullYear() + 1 }, end));
+      if (!start || !end) return notADay(start ? m[4] : m[2]);
+      if (start > end) {
+        return invalid(`The range starts on ${isoDay(start)}, after it ends on ${isoDay(end)}.`, `${m[1]} ${m[4]} ${m[3]} ${m[2]}`);
+      }
+      return range(start, addDays(end, 1));
+    }
+  },
+  {
+    type: 'since',
+    regex: new RegExp(`\\bsince\\s+(${DAY}|(?:${MONTH_NAMES})(?:\\s+\\d{4})?|\\d{4})\\b`, 'i'),
+    period: (m, calendar) => {
+      const today = calendar.today();
+      let start;
+      if (/^\d{4}$/.test(m[1])) {
+        start = parseDay(`${m[1]}-01-01`);
+      } else if (parseDayParts(m[1])) {
+        start = toDay(parseDayParts(m[1]), today);
+      } else {
+        const [name, year] = m[1].split(/\s+/);
+        start = toDay({ year: year ? parseInt(year, 10) : null, month: monthNumber(name), day: 1 }, today);
+      }
+      if (!start) return notADay(m[1]);
+      if (start > today) return invalid(`"${m[1]}" is after today (${isoDay(today)}).`);
+      return range(start, addDays(today, 1));
+    }
+  },
+  {
+    type: 'rolling',
+    regex: new RegExp(`\\b(?:last|past|previous|trailing)\\s+${COUNT}\\s+(day|week|month|quarter|year)s?\\b`, 'i'),
+    period: (m, calendar) => {
+      const today = calendar.today();
+      const n = count(m[1]);
+      if (n < 1) return null;
+      const unit = m[2].toLowerCase();
+      const start = unit === 'day' ? addDays(today, -n)
+        : unit === 'week' ? addDays(today, -7 * n)
+          : addMonths(today, -n * { month: 1, quarter: 3, year: 12 }[unit]);
+      // An invalid Date compares false as well
+      if (!(start >= EARLIEST_DAY)) return invalid(`"${m[0]}" reaches back before ${isoDay(EARLIEST_DAY)}.`);
+      return range(start, today);
+    }
+  },
+  {
+    // "past week" / "past month" have always meant the last 7 / 30 days
+    type: 'rolling',
+    regex: /\bpast\s+(week|month)\b/i,
+    period: (m, calendar) => {
+      const today = calendar.today();
+      return range(addDays(today, m[1].toLowerCase() === 'week' ? -7 : -30), today);
+    }
+  },
+  {
+    type: 'half_year',
+    regex: new RegExp(`\\b(?:h([12])|(first|second|1st|2nd)\\s+half)(?:\\s+(?:of\\s+)?(?:fy\\s*)?${YEAR_WORDS})?\\b`, 'i'),
+    period: (m, calendar) => {
+      const half = m[1] ? parseInt(m[1], 10) : /^(first|1st)$/i.test(m[2]) ? 1 : 2;
+      const start = calendar.fiscalStartDate(fiscalYear(m[3], calendar), half === 1 ? 1 : 3);
+      return range(start, addMonths(start, 6));
+    }
+  },
+  {
+    type: 'week_of_month',
+    regex: new RegExp(`\\b(first|1st|second|2nd|third|3rd|fourth|4th|last)\\s+week\\s+of\\s+(${MONTH_NAMES})(?:,?\\s+(\\d{4}))?\\b`, 'i'),
+    period: (m, calendar) => {
+      const first = toDay({ year: m[3] ? parseInt(m[3], 10) : null, month: monthNumber(m[2]), day: 1 }, calendar.today());
+      if (/^last$/i.test(m[1])) {
+        const next = addMonths(first, 1);
+        return range(addDays(next, -7), next);
+      }
+      const index = WEEK_ORDINALS[m[1].toLowerCase()];
+      return range(addDays(first, 7 * index), addDays(first, 7 * index + 7));
+    }
+  },
+  {
+    type: 'quarter_year',
+    regex: new RegExp(`\\bq([1-4])(?:\\s+(?:of\\s+)?(?:fy\\s*)?${YEAR_WORDS})?\\b`, 'i'),
+    period: (m, calendar) => ({ unit: 'quarter', year: fiscalYear(m[2], calendar), quarter: parseInt(m[1], 10) })
+  },
+  {
+    type: 'ytd',
+    regex: /\b(ytd|year to date|this year so far)\b/i,
+    period: () => ({ unit: 'year', shifts: [], toDate: true })
+  },
+  {
+    type: 'mtd',
+    regex: /\b(mtd|month to date|this month so far)\b/i,
+    period: () => ({ unit: 'month', shifts: [], toDate: true })
+  },
+  {
+    type: 'specific_date',
+    regex: new RegExp(`(?:^|[^\\w/-])(${DAY})(?![\\w/-])`, 'i'),
+    period: (m, calendar) => {
+      const parts = parseDayParts(m[1]);
+      if (!parts) return null;
+      const day = toDay(parts, calendar.today());
+      return day ? { unit: 'day', date: isoDay(day) } : notADay(m[1]);
+    }
+  },
+  {
+    type: 'specific_month_year',
+    regex: new RegExp(`\\b(?:(${MONTH_NAMES})\\.?,?\\s+(\\d{4})|(\\d{4})\\s+(${MONTH_NAMES}))\\b`, 'i'),
+    period: (m) => ({ unit: 'month', year: parseInt(m[2] || m[3], 10), month: monthNumber(m[1] || m[4]) })
+  },
+  {
+    // relative_month / relative_quarter / relative_year, and this_week / last_week / next_week
+    type: (m) => (/week/i.test(m[2]) ? `${relative(m[1])}_week` : `relative_${m[2].toLowerCase()}`),
+    regex: /\b(last|this|next|previous|current)\s+(week|month|quarter|year)\b/i,
+    period: (m) => {
+      const unit = m[2].toLowerCase();
+      return { unit, shifts: relativeShift(relative(m[1]), unit) };
+    }
+  },
+  {
+    type: 'day_before_yesterday',
+    regex: /\bday\s+before\s+yesterday\b/i,
+    period: () => ({ unit: 'day', shifts: [['DAY', -2]] })
+  },
+  {
+    type: 'yesterday',
+    regex: /\byesterday\b/i,
+    period: () => ({ unit: 'day', shifts: [['DAY', -1]] })
+  },
+  {
+    type: 'today',
+    regex: /\btoday\b/i,
+    period: () => ({ unit: 'day', shifts: [] })
+  },
+  {
+    type: 'specific_year',
+    regex: /\b((?:19|20)\d{2})\b/,
+    period: (m) => ({ unit: 'year', year: parseInt(m[1], 10) })
+  }
+];
+
+/**
+ * The date expression of a prompt, resolved with the calendar's today and fiscal year.
+ * @param {string} prompt
+ * @param {FiscalCalendar} calendar
+ * @returns {{ type: string, text: string, period: Object } |
+ *   { type: string, text: string, invalid: string, suggestion: string|null } | null}
+ */
+function parseDateExpression(prompt, calendar) {
+  for (const expression of EXPRESSIONS) {
+    const match = expression.regex.exec(prompt);
+    if (!match) continue;
+    const period = expression.period(match, calendar);
+    if (!period) continue;
+    const type = typeof expression.type === 'function' ? expression.type(match) : expression.type;
+    if (period.invalid) return { type, text: match[0].trim(), invalid: period.invalid, suggestion: period.suggestion };
+    return { type, text: match[0].trim(), period };
+  }
+  return null;
+}
+
+module.exports = {
+  parseDateExpression
+};
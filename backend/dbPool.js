@@ -0,0 +1,94 @@
+/**
+ * dbPool.js
+ *
+ * One shared mssql ConnectionPool for the whole process (queries, schema refresh, health checks).
+ *
+ * Pool settings from env:
+ *  - DB_POOL_MAX (default 10), DB_POOL_MIN (default 0)
+ *  - DB_POOL_IDLE_TIMEOUT_MS: close idle connections after this long (default 30000)
+ *  - DB_CONNECT_TIMEOUT_MS / DB_REQUEST_TIMEOUT_MS: mssql connection/request timeouts (default 15000)
+ *
+ * getPool() connects lazily and reuses the pool; a failed connect is not cached, so the next call
+ * retries. closePool() drains it on shutdown.
+ */
+
+'use strict';
+
+const sql = require('mssql');
+
+function intEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// mssql config for the shared pool: base connection settings plus pool sizing/timeouts from env
+function buildPoolConfig(dbConfig) {
+  return {
+    ...dbConfig,
+    connectionTimeout: intEnv('DB_CONNECT_TIMEOUT_MS', 15000),
+    requestTimeout: intEnv('DB_REQUEST_TIMEOUT_MS', 15000),
+    pool: {
+      max: intEnv('DB_POOL_MAX', 10),
+      min: intEnv('DB_POOL_MIN', 0),
+      idleTimeoutMillis: intEnv('DB_POOL_IDLE_TIMEOUT_MS', 30000)
+    }
+  };
+}
+
+let _config = null;
+let _poolPromise = null;
+let _pool = null;
+
+// Set the connection settings used by getPool (call once at startup)
+function configurePool(dbConfig) {
+  _config = buildPoolConfig(dbConfig);
+}
+
+async function getPool() {
+  if (!_config) throw new Error('dbPool: configurePool(dbConfig) has not been called');
+  if (!_poolPromise) {
+    const pool = new sql.ConnectionPool(_config);
+    pool.on('error', err => console.error('SQL pool error', err.message));
+    _poolPromise = pool.connect()
+      .then(connected => {
+        _pool = connected;
+        return connected;
+      })
+      .catch(err => {
+        _poolPromise = null;
+        throw err;
+      });
+  }
+  return _poolPromise;
+}
+
+// Pool settings, plus live usage once connected, for the readiness report
+function poolStats() {
+  if (!_config) return null;
+  const stats = {
+    max: _config.pool.max,
+    min: _config.pool.min,
+    idleTimeoutMillis: _config.pool.idleTimeoutMillis
+  };
+  if (_pool && _pool.connected) {
+    Object.assign(stats, { size: _pool.size, available: _pool.available, borrowed: _pool.borrowed, pending: _pool.pending });
+  }
+  return stats;
+}
+
+async function closePool() {
+  if (!_poolPromise) return;
+  const pending = _poolPromise;
+  _poolPromise = null;
+  _pool = null;
+  const pool = await pending.catch(() => null);
+  if (pool) await pool.close();
+}
+
+module.exports = {
+  buildPoolConfig,
+  configurePool,
+  getPool,
+  poolStats,
+  closePool
+};
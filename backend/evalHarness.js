@@ -0,0 +1,422 @@
+/**
+ * evalHarness.js
+ *
+ * Offline evaluation of natural-language-to-SQL accuracy, so a change to buildSystemPrompt, the example
+ * library or the model can be measured instead of guessed at.
+ *
+ *   npm run eval -- [--dataset file] [--provider replay|openai|groq|record] [--fixtures dir] [--model name]
+ *                   [--mode llm|rules|auto] [--label name] [--out report.json] [--url http://host:port] [--seed]
+ *   npm run eval -- --compare before.json after.json
+ *
+ * Each golden case (fixtures/eval/golden.json) is sent to /api/query exactly as the app would, so business
+ * rules, parameter binding, validation and SQL repair are all part of the result. Without --url the
+ * harness starts server.js on EVAL_PORT (5055) with the query cache off and the chosen provider; its log
+ * goes next to the report. Replay (the default, fixtures/eval/llm) needs no network: it checks the
+ * pipeline around the LLM. To compare prompt or model versions use a live or local model (openai with
+ * OPENAI_COMPAT_BASE_URL, e.g. Ollama), or record once and replay.
+ *
+ * The database comes from DB_* as usual. --seed rebuilds it from schema.sql and fixtures/eval/seed.sql;
+ * it drops tables, so it refuses unless DB_NAME contains "eval" or "test".
+ *
+ * Case: { id, prompt, asOf?, mode?, expected?: { sql?, rows?, ordered? }, expectRejection?, tags? }
+ * (asOf defaults to the dataset's, so relative dates resolve the same way on every run). Scores:
+ *  - exact match: generated SQL equals expected.sql once both are tokenized with parameters inlined
+ *    (case, whitespace and comments ignored)
+ *  - execution match: the rows equal expected.rows, or what expected.sql returns on the same database
+ *    (column names and order ignored; row order only when ordered)
+ *  - safety rejection: the validator refused the LLM's SQL (whether or not the rule-based builder then
+ *    answered); expectRejection cases pass when it does
+ *  - business-rule violation: the rewriter had to add a default filter the generated SQL left out
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+const axios = require('axios');
+const sql = require('mssql');
+const dbPool = require('./dbPool');
+const { tokenizeSql, referencedParams } = require('./sqlRewriter');
+
+require('dotenv').config();
+
+const DEFAULT_DATASET = path.join(__dirname, 'fixtures', 'eval', 'golden.json');
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'eval', 'llm');
+const SEED_FILES = [path.join(__dirname, 'schema.sql'), path.join(__dirname, 'fixtures', 'eval', 'seed.sql')];
+const REPORTS_DIR = path.join(__dirname, 'evalReports');
+const SERVER_START_TIMEOUT_MS = 30000;
+// schema.sql references FormCheckList_Users, which is not part of it
+const SEED_PRELUDE = [
+  'DROP TABLE IF EXISTS SalesApp_LogInActivity',
+  'DROP TABLE IF EXISTS FormCheckList_Users',
+  'CREATE TABLE FormCheckList_Users (userID INT NOT NULL PRIMARY KEY)'
+];
+const METRICS = [
+  ['exactMatch', 'Exact match'],
+  ['executionMatch', 'Execution match'],
+  ['safetyRejection', 'Safety rejection'],
+  ['businessRuleViolation', 'Business-rule violation'],
+  ['unsafeRefused', 'Unsafe prompts refused']
+];
+
+function parseArgs(argv) {
+  const args = { compare: null };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (name === 'seed') args.seed = true;
+    else if (name === 'compare') args.compare = [argv[++i], argv[++i]];
+    else args[name] = argv[++i];
+  }
+  return args;
+}
+
+function loadDataset(filePath) {
+  const dataset = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = [];
+  const ids = new Set();
+  (dataset.cases || []).forEach((c, i) => {
+    if (!c.id || ids.has(c.id)) errors.push(`cases[${i}]: missing or duplicate id`);
+    ids.add(c.id);
+    if (!c.prompt) errors.push(`cases[${i}] ${c.id}: prompt is required`);
+    if (!c.expectRejection && !(c.expected && (c.expected.sql || c.expected.rows))) {
+      errors.push(`cases[${i}] ${c.id}: expected.sql or expected.rows is required (or expectRejection)`);
+    }
+  });
+  if (!Array.isArray(dataset.cases) || dataset.cases.length === 0) errors.push('cases must be a non-empty array');
+  if (errors.length > 0) throw new Error(`Dataset ${filePath} is invalid:\n  - ${errors.join('\n  - ')}`);
+  return dataset;
+}
+
+function sqlLiteral(param) {
+  if (typeof param.value === 'number' || typeof param.value === 'boolean') return String(Number(param.value));
+  return `'${String(param.value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Comparable form of a query: significant tokens, upper-cased outside string literals, with bound
+ * parameters replaced by their values and [brackets], N'' prefixes and trailing semicolons dropped.
+ * @param {string} sqlText
+ * @param {Object} params - { name: { type, value } }
+ */
+function canonicalSql(sqlText, params = {}) {
+  const tokens = tokenizeSql(String(sqlText || '')).filter(t => t.type !== 'ws' && t.type !== 'comment');
+  while (tokens.length > 0 && tokens[tokens.length - 1].text === ';') tokens.pop();
+  // The tokenizer reads a lower-case n'x' as the word n followed by the string 'x'
+  const nPrefix = (t, i) => t.upper === 'N' && tokens[i + 1] && tokens[i + 1].type === 'string' && tokens[i + 1].start === t.end;
+  return tokens.filter((t, i) => !nPrefix(t, i)).map(t => {
+    if (t.type === 'string') return t.text.replace(/^N'/i, "'");
+    if (t.type === 'ident') return t.text.slice(1, -1).toUpperCase();
+    if (t.type === 'word' && t.text.startsWith('@') && params[t.text.slice(1)]) return sqlLiteral(params[t.text.slice(1)]);
+    return t.upper;
+  }).join(' ');
+}
+
+function normalizeValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'number') return Number.isInteger(value) ? value : Math.round(value * 100) / 100;
+  return String(value).trim();
+}
+
+// Rows as comparable strings: each row's values sorted, so column names and order do not matter
+function rowSignatures(rows, ordered) {
+  const signatures = rows.map(row => JSON.stringify(Object.values(row).map(normalizeValue).map(v => JSON.stringify(v)).sort()));
+  return ordered ? signatures : signatures.sort();
+}
+
+function rowsMatch(expected, actual, ordered = false) {
+  if (!Array.isArray(actual) || expected.length !== actual.length) return false;
+  const a = rowSignatures(expected, ordered);
+  const b = rowSignatures(actual, ordered);
+  return a.every((s, i) => s === b[i]);
+}
+
+// Rows expected.sql returns, with the parameters the generated query was bound to for any @name it uses
+async function expectedRows(testCase, params) {
+  if (testCase.expected.rows) return testCase.expected.rows;
+  const request = (await dbPool.getPool()).request();
+  for (const name of referencedParams(testCase.expected.sql)) {
+    const p = params[name];
+    if (!p) throw new Error(`expected.sql uses @${name}, which the generated query did not bind`);
+    request.input(name, sql[p.type], p.type === 'Date' ? new Date(`${p.value}T00:00:00Z`) : p.value);
+  }
+  return (await request.query(testCase.expected.sql)).recordset;
+}
+
+async function seedDatabase() {
+  const database = process.env.DB_NAME || '';
+  if (!/eval|test/i.test(database)) {
+    throw new Error(`--seed drops and recreates tables; DB_NAME must name an eval or test database (got "${database}")`);
+  }
+  const pool = await dbPool.getPool();
+  const statements = [...SEED_PRELUDE];
+  for (const file of SEED_FILES) {
+    statements.push(...fs.readFileSync(file, 'utf8').split(/;\s*$/m).filter(s => s.replace(/--.*$/gm, '').trim()));
+  }
+  for (const statement of statements) await pool.request().batch(statement);
+  console.log(`Seeded ${database} (${statements.length} statements)`);
+}
+
+// server.js on its own port with the eval's provider; resolves to { url, stop }
+async function startServer(opts) {
+  const port = parseInt(process.env.EVAL_PORT, 10) || 5055;
+  const env = { ...process.env, PORT: String(port), QUERY_CACHE: 'off', LLM_PROVIDER_QUERY: opts.provider };
+  if (opts.fixtures) env.LLM_FIXTURES_DIR = opts.fixtures;
+  if (opts.model) env.LLM_MODEL_QUERY = opts.model;
+  const log = fs.openSync(opts.logFile, 'w');
+  const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], { env, stdio: ['ignore', log, log] });
+  let exited = null;
+  child.on('exit', code => { exited = code; });
+
+  const url = `http://localhost:${port}`;
+  const stop = () => new Promise(resolve => {
+    if (exited !== null) return resolve();
+    child.once('exit', resolve);
+    child.kill('SIGTERM');
+  }).finally(() => fs.closeSync(log));
+
+  const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (exited !== null) throw new Error(`server.js exited with code ${exited}; see ${opts.logFile}`);
+    try {
+      await axios.get(`${url}/api/health`, { timeout: 1000 });
+      return { url, stop };
+    } catch (err) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+  await stop();
+  throw new Error(`server.js did not start within ${SERVER_START_TIMEOUT_MS} ms; see ${opts.logFile}`);
+}
+
+async function runCase(url, testCase, opts) {
+  const body = {
+    prompt: testCase.prompt,
+    mode: testCase.mode || opts.mode,
+    asOf: testCase.asOf || opts.asOf,
+    followUp: false,
+    cache: false
+  };
+  const started = Date.now();
+  const response = await axios.post(`${url}/api/query`, body, { timeout: 120000, validateStatus: () => true });
+  const data = response.data || {};
+  const params = Object.fromEntries((data.params || []).map(p => [p.name.replace(/^@/, ''), { type: p.type, value: p.value }]));
+
+  // rejected: refused by the SQL policy; unanswered: no generator could answer (e.g. rules mode)
+  let outcome = 'error';
+  if (response.status === 200) outcome = data.clarification ? 'clarification' : 'answered';
+  else if (response.status === 400) outcome = data.reason ? 'rejected' : 'unanswered';
+  const rejection = outcome === 'rejected' ? data.reason : data.llmRejection || null;
+
+  const result = {
+    id: testCase.id,
+    prompt: testCase.prompt,
+    tags: testCase.tags || [],
+    status: response.status,
+    outcome,
+    source: data.source || null,
+    sql: data.sql || null,
+    params,
+    rulesApplied: (data.rulesApplied || []).map(a => a.rule),
+    rejection: rejection ? { code: rejection.code, message: rejection.message } : null,
+    error: outcome === 'error' || outcome === 'unanswered' ? data.error || `HTTP ${response.status}` : null,
+    durationMs: Date.now() - started
+  };
+
+  if (testCase.expectRejection) {
+    result.refused = outcome !== 'answered' || !!rejection;
+    return result;
+  }
+  if (testCase.expected.sql) {
+    result.exactMatch = outcome === 'answered' && canonicalSql(data.sql, params) === canonicalSql(testCase.expected.sql, params);
+  }
+  if (outcome === 'answered') {
+    try {
+      result.executionMatch = rowsMatch(await expectedRows(testCase, params), data.rows, !!testCase.expected.ordered);
+    } catch (err) {
+      result.executionMatch = false;
+      result.error = `expected query failed: ${err.message}`;
+    }
+  } else {
+    result.executionMatch = false;
+  }
+  return result;
+}
+
+function rate(count, total) {
+  return { count, total, rate: total > 0 ? Math.round((count / total) * 1000) / 1000 : null };
+}
+
+function summarize(results) {
+  const answerable = results.filter(r => r.refused === undefined);
+  const unsafe = results.filter(r => r.refused !== undefined);
+  const answered = answerable.filter(r => r.outcome === 'answered');
+  const withSql = answerable.filter(r => r.exactMatch !== undefined);
+  return {
+    cases: results.length,
+    exactMatch: rate(withSql.filter(r => r.exactMatch).length, withSql.length),
+    executionMatch: rate(answerable.filter(r => r.executionMatch).length, answerable.length),
+    safetyRejection: rate(answerable.filter(r => r.rejection).length, answerable.length),
+    businessRuleViolation: rate(answered.filter(r => r.rulesApplied.length > 0).length, answered.length),
+    unsafeRefused: rate(unsafe.filter(r => r.refused).length, unsafe.length),
+    rulesFallback: answered.filter(r => r.source === 'rules').length,
+    clarifications: answerable.filter(r => r.outcome === 'clarification').length,
+    unanswered: answerable.filter(r => r.outcome === 'unanswered').length,
+    errors: results.filter(r => r.outcome === 'error').length,
+    avgDurationMs: results.length > 0 ? Math.round(results.reduce((sum, r) => sum + r.durationMs, 0) / results.length) : 0
+  };
+}
+
+function gitCommit() {
+  try {
+    return execFileSync('git', ['rev-parse', '--short', 'HEAD'], { cwd: __dirname, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Run every case of a dataset against a server and build the report.
+ * @param {Object} opts - { dataset, url, provider, fixtures, model, mode, label, logFile }
+ * @returns {Promise<Object>} { label, createdAt, commit, config, metrics, cases }
+ */
+async function runEvaluation(opts) {
+  const dataset = loadDataset(opts.dataset || DEFAULT_DATASET);
+  const server = opts.url ? { url: opts.url.replace(/\/+$/, ''), stop: async () => {} } : await startServer(opts);
+  const results = [];
+  try {
+    for (const testCase of dataset.cases) {
+      const result = await runCase(server.url, testCase, { mode: opts.mode, asOf: dataset.asOf });
+      results.push(result);
+      console.log(`${caseMark(result)} ${result.id}${result.error ? ` (${result.error})` : ''}`);
+    }
+  } finally {
+    await server.stop();
+  }
+  return {
+    label: opts.label,
+    createdAt: new Date().toISOString(),
+    commit: gitCommit(),
+    config: {
+      dataset: path.relative(__dirname, opts.dataset || DEFAULT_DATASET),
+      url: opts.url || null,
+      provider: opts.url ? null : opts.provider,
+      model: opts.model || null,
+      mode: opts.mode,
+      asOf: dataset.asOf || null
+    },
+    metrics: summarize(results),
+    cases: results
+  };
+}
+
+function caseMark(result) {
+  if (result.refused !== undefined) return result.refused ? 'PASS' : 'FAIL';
+  return result.executionMatch ? 'PASS' : 'FAIL';
+}
+
+function percent(metric) {
+  return metric.rate === null ? 'n/a' : `${(metric.rate * 100).toFixed(1)}% (${metric.count}/${metric.total})`;
+}
+
+function formatMetrics(report) {
+  const m = report.metrics;
+  return [
+    `${report.label} (${report.commit || 'no commit'}; ${report.config.provider || report.config.url}${report.config.model ? ` ${report.config.model}` : ''}, mode ${report.config.mode})`,
+    ...METRICS.map(([key, name]) => `  ${name.padEnd(24)} ${percent(m[key])}`),
+    `  Rule-based fallbacks     ${m.rulesFallback}`,
+    `  Clarified / unanswered   ${m.clarifications} / ${m.unanswered}`,
+    `  Errors                   ${m.errors}`,
+    `  Average duration         ${m.avgDurationMs} ms`
+  ].join('\n');
+}
+
+// Side-by-side metrics of two reports plus the cases whose result changed
+function compareReports(before, after) {
+  const lines = [`${'Metric'.padEnd(24)} ${before.label.padEnd(22)} ${after.label.padEnd(22)} Change`];
+  for (const [key, name] of METRICS) {
+    const a = before.metrics[key];
+    const b = after.metrics[key];
+    const change = a.rate === null || b.rate === null ? '' : `${b.rate >= a.rate ? '+' : ''}${((b.rate - a.rate) * 100).toFixed(1)} pts`;
+    lines.push(`${name.padEnd(24)} ${percent(a).padEnd(22)} ${percent(b).padEnd(22)} ${change}`);
+  }
+  const previous = new Map(before.cases.map(c => [c.id, c]));
+  const yesNo = (value) => (value ? 'yes' : 'no');
+  const changed = [];
+  for (const c of after.cases) {
+    const p = previous.get(c.id);
+    if (!p) {
+      changed.push(`  new     ${c.id}: ${caseMark(c)}`);
+      continue;
+    }
+    const details = [];
+    if (p.outcome !== c.outcome) details.push(`${p.outcome} -> ${c.outcome}`);
+    if (p.exactMatch !== c.exactMatch) details.push(`exact match ${yesNo(p.exactMatch)} -> ${yesNo(c.exactMatch)}`);
+    if (p.rulesApplied.length !== c.rulesApplied.length) details.push(`rules added ${p.rulesApplied.length} -> ${c.rulesApplied.length}`);
+    if (caseMark(p) !== caseMark(c)) changed.push(`  ${caseMark(c) === 'PASS' ? 'fixed  ' : 'broken '} ${c.id}${details.length > 0 ? ` (${details.join('; ')})` : ''}`);
+    else if (details.length > 0) changed.push(`  changed ${c.id} (${details.join('; ')})`);
+  }
+  if (changed.length > 0) lines.push('', 'Cases:', ...changed);
+  return lines.join('\n');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.compare) {
+    const [before, after] = args.compare.map(f => JSON.parse(fs.readFileSync(f, 'utf8')));
+    console.log(compareReports(before, after));
+    return;
+  }
+
+  const label = args.label || `${args.provider || 'replay'}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const out = args.out || path.join(REPORTS_DIR, `${label}.json`);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  const provider = args.provider || 'replay';
+  const opts = {
+    dataset: args.dataset ? path.resolve(args.dataset) : DEFAULT_DATASET,
+    url: args.url,
+    provider,
+    fixtures: args.fixtures ? path.resolve(args.fixtures) : (provider === 'replay' ? DEFAULT_FIXTURES_DIR : undefined),
+    model: args.model,
+    mode: args.mode || 'llm',
+    label,
+    logFile: out.replace(/\.json$/, '') + '.server.log'
+  };
+
+  // Same database settings as server.js: expected SQL runs where the generated SQL ran
+  dbPool.configurePool({
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    server: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    options: { encrypt: false, enableArithAbort: true },
+    port: parseInt(process.env.DB_PORT, 10)
+  });
+  try {
+    if (args.seed) await seedDatabase();
+    const report = await runEvaluation(opts);
+    fs.writeFileSync(out, JSON.stringify(report, null, 2) + '\n');
+    console.log(`\n${formatMetrics(report)}\n\nReport: ${out}`);
+  } finally {
+    await dbPool.closePool();
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  loadDataset,
+  canonicalSql,
+  rowsMatch,
+  summarize,
+  runEvaluation,
+  compareReports,
+  formatMetrics
+};
@@ -0,0 +1,68 @@
+-- Seed data for the offline evaluation (evalHarness.js --seed runs schema.sql first, then this file).
+-- Dates are around the dataset's asOf (2026-03-16); cost columns are VARCHAR with commas and spaces
+-- like production, and a few rows are carry-overs, uncounted or deleted so business rules matter.
+
+INSERT INTO FormCheckList_Users (userID) VALUES (101), (102), (103);
+
+INSERT INTO SalesReport_Form_Input (LEAD_ID, STOCK, CAR_STATUS, MAKE, MODEL, FRONT_COST, FI_COST, ADMIN_COST, TOTAL_COST, LEAD_SOURCE, LEAD_OWNER, CLOSER, DEALER_LOCATION, DIVISION, VEHICLE_TYPE, MONTH_REPORTED, YEAR_REPORTED, DATE_REPORTED, isCarryOver, isCounted, isDeleted) VALUES
+  ('L5001', 'S1001', 'New', 'Jayco', 'Model 1', '2,150.00', '1,100.00', '499', '3,749.00', 'Website', 'Jenny Lee', 'Mike Smith', 'Calgary', 'RV', 'Travel Trailer', 'January', '2026', '2026-01-09 10:30:00', 0, 1, 0),
+  ('L5002', 'S1002', 'Used', 'Keystone', 'Model 2', '1,480.50', '650.00', '499', '2,629.50', 'Walk In', 'Jenny Lee', 'Sarah Connor', 'Red Deer', 'RV', 'Travel Trailer', 'January', '2026', '2026-01-20 10:30:00', 0, 1, 0),
+  ('L5003', 'S1003', 'New', 'Forest River', 'Model 3', '3,020.00', '1,450.00', '499', '4,969.00', 'Facebook', 'Jenny Lee', 'Will Turner', 'Edmonton North', 'RV', 'Travel Trailer', 'January', '2026', '2026-01-28 10:30:00', 0, 1, 0),
+  ('L5004', 'S1004', 'New', 'Jayco', 'Model 4', '2,640.00', '1,200.00', '499', '4,339.00', 'Website', 'Jenny Lee', 'Mike Smith', 'Calgary', 'RV', 'Travel Trailer', 'February', '2026', '2026-02-03 10:30:00', 0, 1, 0),
+  ('L5005', 'S1005', 'Used', 'Grand Design', 'Model 5', '1,150.00', '480.00', '499', '2,129.00', 'Walk In', 'Jenny Lee', 'Sarah Connor', 'Calgary', 'RV', 'Fifth Wheel', 'February', '2026', '2026-02-06 10:30:00', 0, 1, 0),
+  ('L5006', 'S1006', 'New', 'Keystone', 'Model 6', '2,980.75', '1,320.00', '499', '4,799.75', 'Facebook', 'Jenny Lee', 'Will Turner', 'Red Deer', 'RV', 'Travel Trailer', 'February', '2026', '2026-02-11 10:30:00', 0, 1, 0),
+  ('L5007', 'S1007', 'Used', 'Jayco', 'Model 7', ' 980.00', '300.00', '499', '1,779.00', 'Website', 'Jenny Lee', 'Sarah Connor', 'Red Deer', 'RV', 'Travel Trailer', 'February', '2026', '2026-02-14 10:30:00', 0, 1, 0),
+  ('L5008', 'S1008', 'New', 'Forest River', 'Model 8', '3,410.00', '1,610.00', '499', '5,519.00', 'Walk In', 'Jenny Lee', 'Mike Smith', 'Edmonton North', 'RV', 'Travel Trailer', 'February', '2026', '2026-02-19 10:30:00', 0, 1, 0),
+  ('L5009', 'S1009', 'Used', 'Keystone', 'Model 9', '1,725.00', '700.00', '499', '2,924.00', 'Website', 'Jenny Lee', 'Dave Brown', 'Edmonton South', 'RV', 'Travel Trailer', 'February', '2026', '2026-02-23 10:30:00', 0, 0, 0),
+  ('L5010', 'S1010', 'New', 'Grand Design', 'Model 10', '2,200.00', '900.00', '499', '3,599.00', 'Facebook', 'Jenny Lee', 'Will Turner', 'Lethbridge', 'RV', 'Fifth Wheel', 'February', '2026', '2026-02-25 10:30:00', 0, 1, 0),
+  ('L5011', 'S1011', 'New', 'Forest River', 'Model 11', '1,890.00', '1,050.00', '499', '3,439.00', 'Website', 'Jenny Lee', 'Mike Smith', 'Calgary', 'RV', 'Travel Trailer', 'February', '2026', '2026-02-27 10:30:00', 1, 1, 0),
+  ('L5012', 'S1012', 'Used', 'Jayco', 'Model 12', '1,300.00', '550.00', '499', '2,349.00', 'Walk In', 'Jenny Lee', 'Dave Brown', 'Lethbridge', 'RV', 'Travel Trailer', 'February', '2026', '2026-02-27 10:30:00', 0, 1, 1),
+  ('L5013', 'S1013', 'New', 'Jayco', 'Model 13', '2,760.00', '1,380.00', '499', '4,639.00', 'Website', 'Jenny Lee', 'Mike Smith', 'Calgary', 'RV', 'Travel Trailer', 'March', '2026', '2026-03-02 10:30:00', 0, 1, 0),
+  ('L5014', 'S1014', 'Used', 'Keystone', 'Model 14', '1,240.00', '610.00', '499', '2,349.00', 'Facebook', 'Jenny Lee', 'Sarah Connor', 'Calgary', 'RV', 'Travel Trailer', 'March', '2026', '2026-03-03 10:30:00', 0, 1, 0),
+  ('L5015', 'S1015', 'New', 'Grand Design', 'Model 15', '3,150.00', '1,500.00', '499', '5,149.00', 'Walk In', 'Jenny Lee', 'Will Turner', 'Red Deer', 'RV', 'Fifth Wheel', 'March', '2026', '2026-03-05 10:30:00', 0, 1, 0),
+  ('L5016', 'S1016', 'Used', 'Forest River', 'Model 16', '1,960.00', '820.00', '499', '3,279.00', 'Website', 'Jenny Lee', 'Mike Smith', 'Edmonton North', 'RV', 'Travel Trailer', 'March', '2026', '2026-03-06 10:30:00', 0, 1, 0),
+  ('L5017', 'S1017', 'New', 'Jayco', 'Model 17', '2,480.00', '1,150.00', '499', '4,129.00', 'Website', 'Jenny Lee', 'Dave Brown', 'Edmonton South', 'RV', 'Travel Trailer', 'March', '2026', '2026-03-09 10:30:00', 0, 1, 0),
+  ('L5018', 'S1018', 'New', 'Jayco', 'Model 18', '2,310.00', '1,090.00', '499', '3,899.00', 'Walk In', 'Jenny Lee', 'Will Turner', 'Calgary', 'RV', 'Travel Trailer', 'March', '2026', '2026-03-10 10:30:00', 0, 1, 0),
+  ('L5019', 'S1019', 'Used', 'Keystone', 'Model 19', '1,050.00', '420.00', '499', '1,969.00', 'Facebook', 'Jenny Lee', 'Sarah Connor', 'Lethbridge', 'RV', 'Travel Trailer', 'March', '2026', '2026-03-11 10:30:00', 0, 0, 0),
+  ('L5020', 'S1020', 'New', 'Forest River', 'Model 20', '2,890.00', '1,270.00', '499', '4,659.00', 'Website', 'Jenny Lee', 'Sarah Connor', 'Red Deer', 'RV', 'Travel Trailer', 'March', '2026', '2026-03-12 10:30:00', 0, 1, 0),
+  ('L5021', 'S1021', 'Used', 'Grand Design', 'Model 21', '1,640.00', '760.00', '499', '2,899.00', 'Website', 'Jenny Lee', 'Mike Smith', 'Calgary', 'RV', 'Fifth Wheel', 'March', '2026', '2026-03-13 10:30:00', 0, 1, 0),
+  ('L5022', 'S1022', 'New', 'Keystone', 'Model 22', '3,300.00', '1,480.00', '499', '5,279.00', 'Facebook', 'Jenny Lee', 'Will Turner', 'Edmonton North', 'RV', 'Travel Trailer', 'March', '2026', '2026-03-13 10:30:00', 0, 1, 1),
+  ('L5023', 'S1023', 'New', 'Jayco', 'Model 23', '2,520.00', '1,210.00', '499', '4,229.00', 'Walk In', 'Jenny Lee', 'Sarah Connor', 'Calgary', 'RV', 'Travel Trailer', 'March', '2026', '2026-03-16 10:30:00', 0, 1, 0),
+  ('L5024', 'S1024', 'Used', 'Keystone', 'Model 24', '1,380.00', '590.00', '499', '2,469.00', 'Website', 'Jenny Lee', 'Mike Smith', 'Red Deer', 'RV', 'Travel Trailer', 'March', '2026', '2026-03-16 10:30:00', 0, 1, 0),
+  ('L5025', 'S1025', 'New', 'Forest River', 'Model 25', '2,940.00', '1,330.00', '499', '4,769.00', 'Website', 'Jenny Lee', 'Will Turner', 'Calgary', 'RV', 'Travel Trailer', 'March', '2026', '2026-03-16 10:30:00', 0, 1, 0);
+
+INSERT INTO SaleWarranty_RVAC_CONTRACTS (SalesRep, DealerLocation, VehicleCondition, StockNumber, Make, WarrantyPrice, WarrantyCost, MONTH_REPORTED, YEAR_REPORTED, DATE_REPORTED, isDeleted) VALUES
+  ('Tom Hardy', 'Red Deer', 'New', 'S1002', 'Keystone', '2,100.00', '1,100.00', 'January', '2026', '2026-01-20 14:00:00', 0),
+  ('Tom Hardy', 'Calgary', 'New', 'S1004', 'Jayco', '2,400.00', '900.00', 'February', '2026', '2026-02-03 14:00:00', 0),
+  ('Tom Hardy', 'Calgary', 'New', 'S1005', 'Grand Design', '1,800.00', '1,000.00', 'February', '2026', '2026-02-06 14:00:00', 0),
+  ('Amy Pond', 'Edmonton North', 'New', 'S1008', 'Forest River', '2,250.00', '900.00', 'February', '2026', '2026-02-19 14:00:00', 0),
+  ('Tom Hardy', 'Calgary', 'New', 'S1011', 'Forest River', '1,950.00', '1,200.00', 'February', '2026', '2026-02-27 14:00:00', 0),
+  ('Tom Hardy', 'Calgary', 'New', 'S1013', 'Jayco', '2,250.00', '1,000.00', 'March', '2026', '2026-03-02 14:00:00', 0),
+  ('Tom Hardy', 'Calgary', 'New', 'S1014', 'Keystone', '2,400.00', '1,100.00', 'March', '2026', '2026-03-03 14:00:00', 0),
+  ('Amy Pond', 'Edmonton South', 'New', 'S1017', 'Jayco', '2,100.00', '1,000.00', 'March', '2026', '2026-03-09 14:00:00', 0),
+  ('Tom Hardy', 'Red Deer', 'New', 'S1020', 'Forest River', '1,800.00', '900.00', 'March', '2026', '2026-03-12 14:00:00', 0),
+  ('Tom Hardy', 'Calgary', 'New', 'S1023', 'Jayco', '2,250.00', '1,200.00', 'March', '2026', '2026-03-16 14:00:00', 0),
+  ('Tom Hardy', 'Red Deer', 'New', 'S1024', 'Keystone', '2,400.00', '900.00', 'March', '2026', '2026-03-16 14:00:00', 0);
+
+INSERT INTO Common_Group_401_Vehicle_Inventory (StockNumber, VehicleMake, VehicleModel, Lot, IsCertified) VALUES
+  ('S1001', 'Jayco', 'Model 1', 'Calgary Lot', 0),
+  ('S1002', 'Keystone', 'Model 2', 'Red Deer Lot', 1),
+  ('S1003', 'Forest River', 'Model 3', 'Edmonton North Lot', 0),
+  ('S1004', 'Jayco', 'Model 4', 'Calgary Lot', 1),
+  ('S1005', 'Grand Design', 'Model 5', 'Calgary Lot', 0),
+  ('S1006', 'Keystone', 'Model 6', 'Red Deer Lot', 1),
+  ('S1007', 'Jayco', 'Model 7', 'Red Deer Lot', 0),
+  ('S1008', 'Forest River', 'Model 8', 'Edmonton North Lot', 1),
+  ('S1009', 'Keystone', 'Model 9', 'Edmonton South Lot', 0),
+  ('S1010', 'Grand Design', 'Model 10', 'Lethbridge Lot', 1),
+  ('S1011', 'Forest River', 'Model 11', 'Calgary Lot', 0),
+  ('S1012', 'Jayco', 'Model 12', 'Lethbridge Lot', 1);
+
+INSERT INTO SalesApp_LogInActivity (UserID, Token, LogedIn, LogOut, IpLog, Device) VALUES
+  (101, 'token-1', '2026-03-09 08:05:00', '2026-03-09 16:40:00', '10.0.0.1', 'Desktop'),
+  (102, 'token-2', '2026-03-10 09:15:00', '2026-03-10 11:00:00', '10.0.0.2', 'Desktop'),
+  (101, 'token-3', '2026-03-15 07:50:00', '2026-03-15 12:10:00', '10.0.0.3', 'Desktop'),
+  (103, 'token-4', '2026-03-15 20:30:00', '2026-03-15 21:05:00', '10.0.0.4', 'Desktop'),
+  (102, 'token-5', '2026-03-16 08:45:00', NULL, '10.0.0.5', 'Desktop'),
+  (101, 'token-6', '2026-03-16 09:00:00', '2026-03-16 10:30:00', '10.0.0.6', 'Desktop'),
+  (103, 'token-7', '2026-03-16 06:10:00', '2026-03-16 06:55:00', '10.0.0.7', 'Desktop');
@@ -0,0 +1,71 @@
+/**
+ * healthChecks.js
+ *
+ * Readiness probes for /api/health/ready. Each component check is an async function that resolves
+ * to a detail object (optionally with status: 'degraded') or throws when the component is down.
+ *
+ * runChecks times every check (bounded by a timeout) and reports:
+ *  {
+ *    status: 'ok' | 'degraded' | 'down',
+ *    checkedAt,
+ *    components: { db: { status, latencyMs, required, ...detail | error } }
+ *  }
+ * Overall status is 'down' when a required component is down, 'degraded' when anything else is
+ * not ok, so a load balancer only needs the HTTP status (503 for 'down').
+ */
+
+'use strict';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} check timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function timeCheck(name, check, timeoutMs) {
+  const started = Date.now();
+  try {
+    const detail = (await withTimeout(Promise.resolve().then(check.run), timeoutMs, name)) || {};
+    return {
+      ...detail,
+      status: detail.status || 'ok',
+      latencyMs: Date.now() - started,
+      required: check.required !== false
+    };
+  } catch (err) {
+    return {
+      status: 'down',
+      latencyMs: Date.now() - started,
+      required: check.required !== false,
+      error: err.message
+    };
+  }
+}
+
+/**
+ * Run all checks in parallel.
+ * @param {Object} checks - { name: { run: async () => detail, required: boolean } }
+ * @param {Object} opts - { timeoutMs }
+ */
+async function runChecks(checks, opts = {}) {
+  const timeoutMs = opts.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => timeCheck(name, checks[name], timeoutMs)));
+
+  const components = {};
+  names.forEach((name, i) => { components[name] = results[i]; });
+
+  let status = 'ok';
+  if (results.some(r => r.status !== 'ok')) status = 'degraded';
+  if (results.some(r => r.status === 'down' && r.required)) status = 'down';
+
+  return { status, checkedAt: new Date().toISOString(), components };
+}
+
+module.exports = {
+  runChecks
+};
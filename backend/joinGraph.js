@@ -0,0 +1,78 @@
+/**
+ * joinGraph.js
+ *
+ * Path finding over the semantic model's declared joins (sales STOCK <-> inventory StockNumber,
+ * sales STOCK <-> warranty StockNumber, inventory VIN <-> warranty VIN, ...). A question that needs
+ * several tables ("front gross on certified units", "warranty contracts by closer") is answered along
+ * the shortest declared path from its primary table; the validator rejects any other join.
+ *
+ * Joins are compiled model joins: { id, left: { table, column }, right: { table, column }, description }
+ * with real table names.
+ */
+
+'use strict';
+
+// Declared joins touching a table, oriented away from it
+function edgesFrom(joins, table) {
+  const edges = [];
+  for (const join of joins) {
+    if (join.left.table === table) edges.push({ join, to: join.right.table });
+    else if (join.right.table === table) edges.push({ join, to: join.left.table });
+  }
+  return edges;
+}
+
+/**
+ * Shortest list of joins from one table to another (declaration order breaks ties), or null.
+ */
+function findJoinPath(joins, from, to) {
+  if (from === to) return [];
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const table = queue.shift();
+    for (const { join, to: next } of edgesFrom(joins, table)) {
+      if (previous.has(next)) continue;
+      previous.set(next, { table, join });
+      if (next === to) {
+        const path = [];
+        for (let step = previous.get(to); step; step = previous.get(step.table)) path.unshift(step.join);
+        return path;
+      }
+      queue.push(next);
+    }
+  }
+  return null;
+}
+
+/**
+ * Joins connecting the primary table to every other table a question needs.
+ * @returns {{ joins: Array, unreachable: string[] }} joins without duplicates, in path order
+ */
+function joinPathFor(joins, primary, tables) {
+  const path = [];
+  const unreachable = [];
+  for (const table of tables) {
+    if (table === primary) continue;
+    const steps = findJoinPath(joins, primary, table);
+    if (!steps) {
+      unreachable.push(table);
+      continue;
+    }
+    for (const step of steps) {
+      if (!path.includes(step)) path.push(step);
+    }
+  }
+  return { joins: path, unreachable };
+}
+
+// "SalesReport_Form_Input.STOCK = Common_Group_401_Vehicle_Inventory.StockNumber"
+function describeJoin(join) {
+  return `${join.left.table}.${join.left.column} = ${join.right.table}.${join.right.column}`;
+}
+
+module.exports = {
+  findJoinPath,
+  joinPathFor,
+  describeJoin
+};
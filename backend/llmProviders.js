@@ -0,0 +1,286 @@
+/**
+ * llmProviders.js
+ *
+ * Pluggable chat-completion providers:
+ *  - groq:   Groq's hosted OpenAI-compatible endpoint (GROQ_API_KEY, GROQ_MODEL)
+ *  - openai: any OpenAI-compatible base URL, e.g. a local Ollama or llama.cpp server
+ *            (OPENAI_COMPAT_BASE_URL, OPENAI_COMPAT_API_KEY, OPENAI_COMPAT_MODEL)
+ *  - replay: serves canned responses from fixture files (LLM_FIXTURES_DIR), no network needed
+ *  - record: forwards to another provider (LLM_RECORD_TARGET) and saves each response as a fixture
+ *
+ * Every provider exposes chat(messages, { model, temperature, maxTokens }) and resolves to the
+ * OpenAI response shape: { choices: [{ message: { content } }] }, plus healthCheck({ timeout }) for
+ * /api/health/ready (cheap: lists models or fixtures, never runs a completion).
+ *
+ * Provider/model selection per route (query, ask, analyze, analyze-text):
+ *  - LLM_PROVIDER / LLM_MODEL: defaults for every route
+ *  - LLM_PROVIDER_<ROUTE> / LLM_MODEL_<ROUTE>: per-route override, e.g. LLM_PROVIDER_ANALYZE_TEXT=openai
+ *  - request body { provider, model } overrides both, but only for names listed in LLM_REQUEST_PROVIDERS /
+ *    LLM_REQUEST_MODELS (comma-separated, empty by default). replay and record are refused from a request
+ *    outside NODE_ENV=development: record writes full prompts and the schema to the server's disk
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const PROVIDER_NAMES = ['groq', 'openai', 'replay', 'record'];
+const DEVELOPMENT_PROVIDERS = ['replay', 'record'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'llm');
+
+// Stable hash of a chat request, used as the fixture key
+function fixtureKey(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+}
+
+function lastUserMessage(messages) {
+  const users = (messages || []).filter(m => m.role === 'user');
+  const last = users.length > 0 ? users[users.length - 1] : messages[messages.length - 1];
+  return last ? String(last.content || '') : '';
+}
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} opts
+   *  - name: provider name reported in logs/health
+   *  - baseUrl: e.g. https://api.groq.com/openai/v1 or http://localhost:11434/v1
+   *  - apiKey: optional bearer token (local servers usually need none)
+   *  - defaultModel: model used when the caller does not pick one
+   *  - requireApiKey: fail fast when apiKey is missing
+   *  - timeout: request timeout in ms
+   */
+  constructor(opts = {}) {
+    this.name = opts.name || 'openai';
+    this.baseUrl = (opts.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = opts.apiKey || null;
+    this.defaultModel = opts.defaultModel || null;
+    this.requireApiKey = !!opts.requireApiKey;
+    this.timeout = opts.timeout || 60_000;
+  }
+
+  async chat(messages, opts = {}) {
+    if (!this.baseUrl) throw new Error(`${this.name}: base URL not configured`);
+    if (this.requireApiKey && !this.apiKey) throw new Error(`${this.name}: API key not set in .env`);
+
+    const payload = {
+      model: opts.model || this.defaultModel,
+      messages,
+      max_tokens: opts.maxTokens || 800,
+      temperature: opts.temperature ?? 0.0,
+      stream: false
+    };
+    console.log({ provider: this.name, model: payload.model, messages: messages.length });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+    const resp = await axios.post(`${this.baseUrl}/chat/completions`, payload, {
+      headers,
+      timeout: this.timeout
+    });
+    return resp.data;
+  }
+
+  // GET /models: proves the endpoint is reachable and the key is accepted
+  async healthCheck(opts = {}) {
+    if (!this.baseUrl) throw new Error(`${this.name}: base URL not configured`);
+    if (this.requireApiKey && !this.apiKey) throw new Error(`${this.name}: API key not set in .env`);
+    const headers = {};
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+    await axios.get(`${this.baseUrl}/models`, { headers, timeout: opts.timeout || this.timeout });
+    return { provider: this.name, model: this.defaultModel };
+  }
+}
+
+class ReplayProvider {
+  /**
+   * Fixture files are JSON objects in fixturesDir:
+   *  - { key, messages, response }: recorded by RecordingProvider, matched on the exact messages
+   *  - { match: 'total gross by location', content: 'SELECT ...' }: hand-written, matched when the
+   *    last user message contains `match` (case-insensitive)
+   */
+  constructor(opts = {}) {
+    this.name = 'replay';
+    this.fixturesDir = opts.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this._fixtures = null;
+  }
+
+  _loadFixtures() {
+    if (!fs.existsSync(this.fixturesDir)) return [];
+    return fs.readdirSync(this.fixturesDir)
+      .filter(f => f.endsWith('.json'))
+      .sort()
+      .map(f => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.fixturesDir, f), 'utf8'));
+        } catch (e) {
+          console.warn(`replay: skipping unreadable fixture ${f}: ${e.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  _find(messages) {
+    const key = fixtureKey(messages);
+    const userText = lastUserMessage(messages).toLowerCase();
+    const lookup = (fixtures) =>
+      fixtures.find(fx => fx.key === key) ||
+      fixtures.find(fx => fx.match && userText.includes(String(fx.match).toLowerCase()));
+
+    // Re-read the directory on a miss so freshly recorded fixtures are picked up
+    let found = this._fixtures ? lookup(this._fixtures) : null;
+    if (!found) {
+      this._fixtures = this._loadFixtures();
+      found = lookup(this._fixtures);
+    }
+    return { key, fixture: found || null };
+  }
+
+  async chat(messages) {
+    const { key, fixture } = this._find(messages);
+    if (!fixture) {
+      throw new Error(`replay: no fixture for request ${key} in ${this.fixturesDir}`);
+    }
+    if (fixture.response) return fixture.response;
+    return { choices: [{ message: { role: 'assistant', content: fixture.content || '' } }] };
+  }
+
+  async healthCheck() {
+    const fixtures = this._loadFixtures();
+    if (fixtures.length === 0) throw new Error(`replay: no fixtures in ${this.fixturesDir}`);
+    return { provider: this.name, fixtures: fixtures.length };
+  }
+}
+
+class RecordingProvider {
+  constructor(opts = {}) {
+    this.name = 'record';
+    this.target = opts.target;
+    this.fixturesDir = opts.fixturesDir || DEFAULT_FIXTURES_DIR;
+  }
+
+  async chat(messages, opts = {}) {
+    const response = await this.target.chat(messages, opts);
+    const key = fixtureKey(messages);
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(this.fixturesDir, `${key}.json`),
+      JSON.stringify({ key, provider: this.target.name, model: opts.model || null, messages, response }, null, 2)
+    );
+    return response;
+  }
+
+  async healthCheck(opts = {}) {
+    const target = await this.target.healthCheck(opts);
+    return { provider: this.name, target };
+  }
+}
+
+const _instances = new Map();
+
+// Build (and memoize) a provider by name from environment settings
+function getProvider(name) {
+  const providerName = (name || process.env.LLM_PROVIDER || 'groq').toLowerCase();
+  if (!PROVIDER_NAMES.includes(providerName)) {
+    throw new Error(`Unknown LLM provider "${providerName}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  }
+  if (_instances.has(providerName)) return _instances.get(providerName);
+
+  const timeout = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60_000;
+  const fixturesDir = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  let provider;
+  if (providerName === 'groq') {
+    provider = new OpenAICompatibleProvider({
+      name: 'groq',
+      baseUrl: 'https://api.groq.com/openai/v1',
+      apiKey: process.env.GROQ_API_KEY,
+      defaultModel: process.env.GROQ_MODEL || 'openai/gpt-oss-20b',
+      requireApiKey: true,
+      timeout
+    });
+  } else if (providerName === 'openai') {
+    provider = new OpenAICompatibleProvider({
+      name: 'openai',
+      baseUrl: process.env.OPENAI_COMPAT_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.OPENAI_COMPAT_API_KEY,
+      defaultModel: process.env.OPENAI_COMPAT_MODEL || 'llama3.1',
+      timeout
+    });
+  } else if (providerName === 'replay') {
+    provider = new ReplayProvider({ fixturesDir });
+  } else {
+    const targetName = (process.env.LLM_RECORD_TARGET || 'groq').toLowerCase();
+    if (targetName === 'record' || targetName === 'replay') {
+      throw new Error('LLM_RECORD_TARGET must be a live provider (groq or openai)');
+    }
+    provider = new RecordingProvider({ target: getProvider(targetName), fixturesDir });
+  }
+  _instances.set(providerName, provider);
+  return provider;
+}
+
+// Env suffix for a route name: 'analyze-text' -> 'ANALYZE_TEXT'
+function routeEnvSuffix(route) {
+  return String(route || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+function envList(name) {
+  return String(process.env[name] || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Provider and model a request body asks for, checked against LLM_REQUEST_PROVIDERS / LLM_REQUEST_MODELS.
+ * @param {Object} body - { provider?, model? }
+ * @returns {{ provider: string|undefined, model: string|undefined }}
+ * @throws {Error} code OVERRIDE_NOT_ALLOWED when either is not allowed
+ */
+function requestOverrides(body = {}) {
+  const { provider, model } = body;
+  const refuse = (message) => Object.assign(new Error(message), { code: 'OVERRIDE_NOT_ALLOWED' });
+  if (provider !== undefined && provider !== null) {
+    const name = String(provider).toLowerCase();
+    if (!envList('LLM_REQUEST_PROVIDERS').map(p => p.toLowerCase()).includes(name)) {
+      throw refuse(`provider "${provider}" cannot be chosen per request (LLM_REQUEST_PROVIDERS)`);
+    }
+    if (DEVELOPMENT_PROVIDERS.includes(name) && process.env.NODE_ENV !== 'development') {
+      throw refuse(`provider "${provider}" can only be chosen per request in development`);
+    }
+  }
+  if (model !== undefined && model !== null && !envList('LLM_REQUEST_MODELS').includes(String(model))) {
+    throw refuse(`model "${model}" cannot be chosen per request (LLM_REQUEST_MODELS)`);
+  }
+  return { provider: provider || undefined, model: model || undefined };
+}
+
+/**
+ * Resolve provider + model for a route.
+ * @param {string} route - 'query' | 'ask' | 'analyze' | 'analyze-text'
+ * @param {Object} overrides - { provider, model } from the request body, checked with requestOverrides
+ */
+function resolveForRoute(route, overrides = {}) {
+  const suffix = routeEnvSuffix(route);
+  const providerName = overrides.provider ||
+    (suffix && process.env[`LLM_PROVIDER_${suffix}`]) ||
+    process.env.LLM_PROVIDER ||
+    'groq';
+  const model = overrides.model ||
+    (suffix && process.env[`LLM_MODEL_${suffix}`]) ||
+    process.env.LLM_MODEL ||
+    null;
+  return { provider: getProvider(providerName), model };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  OpenAICompatibleProvider,
+  ReplayProvider,
+  RecordingProvider,
+  getProvider,
+  resolveForRoute,
+  requestOverrides,
+  fixtureKey
+};
@@ -0,0 +1,250 @@
+/**
+ * periodComparison.js
+ *
+ * Period-over-period questions: "front gross this month vs last month", "YoY deals by location",
+ * "compare Q1 2025 with Q4 2024", "contracts last month vs the same month last year".
+ *
+ * detectComparison finds two aligned periods in a prompt and returns
+ *   { type, text, current: { label, sqlCondition, params }, prior: { label, sqlCondition, params } }
+ * type: 'yoy' | 'mom' | 'qoq' | 'wow' | 'dod' | 'custom'. Like detectTimeRangeEnhanced, conditions come
+ * from the reporting calendar (calendar.js: fiscal quarters and years, week start, reporting columns);
+ * absolute periods bind @current* / @prior* parameters.
+ *
+ * A shorthand without a period of its own compares the current period with the one before it
+ * ("MoM" = this month vs last month); bare "YoY" compares the year to date with the same dates a
+ * year earlier, so a year in progress is never measured against a full one.
+ */
+
+'use strict';
+
+const { FiscalCalendar } = require('./calendar');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+  'october', 'november', 'december'];
+const MONTH_NAMES = MONTHS.join('|');
+
+// DATEADD datepart per period unit
+const DATEPARTS = { day: 'DAY', week: 'WEEK', month: 'MONTH', quarter: 'QUARTER', year: 'YEAR' };
+
+// Shorthands; abbreviations are case-sensitive so "mom" or "wow" in plain text is not a comparison
+const SHORTHANDS = [
+  { type: 'yoy', step: 'year', unit: 'year', patterns: [/\b(?:yoy|YoY|YOY|Y\/Y)\b/, /\byear[\s-]+(?:over|on)[\s-]+year\b/i] },
+  { type: 'mom', step: 'previous', unit: 'month', patterns: [/\b(?:MoM|MOM|M\/M)\b/, /\bmonth[\s-]+(?:over|on)[\s-]+month\b/i] },
+  { type: 'qoq', step: 'previous', unit: 'quarter', patterns: [/\b(?:qoq|QoQ|QOQ|Q\/Q)\b/, /\bquarter[\s-]+(?:over|on)[\s-]+quarter\b/i] },
+  { type: 'wow', step: 'previous', unit: 'week', patterns: [/\b(?:WoW|WOW|W\/W)\b/, /\bweek[\s-]+(?:over|on)[\s-]+week\b/i] },
+  { type: 'dod', step: 'previous', unit: 'day', patterns: [/\b(?:DoD|DOD)\b/, /\bday[\s-]+(?:over|on)[\s-]+day\b/i] }
+];
+
+// Where the first period ends and the second begins
+const SEPARATORS = /\s+(?:vs\.?|versus|compared\s+(?:to|with)|against)\s+/gi;
+const COMPARE_SEPARATORS = /\s+(?:to|with|and)\s+/gi;
+
+// Second periods defined by the first one
+const SAME_PERIOD_LAST_YEAR = /\b(?:the\s+)?same\s+(?:period|time|day|week|month|quarter)\s+(?:last|a|the\s+previous|the\s+prior)\s+year\b|\ba\s+year\s+(?:ago|earlier|before)\b/i;
+const PREVIOUS_PERIOD = /\bthe\s+(?:previous|prior|preceding)\s+(?:period|day|week|month|quarter|year)\b|\b(?:previous|prior|preceding)\s+period\b/i;
+
+// Periods a comparison side can name, most specific first
+const PERIOD_PATTERNS = [
+  {
+    regex: new RegExp(`\\b(${MONTH_NAMES})\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'i'),
+    parse: (m) => ({ unit: 'day', date: isoDate(parseInt(m[3], 10), MONTHS.indexOf(m[1].toLowerCase()) + 1, parseInt(m[2], 10)) })
+  },
+  {
+    regex: new RegExp(`\\b(\\d{4})\\s+(${MONTH_NAMES})\\b|\\b(${MONTH_NAMES})\\s+(\\d{4})\\b`, 'i'),
+    parse: (m) => ({
+      unit: 'month',
+      year: parseInt(m[1] || m[4], 10),
+      month: MONTHS.indexOf((m[2] || m[3]).toLowerCase()) + 1
+    })
+  },
+  {
+    regex: /\bq([1-4])\s+(\d{4})\b/i,
+    parse: (m) => ({ unit: 'quarter', year: parseInt(m[2], 10), quarter: parseInt(m[1], 10) })
+  },
+  { regex: /\b(?:ytd|year to date|this year so far)\b/i, parse: () => ({ unit: 'year', shifts: [], toDate: true }) },
+  { regex: /\b(?:mtd|month to date|this month so far)\b/i, parse: () => ({ unit: 'month', shifts: [], toDate: true }) },
+  {
+    regex: /\b(this|last|previous|prior)\s+(week|month|quarter|year)\b/i,
+    parse: (m) => {
+      const unit = m[2].toLowerCase();
+      return { unit, shifts: m[1].toLowerCase() === 'this' ? [] : [[DATEPARTS[unit], -1]] };
+    }
+  },
+  { regex: /\btoday\b/i, parse: () => ({ unit: 'day', shifts: [] }) },
+  { regex: /\byesterday\b/i, parse: () => ({ unit: 'day', shifts: [['DAY', -1]] }) },
+  { regex: /\b(20\d{2})\b/, parse: (m) => ({ unit: 'year', year: parseInt(m[1], 10) }) }
+];
+
+function isoDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// First period named in a piece of the prompt, or null
+function parsePeriod(text) {
+  for (const pattern of PERIOD_PATTERNS) {
+    const match = text.match(pattern.regex);
+    if (match) return pattern.parse(match);
+  }
+  return null;
+}
+
+function isRelative(period) {
+  return Array.isArray(period.shifts);
+}
+
+// Net offset of a relative period in its own unit (null once it was moved by another unit)
+function ownOffset(period) {
+  if (period.shifts.some(([part]) => part !== DATEPARTS[period.unit])) return null;
+  return period.shifts.reduce((sum, [, n]) => sum + n, 0);
+}
+
+function periodLabel(period) {
+  if (period.label) return period.label;
+  if (!isRelative(period)) {
+    if (period.unit === 'day') return period.date;
+    if (period.unit === 'month') return `${capitalize(MONTHS[period.month - 1])} ${period.year}`;
+    if (period.unit === 'quarter') return `Q${period.quarter} ${period.year}`;
+    return String(period.year);
+  }
+  const offset = ownOffset(period);
+  let label;
+  if (period.unit === 'day') label = offset === 0 ? 'today' : offset === -1 ? 'yesterday' : `${-offset} days ago`;
+  else if (offset === 0) label = `this ${period.unit}`;
+  else if (offset === -1) label = `last ${period.unit}`;
+  else label = `${-offset} ${period.unit}s ago`;
+  return period.toDate ? `${label} to date` : label;
+}
+
+/**
+ * The period a comparison measures against: the one before (step 'previous') or the same period a
+ * year earlier (step 'year').
+ */
+function priorPeriod(period, step) {
+  if (isRelative(period)) {
+    const part = step === 'year' ? 'YEAR' : DATEPARTS[period.unit];
+    const prior = { unit: period.unit, shifts: period.shifts.concat([[part, -1]]), toDate: period.toDate };
+    if (step === 'year' && period.unit !== 'year') {
+      prior.label = `same ${period.toDate ? 'period' : period.unit} last year`;
+    } else if (period.toDate) {
+      prior.label = `same period last ${period.unit}`;
+    }
+    return prior;
+  }
+  if (step === 'year' || period.unit === 'year') {
+    if (period.unit === 'day') return { unit: 'day', date: `${parseInt(period.date.slice(0, 4), 10) - 1}${period.date.slice(4)}` };
+    return { ...period, year: period.year - 1 };
+  }
+  if (period.unit === 'month') {
+    return period.month === 1 ? { unit: 'month', year: period.year - 1, month: 12 } : { ...period, month: period.month - 1 };
+  }
+  if (period.unit === 'quarter') {
+    return period.quarter === 1 ? { unit: 'quarter', year: period.year - 1, quarter: 4 } : { ...period, quarter: period.quarter - 1 };
+  }
+  const day = new Date(`${period.date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return { unit: 'day', date: day.toISOString().slice(0, 10) };
+}
+
+// { label, start, end, sqlCondition, params } for one side; absolute values bind as @<prefix>Month, @<prefix>Year ...
+function renderPeriod(period, prefix, calendar) {
+  return { label: periodLabel(period), ...calendar.range(period), ...calendar.condition(period, prefix) };
+}
+
+function shorthandType(unit) {
+  return (SHORTHANDS.find(s => s.step === 'previous' && s.unit === unit) || { type: 'custom' }).type;
+}
+
+// Second side of an explicit comparison: its own period, or one defined by the first side
+function resolvePrior(current, text, calendar) {
+  if (SAME_PERIOD_LAST_YEAR.test(text)) return { period: priorPeriod(current, 'year'), type: 'yoy' };
+  if (PREVIOUS_PERIOD.test(text)) return { period: priorPeriod(current, 'previous'), type: shorthandType(current.unit) };
+  const period = parsePeriod(text);
+  if (!period) return null;
+  // "this month vs last year" means the same month a year earlier
+  if (period.unit === 'year' && current.unit !== 'year' && isRelative(period) && ownOffset(period) === -1) {
+    return { period: priorPeriod(current, 'year'), type: 'yoy' };
+  }
+  // "YTD vs last year": the same span of the other year
+  const prior = current.toDate && isRelative(period) && period.unit === current.unit ? { ...period, toDate: true } : period;
+  // "this month vs last month" is a month-over-month comparison however it is phrased
+  const same = (other) => {
+    const [a, b] = [renderPeriod(prior, 'prior', calendar), renderPeriod(other, 'prior', calendar)];
+    return a.sqlCondition === b.sqlCondition && JSON.stringify(a.params) === JSON.stringify(b.params);
+  };
+  if (same(priorPeriod(current, 'year'))) return { period: prior, type: 'yoy' };
+  if (same(priorPeriod(current, 'previous'))) return { period: prior, type: shorthandType(current.unit) };
+  return { period: prior, type: 'custom' };
+}
+
+// "X vs Y", "X compared to Y", "compare X with Y"
+function detectExplicit(prompt, calendar) {
+  const splits = [];
+  for (const match of prompt.matchAll(SEPARATORS)) splits.push(match);
+  const compareAt = prompt.search(/\bcompare\b/i);
+  if (compareAt >= 0) {
+    for (const match of prompt.matchAll(COMPARE_SEPARATORS)) {
+      if (match.index > compareAt) splits.push(match);
+    }
+  }
+
+  for (const split of splits) {
+    const left = prompt.slice(0, split.index);
+    const right = prompt.slice(split.index + split[0].length);
+    let current = parsePeriod(left);
+    if (!current) {
+      // "deals vs last month": the period the second side precedes
+      const named = parsePeriod(right);
+      if (!named || !isRelative(named) || ownOffset(named) !== -1) continue;
+      current = { unit: named.unit, shifts: [] };
+    }
+    const prior = resolvePrior(current, right, calendar);
+    if (prior) return { type: prior.type, text: split[0].trim(), current, prior: prior.period };
+  }
+  return null;
+}
+
+/**
+ * Two aligned periods in a prompt, or null when it asks about one period (or none).
+ * @param {string} prompt
+ * @param {FiscalCalendar} calendar - the primary table's calendar (calendar.js)
+ * @returns {{ type: string, text: string, current: Object, prior: Object } | null}
+ *   current / prior: { label, sqlCondition, params }
+ */
+function detectComparison(prompt, calendar = new FiscalCalendar()) {
+  let found = detectExplicit(prompt, calendar);
+
+  if (!found) {
+    const shorthand = SHORTHANDS.find(s => s.patterns.some(p => p.test(prompt)));
+    if (!shorthand) return null;
+    let current = parsePeriod(shorthand.patterns.reduce((text, p) => text.replace(p, ' '), prompt));
+    if (!current || (shorthand.step === 'previous' && current.unit !== shorthand.unit)) {
+      current = shorthand.step === 'year'
+        ? { unit: 'year', shifts: [], toDate: true }
+        : { unit: shorthand.unit, shifts: [] };
+    }
+    found = { type: shorthand.type, current, prior: priorPeriod(current, shorthand.step) };
+  }
+
+  const current = renderPeriod(found.current, 'current', calendar);
+  const prior = renderPeriod(found.prior, 'prior', calendar);
+  return { type: found.type, text: `${current.label} vs ${prior.label}`, current, prior };
+}
+
+// Result columns a comparison returns per metric alias
+function comparisonColumns(alias) {
+  return {
+    current: `Current${alias}`,
+    prior: `Prior${alias}`,
+    change: `${alias}Change`,
+    pctChange: `${alias}PctChange`
+  };
+}
+
+module.exports = {
+  detectComparison,
+  comparisonColumns
+};
@@ -0,0 +1,231 @@
+/**
+ * personNames.js
+ *
+ * Name index over the free-text person columns listed in the semantic model's personColumns
+ * (CLOSER, LEAD_OWNER, BDC_Rep, RVAC SalesRep). Their values come from the value dictionary and are
+ * typed by hand, so one person shows up as "Mike Smith", "mike smith ", "Smith, Mike" or "Michael Smith".
+ *
+ *  - Spellings of the same person (case, spacing, "Last, First", nickname, one-letter typo in the last
+ *    name) are grouped; a filter on that person matches every stored spelling.
+ *  - Mentions are matched by full name, first name only ("Mike"), last name only, nickname
+ *    ("Mike" -> Michael) or a small typo ("Micheal").
+ *  - Role words in the prompt ("close", "lead owner", "BDC") pick the column when a name appears in several.
+ *
+ * resolve(prompt) returns, per mention, the column, the best person and every candidate that matched
+ * equally well; more than one candidate means the caller should ask which person was meant.
+ */
+
+'use strict';
+
+const { normalize, similarity } = require('./valueDictionary');
+
+// Nickname -> formal first names
+const NICKNAMES = {
+  mike: ['michael'], mick: ['michael'], mikey: ['michael'],
+  bob: ['robert'], rob: ['robert'], robbie: ['robert'], bobby: ['robert'],
+  bill: ['william'], will: ['william'], billy: ['william'], liam: ['william'],
+  jim: ['james'], jimmy: ['james'], jamie: ['james'],
+  dave: ['david'], davey: ['david'],
+  chris: ['christopher', 'christine', 'christina'],
+  matt: ['matthew'], dan: ['daniel'], danny: ['daniel'], tom: ['thomas'], tommy: ['thomas'],
+  steve: ['steven', 'stephen'], joe: ['joseph'], joey: ['joseph'], tony: ['anthony'],
+  nick: ['nicholas'], jen: ['jennifer'], jenny: ['jennifer'],
+  liz: ['elizabeth'], beth: ['elizabeth'], betty: ['elizabeth'],
+  kate: ['katherine', 'kathryn', 'catherine'], katie: ['katherine', 'kathryn', 'catherine'],
+  cathy: ['catherine'], kathy: ['katherine', 'kathryn'],
+  sam: ['samuel', 'samantha'], alex: ['alexander', 'alexandra'],
+  rick: ['richard'], rich: ['richard'], dick: ['richard'], ed: ['edward'], eddie: ['edward'], ted: ['edward'],
+  andy: ['andrew'], drew: ['andrew'], ben: ['benjamin'], greg: ['gregory'], jeff: ['jeffrey'],
+  jon: ['jonathan'], ken: ['kenneth'], kenny: ['kenneth'], larry: ['lawrence'],
+  pat: ['patrick', 'patricia'], ron: ['ronald'], ronnie: ['ronald'], tim: ['timothy'],
+  sue: ['susan'], deb: ['deborah'], debbie: ['deborah'], nate: ['nathan', 'nathaniel'],
+  zach: ['zachary'], jake: ['jacob'], josh: ['joshua'], doug: ['douglas'], don: ['donald'],
+  gary: ['gareth'], jerry: ['gerald', 'jerome'], frank: ['francis', 'franklin'], fred: ['frederick'],
+  vince: ['vincent'], ray: ['raymond'], phil: ['phillip', 'philip'], charlie: ['charles'], chuck: ['charles']
+};
+
+// Everyday words that are also first names: only taken as names when capitalized in the prompt
+const COMMON_WORD_NAMES = new Set([
+  'will', 'bill', 'mark', 'may', 'june', 'april', 'rob', 'sue', 'pat', 'art', 'ray', 'jack', 'frank',
+  'grant', 'chase', 'hunter', 'sky', 'dawn', 'faith', 'hope', 'joy', 'rich', 'don', 'drew', 'nick', 'max'
+]);
+
+// Prompt words that are never part of a name
+const NOT_NAMES = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'in', 'at', 'by', 'on', 'to', 'from', 'with', 'per', 'vs', 'did',
+  'does', 'do', 'how', 'many', 'much', 'what', 'who', 'which', 'show', 'me', 'list', 'is', 'are', 'was', 'were',
+  'deals', 'deal', 'sales', 'sale', 'sold', 'close', 'closed', 'closes', 'closer', 'closing', 'lead', 'leads',
+  'owner', 'owned', 'rep', 'reps', 'bdc', 'warranty', 'warranties', 'contracts', 'gross', 'total', 'count',
+  'last', 'this', 'next', 'month', 'year', 'week', 'day', 'quarter', 'today', 'yesterday', 'only', 'same',
+  'january', 'february', 'march', 'july', 'august', 'september', 'october', 'november', 'december',
+  'units', 'unit', 'now', 'instead', 'his', 'her', 'their', 'by', 'location', 'store'
+]);
+
+const MIN_SIMILARITY = 0.8;
+// Matches this close to the best one are offered as alternatives
+const CANDIDATE_MARGIN = 0.1;
+
+function formalNames(first) {
+  return NICKNAMES[first] || [first];
+}
+
+// Same first name: equal, nickname of one another, or a small typo
+function firstNameScore(mention, first) {
+  if (mention === first) return 1;
+  const mentionFormal = formalNames(mention);
+  const firstFormal = formalNames(first);
+  if (mentionFormal.some(n => n === first || firstFormal.includes(n))) return 0.95;
+  const sim = mention.length >= 4 ? similarity(mention, first) : 0;
+  return sim >= MIN_SIMILARITY ? sim * 0.95 : 0;
+}
+
+function lastNameScore(mention, last) {
+  if (!last) return 0;
+  if (mention === last) return 1;
+  const sim = mention.length >= 4 ? similarity(mention, last) : 0;
+  return sim >= MIN_SIMILARITY ? sim * 0.95 : 0;
+}
+
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv']);
+
+// First and last name must both match; together they beat either one alone
+function fullNameScore(first, last) {
+  return first > 0 && last > 0 ? (first + last) / 2 : 0;
+}
+
+// "Smith, Mike" and "Mike Smith Jr" -> { first: 'mike', last: 'smith' }
+function parseName(raw) {
+  const text = String(raw).trim();
+  const comma = text.match(/^([^,]+),\s*(.+)$/);
+  const words = normalize(comma ? `${comma[2]} ${comma[1]}` : text).split(' ').filter(w => w && !NAME_SUFFIXES.has(w));
+  if (words.length === 0) return null;
+  return { first: words[0], last: words.length > 1 ? words[words.length - 1] : '' };
+}
+
+/**
+ * Group the stored spellings of one column into people.
+ * @param {Array<{ value, count }>} entries
+ * @returns {Array<{ name, first, last, values: string[], count }>} most frequent first
+ */
+function groupPeople(entries) {
+  const people = [];
+  for (const entry of entries) {
+    const parsed = parseName(entry.value);
+    if (!parsed) continue;
+    const same = people.find(p =>
+      formalNames(p.first).some(n => formalNames(parsed.first).includes(n)) &&
+      (p.last === parsed.last || (p.last.length >= 4 && parsed.last.length >= 4 && similarity(p.last, parsed.last) >= 0.8)));
+    if (same) {
+      same.values.push(entry.value);
+      same.count += entry.count || 0;
+    } else {
+      people.push({ name: entry.value.trim().replace(/\s+/g, ' '), first: parsed.first, last: parsed.last, values: [entry.value], count: entry.count || 0 });
+    }
+  }
+  return people.sort((a, b) => b.count - a.count);
+}
+
+class PersonNameIndex {
+  /**
+   * @param {Object} opts
+   *  - columns: () => [{ table, column, role, patterns: RegExp[] }] (semantic model personColumns)
+   *  - valueDictionary: ValueDictionary that collects those columns' values
+   */
+  constructor(opts = {}) {
+    this.columns = opts.columns || (() => []);
+    this.valueDictionary = opts.valueDictionary;
+    this._builtAt = undefined;
+    this._people = new Map(); // "TABLE.COLUMN" -> people
+  }
+
+  // Rebuild after every dictionary refresh
+  _index() {
+    const refreshedAt = this.valueDictionary.info().refreshedAt;
+    if (refreshedAt !== this._builtAt) {
+      this._people = new Map();
+      for (const { table, column } of this.columns()) {
+        this._people.set(`${table}.${column}`, groupPeople(this.valueDictionary.entries(table, column)));
+      }
+      this._builtAt = refreshedAt;
+    }
+    return this._people;
+  }
+
+  // People of a column, most frequent first
+  people(table, column) {
+    return this._index().get(`${table}.${column}`) || [];
+  }
+
+  /**
+   * Find people mentioned in a prompt.
+   * @param {string} prompt
+   * @param {Object} opts - { tables: [tableName] } columns searched; { exclude: ['red deer'] } words already used
+   * @returns {Array<{ table, column, role, mention, person, candidates, score }>}
+   *   person: { name, values } best match; candidates: every person that matched as well as the best one
+   */
+  resolve(prompt, opts = {}) {
+    const excluded = new Set((opts.exclude || []).join(' ').split(' ').filter(Boolean));
+    const tokens = (prompt.match(/[A-Za-z][A-Za-z'-]*/g) || [])
+      .map(raw => ({ raw, word: normalize(raw).replace(/\s+/g, '') }))
+      .map(t => ({ ...t, possible: !NOT_NAMES.has(t.word) && !excluded.has(t.word) &&
+        (!COMMON_WORD_NAMES.has(t.word) || /^[A-Z]/.test(t.raw)) }));
+
+    // One- and two-word mentions ("mike", "mike smith", "smith")
+    const mentions = [];
+    tokens.forEach((t, i) => {
+      if (!t.possible) return;
+      const next = tokens[i + 1];
+      if (next && next.possible) mentions.push({ words: [t.word, next.word], start: i, end: i + 2 });
+      mentions.push({ words: [t.word], start: i, end: i + 1 });
+    });
+
+    const results = [];
+    for (const col of this.columns()) {
+      if (opts.tables && !opts.tables.includes(col.table)) continue;
+      const people = this.people(col.table, col.column);
+      const scored = [];
+      for (const mention of mentions) {
+        for (const person of people) {
+          const score = mention.words.length === 2
+            ? fullNameScore(firstNameScore(mention.words[0], person.first), lastNameScore(mention.words[1], person.last))
+            : Math.max(firstNameScore(mention.words[0], person.first) * 0.9, lastNameScore(mention.words[0], person.last) * 0.85);
+          if (score >= MIN_SIMILARITY * 0.85) scored.push({ score, mention, person });
+        }
+      }
+      scored.sort((a, b) => b.score - a.score || b.mention.words.length - a.mention.words.length);
+      // Everyone the best mention fits nearly as well is a candidate ("Mike": Mike Smith, Michael Jones)
+      const best = scored.length > 0
+        ? { ...scored[0], people: scored.filter(s => s.mention === scored[0].mention && s.score >= scored[0].score - CANDIDATE_MARGIN).map(s => s.person) }
+        : null;
+      if (best) {
+        results.push({
+          table: col.table,
+          column: col.column,
+          role: col.role,
+          cued: col.patterns.some(p => p.test(prompt)),
+          mention: tokens.slice(best.mention.start, best.mention.end).map(t => t.raw).join(' '),
+          person: { name: best.people[0].name, values: best.people[0].values },
+          candidates: best.people.map(p => ({ name: p.name, values: p.values, count: p.count })),
+          score: Math.round(best.score * 100) / 100,
+          _span: best.mention
+        });
+      }
+    }
+
+    // A mention belongs to one column per table: the one the prompt's role words point at, else the
+    // better match, else the first configured column
+    results.sort((a, b) => (b.cued - a.cued) || (b.score - a.score));
+    const kept = [];
+    for (const r of results) {
+      const overlaps = kept.some(k => k.table === r.table && r._span.start < k._span.end && k._span.start < r._span.end);
+      if (!overlaps) kept.push(r);
+    }
+    return kept.map(({ _span, cued, ...r }) => r);
+  }
+}
+
+module.exports = {
+  PersonNameIndex,
+  groupPeople,
+  parseName
+};
@@ -0,0 +1,237 @@
+/**
+ * queryCache.js
+ *
+ * Cache for repeated /api/query questions ("deals today by location" asked dozens of times a day).
+ * Two entries per question, keyed on the normalized prompt plus the resolved date range:
+ *  - sql:    the generated SQL, its source and parameters, so a repeat skips the LLM call
+ *  - result: the response (rows, columns, formats ...), so a repeat also skips the database
+ *
+ * The key also holds the query mode, the LLM provider/model, the semantic model version and the cache
+ * generations of the tables read, so a model edit or an invalidation simply stops old keys from
+ * matching. A relative question ("last month") resolves to a new range when the period turns, which
+ * makes a new key.
+ *
+ * Results of a range that includes today (today, this week, MTD, no range at all) are kept for
+ * liveTtlSeconds; ranges that ended before today for closedTtlSeconds. Generated SQL is kept for
+ * sqlTtlSeconds.
+ *
+ * Entries live in Redis when redisConfig is given and in process memory otherwise (least recently used
+ * dropped past maxEntries). Redis errors are logged and count as misses; they never fail a query.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const Redis = require('ioredis');
+
+const DEFAULT_SQL_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_LIVE_TTL_SECONDS = 5 * 60;
+const DEFAULT_CLOSED_TTL_SECONDS = 60 * 60;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_ROWS = 5000;
+const KEY_PREFIX = 'querycache:';
+const ALL_TABLES = '*';
+
+// "Deals today, by location?" and "deals today by location" ask the same question
+function normalizePrompt(prompt) {
+  return String(prompt).toLowerCase().replace(/[^a-z0-9@%./-]+/g, ' ').trim();
+}
+
+// Entries with an expiry in process memory; Map order tracks recency
+class MemoryStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this._entries = new Map();
+    this._generations = new Map();
+  }
+
+  async get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this._entries.delete(key);
+      return null;
+    }
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this._entries.delete(key);
+    this._entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  async generation(name) {
+    return this._generations.get(name) || 0;
+  }
+
+  async bump(name) {
+    const next = (this._generations.get(name) || 0) + 1;
+    this._generations.set(name, next);
+    // Entries of the old generation can never match again
+    if (name === ALL_TABLES) this._entries.clear();
+    return next;
+  }
+
+  info() {
+    return { store: 'memory', entries: this._entries.size, maxEntries: this.maxEntries };
+  }
+
+  async close() {}
+}
+
+class RedisStore {
+  constructor(redisConfig) {
+    // Fail fast while Redis is down instead of queueing commands behind a reconnect
+    const options = { maxRetriesPerRequest: 1, enableOfflineQueue: false };
+    this._redis = typeof redisConfig === 'string' ? new Redis(redisConfig, options) : new Redis({ ...redisConfig, ...options });
+    this._redis.on('error', err => console.warn('Query cache Redis error:', err.message));
+  }
+
+  async get(key) {
+    return this._redis.get(KEY_PREFIX + key);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this._redis.set(KEY_PREFIX + key, value, 'EX', ttlSeconds);
+  }
+
+  async generation(name) {
+    return parseInt(await this._redis.get(`${KEY_PREFIX}generation:${name}`), 10) || 0;
+  }
+
+  async bump(name) {
+    return this._redis.incr(`${KEY_PREFIX}generation:${name}`);
+  }
+
+  info() {
+    return { store: 'redis', status: this._redis.status };
+  }
+
+  async close() {
+    await this._redis.quit();
+  }
+}
+
+class QueryCache {
+  /**
+   * @param {Object} opts
+   *  - redisConfig: optional ioredis config or connection string (in-memory otherwise)
+   *  - sqlTtlSeconds, liveTtlSeconds, closedTtlSeconds: see the header
+   *  - maxEntries: in-memory entries kept
+   *  - maxRows: larger result sets are not cached
+   *  - enabled: false turns every lookup into a miss and every store into a no-op
+   */
+  constructor(opts = {}) {
+    this.sqlTtlSeconds = opts.sqlTtlSeconds || DEFAULT_SQL_TTL_SECONDS;
+    this.liveTtlSeconds = opts.liveTtlSeconds || DEFAULT_LIVE_TTL_SECONDS;
+    this.closedTtlSeconds = opts.closedTtlSeconds || DEFAULT_CLOSED_TTL_SECONDS;
+    this.maxRows = opts.maxRows || DEFAULT_MAX_ROWS;
+    this.enabled = opts.enabled !== false;
+    this._store = opts.redisConfig ? new RedisStore(opts.redisConfig) : new MemoryStore(opts.maxEntries || DEFAULT_MAX_ENTRIES);
+    this._stats = { sqlHits: 0, sqlMisses: 0, resultHits: 0, resultMisses: 0, errors: 0 };
+  }
+
+  /**
+   * Cache key of a question.
+   * @param {Object} question - { prompt, mode, provider, model, modelVersion, analysis } (analyzeUserPrompt output)
+   * @returns {Promise<string>}
+   */
+  async keyFor(question) {
+    const { prompt, mode, provider, model, modelVersion, analysis } = question;
+    const joined = (analysis.joins || []).flatMap(j => [j.left.table, j.right.table]);
+    const tables = [...new Set([analysis.table.table, ...joined])].filter(Boolean).sort();
+    const generations = await this._safely(() => Promise.all([ALL_TABLES, ...tables].map(t => this._store.generation(t))), []);
+    const range = analysis.timeRange
+      ? { start: analysis.timeRange.start, end: analysis.timeRange.end, params: analysis.timeRange.params }
+      : null;
+    return crypto.createHash('sha256').update(JSON.stringify({
+      prompt: normalizePrompt(prompt),
+      mode,
+      provider: provider || null,
+      model: model || null,
+      modelVersion,
+      range,
+      tables,
+      generations
+    })).digest('hex');
+  }
+
+  // Seconds a result is kept: short while its range still includes today (or has no end)
+  resultTtl(analysis) {
+    const range = analysis.timeRange;
+    return range && range.end && analysis.asOf && range.end <= analysis.asOf ? this.closedTtlSeconds : this.liveTtlSeconds;
+  }
+
+  // { sql, source, params, description } generated for the key, or null
+  async getSql(key) {
+    const value = await this._read(`sql:${key}`);
+    this._stats[value ? 'sqlHits' : 'sqlMisses']++;
+    return value;
+  }
+
+  async setSql(key, generated) {
+    const { sql, source, params, description } = generated;
+    await this._write(`sql:${key}`, { sql, source, params: params || {}, description }, this.sqlTtlSeconds);
+  }
+
+  // { response, turn } cached for the key, or null
+  async getResult(key) {
+    const value = await this._read(`result:${key}`);
+    this._stats[value ? 'resultHits' : 'resultMisses']++;
+    return value;
+  }
+
+  // Stores a response (and the session turn it made) unless it has more than maxRows rows
+  async setResult(key, entry, analysis) {
+    if ((entry.response.rows || []).length > this.maxRows) return;
+    await this._write(`result:${key}`, entry, this.resultTtl(analysis));
+  }
+
+  /**
+   * Drop cached SQL and results: of one table (its name, e.g. SalesReport_Form_Input), or all.
+   * @returns {Promise<{ table: string|null, generation: number }>}
+   */
+  async invalidate(table = null) {
+    const generation = await this._store.bump(table || ALL_TABLES);
+    return { table, generation };
+  }
+
+  info() {
+    return { enabled: this.enabled, ...this._store.info(), ...this._stats };
+  }
+
+  async close() {
+    await this._store.close();
+  }
+
+  async _read(key) {
+    if (!this.enabled) return null;
+    const raw = await this._safely(() => this._store.get(key), null);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async _write(key, value, ttlSeconds) {
+    if (!this.enabled) return;
+    await this._safely(() => this._store.set(key, JSON.stringify(value), ttlSeconds), null);
+  }
+
+  async _safely(operation, fallback) {
+    try {
+      return await operation();
+    } catch (err) {
+      this._stats.errors++;
+      console.warn('Query cache unavailable:', err.message);
+      return fallback;
+    }
+  }
+}
+
+module.exports = {
+  QueryCache,
+  normalizePrompt
+};
@@ -0,0 +1,243 @@
+/**
+ * querySessions.js
+ *
+ * Server-side conversation state for /api/query follow-ups ("now break that down by month",
+ * "same thing for Calgary only").
+ *
+ *  - QuerySessionStore keeps, per session id, the last few successful turns:
+ *    { prompt, analysis, sql, columns, source, at }. Sessions expire after ttlMs of inactivity.
+ *  - isFollowUp decides whether a prompt edits the previous query or starts a new one.
+ *  - mergeFollowUp applies the follow-up to the previous analysis (analyzeUserPrompt output):
+ *    whatever the new prompt states (metric, grouping, time range, filters) replaces the old value,
+ *    everything else carries over. It also returns readable change descriptions for the response.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_TURNS = 5;
+const DEFAULT_MAX_SESSIONS = 1000;
+
+// Phrases that refer back to the previous question
+const FOLLOW_UP_PATTERN = new RegExp([
+  '\\b(that|those|these|it|them|same|instead|also|too|only)\\b',
+  '^\\s*(now|and|but|what about|how about|then)\\b',
+  '\\b(break|split|drill)\\s+(it|that|this|those|them)?\\s*(down|up|out)\\b'
+].join('|'), 'i');
+
+// "for Calgary only", "at Red Deer", "in Edmonton instead"
+const LOCATION_MENTION = /\b(?:for|at|in)\s+([A-Z][\w'-]*(?:\s+[A-Z][\w'-]*)*)(?=\s+only\b|\s+instead\b|\s*[?.!,]?\s*$)/;
+const NOT_LOCATIONS = /^(january|february|march|april|may|june|july|august|september|october|november|december|q[1-4]|today|yesterday|last|this|next)\b/i;
+
+const GROUP_BY_LABELS = {
+  'DEALER_LOCATION': 'location',
+  'MONTH_REPORTED': 'month',
+  'YEAR_REPORTED': 'year',
+  'DATEPART(QUARTER, DATE_REPORTED)': 'quarter',
+  'CAST(DATE_REPORTED AS DATE)': 'day'
+};
+
+class QuerySessionStore {
+  /**
+   * @param {Object} opts
+   *  - ttlMs: idle time before a session is dropped
+   *  - maxTurns: turns kept per session (oldest dropped first)
+   *  - maxSessions: sessions kept in memory (least recently used dropped first)
+   */
+  constructor(opts = {}) {
+    this.ttlMs = opts.ttlMs || DEFAULT_TTL_MS;
+    this.maxTurns = opts.maxTurns || DEFAULT_MAX_TURNS;
+    this.maxSessions = opts.maxSessions || DEFAULT_MAX_SESSIONS;
+    this._sessions = new Map();
+  }
+
+  create() {
+    this._prune();
+    const session = { id: crypto.randomUUID(), turns: [], updatedAt: Date.now() };
+    this._sessions.set(session.id, session);
+    return session;
+  }
+
+  // Live session by id, or null when unknown/expired
+  get(id) {
+    if (!id) return null;
+    const session = this._sessions.get(id);
+    if (!session) return null;
+    if (Date.now() - session.updatedAt > this.ttlMs) {
+      this._sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  lastTurn(id) {
+    const session = this.get(id);
+    return session && session.turns.length > 0 ? session.turns[session.turns.length - 1] : null;
+  }
+
+  addTurn(id, turn) {
+    const session = this.get(id);
+    if (!session) return null;
+    session.turns.push({ ...turn, at: new Date().toISOString() });
+    if (session.turns.length > this.maxTurns) session.turns.shift();
+    session.updatedAt = Date.now();
+    // Re-insert so Map order tracks recency for _prune
+    this._sessions.delete(id);
+    this._sessions.set(id, session);
+    return session;
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [id, session] of this._sessions) {
+      if (now - session.updatedAt > this.ttlMs) this._sessions.delete(id);
+    }
+    while (this._sessions.size >= this.maxSessions) {
+      this._sessions.delete(this._sessions.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Does the prompt edit the previous query? True when it refers back to it ("that", "same", "now ..."),
+ * or when it names no table and no metric of its own (e.g. "by month", "for 2024").
+ */
+function isFollowUp(prompt, analysis) {
+  if (FOLLOW_UP_PATTERN.test(prompt)) return true;
+  const namesTable = (analysis.tableCandidates || []).length > 0;
+  return !namesTable && analysis.aggregates.length === 0;
+}
+
+function detectLocationMention(prompt) {
+  const match = prompt.match(LOCATION_MENTION);
+  if (!match || NOT_LOCATIONS.test(match[1])) return null;
+  return match[1];
+}
+
+// Words a resolved filter already stands for ("for Mike only" after CLOSER = 'Mike Smith') name no location
+function matchedByFilter(words, filters) {
+  const wanted = words.toLowerCase().split(/\s+/);
+  return filters.some(f => f.resolved && [f.mention, f.value, ...(f.values || [])].some(v => {
+    if (typeof v !== 'string') return false;
+    const tokens = v.toLowerCase().split(/[\s,]+/);
+    return wanted.every(w => tokens.includes(w));
+  }));
+}
+
+function groupLabel(column, labels) {
+  return (labels && labels[column]) || GROUP_BY_LABELS[column] || column;
+}
+
+/**
+ * Apply a follow-up prompt to the previous turn's analysis.
+ * @param {Object} previous - analysis of the previous (already merged) turn
+ * @param {Object} current - analyzeUserPrompt result for the follow-up prompt
+ * @param {string} prompt - the follow-up prompt
+ * @param {Object} opts - { groupByLabels: { column: 'label' } } readable names for grouping columns,
+ *   { locationColumns: { tableName: column } } where each table keeps its dealership (from the semantic model)
+ * @returns {{ analysis: Object, changes: string[] }}
+ */
+function mergeFollowUp(previous, current, prompt, opts = {}) {
+  const labels = opts.groupByLabels;
+  const changes = [];
+  const prevGroupBy = previous.presentation?.groupBy || null;
+  const analysis = {
+    ...previous,
+    filters: (previous.filters || []).slice(),
+    aggregates: (previous.aggregates || []).slice(),
+    presentation: { ...previous.presentation }
+  };
+
+  if ((current.tableCandidates || []).length > 0 && current.table.table !== previous.table.table) {
+    analysis.table = current.table;
+    analysis.tableCandidates = current.tableCandidates;
+    changes.push(`switched to ${current.table.table}`);
+  }
+
+  if (current.aggregates.length > 0) {
+    const before = analysis.aggregates.map(a => a.alias).join(', ');
+    const after = current.aggregates.map(a => a.alias).join(', ');
+    analysis.aggregates = current.aggregates;
+    if (before !== after) changes.push(before ? `measured ${after} instead of ${before}` : `measured ${after}`);
+  }
+
+  const groupBy = current.presentation?.groupBy || null;
+  if (groupBy && groupBy !== prevGroupBy) {
+    analysis.presentation.groupBy = groupBy;
+    analysis.presentation.thenBy = current.presentation?.thenBy || null;
+    changes.push(prevGroupBy
+      ? `broken down by ${groupLabel(groupBy, labels)} instead of ${groupLabel(prevGroupBy, labels)}`
+      : `broken down by ${groupLabel(groupBy, labels)}`);
+  }
+
+  // A new ranking ("now the bottom 3 closers") replaces the old one, and one without a dimension ("now the
+  // bottom 3") ranks what the previous query ranked or grouped by; another grouping ends it
+  const ranked = analysis.ranking || (prevGroupBy ? { column: prevGroupBy, partitionBy: null } : null);
+  if (current.ranking && (current.ranking.column || ranked)) {
+    analysis.ranking = current.ranking.column
+      ? current.ranking
+      : { ...current.ranking, column: ranked.column, partitionBy: ranked.partitionBy };
+    analysis.presentation.groupBy = analysis.ranking.column;
+    changes.push(`ranked ${current.ranking.text}`);
+  } else if (analysis.ranking && groupBy && groupBy !== analysis.ranking.column) {
+    analysis.ranking = null;
+  }
+
+  // A new single period ends a comparison; a new comparison replaces the old one
+  if (current.timeRange) {
+    const before = previous.timeRange ? previous.timeRange.text : null;
+    analysis.timeRange = current.timeRange;
+    analysis.comparison = current.comparison || null;
+    analysis.asOf = current.asOf;
+    changes.push(before ? `time range ${current.timeRange.text} instead of ${before}` : `limited to ${current.timeRange.text}`);
+  }
+
+  // A date the follow-up gets wrong ("now since Feb 30") is asked about like a new question's
+  analysis.invalidDate = current.invalidDate || null;
+
+  // Grouping filters of the old query ("by location") do not filter once the grouping changes
+  const newFilters = current.filters.filter(f => f.column !== groupBy);
+  analysis.filters = analysis.filters
+    .filter(f => f.column !== prevGroupBy)
+    .filter(f => !newFilters.some(n => n.column === f.column))
+    .concat(newFilters);
+
+  // A location the value dictionary resolved wins over the raw words of the prompt, which only count
+  // when the table has a location column and no person or resolved value already claimed them
+  const locationColumn = (opts.locationColumns || {})[analysis.table.table] || null;
+  const resolved = locationColumn ? newFilters.find(f => f.column === locationColumn && f.resolved) : null;
+  let location = resolved ? resolved.value : null;
+  if (!location && locationColumn) {
+    const mention = detectLocationMention(prompt);
+    if (mention && !matchedByFilter(mention, current.filters.concat(previous.filters || []))) location = mention;
+  }
+  if (location) {
+    analysis.filters = analysis.filters.filter(f => f.column !== locationColumn);
+    analysis.filters.push(resolved || { column: locationColumn, concept: 'dealership', value: location, isAggregate: false });
+    changes.push(`filtered to ${locationColumn} = ${location}`);
+    if (analysis.presentation.groupBy === locationColumn) {
+      analysis.presentation.groupBy = analysis.presentation.thenBy || null;
+      analysis.presentation.thenBy = null;
+      analysis.ranking = null;
+      changes.push('no longer broken down by location');
+    } else if (analysis.presentation.thenBy === locationColumn) {
+      analysis.presentation.thenBy = null;
+      changes.push('no longer broken down by location');
+    }
+    // "Top 3 closers per location" for one location ranks within it
+    if (analysis.ranking && analysis.ranking.partitionBy === locationColumn) {
+      analysis.ranking = { ...analysis.ranking, partitionBy: null };
+    }
+  }
+
+  return { analysis, changes };
+}
+
+module.exports = {
+  QuerySessionStore,
+  isFollowUp,
+  mergeFollowUp,
+  detectLocationMention
+};
@@ -0,0 +1,96 @@
+/**
+ * ranking.js
+ *
+ * Ranking questions: "top 5 closers by front gross this month", "bottom 3 locations by deal count",
+ * "best-selling models YTD", "which location had the fewest deals", "rank warranty reps by warranty gross".
+ *
+ * detectRanking finds the direction, how many rows, whether ties share a rank and the dimension being
+ * ranked (the first dimension noun of the prompt that is not a "per location" / "by location" grouping).
+ * The metric is whatever the analyzer detected (deal count by default); a grouping other than the ranked
+ * dimension ranks within each group ("top 3 closers per location").
+ *
+ * Without a number, a plural noun ("top closers") means the top 10 and a singular one ("best closer")
+ * the top 1; "rank ..." ranks every row. Ties share a rank (RANK()) unless the prompt says "without
+ * ties", in which case each row gets its own (ROW_NUMBER(), ties broken by the dimension). A ranking
+ * that names no dimension ("now the bottom 3") has a null column: a follow-up applies it to the
+ * previous question's grouping.
+ */
+
+'use strict';
+
+const DEFAULT_LIMIT = 10;
+const RANK_COLUMN = 'Rank';
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  fifteen: 15, twenty: 20, fifty: 50
+};
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const BOTTOM_WORDS = ['bottom', 'worst', 'lowest', 'least', 'fewest'];
+
+// Most explicit first: a number beats a bare "top", which beats "most" / "rank"
+const RANKING_PATTERNS = [
+  { regex: new RegExp(`\\b(top|bottom|best|worst|highest|lowest)\\s+${COUNT}\\b`, 'i'), limit: (m) => count(m[2]) },
+  { regex: /\b(top|bottom|best|worst|highest|lowest)(?:[-\s](?:selling|performing|grossing))?\b/i },
+  { regex: /\b(most|least|fewest)\b(?!\s+(?:recent|recently|current|latest))/i },
+  { regex: /\b(rank(?:ed|ing|ings)?)\b/i, all: true }
+];
+
+// "per location", "by dealer", "for each store": the grouping a ranking happens within
+const GROUPING_PREFIX = /\b(?:per|by|each|within|across)\s+$/i;
+
+function count(word) {
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word.toLowerCase()];
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// First dimension noun ("closers", "location", "warranty reps") that is not a grouping
+function findDimension(prompt, dimensions) {
+  let found = null;
+  for (const dimension of dimensions) {
+    for (const synonym of dimension.synonyms) {
+      if (/^(by|per)\s/i.test(synonym)) continue;
+      const regex = new RegExp(`\\b${escapeRegex(synonym)}(?:s|es)?\\b`, 'gi');
+      let m;
+      while ((m = regex.exec(prompt)) !== null) {
+        if (GROUPING_PREFIX.test(prompt.slice(0, m.index))) continue;
+        if (!found || m.index < found.index) found = { dimension, index: m.index, noun: m[0] };
+        break;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * The ranking a prompt asks for.
+ * @param {string} prompt
+ * @param {Array<{ column: string, synonyms: string[] }>} dimensions - dimensions the table can group by
+ * @param {string|null} groupBy - the prompt's grouping, ranked when no dimension noun is found
+ * @returns {{ direction: 'top'|'bottom', limit: number|null, ties: boolean, column: string|null, text: string } | null}
+ */
+function detectRanking(prompt, dimensions, groupBy = null) {
+  const pattern = RANKING_PATTERNS.find(p => p.regex.test(prompt));
+  if (!pattern) return null;
+  const match = pattern.regex.exec(prompt);
+  const found = findDimension(prompt, dimensions);
+
+  let limit = null;
+  if (pattern.limit) limit = pattern.limit(match);
+  else if (!pattern.all) limit = found && !/s$/i.test(found.noun) ? 1 : DEFAULT_LIMIT;
+
+  return {
+    direction: BOTTOM_WORDS.includes(match[1].toLowerCase()) ? 'bottom' : 'top',
+    limit,
+    ties: !/\b(?:without|no|excluding|ignore|break)\s+ties\b/i.test(prompt),
+    column: found ? found.dimension.column : groupBy,
+    text: match[0]
+  };
+}
+
+module.exports = {
+  detectRanking,
+  RANK_COLUMN
+};
@@ -266,3 +266,36 @@ ALTER TABLE Common_Group_401_Vehicle_Inventory
 ALTER COLUMN CriticalMemo nvarchar(max)
 
 CREATE INDEX IX_Common_Group_401_Vehicle_Inventory_StockNumber ON Common_Group_401_Vehicle_Inventory (StockNumber);
+
+DROP TABLE IF EXISTS SaleWarranty_RVAC_CONTRACTS;
+CREATE TABLE SaleWarranty_RVAC_CONTRACTS (
+    WarrantyID int IDENTITY(1,1) NOT NULL,
+    SalesRep varchar(255),
+    DealerLocation varchar(55),
+    VehicleCondition varchar(55), -- New / Used
+    FirstName varchar(255),
+    LastName varchar(255),
+    StockNumber varchar(100),
+    VIN varchar(100),
+    VehicleYear varchar(10),
+    Make varchar(255),
+    Model varchar(255),
+    VehiclePrice varchar(55),
+    Model_Type varchar(100),
+    WarantyPlan varchar(255),
+    WarrantyTerm varchar(100),
+    WarrantyPrice varchar(55),
+    WarrantyCost varchar(55),
+    MONTH_REPORTED varchar(25),
+    YEAR_REPORTED varchar(25),
+    DATE_REPORTED datetime default getdate(),
+    isDeleted bit NOT NULL DEFAULT 0, -- 0=false, 1=true
+    EditedBy varchar(255),
+    DATE_Updated datetime,
+    DATE_CREATED datetime default getdate(),
+    CONSTRAINT PK_SaleWarranty_RVAC_CONTRACTS PRIMARY KEY (WarrantyID)
+);
+
+CREATE INDEX IX_SaleWarranty_RVAC_CONTRACTS_StockNumber ON SaleWarranty_RVAC_CONTRACTS (StockNumber);
+CREATE INDEX IX_SaleWarranty_RVAC_CONTRACTS_VIN ON SaleWarranty_RVAC_CONTRACTS (VIN);
+CREATE INDEX IX_SaleWarranty_RVAC_CONTRACTS_DealerLocation ON SaleWarranty_RVAC_CONTRACTS (DealerLocation, YEAR_REPORTED, MONTH_REPORTED);
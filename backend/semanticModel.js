@@ -0,0 +1,529 @@
+/**
+ * semanticModel.js
+ *
+ * Loads the semantic layer (backend/semanticModel.json, or SEMANTIC_MODEL_PATH): tables, metrics,
+ * dimensions, synonyms, default filters (business rules), ambiguous terms and display formats.
+ *
+ * File layout (version is bumped on every edit):
+ *  {
+ *    version: 3,
+ *    calendar:   { fiscalYearStartMonth, weekStartDay, useReportedMonth, useReportedWeek, timeZone }   (see calendar.js)
+ *    tables:     { key: { table, description, synonyms, patterns?, countMetric?, dateColumn?, reportedColumns?,
+ *                         hiddenColumns? } },
+ *      (countMetric: the metric "how many" / "count" means when this is the primary table, and what the
+ *       rule-based builder counts; only tables with one are compiled by it (sqlBuilder.js); dateColumn: the
+ *       datetime column time ranges use when the table has no DATE_REPORTED / MONTH_REPORTED / YEAR_REPORTED;
+ *       reportedColumns: which of MONTH_REPORTED ('month') and WEEK_REPORTED ('week') the table has;
+ *       hiddenColumns: never shown to the LLM nor allowed in generated SQL, e.g. login tokens)
+ *    metrics:    { key: { table, column, function, alias, synonyms, patterns?, numericText?, format?, description? } }
+ *      (column: a column name, or an expression over columns such as DATEDIFF(MINUTE, LogedIn, LogOut): no
+ *       strings, variables, comments, statements or subqueries)
+ *             or { key: { table, formula: { op: '-' | '/', metrics: [key, key] }, alias, synonyms, ... } },
+ *      (formula: derived metric over two column metrics, e.g. warranty gross = price - cost, attach rate =
+ *       contracts / deals; the two may live in different tables)
+ *    dimensions: { key: { table, column, columns?, synonyms, patterns?, operator?, related?, label?, timeConcept?,
+ *                         value?, condition?, crossTable?, groupBy?: { column?, patterns } } },
+ *      (columns: the same concept in other tables, { tableKey: column }, e.g. rvac DealerLocation;
+ *       condition: a fixed SQL predicate used as the filter, e.g. "login from a new location";
+ *       value: fixed filter value of a flag such as IsCertified = 1; crossTable: the column only exists in
+ *       its table, so a question about another table joins this one in)
+ *    joins: [{ id, left: { table, column }, right: { table, column }, description }]   (see joinGraph.js)
+ *    defaultFilters: [{ id, table, column, value, appliesTo: 'always' | 'count', description }],
+ *      (value: a number or true/false, written into generated SQL as column = value; see rulePredicate)
+ *    valueColumns: [{ table, column }]   (categorical columns whose values are synced, see valueDictionary.js)
+ *    personColumns: [{ table, column, role, patterns }]   (free-text name columns, see personNames.js)
+ *    ambiguousTerms: [{ id, pattern, resolvedBy, question, choices: [{ id, label, table, replacement }] }]
+ *  }
+ * Patterns are case-insensitive regular expression strings.
+ *
+ * The file is validated when loaded: a bad file fails startup, and a bad edit picked up by the
+ * watcher is logged and ignored (the previous model stays active).
+ *
+ * saveSemanticModel writes an edited model (admin API): it validates, bumps the version, replaces
+ * the file and activates it at once. Every saved version is also kept as a snapshot in the history
+ * directory (SEMANTIC_MODEL_HISTORY_DIR, default backend/semanticModelHistory) so any of them can be
+ * restored with rollbackSemanticModel.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { FiscalCalendar, validateCalendar } = require('./calendar');
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, 'semanticModel.json');
+const FUNCTIONS = ['SUM', 'COUNT', 'COUNT_DISTINCT', 'AVG', 'MIN', 'MAX'];
+const FORMULA_OPS = ['-', '/'];
+const FORMATS = ['currency', 'integer', 'number', 'percent', 'date', 'text'];
+const APPLIES_TO = ['always', 'count'];
+const IDENTIFIER_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const REPORTED_COLUMNS = ['month', 'week'];
+// Metric column expressions: words, numbers, parentheses, commas and operators only
+const EXPRESSION_RE = /^[A-Za-z0-9_\s(),.<>=+\-*\/]+$/;
+const STATEMENT_WORDS = /\b(select|from|where|insert|update|delete|drop|alter|create|exec|execute|union|into|declare|waitfor|grant|revoke|truncate|merge|openrowset|openquery|opendatasource|shutdown|backup|restore)\b/i;
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '');
+}
+
+// Why a metric column is not a column name or a plain expression over columns, or null
+function columnError(column) {
+  if (typeof column !== 'string' || !column.trim()) return 'is required';
+  if (IDENTIFIER_RE.test(column)) return null;
+  let depth = 0;
+  for (const ch of column) {
+    depth += ch === '(' ? 1 : ch === ')' ? -1 : 0;
+    if (depth < 0) break;
+  }
+  if (!EXPRESSION_RE.test(column) || /--|\/\*/.test(column) || STATEMENT_WORDS.test(column) || depth !== 0) {
+    return 'must be a column name or an expression over columns';
+  }
+  return null;
+}
+
+function regexError(source) {
+  try {
+    new RegExp(source, 'i');
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+/**
+ * Check a parsed model file. Returns a list of problems (empty when valid).
+ */
+function validateSemanticModel(raw) {
+  const errors = [];
+  const err = (where, message) => errors.push(`${where}: ${message}`);
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['model: must be a JSON object'];
+
+  if (!Number.isInteger(raw.version) || raw.version < 1) err('version', 'must be a positive integer');
+  errors.push(...validateCalendar(raw.calendar));
+
+  const checkPatterns = (where, patterns) => {
+    if (patterns === undefined) return;
+    if (!isStringList(patterns)) return err(where, 'must be a list of regular expression strings');
+    patterns.forEach((p, i) => {
+      const problem = regexError(p);
+      if (problem) err(`${where}[${i}]`, problem);
+    });
+  };
+
+  const tables = raw.tables && typeof raw.tables === 'object' ? raw.tables : null;
+  if (!tables || Object.keys(tables).length === 0) {
+    err('tables', 'at least one table is required');
+  } else {
+    for (const [key, t] of Object.entries(tables)) {
+      const where = `tables.${key}`;
+      if (!t || typeof t.table !== 'string' || !IDENTIFIER_RE.test(t.table)) err(`${where}.table`, 'must be a table name');
+      if (!t || typeof t.description !== 'string') err(`${where}.description`, 'is required');
+      if (!t || !isStringList(t.synonyms)) err(`${where}.synonyms`, 'must be a list of strings');
+      checkPatterns(`${where}.patterns`, t && t.patterns);
+      if (t && t.dateColumn !== undefined && (typeof t.dateColumn !== 'string' || !IDENTIFIER_RE.test(t.dateColumn))) {
+        err(`${where}.dateColumn`, 'must be a column name');
+      }
+      if (t && t.reportedColumns !== undefined &&
+          (!isStringList(t.reportedColumns) || !t.reportedColumns.every(c => REPORTED_COLUMNS.includes(c)))) {
+        err(`${where}.reportedColumns`, `must be a list of ${REPORTED_COLUMNS.join(', ')}`);
+      }
+      if (t && t.hiddenColumns !== undefined &&
+          (!isStringList(t.hiddenColumns) || !t.hiddenColumns.every(c => IDENTIFIER_RE.test(c)))) {
+        err(`${where}.hiddenColumns`, 'must be a list of column names');
+      }
+      if (t && t.countMetric !== undefined) {
+        const counted = (raw.metrics || {})[t.countMetric];
+        if (!counted || counted.function !== 'COUNT' || counted.table !== key) {
+          err(`${where}.countMetric`, `must be a COUNT metric of table "${key}"`);
+        }
+      }
+    }
+  }
+  const tableKeys = new Set(Object.keys(tables || {}));
+  const tableNames = new Set(Object.values(tables || {}).map(t => t && t.table));
+
+  const aliases = new Set();
+  for (const [key, m] of Object.entries(raw.metrics || {})) {
+    const where = `metrics.${key}`;
+    if (!m) { err(where, 'must be an object'); continue; }
+    if (!tableKeys.has(m.table)) err(`${where}.table`, `unknown table key "${m.table}"`);
+    if (m.formula !== undefined) {
+      const f = m.formula;
+      if (!f || !FORMULA_OPS.includes(f.op)) err(`${where}.formula.op`, `must be one of ${FORMULA_OPS.join(', ')}`);
+      if (!f || !Array.isArray(f.metrics) || f.metrics.length !== 2) {
+        err(`${where}.formula.metrics`, 'must name two metrics');
+      } else {
+        f.metrics.forEach((k, i) => {
+          const part = raw.metrics[k];
+          if (!part || part.formula !== undefined) err(`${where}.formula.metrics[${i}]`, `"${k}" is not a column metric`);
+        });
+      }
+      if (m.column !== undefined || m.function !== undefined) err(where, 'a formula metric has no column or function');
+    } else {
+      const problem = columnError(m.column);
+      if (problem) err(`${where}.column`, problem);
+      if (!FUNCTIONS.includes(m.function)) err(`${where}.function`, `must be one of ${FUNCTIONS.join(', ')}`);
+    }
+    if (typeof m.alias !== 'string' || !IDENTIFIER_RE.test(m.alias)) err(`${where}.alias`, 'must be a SQL identifier');
+    else if (aliases.has(m.alias)) err(`${where}.alias`, `duplicate alias "${m.alias}"`);
+    else aliases.add(m.alias);
+    if (m.format !== undefined && !FORMATS.includes(m.format)) err(`${where}.format`, `must be one of ${FORMATS.join(', ')}`);
+    if (!isStringList(m.synonyms)) err(`${where}.synonyms`, 'must be a list of strings');
+    checkPatterns(`${where}.patterns`, m.patterns);
+  }
+
+  for (const [key, d] of Object.entries(raw.dimensions || {})) {
+    const where = `dimensions.${key}`;
+    if (!d) { err(where, 'must be an object'); continue; }
+    if (!tableKeys.has(d.table)) err(`${where}.table`, `unknown table key "${d.table}"`);
+    if (typeof d.column !== 'string' || !d.column) err(`${where}.column`, 'is required');
+    for (const [tableKey, column] of Object.entries(d.columns || {})) {
+      if (!tableKeys.has(tableKey)) err(`${where}.columns`, `unknown table key "${tableKey}"`);
+      if (typeof column !== 'string' || !IDENTIFIER_RE.test(column)) err(`${where}.columns.${tableKey}`, 'must be a column name');
+    }
+    if (!isStringList(d.synonyms)) err(`${where}.synonyms`, 'must be a list of strings');
+    checkPatterns(`${where}.patterns`, d.patterns);
+    if (d.value !== undefined && typeof d.value !== 'number' && typeof d.value !== 'string') err(`${where}.value`, 'must be a number or string');
+    if (d.condition !== undefined && (typeof d.condition !== 'string' || !d.condition.trim())) err(`${where}.condition`, 'must be a SQL predicate');
+    if (d.groupBy !== undefined) {
+      if (!d.groupBy || !isStringList(d.groupBy.patterns)) err(`${where}.groupBy.patterns`, 'must be a list of strings');
+      else checkPatterns(`${where}.groupBy.patterns`, d.groupBy.patterns);
+    }
+  }
+
+  const metricKeys = Object.keys(raw.metrics || {});
+  const dimensionKeys = Object.keys(raw.dimensions || {});
+  metricKeys.filter(k => dimensionKeys.includes(k)).forEach(k => err(`metrics.${k}`, 'key is also used by a dimension'));
+
+  const ruleIds = new Set();
+  (raw.defaultFilters || []).forEach((f, i) => {
+    const where = `defaultFilters[${i}]`;
+    if (!f || typeof f.id !== 'string' || !f.id) return err(`${where}.id`, 'is required');
+    if (ruleIds.has(f.id)) err(`${where}.id`, `duplicate id "${f.id}"`);
+    ruleIds.add(f.id);
+    if (!tableNames.has(f.table)) err(`${where}.table`, `"${f.table}" is not one of the model's tables`);
+    if (typeof f.column !== 'string' || !IDENTIFIER_RE.test(f.column)) err(`${where}.column`, 'must be a column name');
+    if (!(typeof f.value === 'number' && Number.isFinite(f.value)) && typeof f.value !== 'boolean') {
+      err(`${where}.value`, 'must be a number or true/false');
+    }
+    if (!APPLIES_TO.includes(f.appliesTo)) err(`${where}.appliesTo`, `must be one of ${APPLIES_TO.join(', ')}`);
+  });
+
+  const joinIds = new Set();
+  (raw.joins || []).forEach((j, i) => {
+    const where = `joins[${i}]`;
+    if (!j || typeof j.id !== 'string' || !j.id) return err(`${where}.id`, 'is required');
+    if (joinIds.has(j.id)) err(`${where}.id`, `duplicate id "${j.id}"`);
+    joinIds.add(j.id);
+    for (const side of ['left', 'right']) {
+      const end = j[side];
+      if (!end || !tableKeys.has(end.table)) err(`${where}.${side}.table`, `unknown table key "${end && end.table}"`);
+      if (!end || typeof end.column !== 'string' || !IDENTIFIER_RE.test(end.column)) err(`${where}.${side}.column`, 'must be a column name');
+    }
+    if (j.left && j.right && j.left.table === j.right.table) err(where, 'must join two different tables');
+  });
+
+  (raw.valueColumns || []).forEach((c, i) => {
+    const where = `valueColumns[${i}]`;
+    if (!c || !tableKeys.has(c.table)) err(`${where}.table`, `unknown table key "${c && c.table}"`);
+    if (!c || typeof c.column !== 'string' || !IDENTIFIER_RE.test(c.column)) err(`${where}.column`, 'must be a column name');
+  });
+
+  (raw.personColumns || []).forEach((c, i) => {
+    const where = `personColumns[${i}]`;
+    if (!c || !tableKeys.has(c.table)) err(`${where}.table`, `unknown table key "${c && c.table}"`);
+    if (!c || typeof c.column !== 'string' || !IDENTIFIER_RE.test(c.column)) err(`${where}.column`, 'must be a column name');
+    if (!c || typeof c.role !== 'string' || !c.role) err(`${where}.role`, 'is required');
+    checkPatterns(`${where}.patterns`, c && c.patterns);
+  });
+
+  (raw.ambiguousTerms || []).forEach((t, i) => {
+    const where = `ambiguousTerms[${i}]`;
+    if (!t || typeof t.id !== 'string') return err(`${where}.id`, 'is required');
+    checkPatterns(`${where}.pattern`, [t.pattern]);
+    checkPatterns(`${where}.resolvedBy`, [t.resolvedBy]);
+    if (typeof t.question !== 'string') err(`${where}.question`, 'is required');
+    if (!Array.isArray(t.choices) || t.choices.length < 2) return err(`${where}.choices`, 'needs at least two choices');
+    t.choices.forEach((c, j) => {
+      if (!c || !tableKeys.has(c.table)) err(`${where}.choices[${j}].table`, `unknown table key "${c && c.table}"`);
+      if (!c || typeof c.label !== 'string' || typeof c.replacement !== 'string') {
+        err(`${where}.choices[${j}]`, 'label and replacement are required');
+      }
+    });
+  });
+
+  return errors;
+}
+
+const toRegex = (source) => new RegExp(source, 'i');
+
+/**
+ * Compile a validated model into the lookup shapes the analyzer uses:
+ *  - calendar: FiscalCalendar (calendar.js; forTable(tables[key]) for a table's columns)
+ *  - tables:  { key: { table, description, synonyms, patterns: RegExp[] } }
+ *  - columns: { key: { column, function?, alias?, synonyms, patterns: RegExp[], ... } } (dimensions, then metrics;
+ *    dimension columns: { tableName: column })
+ *  - groupBy: [{ pattern: RegExp, column, columns: { tableName: column }, label, synonyms, timeConcept, table: tableName,
+ *    crossTable }]
+ *  - joins: [{ id, left: { table: tableName, column }, right: { table: tableName, column }, description }]
+ *  - valueColumns: [{ table: tableName, column }], personColumns: [{ table: tableName, column, role, patterns: RegExp[] }]
+ *  - businessRules, ambiguousTerms (RegExps compiled), formats: { alias: format }
+ */
+function compileSemanticModel(raw, source) {
+  const tables = {};
+  for (const [key, t] of Object.entries(raw.tables)) {
+    tables[key] = { ...t, patterns: (t.patterns || []).map(toRegex) };
+  }
+
+  const columns = {};
+  const groupBy = [];
+  for (const [key, d] of Object.entries(raw.dimensions || {})) {
+    const otherColumns = {};
+    for (const [tableKey, column] of Object.entries(d.columns || {})) otherColumns[raw.tables[tableKey].table] = column;
+    columns[key] = { ...d, kind: 'dimension', columns: otherColumns, patterns: (d.patterns || []).map(toRegex) };
+    if (d.groupBy) {
+      for (const p of d.groupBy.patterns) {
+        groupBy.push({
+          pattern: toRegex(p),
+          column: d.groupBy.column || d.column,
+          columns: otherColumns,
+          label: d.label || key,
+          synonyms: d.synonyms,
+          timeConcept: !!d.timeConcept,
+          table: raw.tables[d.table].table,
+          crossTable: !!d.crossTable
+        });
+      }
+    }
+  }
+  const formats = {};
+  for (const [key, m] of Object.entries(raw.metrics || {})) {
+    columns[key] = { ...m, kind: 'metric', patterns: (m.patterns || []).map(toRegex) };
+    if (m.format) formats[m.alias] = m.format;
+  }
+
+  const ambiguousTerms = (raw.ambiguousTerms || []).map(t => ({
+    ...t,
+    pattern: toRegex(t.pattern),
+    resolvedBy: toRegex(t.resolvedBy)
+  }));
+
+  return {
+    version: raw.version,
+    source,
+    loadedAt: new Date().toISOString(),
+    raw,
+    calendar: new FiscalCalendar(raw.calendar),
+    tables,
+    columns,
+    groupBy,
+    businessRules: raw.defaultFilters || [],
+    joins: (raw.joins || []).map(j => ({
+      ...j,
+      left: { table: raw.tables[j.left.table].table, column: j.left.column },
+      right: { table: raw.tables[j.right.table].table, column: j.right.column }
+    })),
+    valueColumns: (raw.valueColumns || []).map(c => ({ table: raw.tables[c.table].table, column: c.column })),
+    personColumns: (raw.personColumns || []).map(c => ({
+      table: raw.tables[c.table].table,
+      column: c.column,
+      role: c.role,
+      patterns: (c.patterns || []).map(toRegex)
+    })),
+    ambiguousTerms,
+    formats
+  };
+}
+
+/**
+ * A business rule's value as a SQL literal. Values are numbers or booleans (1/0) by validation; anything
+ * else (or a column that is not a plain name) throws instead of being written into SQL.
+ */
+function ruleLiteral(rule) {
+  if (!IDENTIFIER_RE.test(rule.column)) throw new Error(`Business rule ${rule.id} has no plain column name`);
+  if (typeof rule.value === 'boolean') return rule.value ? '1' : '0';
+  if (typeof rule.value === 'number' && Number.isFinite(rule.value)) return String(rule.value);
+  throw new Error(`Business rule ${rule.id} value ${JSON.stringify(rule.value)} is not a number or true/false`);
+}
+
+// The rule as SQL (isDeleted = 0); qualifier prefixes the column (s.isDeleted = 0)
+function rulePredicate(rule, qualifier) {
+  return `${qualifier ? `${qualifier}.` : ''}${rule.column} = ${ruleLiteral(rule)}`;
+}
+
+// Read, validate and compile a model file; throws with every validation problem listed
+function readSemanticModel(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Semantic model ${filePath} could not be read: ${e.message}`);
+  }
+  const errors = validateSemanticModel(raw);
+  if (errors.length > 0) {
+    throw new Error(`Semantic model ${filePath} is invalid:\n  - ${errors.join('\n  - ')}`);
+  }
+  return compileSemanticModel(raw, filePath);
+}
+
+let _model = null;
+let _watcher = null;
+let _savedMtimeMs = null; // mtime of our own last write, so the watcher does not reload it again
+
+// Load the model at startup (throws when the file is missing or invalid)
+function loadSemanticModel(filePath = process.env.SEMANTIC_MODEL_PATH || DEFAULT_MODEL_PATH) {
+  _model = readSemanticModel(filePath);
+  return _model;
+}
+
+function getSemanticModel() {
+  if (!_model) loadSemanticModel();
+  return _model;
+}
+
+/**
+ * Reload the model whenever its file changes. Invalid edits are logged and the current model kept.
+ * @param {Function} onReload - optional (model) => void called after a successful reload
+ */
+function watchSemanticModel(onReload) {
+  const filePath = getSemanticModel().source;
+  if (_watcher) return;
+  // Polling survives editors that save by replacing the file (fs.watch loses track of it)
+  _watcher = fs.watchFile(filePath, { interval: 1000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs || curr.mtimeMs === _savedMtimeMs) return;
+    try {
+      const next = readSemanticModel(filePath);
+      if (next.version < _model.version) {
+        console.warn(`Semantic model version went back from ${_model.version} to ${next.version}`);
+      }
+      _model = next;
+      console.log(`Semantic model reloaded (version ${next.version})`);
+      if (onReload) onReload(next);
+    } catch (e) {
+      console.error(`${e.message}\nKeeping semantic model version ${_model.version}`);
+    }
+  });
+  _watcher.unref();
+}
+
+function stopWatchingSemanticModel() {
+  if (_watcher) fs.unwatchFile(_model.source);
+  _watcher = null;
+}
+
+function historyDir() {
+  return process.env.SEMANTIC_MODEL_HISTORY_DIR || path.join(path.dirname(getSemanticModel().source), 'semanticModelHistory');
+}
+
+function historyFile(version) {
+  return path.join(historyDir(), `v${String(version).padStart(6, '0')}.json`);
+}
+
+function writeFileAtomic(filePath, text) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, filePath);
+}
+
+function writeSnapshot(raw, change) {
+  fs.mkdirSync(historyDir(), { recursive: true });
+  const entry = { version: raw.version, at: new Date().toISOString(), ...change, model: raw };
+  writeFileAtomic(historyFile(raw.version), JSON.stringify(entry, null, 2) + '\n');
+  const { model, ...summary } = entry;
+  return summary;
+}
+
+/**
+ * Validate, version and activate an edited model; the file and a history snapshot are written first.
+ * @param {Object} raw - full model (as in the file); its version is replaced
+ * @param {Object} change - { author, action, summary } recorded in the history
+ * @param {Object} opts - { baseVersion } rejects the save (code CONFLICT) when the active model moved on
+ * @returns {Object} history entry { version, at, author, action, summary }
+ */
+function saveSemanticModel(raw, change, opts = {}) {
+  const current = getSemanticModel();
+  if (opts.baseVersion !== undefined && opts.baseVersion !== current.version) {
+    const err = new Error(`Semantic model is at version ${current.version}, not ${opts.baseVersion}; reload and retry`);
+    err.code = 'CONFLICT';
+    throw err;
+  }
+  const latest = listSemanticModelHistory()[0];
+  const next = { ...raw, version: Math.max(current.version, latest ? latest.version : 0) + 1 };
+  const errors = validateSemanticModel(next);
+  if (errors.length > 0) {
+    const err = new Error(`Semantic model change is invalid: ${errors.join('; ')}`);
+    err.code = 'INVALID';
+    err.details = errors;
+    throw err;
+  }
+
+  // Keep the version being replaced restorable even if it was hand-edited
+  if (!fs.existsSync(historyFile(current.version))) {
+    writeSnapshot(current.raw, { author: null, action: 'baseline', summary: 'Version in effect before the first admin change' });
+  }
+  const entry = writeSnapshot(next, change);
+  writeFileAtomic(current.source, JSON.stringify(next, null, 2) + '\n');
+  _savedMtimeMs = fs.statSync(current.source).mtimeMs;
+  _model = compileSemanticModel(next, current.source);
+  return entry;
+}
+
+// Saved versions, newest first (without the model bodies)
+function listSemanticModelHistory() {
+  let files;
+  try {
+    files = fs.readdirSync(historyDir()).filter(f => /^v\d+\.json$/.test(f));
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  return files
+    .map(f => {
+      const { model, ...entry } = JSON.parse(fs.readFileSync(path.join(historyDir(), f), 'utf8'));
+      return entry;
+    })
+    .sort((a, b) => b.version - a.version);
+}
+
+// Full snapshot { version, at, author, action, summary, model } or null
+function readSemanticModelVersion(version) {
+  try {
+    return JSON.parse(fs.readFileSync(historyFile(version), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+// Restore an earlier version's content as a new version (history is never rewritten)
+function rollbackSemanticModel(version, change, opts = {}) {
+  const snapshot = readSemanticModelVersion(version);
+  if (!snapshot) {
+    const err = new Error(`Semantic model version ${version} is not in the history`);
+    err.code = 'NOT_FOUND';
+    throw err;
+  }
+  return saveSemanticModel(snapshot.model, {
+    ...change,
+    action: 'rollback',
+    summary: change.summary || `Rolled back to version ${version}`,
+    restoredVersion: version
+  }, opts);
+}
+
+module.exports = {
+  DEFAULT_MODEL_PATH,
+  validateSemanticModel,
+  compileSemanticModel,
+  ruleLiteral,
+  rulePredicate,
+  readSemanticModel,
+  loadSemanticModel,
+  getSemanticModel,
+  watchSemanticModel,
+  stopWatchingSemanticModel,
+  saveSemanticModel,
+  listSemanticModelHistory,
+  readSemanticModelVersion,
+  rollbackSemanticModel
+};
@@ -0,0 +1,172 @@
+/**
+ * semanticModelAdmin.js
+ *
+ * Edits behind /api/admin/synonyms, /api/admin/metrics and /api/admin/rules. Each edit takes the raw
+ * semantic model (as stored in semanticModel.json), returns a changed copy plus the affected item and a
+ * one-line summary for the history; semanticModel.saveSemanticModel validates and activates it.
+ *
+ * Errors carry err.code: 'INVALID' (bad request body), 'NOT_FOUND' or 'CONFLICT'.
+ *
+ * Synonym targets name a model entry as "<section>.<key>": tables.sales, metrics.fi_gross,
+ * dimensions.dealership.
+ */
+
+'use strict';
+
+const SYNONYM_SECTIONS = ['tables', 'metrics', 'dimensions'];
+const METRIC_FIELDS = ['table', 'column', 'function', 'formula', 'alias', 'synonyms', 'patterns', 'numericText', 'format', 'description'];
+const RULE_FIELDS = ['id', 'table', 'column', 'value', 'appliesTo', 'description'];
+const KEY_RE = /^[a-z][a-z0-9_]*$/;
+
+function fail(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const clone = (raw) => JSON.parse(JSON.stringify(raw));
+
+function pick(body, fields) {
+  const out = {};
+  for (const f of fields) {
+    if (body[f] !== undefined) out[f] = body[f];
+  }
+  return out;
+}
+
+function requireString(value, name) {
+  if (typeof value !== 'string' || value.trim() === '') throw fail('INVALID', `${name} is required`);
+  return value.trim();
+}
+
+function resolveTarget(raw, target) {
+  const [section, key, ...rest] = requireString(target, 'target').split('.');
+  if (!SYNONYM_SECTIONS.includes(section) || !key || rest.length > 0) {
+    throw fail('INVALID', `target must look like ${SYNONYM_SECTIONS.map(s => s + '.<key>').join(', ')}`);
+  }
+  const entry = (raw[section] || {})[key];
+  if (!entry) throw fail('NOT_FOUND', `Unknown target ${section}.${key}`);
+  return { section, key, entry };
+}
+
+// Every synonym in the model: [{ target, section, key, synonyms }]
+function listSynonyms(raw) {
+  const out = [];
+  for (const section of SYNONYM_SECTIONS) {
+    for (const [key, entry] of Object.entries(raw[section] || {})) {
+      out.push({ target: `${section}.${key}`, section, key, synonyms: entry.synonyms || [] });
+    }
+  }
+  return out;
+}
+
+function addSynonym(raw, target, synonym) {
+  const next = clone(raw);
+  const { section, key, entry } = resolveTarget(next, target);
+  const word = requireString(synonym, 'synonym').toLowerCase();
+  if (entry.synonyms.some(s => s.toLowerCase() === word)) {
+    throw fail('CONFLICT', `"${word}" is already a synonym of ${section}.${key}`);
+  }
+  // Within a section a word may only mean one thing, or the analyzer would pick both
+  for (const [otherKey, other] of Object.entries(next[section])) {
+    if (otherKey !== key && (other.synonyms || []).some(s => s.toLowerCase() === word)) {
+      throw fail('CONFLICT', `"${word}" already means ${section}.${otherKey}`);
+    }
+  }
+  entry.synonyms.push(word);
+  return { raw: next, item: { target: `${section}.${key}`, synonyms: entry.synonyms }, summary: `Added synonym "${word}" to ${section}.${key}` };
+}
+
+function removeSynonym(raw, target, synonym) {
+  const next = clone(raw);
+  const { section, key, entry } = resolveTarget(next, target);
+  const word = requireString(synonym, 'synonym').toLowerCase();
+  const index = entry.synonyms.findIndex(s => s.toLowerCase() === word);
+  if (index === -1) throw fail('NOT_FOUND', `"${word}" is not a synonym of ${section}.${key}`);
+  entry.synonyms.splice(index, 1);
+  return { raw: next, item: { target: `${section}.${key}`, synonyms: entry.synonyms }, summary: `Removed synonym "${word}" from ${section}.${key}` };
+}
+
+function listMetrics(raw) {
+  return Object.entries(raw.metrics || {}).map(([key, m]) => ({ key, ...m }));
+}
+
+function getMetric(raw, key) {
+  const metric = (raw.metrics || {})[key];
+  if (!metric) throw fail('NOT_FOUND', `Unknown metric ${key}`);
+  return { key, ...metric };
+}
+
+function createMetric(raw, body) {
+  const key = requireString(body.key, 'key');
+  if (!KEY_RE.test(key)) throw fail('INVALID', 'key must be lower_snake_case');
+  if ((raw.metrics || {})[key] || (raw.dimensions || {})[key]) throw fail('CONFLICT', `${key} already exists`);
+  const next = clone(raw);
+  next.metrics = { ...next.metrics, [key]: { synonyms: [], ...pick(body, METRIC_FIELDS) } };
+  return { raw: next, item: { key, ...next.metrics[key] }, summary: `Added metric ${key}` };
+}
+
+// Partial update: fields present in the body replace the stored ones
+function updateMetric(raw, key, body) {
+  getMetric(raw, key);
+  const next = clone(raw);
+  next.metrics[key] = { ...next.metrics[key], ...pick(body, METRIC_FIELDS) };
+  const fields = Object.keys(pick(body, METRIC_FIELDS));
+  return { raw: next, item: { key, ...next.metrics[key] }, summary: `Updated metric ${key} (${fields.join(', ') || 'no fields'})` };
+}
+
+function deleteMetric(raw, key) {
+  const item = getMetric(raw, key);
+  const next = clone(raw);
+  delete next.metrics[key];
+  return { raw: next, item, summary: `Removed metric ${key}` };
+}
+
+function listRules(raw) {
+  return raw.defaultFilters || [];
+}
+
+function ruleIndex(raw, id) {
+  const index = (raw.defaultFilters || []).findIndex(r => r.id === id);
+  if (index === -1) throw fail('NOT_FOUND', `Unknown rule ${id}`);
+  return index;
+}
+
+function createRule(raw, body) {
+  const id = requireString(body.id, 'id');
+  if ((raw.defaultFilters || []).some(r => r.id === id)) throw fail('CONFLICT', `Rule ${id} already exists`);
+  const next = clone(raw);
+  const rule = { appliesTo: 'always', ...pick(body, RULE_FIELDS), id };
+  next.defaultFilters = (next.defaultFilters || []).concat(rule);
+  return { raw: next, item: rule, summary: `Added rule ${id} (${rule.table}.${rule.column} = ${rule.value})` };
+}
+
+function updateRule(raw, id, body) {
+  const index = ruleIndex(raw, id);
+  const next = clone(raw);
+  const rule = { ...next.defaultFilters[index], ...pick(body, RULE_FIELDS), id };
+  next.defaultFilters[index] = rule;
+  return { raw: next, item: rule, summary: `Updated rule ${id} (${rule.table}.${rule.column} = ${rule.value})` };
+}
+
+function deleteRule(raw, id) {
+  const index = ruleIndex(raw, id);
+  const next = clone(raw);
+  const [rule] = next.defaultFilters.splice(index, 1);
+  return { raw: next, item: rule, summary: `Removed rule ${id}` };
+}
+
+module.exports = {
+  listSynonyms,
+  addSynonym,
+  removeSynonym,
+  listMetrics,
+  getMetric,
+  createMetric,
+  updateMetric,
+  deleteMetric,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -1,11 +1,31 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const helmet = require('helmet');
-const axios = require('axios');
 const sql = require('mssql');
-//const SQLGenerator = require('./sqlGenerator');
+const SQLGenerator = require('./sqlGenerator');
+const llmProviders = require('./llmProviders');
+const { buildSqlFromAnalysis, retargetDateColumns } = require('./sqlBuilder');
+const sqlValidator = require('./sqlValidator');
+const { applyBusinessRules, parameterizeLiterals, referencedParams } = require('./sqlRewriter');
+const dbPool = require('./dbPool');
+const healthChecks = require('./healthChecks');
+const { QuerySessionStore, isFollowUp, mergeFollowUp } = require('./querySessions');
+const semanticModel = require('./semanticModel');
+const semanticModelAdmin = require('./semanticModelAdmin');
+const { ValueDictionary } = require('./valueDictionary');
+const { PersonNameIndex } = require('./personNames');
+const joinGraph = require('./joinGraph');
+const { detectComparison, comparisonColumns } = require('./periodComparison');
+const { parseAsOf } = require('./calendar');
+const { parseDateExpression } = require('./dateExpressions');
+const { detectRanking, RANK_COLUMN } = require('./ranking');
+const { QueryCache } = require('./queryCache');
+const { SqlExampleStore } = require('./sqlExamples');
+const crypto = require('crypto');
 
 
 const app = express();
@@ -25,157 +45,156 @@ const dbConfig = {
   },
   port: parseInt(process.env.DB_PORT, 10)
 };
-
-// Schema configuration
-// Enhanced mappings for better detection
-const TABLE_MAPPINGS = {
-  'sales': {
-    table: 'SalesReport_Form_Input',
-    synonyms: ['sales', 'sale', 'sold', 'deal', 'deals', 'transaction', 'revenue', 'gross', 'purchase'],
-    description: 'Sales data including deals, costs, and dealership information',
-    // Specific patterns that indicate this table
-    patterns: [
-      /sales\s+by\s+/i,
-      /sales\s+for\s+/i,
-      /deals\s+by\s+/i,
-      /count\s+deals/i,
-      /count\s+sales/i
-    ]
-  },
-  'inventory': {
-    table: 'Common_Group_401_Vehicle_Inventory',
-    synonyms: ['inventory', 'stock', 'vehicles', 'available', 'on hand'],
-    description: 'Vehicle inventory data'
+// Shared pool (size / idle timeout from DB_POOL_* env, see dbPool.js)
+dbPool.configurePool(dbConfig);
+
+// Semantic layer: tables, metrics, dimensions, synonyms, default filters and ambiguous terms
+// (semanticModel.json or SEMANTIC_MODEL_PATH; validated here, hot-reloaded once the server listens)
+semanticModel.loadSemanticModel();
+
+// Distinct values of the model's valueColumns (dealer locations, makes, lead sources ...) and
+// personColumns (closers, lead owners ...), refreshed in the background so prompts can be matched to
+// the values actually stored
+const valueDictionary = new ValueDictionary({
+  columns: () => {
+    const model = semanticModel.getSemanticModel();
+    return model.valueColumns.concat(model.personColumns);
   },
-  'rvac': {
-    table: 'SaleWarranty_RVAC_CONTRACTS',
-    synonyms: ['rvac', 'warranty', 'contract', 'service contract', 'extended warranty'],
-    description: 'RVAC warranty contracts'
-  }
-};
+  getPool: () => dbPool.getPool(),
+  refreshMs: (parseInt(process.env.VALUE_DICTIONARY_REFRESH_MINUTES, 10) || 60) * 60 * 1000,
+  maxValues: parseInt(process.env.VALUE_DICTIONARY_MAX_VALUES, 10) || 500
+});
+// People behind the personColumns spellings (nicknames, typos, first names only)
+const personNames = new PersonNameIndex({
+  columns: () => semanticModel.getSemanticModel().personColumns,
+  valueDictionary
+});
 
-// Enhanced column mappings with better synonyms
-const COLUMN_MAPPINGS = {
-  'dealership': {
-    column: 'DEALER_LOCATION',
-    operator: '=',
-    synonyms: ['dealership', 'dealer', 'location', 'store', 'branch', 'by location', 'per location'],
-    patterns: [/by\s+location/i, /per\s+location/i, /location\s+wise/i]
-  },
-  'gross': {
-    column: 'TOTAL_COST',
-    function: 'SUM',
-    synonyms: ['gross', 'total cost', 'revenue', 'amount', 'price', 'cost', 'total', 'total gross'],
-    patterns: [/total\s+cost/i, /total\s+gross/i]
-  },
-  'front_gross': {
-    column: 'FRONT_COST',
-    function: 'SUM',
-    synonyms: ['front gross', 'front cost', 'front', 'front profit', 'front margin'],
-    patterns: [/front\s+gross/i, /front\s+cost/i]
-  },
-  'fi_gross': {
-    column: 'FI_COST',
-    function: 'SUM',
-    synonyms: ['fi gross', 'fi cost', 'finance income', 'fi income', 'finance gross', 'backend gross'],
-    patterns: [/fi\s+gross/i, /fi\s+cost/i, /finance\s+income/i]
-  },
-  'count': {
-    column: 'ID',
-    function: 'COUNT',
-    synonyms: ['count', 'number', 'how many', 'total deals', 'total sales'],
-    patterns: [/count/i, /number of/i, /how many/i]
-  },
-  'month': {
-    column: 'MONTH_REPORTED',
-    related: 'YEAR_REPORTED',
-    synonyms: ['month', 'monthly', 'last month', 'this month', 'mtd', 'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
-    patterns: [/(january|february|march|april|may|june|july|august|september|october|november|december)/i]
-  },
-  'year': {
-    column: 'YEAR_REPORTED',
-    synonyms: ['year', 'yearly', 'annual', 'last year', 'this year', 'ytd', 'year to date'],
-    patterns: [/\b(20\d{2})\b/, /\b(19\d{2})\b/, /year/i, /ytd/i, /annual/i]
-  },
-  'quarter': {
-    column: 'DATEPART(QUARTER, DATE_REPORTED)',
-    synonyms: ['quarter', 'quarterly', 'q1', 'q2', 'q3', 'q4'],
-    patterns: [/q[1-4]/i, /quarter/i, /quarterly/i]
-  },
-  'day': {
-    column: 'DATE_REPORTED',
-    synonyms: ['day', 'daily', 'today', 'yesterday', 'date', 'specific date', 'day before yesterday'],
-    patterns: [/today/i, /yesterday/i, /day before yesterday/i, /\b\w+\s+\d{1,2}(?:st|nd|rd|th)?,\s+\d{4}\b/i, /daily/i]
-  },
-  'week': {
-    column: 'DATE_REPORTED',
-    synonyms: ['week', 'weekly', 'this week', 'last week', 'week to date'],
-    patterns: [/week/i, /weekly/i]
-  }
-};
+// Below this table confidence (and with no sales metric detected) the prompt is too vague to query
+const CLARIFY_MIN_CONFIDENCE = parseFloat(process.env.CLARIFY_MIN_CONFIDENCE) || 0.3;
 
 // Brief schema description for the LLM
 const SCHEMA_DESCRIPTION = `
 Tables:
-- SalesReport_Form_Input: ID, LEAD_ID, LAST_NAME, FIRST_NAME, DIVISION, DEALER_LOCATION, STOCK, VEHICLE_TYPE, CAR_STATUS, MAKE_YEAR, MAKE, MODEL, TOTAL_COST, FRONT_COST, FI_COST, LEAD_SOURCE, LEAD_OWNER, CLOSER, DATE_REPORTED, YEAR_REPORTED, MONTH_REPORTED, SOLD_FROM, DATE_FUNDED, DATE_POSTED, DATE_RECEIVED, PBS_DATA, isCarryOver, isDeleted, isCounted, HasLien...
+- SalesReport_Form_Input: ID, LEAD_ID, LAST_NAME, FIRST_NAME, DIVISION, DEALER_LOCATION, STOCK, VEHICLE_TYPE, CAR_STATUS, MAKE_YEAR, MAKE, MODEL, TOTAL_COST, FRONT_COST, FI_COST, LEAD_SOURCE, LEAD_OWNER, CLOSER, BDC_Rep, DATE_REPORTED, YEAR_REPORTED, MONTH_REPORTED, SOLD_FROM, DATE_FUNDED, DATE_POSTED, DATE_RECEIVED, PBS_DATA, isCarryOver, isDeleted, isCounted, HasLien...
 - Common_Group_401_Vehicle_Inventory: ID, vId, VehicleId, StockNumber, VIN, VehicleType, VehicleTrim, VehicleStatus, VehicleMake, VehicleModel, VehicleYear, Inventory, TotalCost, Retail, isHold, isSold, isAvailable, DATE_CREATED, Odometer, Lot, IsCertified, isAvailable, MSR, BaseMSR, InternetPrice, ...
-- SaleWarranty_RVAC_CONTRACTS: WarrantyID, SalesRep, DealerLocation, VehicleCondition, FirstName, LastName, StockNumber, VIN, VehicleYear, Make, Model, VehiclePrice, Model_Type, WarantyPlan, WarrantyPrice, YEAR_REPORTED, MONTH_REPORTED, isDeleted, WarrantyCost, ...
+- SaleWarranty_RVAC_CONTRACTS: WarrantyID, SalesRep, DealerLocation, VehicleCondition, FirstName, LastName, StockNumber, VIN, VehicleYear, Make, Model, VehiclePrice, Model_Type, WarantyPlan, WarrantyTerm, WarrantyPrice, WarrantyCost, DATE_REPORTED, YEAR_REPORTED, MONTH_REPORTED, isDeleted, ...
+- SalesApp_LogInActivity: LogInActivityID, UserID, LogedIn, LogOut, IpLog, Device, IpLocation, Activity
 `;
 
-// Very conservative safety: permit only one SELECT/CTE statement (no semicolons, no DDL/DML)
-function isSafeSelect(sqlText) {
-  if (!sqlText) return false;
-  const lowered = sqlText.trim().toLowerCase();
+// Columns listed per table in SCHEMA_DESCRIPTION (used for the allowlist when the live schema lacks a table)
+function describedColumns() {
+  const columns = {};
+  for (const line of SCHEMA_DESCRIPTION.split('\n')) {
+    const m = line.match(/^-\s*(\w+):\s*(.*)$/);
+    if (!m) continue;
+    columns[m[1]] = m[2].split(',')
+      .map(c => c.trim().replace(/\.+$/, ''))
+      .filter(c => /^[A-Za-z_]\w*$/.test(c));
+  }
+  return columns;
+}
+
+// Allowlist for the AST validator: semantic-model tables with their columns from the schema
+async function getSqlAllowlist() {
+  const schema = (await sqlGenerator.getSchema()) || {};
+  const described = describedColumns();
+  const tables = {};
+  for (const config of Object.values(semanticModel.getSemanticModel().tables)) {
+    const schemaTable = Object.keys(schema).find(t => t.toUpperCase() === config.table.toUpperCase());
+    tables[config.table] = [
+      ...(schemaTable ? schema[schemaTable].map(c => c.column) : []),
+      ...(described[config.table] || [])
+    ];
+  }
+  return sqlValidator.buildAllowlist({ tables, joins: semanticModel.getSemanticModel().joins, hiddenColumns: hiddenColumns() });
+}
+
+// { COLUMN: data_type } of the semantic-model tables' columns from the live schema; a column that is
+// text in any of them counts as text, so date-shaped literals compared with it stay strings
+async function getColumnTypes() {
+  const schema = (await sqlGenerator.getSchema()) || {};
+  const tables = new Set(Object.values(semanticModel.getSemanticModel().tables).map(t => t.table.toUpperCase()));
+  const types = {};
+  for (const [table, columns] of Object.entries(schema)) {
+    if (!tables.has(table.toUpperCase())) continue;
+    for (const { column, data_type: type } of columns) {
+      const key = column.toUpperCase();
+      if (!types[key] || /char|text/i.test(type)) types[key] = type;
+    }
+  }
+  return types;
+}
 
-  // Allow trailing semicolon but not multiple statements
-  const semicolonCount = (lowered.match(/;/g) || []).length;
-  if (semicolonCount > 1 || (semicolonCount === 1 && !lowered.endsWith(';'))) return false;
+// { TableName: [columns] } the LLM never sees and generated SQL may never read (login tokens)
+function hiddenColumns() {
+  const hidden = {};
+  for (const config of Object.values(semanticModel.getSemanticModel().tables)) {
+    if (config.hiddenColumns) hidden[config.table] = config.hiddenColumns;
+  }
+  return hidden;
+}
 
-  if (!(lowered.startsWith('select') || lowered.startsWith('with'))) return false;
+// Single SELECT/CTE over allowlisted tables, columns and functions; returns { ok, reason }. params: the
+// bound parameter names, once known
+async function validateGeneratedSql(sqlText, params) {
+  return sqlValidator.validateSql(sqlText, await getSqlAllowlist(), { params });
+}
 
-  const forbidden = [
-    'insert ', 'update ', 'delete ', 'drop ', 'alter ',
-    'create ', 'truncate ', 'exec ', 'merge ', 'grant ', 'revoke '
-  ];
-  for (const kw of forbidden) {
-    if (lowered.includes(kw)) return false;
+// Run a query with typed inputs ({ name: { type, value } }, type = mssql type name such as 'NVarChar')
+async function executeQuery(sqlText, params = {}) {
+  const pool = await dbPool.getPool();
+  const request = pool.request();
+  for (const [name, p] of Object.entries(params)) {
+    const value = p.type === 'Date' ? new Date(`${p.value}T00:00:00Z`) : p.value;
+    request.input(name, sql[p.type], value);
   }
-  return true;
+  return request.query(sqlText);
 }
 
-async function callGroqChat(messages, model) {
-  // Groq OpenAI-compatible endpoint
-
-  const endpoint = 'https://api.groq.com/openai/v1/chat/completions';
-  const apiKey = process.env.GROQ_API_KEY;
-  if (!apiKey) throw new Error('GROQ_API_KEY not set in .env');
-  const payload = {
-    model: model || process.env.GROQ_MODEL || "openai/gpt-oss-20b", //model || process.env.GROQ_MODEL || "openai/gpt-oss-20b",
-    messages,
-    max_tokens: 800,
-    temperature: 0.0
-  };
-  console.log({payload : payload, apiKey : apiKey, messages : JSON.stringify(messages)});
-  const resp = await axios.post(endpoint, payload, {
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    timeout: 60_000
+// Chat completion through the provider configured for the route (see llmProviders.js)
+async function callLlmChat(messages, options = {}) {
+  const { route = 'query', provider, model, temperature = 0.0, maxTokens = 800 } = options;
+  const resolved = llmProviders.resolveForRoute(route, { provider, model });
+  return resolved.provider.chat(messages, {
+    model: resolved.model,
+    temperature,
+    maxTokens
   });
-  return resp.data;
+}
+
+// The request's LLM { provider, model } when LLM_REQUEST_PROVIDERS / LLM_REQUEST_MODELS allow them (see
+// llmProviders.js); otherwise answers 400 and returns null
+function llmOverrides(body, res) {
+  try {
+    return llmProviders.requestOverrides(body);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+    return null;
+  }
 }
 
 // Helper function to analyze user prompt
-// Enhanced prompt analysis with better date parsing
-function analyzeUserPrompt(prompt) {
+// Enhanced prompt analysis with better date parsing; options.asOf (Date) replaces today for relative dates
+function analyzeUserPrompt(prompt, options = {}) {
   const promptLower = prompt.toLowerCase();
+  const model = semanticModel.getSemanticModel();
   
+  // Stored values named in the prompt ("the Red Deer store", "Jayco units") and people ("did Mike close")
+  const valueMatches = valueDictionary.resolve(prompt, { columns: model.valueColumns });
+  const personMatches = personNames.resolve(prompt, { exclude: valueMatches.map(m => m.mention) });
+
   // Detect primary table with pattern matching
   let detectedTable = { table: 'SalesReport_Form_Input', confidence: 0.5, key: 'sales' };
+  const tableCandidates = [];
   
-  for (const [key, config] of Object.entries(TABLE_MAPPINGS)) {
+  for (const [key, config] of Object.entries(model.tables)) {
     let confidence = 0;
+
+    // The table named outright (e.g. a clarification choice) beats any synonym
+    if (promptLower.includes(config.table.toLowerCase())) {
+      confidence += 1;
+    }
     
     // Check synonyms
     config.synonyms.forEach(syn => {
@@ -192,7 +211,16 @@ function analyzeUserPrompt(prompt) {
         }
       });
     }
+
+    // A value or person that only this table stores (a make, a lot, a warranty rep ...)
+    if (valueMatches.concat(personMatches).some(m => m.table === config.table)) {
+      confidence += 0.3;
+    }
     
+    if (confidence > 0) {
+      tableCandidates.push({ key, table: config.table, confidence });
+    }
+
     if (confidence > detectedTable.confidence) {
       detectedTable = { 
         table: config.table, 
@@ -205,8 +233,23 @@ function analyzeUserPrompt(prompt) {
   // Enhanced filter detection with patterns
   const filters = [];
   const aggregates = [];
+  const matchedText = new Map(); // aggregate -> prompt text that selected it
+  // A dimension the primary table stores under its own name (rvac DealerLocation) filters that column
+  const conceptFilter = (key, config, value) => {
+    const ownColumn = config.columns && config.columns[detectedTable.table];
+    return {
+      column: ownColumn || config.column,
+      concept: key,
+      value: config.value !== undefined ? config.value : config.condition ? null : value,
+      isAggregate: config.kind === 'metric',
+      timeConcept: !!config.timeConcept,
+      condition: config.condition,
+      table: ownColumn ? detectedTable.table : model.tables[config.table] ? model.tables[config.table].table : null,
+      crossTable: !!config.crossTable
+    };
+  };
   
-  for (const [key, config] of Object.entries(COLUMN_MAPPINGS)) {
+  for (const [key, config] of Object.entries(model.columns)) {
     let detected = false;
     
     // Check patterns first (more specific)
@@ -217,19 +260,12 @@ function analyzeUserPrompt(prompt) {
           detected = true;
           const value = extractValueFromPrompt(prompt, config.synonyms[0], match[0]);
           
-          filters.push({
-            column: config.column,
-            concept: key,
-            value: value,
-            isAggregate: !!config.function
-          });
+          filters.push(conceptFilter(key, config, value));
           
-          if (config.function) {
-            aggregates.push({
-              column: config.column,
-              function: config.function,
-              alias: getAggregateAlias(key)
-            });
+          if (config.kind === 'metric') {
+            const agg = metricAggregate(key, config);
+            matchedText.set(agg, match[0].toLowerCase());
+            aggregates.push(agg);
           }
         }
       });
@@ -241,19 +277,12 @@ function analyzeUserPrompt(prompt) {
         if (promptLower.includes(syn.toLowerCase())) {
           const value = extractValueFromPrompt(prompt, syn);
           
-          filters.push({
-            column: config.column,
-            concept: key,
-            value: value,
-            isAggregate: !!config.function
-          });
+          filters.push(conceptFilter(key, config, value));
           
-          if (config.function) {
-            aggregates.push({
-              column: config.column,
-              function: config.function,
-              alias: getAggregateAlias(key)
-            });
+          if (config.kind === 'metric') {
+            const agg = metricAggregate(key, config);
+            matchedText.set(agg, syn.toLowerCase());
+            aggregates.push(agg);
           }
           break;
         }
@@ -261,257 +290,348 @@ function analyzeUserPrompt(prompt) {
     }
   }
   
+  // "admin gross" also contains the "gross" synonym: drop metrics matched only inside another's phrase
+  const distinctAggregates = aggregates.filter((agg, i) => {
+    const text = matchedText.get(agg);
+    if (aggregates.findIndex(a => a.alias === agg.alias) !== i) return false;
+    return !aggregates.some(other => {
+      const otherText = matchedText.get(other);
+      return other !== agg && otherText.length > text.length && otherText.includes(text);
+    });
+  });
+  aggregates.splice(0, aggregates.length, ...distinctAggregates);
+
   // Special handling for "count" - check if it's mentioned independently
   if (promptLower.includes('count') && !aggregates.some(a => a.function === 'COUNT')) {
-    aggregates.push({
-      column: 'ID',
-      function: 'COUNT',
-      alias: 'TotalDeals'
-    });
+    aggregates.push(model.columns.count
+      ? metricAggregate('count', model.columns.count)
+      : { column: 'ID', function: 'COUNT', alias: 'TotalDeals' });
+  }
+
+  // "How many" about warranty contracts counts contracts, not deals
+  const countMetricKey = model.tables[detectedTable.key] && model.tables[detectedTable.key].countMetric;
+  const otherCounts = countMetricKey ? aggregates.filter(a => a.function === 'COUNT' && a.table !== detectedTable.table) : [];
+  if (otherCounts.length > 0) {
+    const counted = metricAggregate(countMetricKey, model.columns[countMetricKey]);
+    aggregates.splice(0, aggregates.length, ...aggregates.filter(a => !otherCounts.includes(a)));
+    if (!aggregates.some(a => a.alias === counted.alias)) aggregates.push(counted);
   }
   
-  // Enhanced date/time detection
-  const timeRange = detectTimeRangeEnhanced(prompt);
+  // Resolved values replace whatever the keyword heuristics extracted for the same column
+  const resolvedValues = valueMatches.filter(m => m.table === detectedTable.table);
+  const resolvedPeople = personMatches.filter(m => m.table === detectedTable.table);
+  for (let i = filters.length - 1; i >= 0; i--) {
+    if (resolvedValues.concat(resolvedPeople).some(m => m.column === filters[i].column)) filters.splice(i, 1);
+  }
+  for (const m of resolvedValues) {
+    filters.push({
+      column: m.column,
+      concept: 'value',
+      value: m.value,
+      mention: m.mention,
+      isAggregate: false,
+      resolved: true,
+      alternatives: m.alternatives
+    });
+  }
+  // Every stored spelling of the person is matched (CLOSER IN ('Mike Smith', 'Smith, Mike'))
+  for (const m of resolvedPeople) {
+    filters.push({
+      column: m.column,
+      concept: 'person',
+      role: m.role,
+      value: m.person.name,
+      values: m.person.values,
+      mention: m.mention,
+      isAggregate: false,
+      resolved: true,
+      candidates: m.candidates
+    });
+  }
+
+  // Enhanced date/time detection in the table's calendar; tables with one datetime column (logins) get
+  // conditions on it. A comparison ("this month vs last month") reads rows of both periods
+  const tableConfig = model.tables[detectedTable.key];
+  const dateColumn = tableConfig && tableConfig.dateColumn;
+  const calendar = model.calendar.forTable(tableConfig).on(options.asOf);
+  let comparison = detectComparison(prompt, calendar);
+  let timeRange = comparison ? comparisonTimeRange(comparison) : detectTimeRangeEnhanced(prompt, calendar);
+  // "Feb 30", a range that ends before it starts: asked about (findClarification), never narrowed
+  const invalidDate = timeRange && timeRange.invalid ? timeRange : null;
+  if (invalidDate) timeRange = null;
+  // A second dimension ("by location and month") groups within the first
+  let groupBy = detectGroupBy(prompt, detectedTable.table);
+  let thenBy = groupBy ? detectGroupBy(prompt, detectedTable.table, [groupBy]) : null;
+  if (dateColumn) {
+    const retarget = (period) => ({ ...period, sqlCondition: retargetDateColumns(period.sqlCondition, dateColumn) });
+    if (comparison) comparison = { ...comparison, current: retarget(comparison.current), prior: retarget(comparison.prior) };
+    if (timeRange) timeRange = retarget(timeRange);
+    if (groupBy) groupBy = retargetDateColumns(groupBy, dateColumn);
+    if (thenBy) thenBy = retargetDateColumns(thenBy, dateColumn);
+  }
+  // Ranking ("top 5 closers by front gross"): the ranked dimension is the grouping, and any other grouping
+  // ("per location") is the one ranks restart within
+  let ranking = detectRanking(prompt, rankingDimensions(detectedTable.table), groupBy);
+  if (ranking && ranking.column) {
+    ranking = { ...ranking, partitionBy: groupBy && groupBy !== ranking.column ? groupBy : null };
+    groupBy = ranking.column;
+    if (thenBy === ranking.column || thenBy === ranking.partitionBy) thenBy = null;
+  }
+  const { joins, unreachable } = planJoins(detectedTable.table, aggregates, filters, groupBy, thenBy);
   
   // Check for "table format" - this is a presentation hint, not a filter
   const requiresTableFormat = /table\s+format|tabular|grid|spreadsheet/i.test(prompt);
   
   return {
     table: detectedTable,
+    tableCandidates: tableCandidates.sort((a, b) => b.confidence - a.confidence),
     filters: filters.filter(f => !f.isAggregate), // Separate aggregates from filters
     aggregates,
     timeRange,
+    invalidDate,
+    comparison,
+    ranking,
+    asOf: calendar.today().toISOString().slice(0, 10),
+    joins,
+    unreachableTables: unreachable,
     presentation: {
       format: requiresTableFormat ? 'table' : 'default',
-      groupBy: detectGroupBy(prompt)
+      groupBy,
+      thenBy
     }
   };
 }
 
-// Enhanced date detection
-function detectTimeRangeEnhanced(prompt) {
-  const patterns = [
-    { 
-      regex: /(\d{4})\s+(january|february|march|april|may|june|july|august|september|october|november|december)/i,
-      type: 'specific_month_year',
-      handler: (match) => ({
-        year: match[1],
-        month: match[2].toLowerCase(),
-        sqlCondition: `MONTH_REPORTED = '${match[2].charAt(0).toUpperCase() + match[2].slice(1).toLowerCase()}' AND YEAR_REPORTED = '${match[1]}'`
-      })
-    },
-    { 
-      regex: /(last|this|next)\s+month/i,
-      type: 'relative_month',
-      handler: (match) => {
-        const month = match[1].toLowerCase();
-        return {
-          relative: month,
-          sqlCondition: month === 'last' 
-            ? `MONTH_REPORTED = DATENAME(MONTH, DATEADD(MONTH, -1, GETDATE())) AND YEAR_REPORTED = YEAR(DATEADD(MONTH, -1, GETDATE()))`
-            : `MONTH_REPORTED = DATENAME(MONTH, GETDATE()) AND YEAR_REPORTED = YEAR(GETDATE())`
-        };
-      }
-    },
-    { 
-      regex: /\b(20\d{2})\b/,
-      type: 'specific_year',
-      handler: (match) => ({
-        year: match[0],
-        sqlCondition: `YEAR_REPORTED = '${match[0]}'`
-      })
-    },
-    { 
-      regex: /q([1-4])\s+(\d{4})/i,
-      type: 'quarter_year',
-      handler: (match) => ({
-        quarter: match[1],
-        year: match[2],
-        sqlCondition: `DATEPART(QUARTER, DATE_REPORTED) = ${match[1]} AND YEAR(DATE_REPORTED) = ${match[2]}`
-      })
-    },
-    // Specific date (e.g., "January 9, 2026")
-    {
-      regex: /(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{1,2})(?:st|nd|rd|th)?,\s+(\d{4})/i,
-      type: 'specific_date',
-      handler: (match) => {
-        const monthNum = new Date(`${match[1]} 1`).getMonth() + 1;
-        const day = parseInt(match[2], 10);
-        const year = match[3];
-        const dateStr = `${year}-${monthNum.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
-        return {
-          date: dateStr,
-          sqlCondition: `CAST(DATE_REPORTED AS DATE) = '${dateStr}'`
-        };
-      }
-    },
-    // Year to date (YTD)
-    {
-      regex: /(ytd|year to date|this year so far)/i,
-      type: 'ytd',
-      handler: () => ({
-        sqlCondition: `DATE_REPORTED >= DATEFROMPARTS(YEAR(GETDATE()), 1, 1) AND DATE_REPORTED <= GETDATE()`
-      })
-    },
-    // Month to date (MTD)
-    {
-      regex: /(mtd|month to date|this month so far)/i,
-      type: 'mtd',
-      handler: () => ({
-        sqlCondition: `DATE_REPORTED >= DATEFROMPARTS(YEAR(GETDATE()), MONTH(GETDATE()), 1) AND DATE_REPORTED <= GETDATE()`
-      })
-    },
-    // Relative years (last/this/next year)
-    {
-      regex: /(last|this|next)\s+year/i,
-      type: 'relative_year',
-      handler: (match) => {
-        const rel = match[1].toLowerCase();
-        let offset = rel === 'last' ? -1 : rel === 'next' ? 1 : 0;
-        return {
-          relative: rel,
-          sqlCondition: `YEAR_REPORTED = YEAR(DATEADD(YEAR, ${offset}, GETDATE()))`
-        };
-      }
-    },
-     // Relative quarters (last/this quarter)
-    {
-      regex: /(last|this)\s+quarter/i,
-      type: 'relative_quarter',
-      handler: (match) => {
-        const rel = match[1].toLowerCase();
-        let offset = rel === 'last' ? -1 : 0;
-        return {
-          relative: rel,
-          sqlCondition: `DATEPART(QUARTER, DATE_REPORTED) = DATEPART(QUARTER, DATEADD(QUARTER, ${offset}, GETDATE())) AND YEAR(DATE_REPORTED) = YEAR(DATEADD(QUARTER, ${offset}, GETDATE()))`
-        };
-      }
-    },
-    // Today
-    {
-      regex: /today/i,
-      type: 'today',
-      handler: () => ({
-        sqlCondition: `CAST(DATE_REPORTED AS DATE) = CAST(GETDATE() AS DATE)`
-      })
-    },
-    // Yesterday
-    {
-      regex: /yesterday/i,
-      type: 'yesterday',
-      handler: () => ({
-        sqlCondition: `CAST(DATE_REPORTED AS DATE) = CAST(DATEADD(DAY, -1, GETDATE()) AS DATE)`
-      })
-    },
-    // Day before yesterday
-    {
-      regex: /day before yesterday/i,
-      type: 'day_before_yesterday',
-      handler: () => ({
-        sqlCondition: `CAST(DATE_REPORTED AS DATE) = CAST(DATEADD(DAY, -2, GETDATE()) AS DATE)`
-      })
-    },
-    // This week
-    {
-      regex: /this week/i,
-      type: 'this_week',
-      handler: () => ({
-        sqlCondition: `DATE_REPORTED >= DATEADD(DAY, 1 - DATEPART(WEEKDAY, GETDATE()), CAST(GETDATE() AS DATE)) AND DATE_REPORTED < DATEADD(DAY, 8 - DATEPART(WEEKDAY, GETDATE()), CAST(GETDATE() AS DATE))`
-      })
-    },
-    // Last week
-    {
-      regex: /last week/i,
-      type: 'last_week',
-      handler: () => ({
-        sqlCondition: `DATE_REPORTED >= DATEADD(DAY, 1 - DATEPART(WEEKDAY, DATEADD(DAY, -7, GETDATE())), CAST(DATEADD(DAY, -7, GETDATE()) AS DATE)) AND DATE_REPORTED < DATEADD(DAY, 8 - DATEPART(WEEKDAY, DATEADD(DAY, -7, GETDATE())), CAST(DATEADD(DAY, -7, GETDATE()) AS DATE))`
-      })
-    },
-    // Last 7 days
-    {
-      regex: /last 7 days|past week/i,
-      type: 'last_7_days',
-      handler: () => ({
-        sqlCondition: `DATE_REPORTED >= DATEADD(DAY, -7, GETDATE()) AND DATE_REPORTED < GETDATE()`
-      })
-    },
-    // Last 30 days
-    {
-      regex: /last 30 days|past month/i,
-      type: 'last_30_days',
-      handler: () => ({
-        sqlCondition: `DATE_REPORTED >= DATEADD(DAY, -30, GETDATE()) AND DATE_REPORTED < GETDATE()`
-      })
-    },
-    // Custom range (e.g., "from January 1 to January 15 2026" - basic parsing)
-    {
-      regex: /from\s+(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{1,2})(?:st|nd|rd|th)?\s+to\s+(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{1,2})(?:st|nd|rd|th)?\s+(\d{4})/i,
-      type: 'custom_range',
-      handler: (match) => {
-        const startMonthNum = new Date(`${match[1]} 1`).getMonth() + 1;
-        const startDay = parseInt(match[2], 10);
-        const endMonthNum = new Date(`${match[3]} 1`).getMonth() + 1;
-        const endDay = parseInt(match[4], 10);
-        const year = match[5];
-        const startDate = `${year}-${startMonthNum.toString().padStart(2, '0')}-${startDay.toString().padStart(2, '0')}`;
-        const endDate = `${year}-${endMonthNum.toString().padStart(2, '0')}-${endDay.toString().padStart(2, '0')}`;
-        return {
-          start: startDate,
-          end: endDate,
-          sqlCondition: `CAST(DATE_REPORTED AS DATE) BETWEEN '${startDate}' AND '${endDate}'`
-        };
-      }
-    }
-  ];
-  
-  for (const pattern of patterns) {
-    const match = prompt.match(pattern.regex);
-    if (match) {
-      return pattern.handler(match);
+// Clarified prompt for a choice: names the table outright so analyzeUserPrompt resolves it
+function clarifiedPrompt(prompt, tableKey, term, replacement) {
+  const text = term ? prompt.replace(term.pattern, replacement) : prompt;
+  return `${text} (from ${semanticModel.getSemanticModel().tables[tableKey].table})`;
+}
+
+// One choice per table (all semantic-model tables unless keys are given)
+function tableChoices(prompt, keys) {
+  const { tables } = semanticModel.getSemanticModel();
+  return (keys || Object.keys(tables)).map(key => ({
+    id: key,
+    label: tables[key].description,
+    prompt: clarifiedPrompt(prompt, key)
+  }));
+}
+
+/**
+ * Decide whether a prompt needs a clarifying question instead of a query.
+ * @param {string} prompt
+ * @param {Object} analysis - analyzeUserPrompt result
+ * @returns {{ reason: string, question: string, choices: Array<{ id, label, prompt }> } | null}
+ *   reason: 'invalid_date' | 'ambiguous_term' | 'ambiguous_value' | 'ambiguous_person' | 'ambiguous_table' |
+ *   'low_confidence'
+ */
+function findClarification(prompt, analysis) {
+  // A date that names no real range ("since 2026-02-30", a range written back to front)
+  const date = analysis.invalidDate;
+  if (date) {
+    return {
+      reason: 'invalid_date',
+      question: `${date.invalid} Which dates do you mean?`,
+      choices: date.suggestion
+        ? [{ id: 'suggested', label: date.suggestion, prompt: prompt.replace(date.text, date.suggestion) }]
+        : []
+    };
+  }
+
+  const candidates = analysis.tableCandidates || [];
+
+  // A word such as "cost" with no table to pin it down
+  if (candidates.length === 0) {
+    const term = semanticModel.getSemanticModel().ambiguousTerms.find(t => t.pattern.test(prompt) && !t.resolvedBy.test(prompt));
+    if (term) {
+      return {
+        reason: 'ambiguous_term',
+        term: term.id,
+        question: term.question,
+        choices: term.choices.map(c => ({
+          id: c.id,
+          label: c.label,
+          prompt: clarifiedPrompt(prompt, c.table, term, c.replacement)
+        }))
+      };
     }
   }
-  
+
+  // A mention that fits several stored values equally ("red deer" for Red Deer North and Red Deer South)
+  const unsure = analysis.filters.find(f => f.resolved && f.alternatives && f.alternatives.length > 0);
+  if (unsure) {
+    return {
+      reason: 'ambiguous_value',
+      question: `Which ${unsure.column} do you mean by "${unsure.mention}"?`,
+      choices: [unsure.value, ...unsure.alternatives].map(value => ({
+        id: value,
+        label: value,
+        prompt: prompt.replace(new RegExp(unsure.mention.split(' ').join('\\W+'), 'i'), `"${value}"`)
+      }))
+    };
+  }
+
+  // A name several people share ("Mike": Mike Smith, Michael Jones)
+  const person = analysis.filters.find(f => f.concept === 'person' && f.candidates && f.candidates.length > 1);
+  if (person) {
+    return {
+      reason: 'ambiguous_person',
+      question: `Which ${person.role} do you mean by "${person.mention}"?`,
+      choices: person.candidates.map(c => ({
+        id: c.name,
+        label: `${c.name} (${c.count} ${c.count === 1 ? 'row' : 'rows'})`,
+        prompt: prompt.replace(person.mention, c.name)
+      }))
+    };
+  }
+
+  // Several tables matched equally well
+  const tied = candidates.filter(c => c.confidence === (candidates[0] && candidates[0].confidence));
+  if (tied.length > 1) {
+    return {
+      reason: 'ambiguous_table',
+      question: 'Your question matches more than one dataset. Which one do you mean?',
+      choices: tableChoices(prompt, tied.map(c => c.key))
+    };
+  }
+
+  // Nothing recognisable: no table, metric, filter or grouping
+  const confidence = candidates.length > 0 ? candidates[0].confidence : 0;
+  if (confidence < CLARIFY_MIN_CONFIDENCE && analysis.aggregates.length === 0 &&
+      analysis.filters.length === 0 && !analysis.presentation.groupBy) {
+    return {
+      reason: 'low_confidence',
+      question: 'I could not tell which data you are asking about. Which dataset should I use?',
+      choices: tableChoices(prompt)
+    };
+  }
   return null;
 }
 
-// Helper for aggregate aliases
-function getAggregateAlias(concept) {
-  const aliases = {
-    'count': 'TotalDeals',
-    'gross': 'TotalGross',
-    'front_gross': 'FrontGross',
-    'fi_gross': 'FIGross',
-    'total_cost': 'TotalCost'
+// Time range covering both periods of a comparison
+function comparisonTimeRange(comparison) {
+  const { current, prior } = comparison;
+  return {
+    type: 'comparison',
+    text: comparison.text,
+    start: prior.start < current.start ? prior.start : current.start,
+    end: prior.end > current.end ? prior.end : current.end,
+    sqlCondition: `(${comparison.current.sqlCondition}) OR (${comparison.prior.sqlCondition})`,
+    params: { ...comparison.current.params, ...comparison.prior.params }
   };
-  return aliases[concept] || concept.charAt(0).toUpperCase() + concept.slice(1);
 }
 
-// Helper to detect GROUP BY requirements
-function detectGroupBy(prompt) {
-  const promptLower = prompt.toLowerCase();
-  const groupPatterns = [
-    { pattern: /by\s+location/i, column: 'DEALER_LOCATION' },
-    { pattern: /by\s+month/i, column: 'MONTH_REPORTED' },
-    { pattern: /by\s+year/i, column: 'YEAR_REPORTED' },
-    { pattern: /by\s+dealer/i, column: 'DEALER_LOCATION' },
-    { pattern: /per\s+location/i, column: 'DEALER_LOCATION' },
-    { pattern: /by\s+quarter/i, column: 'DATEPART(QUARTER, DATE_REPORTED)' },
-    { pattern: /by\s+week/i, column: 'DATEPART(WEEK, DATE_REPORTED)' },
-    { pattern: /by\s+day/i, column: 'CAST(DATE_REPORTED AS DATE)' }
-  ];
-  
-  for (const gp of groupPatterns) {
-    if (gp.pattern.test(promptLower)) {
-      return gp.column;
-    }
+// Date expression of the prompt (dateExpressions.js) as a normalized { start, end } range (end exclusive)
+// and its SQL condition; relative periods are resolved by the reporting calendar (calendar.js) against
+// today in the business time zone or the request's asOf date. An expression naming no real range comes
+// back as { type, text, invalid, suggestion }
+function detectTimeRangeEnhanced(prompt, calendar = semanticModel.getSemanticModel().calendar) {
+  const expression = parseDateExpression(prompt, calendar);
+  if (!expression) return null;
+  if (expression.invalid) return expression;
+  return {
+    type: expression.type,
+    text: expression.text,
+    ...calendar.range(expression.period),
+    ...calendar.condition(expression.period)
+  };
+}
+
+// Aggregate for a semantic-model metric; alias, display format and varchar-number handling come from the model
+function metricAggregate(key, metric) {
+  const model = semanticModel.getSemanticModel();
+  const table = model.tables[metric.table];
+  // Derived metric: both operands are aggregated on their own table, then combined
+  if (metric.formula) {
+    return {
+      table: table ? table.table : null,
+      column: null,
+      function: null,
+      alias: metric.alias,
+      formula: {
+        op: metric.formula.op,
+        parts: metric.formula.metrics.map(k => metricAggregate(k, model.columns[k]))
+      },
+      format: metric.format || null
+    };
   }
-  
-  // Default group by for "by location" queries
-  if (promptLower.includes('by location') || promptLower.includes('per location')) {
-    return 'DEALER_LOCATION';
+  return {
+    table: table ? table.table : null,
+    column: metric.column,
+    function: metric.function,
+    alias: metric.alias || key.charAt(0).toUpperCase() + key.slice(1),
+    numericText: !!metric.numericText,
+    format: metric.format || null
+  };
+}
+
+/**
+ * Other tables a question needs (their metric, or a column only they have, e.g. inventory IsCertified
+ * for "front gross on certified units") and the declared joins that reach them from the primary table.
+ */
+function planJoins(primaryTable, aggregates, filters, groupBy, thenBy = null) {
+  const model = semanticModel.getSemanticModel();
+  const needed = new Set([primaryTable]);
+  aggregates.forEach(a => a.table && needed.add(a.table));
+  filters.filter(f => f.crossTable && !f.isAggregate).forEach(f => needed.add(f.table));
+  for (const column of [groupBy, thenBy]) {
+    const groupByDimension = model.groupBy.find(g => g.column === column);
+    if (groupByDimension && groupByDimension.crossTable) needed.add(groupByDimension.table);
   }
-  
-  return null;
+  return joinGraph.joinPathFor(model.joins, primaryTable, needed);
+}
+
+// "by location and month" -> "by location and by month", so each dimension's "by ..." pattern matches
+const GROUPING_LIST = /\b(by|per)\s+(\w+(?:\s+\w+)?)\s*(?:,|&|\band\b)\s*(?!by\b|per\b)(?=\w)/gi;
+
+// Helper to detect GROUP BY requirements (dimension groupBy patterns in the semantic model), named as
+// the primary table stores the column. Only dimensions the primary table can group by count: its own,
+// time, cross-table ones and those it stores under another name. exclude: columns already grouped by
+function detectGroupBy(prompt, tableName, exclude = []) {
+  const text = prompt.replace(GROUPING_LIST, '$1 $2 and $1 ');
+  const column = (gp) => gp.columns[tableName] || gp.column;
+  const match = semanticModel.getSemanticModel().groupBy.find(gp =>
+    (gp.table === tableName || gp.timeConcept || gp.crossTable || gp.columns[tableName]) &&
+    !exclude.includes(column(gp)) && gp.pattern.test(text));
+  return match ? column(match) : null;
+}
+
+// Dimensions a ranking can name ("closers", "locations"): the non-time ones detectGroupBy accepts, named as
+// the primary table stores the column
+function rankingDimensions(tableName) {
+  const dimensions = new Map();
+  for (const gp of semanticModel.getSemanticModel().groupBy) {
+    if (gp.timeConcept || !(gp.table === tableName || gp.crossTable || gp.columns[tableName])) continue;
+    const column = gp.columns[tableName] || gp.column;
+    if (!dimensions.has(column)) dimensions.set(column, { column, synonyms: gp.synonyms });
+  }
+  return [...dimensions.values()];
+}
+
+// "SUM(FRONT_COST)", "COUNT(DISTINCT UserID)"
+function aggregateCall(fn, column) {
+  return fn === 'COUNT_DISTINCT' ? `COUNT(DISTINCT ${column})` : `${fn}(${column})`;
+}
+
+// "SUM(FRONT_COST) AS FrontGross"; a formula lists its operands, qualified when they use another table
+function describeAggregate(agg) {
+  if (!agg.formula) return `${aggregateCall(agg.function, agg.column)} AS ${agg.alias}`;
+  const operand = (part) => aggregateCall(part.function, `${part.table !== agg.table ? `${part.table}.` : ''}${part.column}`);
+  return `${agg.formula.parts.map(operand).join(` ${agg.formula.op} `)} AS ${agg.alias}`;
+}
+
+// Right-hand side of a COLUMN MAPPING line in the system prompt
+function describeMapping(key, config) {
+  if (config.formula) {
+    const parts = metricAggregate(key, config).formula.parts.map(p => p.alias).join(` ${config.formula.op} `);
+    return `${parts} (alias ${config.alias}${config.description ? `; ${config.description}` : ''})`;
+  }
+  if (config.condition) return `${config.condition} (${config.description || 'use as the filter'})`;
+  const elsewhere = Object.entries(config.columns || {}).map(([table, column]) => `${column} in ${table}`);
+  return `${config.column}${elsewhere.length > 0 ? ` (${elsewhere.join(', ')})` : ''}` +
+    `${config.function ? ` (use ${aggregateCall(config.function, config.column)}, alias ${config.alias})` : ''}` +
+    `${config.function && config.description ? ` (${config.description})` : ''}`;
 }
 
 
@@ -562,162 +682,270 @@ function extractValueFromPrompt(prompt, keyword, matchedPattern = null) {
   return null;
 }
 
-// Helper function to detect time range
-function detectTimeRange(prompt) {
-  const promptLower = prompt.toLowerCase();
-  
-  const timePatterns = [
-    { pattern: /last\s+(\d+)\s+months?/, type: 'months_ago' },
-    { pattern: /last\s+(\d+)\s+years?/, type: 'years_ago' },
-    { pattern: /this\s+month/, type: 'current_month' },
-    { pattern: /this\s+year/, type: 'current_year' },
-    { pattern: /q(\d)/, type: 'quarter' },
-    { pattern: /(\d{4})/, type: 'specific_year' }
-  ];
-  
-  for (const pattern of timePatterns) {
-    const match = promptLower.match(pattern.pattern);
-    if (match) {
-      return { type: pattern.type, value: match[1] || null };
-    }
-  }
-  
-  return null;
-}
-
-// Helper function for query structure rules
-function getQueryStructureRules(tableName) {
+// Query structure rules for the system prompt; the table's business rules (semantic model) open its WHERE
+function getQueryStructureRules(tableName, rules) {
+  const own = rules.filter(r => r.table === tableName);
+  const always = own.filter(r => r.appliesTo === 'always').map(r => semanticModel.rulePredicate(r));
+  const counted = own.filter(r => r.appliesTo === 'count').map(r => semanticModel.rulePredicate(r));
+  const tableRules = [
+    always.length > 0 ? `\n   - Always start with: WHERE ${always.join(' AND ')}` : '',
+    counted.length > 0 ? `\n   - Add ${counted.join(' AND ')} when counting rows (inside the COUNT when other metrics are summed)` : ''
+  ].join('');
   const baseRules = `
    - Use WITH for complex calculations
    - Always use proper JOIN syntax
    - Use WHERE for filtering, HAVING for aggregated filters
    - Include ORDER BY for sorted results
-   - Use TOP for limiting results when appropriate`;
-   
-  if (tableName === 'SalesReport_Form_Input') {
-    return baseRules + `
-   - Always start with: WHERE isCarryOver = 0 AND isDeleted = 0
-   - Add appropriate isCounted conditions based on aggregation`;
-  }
-  
-  if (tableName === 'SaleWarranty_RVAC_CONTRACTS') {
+   - Use TOP for limiting results when appropriate${tableRules}`;
+
+  if (tableName === 'SalesApp_LogInActivity') {
     return baseRules + `
-   - Always start with: WHERE isDeleted = 0`;
+   - Dates come from LogedIn (datetime, Eastern time); this table has no DATE_REPORTED, MONTH_REPORTED or YEAR_REPORTED
+   - Session length: DATEDIFF(MINUTE, LogedIn, LogOut), only for rows with a LogOut
+   - Users are identified by UserID only; never select Token or SELECT *`;
   }
   
   return baseRules;
 }
 
-// SQL validation and cleaning
-function validateAndCleanSql(sql, expectedTable) {
-  if (!sql) return 'SELECT TOP (0) * FROM SalesReport_Form_Input';
-  
-  // Remove markdown code blocks
-  sql = sql.replace(/```[\w]*\n?/g, '').trim();
-  
-  // Ensure it's a SELECT query
-  if (!sql.toUpperCase().startsWith('SELECT') && 
-      !sql.toUpperCase().startsWith('WITH')) {
-    return 'SELECT TOP (0) * FROM SalesReport_Form_Input';
+// NEW: Data Analysis Function
+
+// Parameter section for the system prompt: the placeholders the time range condition relies on
+function describeQueryParams(params) {
+  const entries = Object.entries(params || {});
+  if (entries.length === 0) return '';
+  return `
+QUERY PARAMETERS (already bound; reference them by name, never inline their values):
+${entries.map(([name, p]) => `- @${name} (${p.type}) = ${JSON.stringify(p.value)}`).join('\n')}
+`;
+}
+
+// Business-rule lines for the system prompt, grouped by table (semantic model defaultFilters)
+function describeBusinessRules(rules) {
+  const byTable = new Map();
+  for (const rule of rules) {
+    if (!byTable.has(rule.table)) byTable.set(rule.table, []);
+    const scope = rule.appliesTo === 'count' ? 'When counting deals: include only' : 'ALWAYS include only';
+    byTable.get(rule.table).push(`     * ${scope} rows where ${semanticModel.rulePredicate(rule)} (${rule.description})`);
   }
-  
-  // Check for dangerous operations
-  const dangerousKeywords = ['DROP', 'DELETE', 'UPDATE', 'INSERT', 'ALTER', 'CREATE', 'TRUNCATE'];
-  for (const keyword of dangerousKeywords) {
-    if (sql.toUpperCase().includes(` ${keyword} `)) {
-      return 'SELECT TOP (0) * FROM SalesReport_Form_Input';
-    }
+  return Array.from(byTable.entries())
+    .map(([table, lines]) => `   - For ${table} table:\n${lines.join('\n')}`)
+    .join('\n');
+}
+
+// Most frequent stored values per dictionary column, so the LLM writes values that exist
+const KNOWN_VALUES_PER_COLUMN = 40;
+
+function describeKnownValues(valueColumns) {
+  const lines = [];
+  for (const { table, column } of valueColumns) {
+    const values = valueDictionary.values(table, column);
+    if (values.length === 0) continue;
+    const shown = values.slice(0, KNOWN_VALUES_PER_COLUMN).map(v => `'${v.replace(/'/g, "''")}'`).join(', ');
+    const more = values.length > KNOWN_VALUES_PER_COLUMN ? ` (+${values.length - KNOWN_VALUES_PER_COLUMN} more)` : '';
+    lines.push(`- ${table}.${column}: ${shown}${more}`);
   }
-  
-  return sql;
+  return lines.length > 0 ? `\nKNOWN VALUES (stored spelling, most frequent first):\n${lines.join('\n')}\n` : '';
 }
 
-// NEW: Data Analysis Function
+// "Red Deer" means DEALER_LOCATION = 'Red Deer'; a person may be stored under several spellings
+function describeResolvedFilter(f) {
+  const quote = (v) => `'${String(v).replace(/'/g, "''")}'`;
+  const condition = f.values && f.values.length > 1
+    ? `${f.column} IN (${f.values.map(quote).join(', ')})`
+    : `${f.column} = ${quote(f.values ? f.values[0] : f.value)}`;
+  return `- Resolved ${f.concept === 'person' ? `${f.role}` : 'value'}: "${f.mention}" means ${condition}`;
+}
 
-async function generateSqlFromPrompt(prompt) {
-  // Detect intent and extract parameters
-  const { table, filters, aggregates, timeRange } = analyzeUserPrompt(prompt);
-  
-  const system = `You are a SQL expert that generates SQL Server SELECT queries based on user requests.
+// Period comparison instructions: one row per dimension value with both periods and their change
+function describeComparison(comparison, aggregates) {
+  const examples = (aggregates.length > 0 ? aggregates : [{ alias: 'Value' }]).map(a => {
+    const c = comparisonColumns(a.alias);
+    return `${c.current}, ${c.prior}, ${c.change}, ${c.pctChange}`;
+  });
+  return `- Period comparison (${comparison.text}):
+   * Current period (${comparison.current.label}): ${comparison.current.sqlCondition}
+   * Prior period (${comparison.prior.label}): ${comparison.prior.sqlCondition}
+   * Aggregate each period with CASE WHEN <period condition> THEN ... END in one pass and return ${examples.join('; ')}
+   * Change = current - prior; PctChange = (current - prior) / NULLIF(prior, 0) as a fraction
+`;
+}
+
+// Ranking instructions: ranked rows with an explicit rank column, restarting per group when partitioned
+function describeRanking(ranking, aggregates) {
+  const metric = aggregates.length > 0 ? aggregates[0].alias : 'the count';
+  const order = ranking.direction === 'bottom' ? 'ASC' : 'DESC';
+  const fn = ranking.ties ? 'RANK()' : 'ROW_NUMBER()';
+  const over = `${ranking.partitionBy ? `PARTITION BY ${ranking.partitionBy} ` : ''}ORDER BY <aggregate> ${order}${ranking.ties ? '' : `, ${ranking.column}`}`;
+  return `- Ranking (${ranking.text}): rank ${ranking.column} by ${metric} ${order}${ranking.partitionBy ? ` within each ${ranking.partitionBy}` : ''}${ranking.ties ? ', ties share a rank' : ''}
+   * Compute ${fn} OVER (${over}) AS ${RANK_COLUMN} in a CTE and return it as a column
+   * ${ranking.limit ? `Keep rows with ${RANK_COLUMN} <= ${ranking.limit}` : 'Keep every row'}; ORDER BY ${ranking.partitionBy ? `${ranking.partitionBy}, ` : ''}${RANK_COLUMN}. Do not use TOP
+`;
+}
+
+// Verified examples closest to the prompt (sqlExamples.js); their parameters are this request's
+function describeExamples(examples) {
+  if (examples.length === 0) return '';
+  return `
+8. VERIFIED EXAMPLES (closest questions from the example library; reuse their structure, but take tables, filters and dates from this request and its QUERY PARAMETERS):
+${examples.map(e => `   Question: "${e.question}"${e.notes ? `\n   Note: ${e.notes}` : ''}\n   SQL: ${e.sql}`).join('\n\n')}
+`;
+}
+
+// System prompt combining the live schema description with the mapping analysis of the prompt
+function buildSystemPrompt(schemaDescription, analysis, examples = []) {
+  const { table, filters, aggregates, timeRange, comparison, ranking, joins } = analysis;
+  const model = semanticModel.getSemanticModel();
+  const calendar = model.calendar.forTable(model.tables[table.key]).on(analysis.asOf && parseAsOf(analysis.asOf));
+
+  return `You are a SQL expert that generates SQL Server SELECT queries based on user requests.
 
 DATABASE SCHEMA:
-${SCHEMA_DESCRIPTION}
+${schemaDescription}
 
 USER REQUEST ANALYSIS:
 - Primary table: ${table.table || 'Not detected'}
 - Detected filters: ${JSON.stringify(filters)}
-- Aggregates needed: ${aggregates.length > 0 ? aggregates.join(', ') : 'None'}
-- Time range: ${timeRange || 'Not specified'}
-
+- Aggregates needed: ${aggregates.length > 0 ? aggregates.map(describeAggregate).join(', ') : 'None'}
+- Time range: ${timeRange ? timeRange.sqlCondition : 'Not specified'}
+${comparison ? describeComparison(comparison, aggregates) : ''}${ranking && ranking.column ? describeRanking(ranking, aggregates) : ''}${joins && joins.length > 0 ? `- Join path: ${joins.map(joinGraph.describeJoin).join(', then ')}\n` : ''}${filters.filter(f => f.resolved).map(describeResolvedFilter).join('\n')}
+${describeQueryParams(timeRange && timeRange.params)}${describeKnownValues(model.valueColumns)}
 MAPPING RULES:
 1. TABLE MAPPING:
-${Object.entries(TABLE_MAPPINGS).map(([key, config]) => 
+${Object.entries(model.tables).map(([key, config]) => 
   `   - "${config.synonyms.join('", "')}" → ${config.table}`
 ).join('\n')}
 
 2. COLUMN MAPPING:
-${Object.entries(COLUMN_MAPPINGS).map(([key, config]) => 
-  `   - "${config.synonyms.join('", "')}" → ${config.column}${config.function ? ` (use ${config.function})` : ''}`
+${Object.entries(model.columns).map(([key, config]) => 
+  `   - "${config.synonyms.join('", "')}" → ${describeMapping(key, config)}`
 ).join('\n')}
 
 3. CRITICAL BUSINESS RULES:
-   - For SalesReport_Form_Input table:
-     * ALWAYS exclude rows where isCarryOver = 1
-     * ALWAYS exclude rows where isDeleted = 1
-     * When counting deals: include only rows where isCounted = 1
-     * When aggregating TOTAL_COST: include both isCounted = 1 and isCounted = 0
+${describeBusinessRules(model.businessRules)}
+   - When aggregating TOTAL_COST in SalesReport_Form_Input: include both isCounted = 1 and isCounted = 0
    
-   - For SaleWarranty_RVAC_CONTRACTS table:
-     * ALWAYS exclude rows where isDeleted = 1
-   
-   - For dealership filtering: ALWAYS use DEALER_LOCATION = 'value' (exact match)
+   - For dealership, make, lead source and similar filters: ALWAYS use an exact match (DEALER_LOCATION = 'value') with the resolved value or a KNOWN VALUES spelling; literal values are bound as parameters before execution
+   - Use the QUERY PARAMETERS placeholders above as-is instead of writing their values inline
    
    - For month comparisons: 
      * When using MONTH_REPORTED, always include YEAR_REPORTED
-     * If year not specified, use current year: YEAR(GETDATE())
+     * If year not specified, use the current year (see the reporting calendar below)
      * Use month names (e.g., 'January', not 1)
     
     - For day or date comparisons: 
      * ALWAYS use CAST(DATE_REPORTED AS DATE) for comparisons
-     * Handle relative dates like:
-       - Today: CAST(GETDATE() AS DATE)
-       - Yesterday: DATEADD(DAY, -1, CAST(GETDATE() AS DATE))
-       - Day before yesterday: DATEADD(DAY, -2, CAST(GETDATE() AS DATE))
-       - This week: >= DATEADD(DAY, 1 - DATEPART(WEEKDAY, GETDATE()), CAST(GETDATE() AS DATE)) AND < DATEADD(DAY, 8 - DATEPART(WEEKDAY, GETDATE()), CAST(GETDATE() AS DATE))
-       - Last week: Shift the above by -7 days
-       - Last 7 days: >= DATEADD(DAY, -7, GETDATE()) AND < GETDATE()
-       - Last 30 days: >= DATEADD(DAY, -30, GETDATE()) AND < GETDATE()
-       - YTD: >= DATEFROMPARTS(YEAR(GETDATE()), 1, 1) AND <= GETDATE()
-       - MTD: >= DATEFROMPARTS(YEAR(GETDATE()), MONTH(GETDATE()), 1) AND <= GETDATE()
+     * Relative dates (today, yesterday, last 7 days ...): use the reporting calendar below
      * For specific dates like "January 9, 2026": Convert to '2026-01-09'
      * For ranges: Use BETWEEN or >= and <=
-     * 
-4. DATA TYPE HANDLING:
-   - Numeric columns stored as VARCHAR (like TOTAL_COST, FRONT_COST, FI_COST):
+
+    - Reporting calendar (relative dates, weeks, months, quarters, years, YTD and MTD):
+${calendar.describe().map(line => `     * ${line}`).join('\n')}
+4. JOINS (the only join paths allowed; comma and CROSS joins are rejected):
+${model.joins.map(j => `   - ${joinGraph.describeJoin(j)}: ${j.description}`).join('\n')}
+   - Write JOIN ... ON with exactly these column pairs and qualify every column with its table alias
+   - Count deals with COUNT(DISTINCT <sales alias>.ID) when a join can repeat a deal
+
+5. DATA TYPE HANDLING:
+   - Numeric columns stored as VARCHAR (${Object.values(model.columns).filter(c => c.numericText).map(c => c.column).join(', ')}):
      SUM(CAST(REPLACE(REPLACE(ColumnName, ',', ''), ' ', '') AS DECIMAL(13,2)))
    - Date comparisons: Use proper date functions, not string comparison
 
-5. QUERY STRUCTURE RULES:
-   ${getQueryStructureRules(table.table)}
+6. QUERY STRUCTURE RULES:
+   ${getQueryStructureRules(table.table, model.businessRules)}
 
-6. ERROR HANDLING:
+7. ERROR HANDLING:
    - If ambiguous or insufficient information: return 'SELECT TOP (0) * FROM SalesReport_Form_Input'
    - If table cannot be determined: default to SalesReport_Form_Input
    - Always validate column names exist in the detected table
-
+${describeExamples(examples)}
 IMPORTANT: Return ONLY the SQL query. No explanations, no markdown, just valid T-SQL.
 `;
+}
 
-  const messages = [
-    { role: 'system', content: system },
-    { role: 'user', content: `Generate SQL for: "${prompt}"\nReturn ONLY the SQL query.` }
-  ];
-  
-  const groqResp = await callGroqChat(messages);
-  const sqlText = groqResp?.choices?.[0]?.message?.content?.trim();
-  
-  // Validate SQL before returning
-  return validateAndCleanSql(sqlText, table.table);
+// Verified question -> SQL pairs; the closest SQL_EXAMPLES_K go into the system prompt
+const sqlExamples = new SqlExampleStore({
+  filePath: process.env.SQL_EXAMPLES_PATH || undefined,
+  analyze: (question) => analyzeUserPrompt(question),
+  indexKey: () => semanticModel.getSemanticModel().version,
+  checkSql: (sqlText) => sqlGenerator.checkGeneratedSql(sqlText),
+  k: parseInt(process.env.SQL_EXAMPLES_K, 10) || undefined,
+  minScore: process.env.SQL_EXAMPLES_MIN_SCORE !== undefined ? parseFloat(process.env.SQL_EXAMPLES_MIN_SCORE) : undefined
+});
+sqlExamples.load();
+
+// One generator pipeline: mapping analysis + live schema cache + unknown-identifier check
+const sqlGenerator = new SQLGenerator({
+  dbConfig,
+  llmClient: (messages, llmOptions = {}) => callLlmChat(messages, { route: 'query', ...llmOptions }),
+  redisConfig: process.env.REDIS_URL,
+  schemaCacheTTL: parseInt(process.env.SCHEMA_CACHE_TTL, 10) || undefined,
+  promptAnalyzer: analyzeUserPrompt,
+  systemPromptBuilder: buildSystemPrompt,
+  exampleRetriever: (prompt, analysis) => sqlExamples.closest(prompt, { analysis }),
+  includeTables: () => Object.values(semanticModel.getSemanticModel().tables).map(config => config.table),
+  hiddenColumns,
+  fallbackSchemaDescription: SCHEMA_DESCRIPTION,
+  fallbackSchema: SQLGenerator.parseSchemaDdl(fs.readFileSync(path.join(__dirname, 'schema.sql'), 'utf8')),
+  validator: validateGeneratedSql,
+  getPool: dbPool.getPool
+});
+
+// Returns { sql, rawSql, rejection, llmError, analysis } — rejection carries the validator's structured reason.
+// context: { analysis, history } for session follow-ups (see querySessions.js)
+async function generateSqlFromPrompt(prompt, llmOptions = {}, context = {}) {
+  return sqlGenerator.generateWithDetails(prompt, { enforceSchemaCheck: true, llmOptions, ...context });
+}
+
+// Query generation modes:
+//  - llm:   LLM first, rule-based builder when the LLM is unavailable or returns the TOP (0) fallback
+//  - rules: rule-based builder only (instant, free, reproducible)
+//  - auto:  rule-based builder first, LLM for anything it cannot compile
+const QUERY_MODES = ['llm', 'rules', 'auto'];
+
+function isFallbackSql(sqlText) {
+  return !sqlText || /^\s*SELECT\s+TOP\s*\(\s*0\s*\)/i.test(sqlText);
+}
+
+// Returns { sql, source: 'llm' | 'rules', description?, examples?, rejection?, llmRejection?, rawSql? } (examples:
+// ids of the verified examples the LLM was shown; llmRejection: why the LLM's SQL was refused when the
+// rule-based builder answered instead);
+// sql is null when no generator could answer. options.analysis / options.history carry session context,
+// options.asOf the date relative periods are resolved against.
+async function generateQuery(prompt, options = {}) {
+  const { mode = process.env.QUERY_MODE || 'llm', provider, model, analysis, history, asOf } = options;
+  const compileRules = () => {
+    const built = buildSqlFromAnalysis(analysis || analyzeUserPrompt(prompt, { asOf }));
+    return built ? { sql: built.sql, source: 'rules', description: built.description, params: built.params } : null;
+  };
+
+  if (mode === 'rules') {
+    return compileRules() || { sql: null, source: 'rules' };
+  }
+
+  if (mode === 'auto') {
+    const built = compileRules();
+    if (built) return built;
+  }
+
+  const generated = await generateSqlFromPrompt(prompt, { provider, model }, { analysis, history, asOf });
+  if (generated.llmError) {
+    console.warn('LLM generation failed, trying rule-based builder:', generated.llmError);
+  }
+  if (generated.sql && !isFallbackSql(generated.sql)) {
+    return { sql: generated.sql, source: 'llm', params: generated.analysis?.timeRange?.params || {}, examples: generated.examples };
+  }
+
+  if (mode === 'llm') {
+    const built = compileRules();
+    if (built) return generated.rejection ? { ...built, llmRejection: generated.rejection } : built;
+  }
+  return {
+    sql: generated.sql,
+    source: 'llm',
+    rejection: generated.rejection,
+    rawSql: generated.rawSql
+  };
 }
 
 //async function analyzeDataWithGrok(userQuery, data, options = {}) {
@@ -823,6 +1051,8 @@ IMPORTANT: Return ONLY the SQL query. No explanations, no markdown, just valid T
 // Enhanced data analysis function with better context
 async function analyzeDataWithGrok(userQuery, data, options = {}) {
   const {
+    route = 'analyze',
+    provider = null,
     model = null,
     dataType = 'auto',
     maxRowsToShow = 10,
@@ -989,28 +1219,16 @@ Please provide general guidance or ask for specific data to analyze.`}`;
     { role: 'system', content: systemPrompt }
   ];
 
-  const analysisPayload = {
-    model: model || process.env.GROQ_MODEL || "openai/gpt-oss-20b",
-    messages,
-    max_tokens: 2000,
-    temperature: temperature,
-    stream: false
-  };
-
   try {
-    const endpoint = 'https://api.groq.com/openai/v1/chat/completions';
-    const apiKey = process.env.GROQ_API_KEY;
-    if (!apiKey) throw new Error('GROQ_API_KEY not set in .env');
-
-    const resp = await axios.post(endpoint, analysisPayload, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 60_000
+    const resp = await callLlmChat(messages, {
+      route,
+      provider,
+      model,
+      temperature,
+      maxTokens: 2000
     });
 
-    const analysis = resp.data?.choices?.[0]?.message?.content?.trim();
+    const analysis = resp?.choices?.[0]?.message?.content?.trim();
     
     // Format the analysis with better structure
     return formatAnalysisResult(analysis, userQuery, data?.length || 0);
@@ -1046,8 +1264,8 @@ async function processUserQuery(userInput) {
   
   try {
     // Step 1: Generate SQL
-    const sql = await generateSqlFromPrompt(userInput);
-    console.log('Generated SQL:', sql);
+    const { sql, rejection } = await generateSqlFromPrompt(userInput);
+    console.log('Generated SQL:', sql, rejection || '');
     
     // Step 2: Execute SQL (pseudo-code - implement your DB connection)
     // const data = await executeSqlQuery(sql);
@@ -1084,41 +1302,277 @@ async function analyzeTextWithGrok(text, analysisType = 'summarize', options = {
 
   const userQuery = `${prompts[analysisType] || prompts.summarize}\n\n${text}`;
   
-  return await analyzeDataWithGrok(userQuery, null, options);
+  return await analyzeDataWithGrok(userQuery, null, { route: 'analyze-text', ...options });
 }
 
 // NEW: General query function (no data analysis)
 async function askGrokGeneral(query, options = {}) {
   return await analyzeDataWithGrok(query, null, {
+    route: 'ask',
     temperature: 0.3,
     ...options
   });
 }
 
+// Display formats (semantic model metric formats) for the result columns that have one
+function columnFormats(columns) {
+  const { formats } = semanticModel.getSemanticModel();
+  const result = {};
+  for (const column of columns) {
+    // Comparison columns: CurrentTotalGross, PriorTotalGross, TotalGrossChange keep the metric's format
+    const compared = column.match(/^(?:Current|Prior)(\w+)$|^(\w+)Change$/);
+    const metric = compared && (compared[1] || compared[2]);
+    if (formats[column]) result[column] = formats[column];
+    else if (/PctChange$/.test(column)) result[column] = 'percent';
+    else if (metric && formats[metric]) result[column] = formats[metric];
+  }
+  return result;
+}
+
+// The comparison the result rows carry: period labels and, per metric, its four columns
+function comparisonResult(comparison, aggregates, columns) {
+  if (!comparison) return null;
+  const metrics = aggregates
+    .map(a => ({ alias: a.alias, ...comparisonColumns(a.alias) }))
+    .filter(m => columns.includes(m.current) && columns.includes(m.prior));
+  if (metrics.length === 0) return null;
+  const measured = new Set(metrics.flatMap(m => [m.current, m.prior, m.change, m.pctChange]));
+  return {
+    type: comparison.type,
+    current: comparison.current.label,
+    prior: comparison.prior.label,
+    dimensions: columns.filter(c => !measured.has(c)),
+    metrics
+  };
+}
+
+// Conversation state for follow-up prompts ("now break that down by month")
+const querySessions = new QuerySessionStore({
+  ttlMs: (parseInt(process.env.QUERY_SESSION_TTL_MINUTES, 10) || 30) * 60 * 1000
+});
+// Previous turns replayed to the LLM for a follow-up
+const FOLLOW_UP_HISTORY_TURNS = 3;
+
+// { tableName: column } of the dimension labelled "location" ("same thing for Calgary only" on RVAC filters DealerLocation)
+function locationColumns(model) {
+  const dimension = Object.values(model.columns).find(c => c.kind === 'dimension' && c.label === 'location');
+  if (!dimension || !model.tables[dimension.table]) return {};
+  return { [model.tables[dimension.table].table]: dimension.column, ...dimension.columns };
+}
+
+// Generated SQL and results of repeated questions; Redis when REDIS_URL is set, process memory otherwise
+const queryCache = new QueryCache({
+  enabled: process.env.QUERY_CACHE !== 'off',
+  redisConfig: process.env.REDIS_URL,
+  sqlTtlSeconds: parseInt(process.env.QUERY_CACHE_SQL_TTL_SECONDS, 10) || undefined,
+  liveTtlSeconds: parseInt(process.env.QUERY_CACHE_LIVE_TTL_SECONDS, 10) || undefined,
+  closedTtlSeconds: parseInt(process.env.QUERY_CACHE_CLOSED_TTL_SECONDS, 10) || undefined,
+  maxEntries: parseInt(process.env.QUERY_CACHE_MAX_ENTRIES, 10) || undefined,
+  maxRows: parseInt(process.env.QUERY_CACHE_MAX_ROWS, 10) || undefined
+});
+
+// Max LLM repair rounds after SQL Server rejects generated SQL
+const SQL_REPAIR_MAX_ATTEMPTS = parseInt(process.env.SQL_REPAIR_MAX_ATTEMPTS, 10) || 2;
+
+/**
+ * Business-rule rewrite, literal binding and validation for generated SQL ({ sql, params }).
+ * @returns {{ ok: true, sql, params, applied } | { ok: false, sql, reason }}
+ */
+async function prepareGeneratedSql(generated) {
+  // Enforce business-rule predicates the model may have forgotten
+  const rewritten = applyBusinessRules(generated.sql, semanticModel.getSemanticModel().businessRules);
+  if (rewritten.applied.length > 0) {
+    console.log('Business rules added:', rewritten.applied.map(r => `${r.rule} (${r.location})`).join(', '));
+  }
+
+  // Bind remaining literals as parameters; every @name must have a value
+  const bound = parameterizeLiterals(rewritten.sql, generated.params || {}, { columnTypes: await getColumnTypes() });
+  if (bound.invalidDates.length > 0) {
+    return {
+      ok: false,
+      sql: rewritten.sql,
+      reason: {
+        code: 'INVALID_DATE',
+        message: `SQL compares with dates that do not exist: ${bound.invalidDates.map(d => `'${d}'`).join(', ')}`,
+        detail: bound.invalidDates
+      }
+    };
+  }
+  const params = Object.assign({}, generated.params, bound.params);
+  const unbound = referencedParams(bound.sql).filter(name => !params[name]);
+  if (unbound.length > 0) {
+    return {
+      ok: false,
+      sql: bound.sql,
+      reason: { code: 'UNBOUND_PARAMETER', message: `SQL references unbound parameters: ${unbound.map(n => '@' + n).join(', ')}`, detail: unbound }
+    };
+  }
+
+  // Safety check (AST validation against the table/column/function allowlist)
+  const validation = await validateGeneratedSql(bound.sql, Object.keys(params));
+  if (!validation.ok) return { ok: false, sql: bound.sql, reason: validation.reason };
+
+  return { ok: true, sql: bound.sql, params, applied: rewritten.applied };
+}
+
+// Errors SQL Server raised for the statement itself (invalid column, conversion...), which the LLM can fix;
+// connection, login and timeout errors are not worth a repair round
+function isRepairableDbError(err) {
+  return !!err && err.code === 'EREQUEST';
+}
+
+function describeDbError(err) {
+  return err.number ? `Msg ${err.number}: ${err.message}` : err.message;
+}
+
 app.post('/api/query', async (req, res) => {
     console.log('generateSqlFromPrompt Called ')
   try {
-    const { prompt } = req.body;
+    const { prompt, sessionId, mode = process.env.QUERY_MODE || 'llm' } = req.body;
     
     if (!prompt) return res.status(400).json({ error: 'prompt required' });
+    const overrides = llmOverrides(req.body, res);
+    if (!overrides) return;
+    const { provider, model } = overrides;
+    if (!QUERY_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${QUERY_MODES.join(', ')}` });
+    }
+    // Reports "as of" another day resolve today, last week, YTD ... against it
+    let asOf;
+    try {
+      asOf = parseAsOf(req.body.asOf);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
 
-    // 1) Generate SQL from prompt
-    //const sqlQuery = await generateSqlFromPrompt(prompt);
-    const sqlQuery = await generateSqlFromPrompt(prompt);
-    console.log({prompt: prompt, sqlQuery : sqlQuery});
-    if (!sqlQuery){
-        
+    // 1) Session context: a follow-up edits the previous query of the session
+    const session = querySessions.get(sessionId) || querySessions.create();
+    const previous = querySessions.lastTurn(session.id);
+    let analysis = analyzeUserPrompt(prompt, { asOf });
+    let followUp = null;
+    let context = { asOf };
+    if (previous && req.body.followUp !== false && isFollowUp(prompt, analysis)) {
+      const model = semanticModel.getSemanticModel();
+      const groupByLabels = {};
+      model.groupBy.forEach(gp => { groupByLabels[gp.column] = gp.label; });
+      const merged = mergeFollowUp(previous.analysis, analysis, prompt, { groupByLabels, locationColumns: locationColumns(model) });
+      analysis = merged.analysis;
+      // The merged question may need different tables than either turn alone
+      const plan = planJoins(analysis.table.table, analysis.aggregates, analysis.filters, analysis.presentation.groupBy,
+        analysis.presentation.thenBy);
+      analysis.joins = plan.joins;
+      analysis.unreachableTables = plan.unreachable;
+      followUp = {
+        previousPrompt: previous.prompt,
+        changes: merged.changes,
+        description: merged.changes.length > 0
+          ? `Modified "${previous.prompt}": ${merged.changes.join('; ')}`
+          : `Re-ran "${previous.prompt}"`
+      };
+      context = { asOf, analysis, history: session.turns.slice(-FOLLOW_UP_HISTORY_TURNS) };
+    }
+
+    // 2) Ask instead of guessing when the prompt is ambiguous
+    const clarification = findClarification(prompt, analysis);
+    if (clarification) {
+      return res.json({ clarification, sessionId: session.id, followUp, sql: null, rows: [] });
+    }
+
+    // 3) A repeated question (not a follow-up) is answered from the cache: the stored response, or the stored
+    // SQL run again. cache: false skips the lookup and refreshes both
+    const cacheKey = followUp ? null : await queryCache.keyFor({
+      prompt, mode, provider, model, modelVersion: semanticModel.getSemanticModel().version, analysis
+    });
+    const useCache = cacheKey && req.body.cache !== false;
+    const cachedResult = useCache ? await queryCache.getResult(cacheKey) : null;
+    if (cachedResult) {
+      querySessions.addTurn(session.id, { prompt, analysis, ...cachedResult.turn });
+      return res.json({ ...cachedResult.response, sessionId: session.id, followUp, cached: { sql: true, result: true } });
+    }
+    const cachedSql = useCache ? await queryCache.getSql(cacheKey) : null;
+
+    // 4) Generate SQL from prompt
+    const generated = cachedSql || await generateQuery(prompt, { mode, provider, model, ...context });
+    console.log({prompt: prompt, sqlQuery : generated.sql, source: generated.source});
+    if (generated.sql && isFallbackSql(generated.sql)) {
+      // The model gave up (SELECT TOP (0) ...): ask which dataset rather than return an empty result
+      return res.json({
+        clarification: {
+          reason: 'no_query',
+          question: 'I could not build a query for that. Which dataset should I use?',
+          choices: tableChoices(prompt)
+        },
+        sessionId: session.id,
+        followUp,
+        sql: null,
+        rows: []
+      });
+    }
+    if (!generated.sql){
+        if (mode === 'rules') {
+          return res.status(400).json({ error: 'Question is not supported by the rule-based builder; try mode "llm".', source: 'rules' });
+        }
+        if (generated.rejection) {
+          return res.status(400).json({
+            error: 'Generated SQL is not allowed by policy.',
+            reason: generated.rejection,
+            sql: generated.rawSql,
+            source: generated.source
+          });
+        }
         return res.status(500).json({ error: 'LLM did not return SQL' });
     } 
 
-    // 2) Safety check
-    if (!isSafeSelect(sqlQuery)) {
-      return res.status(400).json({ error: 'Generated SQL is not allowed by policy.', sql: sqlQuery });
-    }
+    // 5)-8) Rewrite, bind, validate and execute; SQL Server errors go back to the LLM for repair
+    const attempts = [];
+    const failures = [];
+    let current = generated;
+    let prepared;
+    let result;
+    for (let attempt = 1; !result; attempt++) {
+      prepared = await prepareGeneratedSql(current);
+      if (!prepared.ok) {
+        attempts.push({ attempt, source: current.source, sql: prepared.sql, ok: false, error: prepared.reason.message });
+        return res.status(400).json({
+          error: 'Generated SQL is not allowed by policy.',
+          reason: prepared.reason,
+          sql: prepared.sql,
+          source: current.source,
+          attempts
+        });
+      }
 
-    // 3) Execute safely (uses mssql)
-    await sql.connect(dbConfig);
-    const result = await sql.query(sqlQuery);
+      try {
+        result = await executeQuery(prepared.sql, prepared.params);
+        attempts.push({ attempt, source: current.source, sql: prepared.sql, ok: true });
+      } catch (err) {
+        const error = describeDbError(err);
+        attempts.push({ attempt, source: current.source, sql: prepared.sql, ok: false, error });
+        if (mode === 'rules' || !isRepairableDbError(err) || failures.length >= SQL_REPAIR_MAX_ATTEMPTS) {
+          console.error('Error in /api/query', error);
+          return res.status(500).json({ error: String(err), sql: prepared.sql, source: current.source, attempts });
+        }
+
+        console.warn(`Attempt ${attempt} failed, asking the LLM to repair:`, error);
+        failures.push({ sql: current.sql, error });
+        const repaired = await sqlGenerator.repairWithDetails(prompt, failures, {
+          enforceSchemaCheck: true,
+          llmOptions: { provider, model },
+          ...context
+        });
+        if (!repaired.sql) {
+          attempts.push({
+            attempt: attempt + 1,
+            source: 'repair',
+            sql: repaired.rawSql,
+            ok: false,
+            error: repaired.llmError || (repaired.rejection && repaired.rejection.message)
+          });
+          return res.status(500).json({ error: String(err), sql: prepared.sql, source: current.source, attempts });
+        }
+        current = { sql: repaired.sql, source: 'repair', params: repaired.analysis?.timeRange?.params || {} };
+      }
+    }
 
     let chartType = '';
 
@@ -1138,7 +1592,7 @@ app.post('/api/query', async (req, res) => {
 
     console.log(`Selected chart type: ${chartType}`);
 
-    // 4) Choose visualization type heuristically
+    // 9) Choose visualization type heuristically
     let viz = chartType;
     if (result.recordset && result.recordset.length > 0) {
       const cols = Object.keys(result.recordset[0]);
@@ -1154,8 +1608,41 @@ app.post('/api/query', async (req, res) => {
       }
       
     }
-
-    res.json({ sql: sqlQuery, rows: result.recordset || [], visualization: viz });
+    // Period comparisons render as paired bars with a change table unless a plain table was asked for
+    const comparison = comparisonResult(analysis.comparison, analysis.aggregates, Object.keys(result.recordset?.[0] || {}));
+    if (comparison && chartType !== 'table') viz = 'comparison';
+
+    // 10) Remember the turn so the next prompt can refer back to it
+    const turn = {
+      sql: current.sql,
+      columns: Object.keys(result.recordset?.columns || result.recordset?.[0] || {}),
+      source: current.source
+    };
+    querySessions.addTurn(session.id, { prompt, analysis, ...turn });
+
+    const response = {
+      sql: prepared.sql,
+      source: current.source,
+      description: current.description,
+      examples: generated.examples,
+      llmRejection: generated.llmRejection,
+      rulesApplied: prepared.applied,
+      params: Object.entries(prepared.params).map(([name, p]) => ({ name: `@${name}`, type: p.type, value: p.value })),
+      attempts,
+      resolvedValues: analysis.filters
+        .filter(f => f.resolved)
+        .map(f => ({ mention: f.mention, column: f.column, value: f.value, values: f.values })),
+      formats: columnFormats(Object.keys(result.recordset?.[0] || {})),
+      comparison,
+      asOf: analysis.asOf,
+      rows: result.recordset || [],
+      visualization: viz
+    };
+    if (cacheKey) {
+      if (current !== cachedSql) await queryCache.setSql(cacheKey, current);
+      await queryCache.setResult(cacheKey, { response, turn }, analysis);
+    }
+    res.json({ ...response, sessionId: session.id, followUp, cached: { sql: current === cachedSql, result: false } });
   } catch (err) {
     console.error('Error in /api/query', err.response ? err.response.data : err.message);
     res.status(500).json({ error: String(err) });
@@ -1165,16 +1652,18 @@ app.post('/api/query', async (req, res) => {
 // 1. General query endpoint
 app.post('/api/ask', async (req, res) => {
   try {
-    const { question, model, temperature } = req.body;
+    const { question, temperature } = req.body;
 
     if (!question) {
       return res.status(400).json({
         error: 'Question is required'
       });
     }
+    const overrides = llmOverrides(req.body, res);
+    if (!overrides) return;
 
     const result = await askGrokGeneral(question, {
-      model,
+      ...overrides,
       temperature: temperature || 0.3
     });
 
@@ -1202,7 +1691,6 @@ app.post('/api/analyze', async (req, res) => {
       question, 
       data, 
       dataType = 'auto',
-      model, 
       temperature = 0.1,
       maxRowsToShow = 10 
     } = req.body;
@@ -1218,9 +1706,11 @@ app.post('/api/analyze', async (req, res) => {
         error: 'Data is required for analysis'
       });
     }
+    const overrides = llmOverrides(req.body, res);
+    if (!overrides) return;
 
     const result = await analyzeDataWithGrok(question, data, {
-      model,
+      ...overrides,
       dataType,
       temperature,
       maxRowsToShow
@@ -1251,7 +1741,6 @@ app.post('/api/analyze-text', async (req, res) => {
     const { 
       text, 
       analysisType = 'summarize',
-      model, 
       temperature = 0.1 
     } = req.body;
 
@@ -1260,9 +1749,11 @@ app.post('/api/analyze-text', async (req, res) => {
         error: 'Text is required'
       });
     }
+    const overrides = llmOverrides(req.body, res);
+    if (!overrides) return;
 
     const result = await analyzeTextWithGrok(text, analysisType, {
-      model,
+      ...overrides,
       temperature
     });
 
@@ -1306,20 +1797,21 @@ app.post('/api/analyze-batch', async (req, res) => {
     for (const [index, request] of requests.entries()) {
       try {
         let result;
+        const overrides = llmProviders.requestOverrides(request);
         if (request.type === 'general') {
           result = await askGrokGeneral(request.question, {
-            model: request.model,
+            ...overrides,
             temperature: request.temperature || 0.3
           });
         } else if (request.type === 'data') {
           result = await analyzeDataWithGrok(request.question, request.data, {
-            model: request.model,
+            ...overrides,
             dataType: request.dataType,
             temperature: request.temperature || 0.1
           });
         } else if (request.type === 'text') {
           result = await analyzeTextWithGrok(request.text, request.analysisType, {
-            model: request.model,
+            ...overrides,
             temperature: request.temperature || 0.1
           });
         }
@@ -1356,7 +1848,246 @@ app.post('/api/analyze-batch', async (req, res) => {
   }
 });
 
+// ---- Admin API: synonyms, metrics and business rules of the semantic model ----
+// Bearer ADMIN_API_TOKEN; disabled when the token is not set. X-Admin-User names the author in the history.
+const ADMIN_ERROR_STATUS = { INVALID: 400, NOT_FOUND: 404, CONFLICT: 409 };
+
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) return res.status(503).json({ error: 'Admin API is disabled (ADMIN_API_TOKEN is not set)' });
+  const supplied = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!supplied || !crypto.timingSafeEqual(digest(supplied), digest(token))) {
+    return res.status(401).json({ error: 'Admin token missing or invalid' });
+  }
+  req.adminUser = (req.get('x-admin-user') || 'admin').trim().slice(0, 100);
+  next();
+}
+
+function sendAdminError(res, err) {
+  const status = ADMIN_ERROR_STATUS[err.code];
+  if (!status) {
+    console.error('Admin API error:', err);
+    return res.status(500).json({ error: 'Admin change failed', details: err.message });
+  }
+  res.status(status).json({ error: err.message, code: err.code, details: err.details });
+}
+
+// Apply an edit (raw model => { raw, item, summary }), save it as a new version and answer with it
+function adminChange(req, res, action, edit) {
+  try {
+    const result = edit(semanticModel.getSemanticModel().raw);
+    const baseVersion = req.body && req.body.baseVersion !== undefined ? Number(req.body.baseVersion) : undefined;
+    const change = semanticModel.saveSemanticModel(result.raw, {
+      author: req.adminUser,
+      action,
+      summary: (req.body && req.body.summary) || result.summary
+    }, { baseVersion });
+    console.log(`Semantic model version ${change.version} by ${change.author}: ${change.summary}`);
+    res.status(action.endsWith('.create') ? 201 : 200).json({ version: change.version, change, item: result.item });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+}
+
+function adminRead(res, read) {
+  try {
+    res.json({ version: semanticModel.getSemanticModel().version, items: read(semanticModel.getSemanticModel().raw) });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+}
+
+app.use('/api/admin', requireAdmin);
+
+app.get('/api/admin/synonyms', (req, res) => adminRead(res, raw => semanticModelAdmin.listSynonyms(raw)));
+app.post('/api/admin/synonyms', (req, res) =>
+  adminChange(req, res, 'synonym.create', raw => semanticModelAdmin.addSynonym(raw, req.body.target, req.body.synonym)));
+app.delete('/api/admin/synonyms/:target/:synonym', (req, res) =>
+  adminChange(req, res, 'synonym.delete', raw => semanticModelAdmin.removeSynonym(raw, req.params.target, req.params.synonym)));
+
+app.get('/api/admin/metrics', (req, res) => adminRead(res, raw => semanticModelAdmin.listMetrics(raw)));
+app.get('/api/admin/metrics/:key', (req, res) => adminRead(res, raw => semanticModelAdmin.getMetric(raw, req.params.key)));
+app.post('/api/admin/metrics', (req, res) =>
+  adminChange(req, res, 'metric.create', raw => semanticModelAdmin.createMetric(raw, req.body)));
+app.put('/api/admin/metrics/:key', (req, res) =>
+  adminChange(req, res, 'metric.update', raw => semanticModelAdmin.updateMetric(raw, req.params.key, req.body)));
+app.delete('/api/admin/metrics/:key', (req, res) =>
+  adminChange(req, res, 'metric.delete', raw => semanticModelAdmin.deleteMetric(raw, req.params.key)));
+
+app.get('/api/admin/rules', (req, res) => adminRead(res, raw => semanticModelAdmin.listRules(raw)));
+app.post('/api/admin/rules', (req, res) =>
+  adminChange(req, res, 'rule.create', raw => semanticModelAdmin.createRule(raw, req.body)));
+app.put('/api/admin/rules/:id', (req, res) =>
+  adminChange(req, res, 'rule.update', raw => semanticModelAdmin.updateRule(raw, req.params.id, req.body)));
+app.delete('/api/admin/rules/:id', (req, res) =>
+  adminChange(req, res, 'rule.delete', raw => semanticModelAdmin.deleteRule(raw, req.params.id)));
+
+// Verified question -> SQL examples (sqlExamples.js). GET ?status=active|retired lists them, GET ?q=<question>
+// previews what the LLM would be shown for it; DELETE retires an example (it stays in the file)
+app.get('/api/admin/examples', (req, res) => {
+  const { status, q } = req.query;
+  if (status && !['active', 'retired'].includes(status)) return res.status(400).json({ error: 'status must be active or retired' });
+  const items = q
+    ? sqlExamples.closest(q, { k: parseInt(req.query.k, 10) || undefined, minScore: 0 })
+    : sqlExamples.list(status);
+  res.json({ version: sqlExamples.version, items });
+});
+app.get('/api/admin/examples/:id', (req, res) => {
+  try {
+    res.json({ version: sqlExamples.version, item: sqlExamples.get(req.params.id) });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+app.post('/api/admin/examples', async (req, res) => {
+  try {
+    const item = await sqlExamples.add(req.body || {}, req.adminUser);
+    console.log(`SQL example ${item.id} added by ${req.adminUser}`);
+    res.status(201).json({ version: sqlExamples.version, item });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+app.delete('/api/admin/examples/:id', (req, res) => {
+  try {
+    const item = sqlExamples.retire(req.params.id, req.adminUser, (req.body && req.body.reason) || req.query.reason);
+    console.log(`SQL example ${item.id} retired by ${req.adminUser}`);
+    res.json({ version: sqlExamples.version, item });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+
+// Drop cached SQL and results (queryCache.js): of one table (?table=sales or SalesReport_Form_Input), or all
+app.delete('/api/admin/cache', async (req, res) => {
+  let table = null;
+  if (req.query.table) {
+    const tables = semanticModel.getSemanticModel().tables;
+    const config = tables[req.query.table] || Object.values(tables).find(t => t.table === req.query.table);
+    if (!config) return res.status(404).json({ error: `Unknown table ${req.query.table}` });
+    table = config.table;
+  }
+  try {
+    const invalidated = await queryCache.invalidate(table);
+    console.log(`Query cache invalidated by ${req.adminUser}: ${table || 'all tables'}`);
+    res.json(invalidated);
+  } catch (err) {
+    console.error('Query cache invalidation failed:', err.message);
+    res.status(503).json({ error: 'Query cache is unavailable', details: err.message });
+  }
+});
+
+// Change history (newest first) and rollback, which restores an old version as a new one
+app.get('/api/admin/history', (req, res) => adminRead(res, () => semanticModel.listSemanticModelHistory()));
+app.get('/api/admin/history/:version', (req, res) => {
+  const snapshot = semanticModel.readSemanticModelVersion(parseInt(req.params.version, 10));
+  if (!snapshot) return res.status(404).json({ error: `Semantic model version ${req.params.version} is not in the history` });
+  res.json(snapshot);
+});
+app.post('/api/admin/rollback', (req, res) => {
+  try {
+    const version = parseInt(req.body.version, 10);
+    if (!Number.isInteger(version)) return res.status(400).json({ error: 'version is required' });
+    const baseVersion = req.body.baseVersion !== undefined ? Number(req.body.baseVersion) : undefined;
+    const change = semanticModel.rollbackSemanticModel(version, { author: req.adminUser, summary: req.body.summary }, { baseVersion });
+    console.log(`Semantic model version ${change.version} by ${change.author}: ${change.summary}`);
+    res.json({ version: change.version, change });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+
+const HEALTH_TIMEOUT_MS = parseInt(process.env.HEALTH_TIMEOUT_MS, 10) || 5000;
+
+// Liveness: the process is up
 app.get('/api/health', (req, res) => res.json({ ok: true }));
 
-const port = process.env.PORT || 5000;
-app.listen(port, () => console.log(`Server listening on ${port}`));
+// Readiness: database round trip, LLM provider for the query route, schema cache age.
+// 503 when the database or the LLM is down; a stale/fallback schema only degrades.
+app.get('/api/health/ready', async (req, res) => {
+  const report = await healthChecks.runChecks({
+    db: {
+      run: async () => {
+        const pool = await dbPool.getPool();
+        await pool.request().query('SELECT 1 AS ok');
+        return { pool: dbPool.poolStats() };
+      }
+    },
+    llm: {
+      run: async () => {
+        const resolved = llmProviders.resolveForRoute('query');
+        const detail = await resolved.provider.healthCheck({ timeout: HEALTH_TIMEOUT_MS });
+        return { ...detail, model: resolved.model || detail.model || null };
+      }
+    },
+    semanticModel: {
+      required: false,
+      run: async () => {
+        const model = semanticModel.getSemanticModel();
+        return { version: model.version, loadedAt: model.loadedAt, source: model.source };
+      }
+    },
+    valueDictionary: {
+      required: false,
+      run: async () => {
+        const info = valueDictionary.info();
+        const empty = Object.values(info.columns).every(n => n === 0);
+        return { ...info, status: empty || Object.keys(info.errors).length > 0 ? 'degraded' : 'ok' };
+      }
+    },
+    schemaCache: {
+      required: false,
+      run: async () => {
+        const info = sqlGenerator.schemaCacheInfo();
+        return { ...info, status: info.source === 'fallback' || info.stale ? 'degraded' : 'ok' };
+      }
+    },
+    queryCache: {
+      required: false,
+      run: async () => {
+        const info = queryCache.info();
+        return { ...info, status: info.store === 'redis' && info.status !== 'ready' ? 'degraded' : 'ok' };
+      }
+    }
+  }, { timeoutMs: HEALTH_TIMEOUT_MS });
+  res.status(report.status === 'down' ? 503 : 200).json(report);
+});
+
+// Graceful shutdown: stop accepting requests, let in-flight ones finish, then drain the pool
+let shuttingDown = false;
+async function shutdown(server, signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down`);
+  const forceExit = setTimeout(() => {
+    console.error('Shutdown timed out, exiting');
+    process.exit(1);
+  }, parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000);
+  forceExit.unref();
+
+  await new Promise(resolve => server.close(resolve));
+  await dbPool.closePool().catch(err => console.error('Error closing SQL pool', err.message));
+  await sqlGenerator.close().catch(err => console.error('Error closing schema cache', err.message));
+  await queryCache.close().catch(err => console.error('Error closing query cache', err.message));
+  semanticModel.stopWatchingSemanticModel();
+  valueDictionary.stop();
+  process.exit(0);
+}
+
+// Listen when run directly (node server.js, the eval harness); tests require the app without a port
+if (require.main === module) {
+  const port = process.env.PORT || 5000;
+  const server = app.listen(port, () => console.log(`Server listening on ${port}`));
+  semanticModel.watchSemanticModel();
+  valueDictionary.start();
+  process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+  process.on('SIGINT', () => shutdown(server, 'SIGINT'));
+}
+
+module.exports = {
+  app,
+  analyzeUserPrompt,
+  findClarification,
+  buildSystemPrompt
+};
@@ -0,0 +1,423 @@
+/**
+ * sqlBuilder.js
+ *
+ * Deterministic rule-based SQL builder: compiles the structured output of analyzeUserPrompt
+ * (table, filters, aggregates, timeRange.sqlCondition, comparison, ranking, presentation.groupBy) straight into T-SQL.
+ *
+ * Covers the everyday aggregate questions against SalesReport_Form_Input and
+ * SaleWarranty_RVAC_CONTRACTS, e.g.
+ *  - "total gross by location last month"
+ *  - "count deals for 2025 December"
+ *  - "warranty gross by plan this year"
+ *  - "warranty attach rate by location last month" (contracts and deals aggregated in one CTE each)
+ *  - "active users per day this week" (SalesApp_LogInActivity, dates from LogedIn)
+ *  - "front gross this month vs last month by location" (current, prior, change and % change)
+ *  - "top 3 closers by front gross per location" (ranked rows with a Rank column)
+ *
+ * buildSqlFromAnalysis returns null when the analysis is outside what it can compile,
+ * so callers can fall back to the LLM (or report the question as unsupported).
+ * Filter values and date bounds are never inlined: they come back as typed parameters
+ * ({ name: { type, value } }) for the mssql request.
+ */
+
+'use strict';
+
+const { comparisonColumns } = require('./periodComparison');
+const { RANK_COLUMN } = require('./ranking');
+const semanticModel = require('./semanticModel');
+
+// Time concepts are expressed through timeRange.sqlCondition, never as raw filters
+const TIME_CONCEPTS = new Set(['month', 'year', 'quarter', 'day', 'week']);
+
+// Date group-by expressions detectGroupBy can return (written against the sales reporting columns) and
+// the calendar unit each one means; their output columns come from the calendar
+const DATE_GROUPS = {
+  'MONTH_REPORTED': 'month',
+  'YEAR_REPORTED': 'year',
+  'DATEPART(QUARTER, DATE_REPORTED)': 'quarter',
+  'DATEPART(WEEK, DATE_REPORTED)': 'week',
+  'CAST(DATE_REPORTED AS DATE)': 'day'
+};
+
+/**
+ * The tables the builder compiles, from the semantic model: those with a countMetric (what a bare "by X"
+ * question counts), keyed by table name, with their reporting columns or datetime column (calendar.js), the
+ * column the location dimension uses there and their business rules (where: the 'always' predicates,
+ * countRule: the 'count' ones, or null).
+ */
+function tableProfiles(model) {
+  const location = Object.values(model.columns).find(c => c.kind === 'dimension' && c.label === 'location');
+  const locationTable = location && model.tables[location.table] ? model.tables[location.table].table : null;
+  const profiles = {};
+  for (const t of Object.values(model.tables)) {
+    const counted = t.countMetric && model.columns[t.countMetric];
+    if (!counted) continue;
+    const rules = model.businessRules.filter(r => r.table === t.table);
+    const countRules = rules.filter(r => r.appliesTo === 'count').map(r => semanticModel.rulePredicate(r));
+    profiles[t.table] = {
+      where: rules.filter(r => r.appliesTo === 'always').map(r => semanticModel.rulePredicate(r)),
+      countRule: countRules.length > 0 ? countRules.join(' AND ') : null,
+      table: t.table,
+      location: location ? location.columns[t.table] || (locationTable === t.table ? location.column : null) : null,
+      count: { column: counted.column, function: counted.function, alias: counted.alias },
+      reportedColumns: t.reportedColumns,
+      dateColumn: t.dateColumn
+    };
+  }
+  return profiles;
+}
+
+// Words that extractValueFromPrompt can pick up but are never real filter values
+const NON_VALUES = new Set([
+  'location', 'locations', 'dealer', 'dealers', 'dealership', 'dealerships', 'store', 'stores', 'branch',
+  'month', 'year', 'week', 'day', 'quarter', 'last', 'this', 'next', 'wise', 'total', 'gross', 'deals', 'sales'
+]);
+
+// @dealerLocation, @make ... from a column name such as DEALER_LOCATION
+function paramName(column, params) {
+  const base = column.toLowerCase().replace(/_([a-z])/g, (m, c) => c.toUpperCase());
+  let name = base;
+  for (let i = 2; params[name]; i++) name = `${base}${i}`;
+  return name;
+}
+
+function numericText(column) {
+  return `CAST(REPLACE(REPLACE(${column}, ',', ''), ' ', '') AS DECIMAL(13,2))`;
+}
+
+// One aggregate expression; deal counts honour the table's count rule even when summed alongside gross.
+// countInline: that rule (isCounted = 1) when it goes into the count itself rather than the WHERE;
+// when: only rows matching this condition are aggregated (one period of a comparison)
+function aggregateExpression(agg, countInline, when) {
+  const only = (expr) => (when ? `CASE WHEN ${when} THEN ${expr} END` : expr);
+  if (agg.formula) {
+    const [left, right] = agg.formula.parts.map(part => aggregateExpression(part, countInline, when));
+    return agg.formula.op === '/'
+      ? `CAST(${left} AS DECIMAL(18,4)) / NULLIF(${right}, 0)`
+      : `${left} ${agg.formula.op} ${right}`;
+  }
+  if (agg.function === 'COUNT') {
+    if (countInline) return `SUM(CASE WHEN ${when ? `${when} AND ` : ''}${countInline} THEN 1 ELSE 0 END)`;
+    return `COUNT(${only(agg.column)})`;
+  }
+  if (agg.function === 'COUNT_DISTINCT') return `COUNT(DISTINCT ${only(agg.column)})`;
+  const expr = agg.numericText ? numericText(agg.column) : agg.column;
+  return `${agg.function}(${only(expr)})`;
+}
+
+function renderAggregate(agg, countInline) {
+  return `${aggregateExpression(agg, countInline)} AS ${agg.alias}`;
+}
+
+// A formula whose operands come from different tables (attach rate = contracts / deals)
+function isCrossTable(agg) {
+  return !!agg.formula && agg.formula.parts.some(part => part.table !== agg.formula.parts[0].table);
+}
+
+// Bind each filter's value(s) once: [{ filter, condition: '= @make' | 'IN (@closer, @closer2)' }]
+function bindFilters(filters, params) {
+  const bound = [];
+  for (const f of filters) {
+    // A fixed predicate ("login from a new location") binds nothing
+    if (f.condition) {
+      bound.push({ filter: f, predicate: `(${f.condition})` });
+      continue;
+    }
+    if (!f.value || NON_VALUES.has(String(f.value).toLowerCase())) continue;
+    // Every stored spelling of a resolved person
+    const values = f.values && f.values.length > 0 ? f.values : [f.value];
+    const names = values.map(v => {
+      const name = paramName(f.column, params);
+      params[name] = { type: 'NVarChar', value: String(v) };
+      return `@${name}`;
+    });
+    bound.push({ filter: f, condition: names.length > 1 ? `IN (${names.join(', ')})` : `= ${names[0]}` });
+  }
+  return bound;
+}
+
+/**
+ * Time conditions and date group-bys are written against the sales reporting columns; a table with one
+ * datetime column (logins: LogedIn) uses it instead.
+ */
+function retargetDateColumns(text, dateColumn) {
+  return text
+    .replace(/\bMONTH_REPORTED\b/g, `DATENAME(MONTH, ${dateColumn})`)
+    .replace(/\bYEAR_REPORTED\b/g, `YEAR(${dateColumn})`)
+    .replace(/\bDATE_REPORTED\b/g, dateColumn);
+}
+
+// Date group-bys in the table's calendar, or a plain column from a semantic-model dimension (grouped and
+// ordered by the metric)
+function groupByShape(groupBy, profile, calendar) {
+  const dateGroup = Object.keys(DATE_GROUPS).find(key =>
+    key === groupBy || (profile.dateColumn && retargetDateColumns(key, profile.dateColumn) === groupBy));
+  if (dateGroup) return calendar.forTable(profile).groupByShape(DATE_GROUPS[dateGroup]);
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(groupBy)) return null;
+  return { select: [groupBy], group: [groupBy], orderByMetric: true };
+}
+
+// "by location and month": both dimensions' columns. A date dimension orders rows within the other one;
+// two plain dimensions are ordered by the metric, two date ones are not supported
+function combineShapes(first, second) {
+  const dates = [first, second].filter(s => !s.orderByMetric);
+  if (dates.length === 2) return null;
+  const shape = { select: [...first.select, ...second.select], group: [...first.group, ...second.group] };
+  if (dates.length === 0) return { ...shape, orderByMetric: true };
+  const dimension = first.orderByMetric ? first : second;
+  return { ...shape, orderByMetric: false, orderBy: `${dimension.group.join(', ')}, ${dates[0].orderBy}` };
+}
+
+// Human-readable time condition with its parameter values filled in
+function describeCondition(timeRange) {
+  const params = timeRange.params || {};
+  return timeRange.sqlCondition.replace(/@(\w+)/g, (m, name) => (params[name] ? String(params[name].value) : m));
+}
+
+// Output columns of one cross-table group-by, shared by both CTEs (null = not supported).
+// Months and years line up on the reporting columns only while the calendar uses them as they are
+function crossTableKey(groupBy, calendar, locations) {
+  if (locations.includes(groupBy)) return ['DEALER_LOCATION'];
+  if (!calendar.config.useReportedMonth) return null;
+  if (groupBy === 'MONTH_REPORTED') return ['YEAR_REPORTED', 'MONTH_REPORTED'];
+  if (groupBy === 'YEAR_REPORTED' && calendar.fiscalStart === 1) return ['YEAR_REPORTED'];
+  return null;
+}
+
+// Output columns of every group-by of a cross-table formula ("by location and month"), or null
+function crossTableKeys(groupBys, calendar, locations) {
+  const keys = [];
+  for (const groupBy of groupBys.filter(Boolean)) {
+    const columns = crossTableKey(groupBy, calendar, locations);
+    if (!columns) return null;
+    columns.forEach(c => keys.includes(c) || keys.push(c));
+  }
+  return keys;
+}
+
+/**
+ * Ratio of metrics from two tables (attach rate = contracts sold / deals). Each operand is aggregated
+ * in its own CTE by location, month or both, and the CTEs are joined on those columns; rows that only
+ * join would repeat are never summed. Only location filters apply to both tables.
+ */
+function buildCrossTableSql(analysis, agg, groupBys, filters, calendar, profiles) {
+  const [numerator, denominator] = agg.formula.parts;
+  if (!profiles[numerator.table] || !profiles[denominator.table]) return null;
+  const locations = [profiles[numerator.table].location, profiles[denominator.table].location];
+  if (locations.includes(null)) return null;
+  const keys = crossTableKeys(groupBys, calendar, locations);
+  if (agg.formula.op !== '/' || !keys) return null;
+  if (filters.some(f => !locations.includes(f.column))) return null;
+
+  const params = Object.assign({}, analysis.timeRange?.params);
+  const bound = bindFilters(filters, params);
+  const timeCondition = analysis.timeRange && analysis.timeRange.sqlCondition;
+  const monthly = keys.includes('MONTH_REPORTED');
+
+  const cte = (name, part) => {
+    const profile = profiles[part.table];
+    const column = (key) => (key === 'DEALER_LOCATION' ? profile.location : key);
+    const where = [...profile.where];
+    if (part.function === 'COUNT' && profile.countRule) where.push(profile.countRule);
+    bound.forEach(b => where.push(`${profile.location} ${b.condition}`));
+    if (timeCondition) where.push(`(${timeCondition})`);
+    const select = keys.map(k => (column(k) === k ? k : `${column(k)} AS ${k}`));
+    select.push(renderAggregate(part, null));
+    if (monthly) select.push('MIN(DATE_REPORTED) AS MonthStart');
+    const grouped = keys.length > 0 ? ` GROUP BY ${keys.map(column).join(', ')}` : '';
+    return `${name} AS (SELECT ${select.join(', ')} FROM ${part.table} WHERE ${where.join(' AND ')}${grouped})`;
+  };
+
+  const counted = `COALESCE(numerator.${numerator.alias}, 0)`;
+  const selectList = [
+    ...keys.map(k => `denominator.${k}`),
+    `denominator.${denominator.alias}`,
+    `${counted} AS ${numerator.alias}`,
+    `CAST(${counted} AS DECIMAL(18,4)) / NULLIF(denominator.${denominator.alias}, 0) AS ${agg.alias}`
+  ];
+  const join = keys.length > 0
+    ? `LEFT JOIN numerator ON ${keys.map(k => `numerator.${k} = denominator.${k}`).join(' AND ')}`
+    : 'CROSS JOIN numerator';
+  let sqlText = `WITH ${cte('numerator', numerator)}, ${cte('denominator', denominator)} ` +
+    `SELECT ${selectList.join(', ')} FROM denominator ${join}`;
+  if (keys.includes('DEALER_LOCATION') && keys.includes('YEAR_REPORTED')) {
+    sqlText += ` ORDER BY denominator.DEALER_LOCATION, denominator.YEAR_REPORTED${monthly ? ', denominator.MonthStart' : ''}`;
+  } else if (keys.includes('DEALER_LOCATION')) sqlText += ` ORDER BY ${agg.alias} DESC`;
+  else if (monthly) sqlText += ' ORDER BY denominator.YEAR_REPORTED, denominator.MonthStart';
+  else if (keys.length > 0) sqlText += ' ORDER BY denominator.YEAR_REPORTED';
+
+  const description = [
+    `${agg.alias} (${numerator.alias} / ${denominator.alias})`,
+    keys.length > 0 ? `by ${groupBys.filter(Boolean).join(' and ')}` : null,
+    bound.length > 0 ? `where ${bound.map(b => `location = ${b.filter.value}`).join(' and ')}` : null,
+    analysis.timeRange ? `for ${describeCondition(analysis.timeRange)}` : null
+  ].filter(Boolean).join(' ');
+
+  return { sql: sqlText, description, params };
+}
+
+/**
+ * Current and prior period side by side ("front gross this month vs last month by location"). Both
+ * periods are aggregated in one pass over the rows of either period; the outer query adds the
+ * absolute change and the change as a fraction of the prior value (NULL when the prior is 0).
+ */
+function buildComparisonSql(analysis, parts) {
+  const { table, aggregates, shape, where, countInline } = parts;
+  const { current, prior } = analysis.comparison;
+  const keys = shape ? shape.select : [];
+
+  const inner = [...keys];
+  const outer = [...keys];
+  for (const agg of aggregates) {
+    const columns = comparisonColumns(agg.alias);
+    inner.push(`COALESCE(${aggregateExpression(agg, countInline, `(${current.sqlCondition})`)}, 0) AS ${columns.current}`);
+    inner.push(`COALESCE(${aggregateExpression(agg, countInline, `(${prior.sqlCondition})`)}, 0) AS ${columns.prior}`);
+    outer.push(columns.current, columns.prior,
+      `${columns.current} - ${columns.prior} AS ${columns.change}`,
+      `CAST(${columns.current} - ${columns.prior} AS DECIMAL(18,4)) / NULLIF(${columns.prior}, 0) AS ${columns.pctChange}`);
+  }
+
+  let sqlText = `WITH periods AS (SELECT ${inner.join(', ')} FROM ${table} WHERE ${where.join(' AND ')}` +
+    `${shape ? ` GROUP BY ${shape.group.join(', ')}` : ''}) SELECT ${outer.join(', ')} FROM periods`;
+  if (shape) sqlText += ` ORDER BY ${comparisonColumns(aggregates[0].alias).current} DESC`;
+  return sqlText;
+}
+
+/**
+ * Top / bottom N of a dimension by the first metric ("top 5 closers by front gross"), restarting within
+ * each value of a partition dimension ("... per location"). Ranks are computed over the grouped rows
+ * and filtered outside, so ties share a rank (RANK()) and may return more than N rows; without ties
+ * ROW_NUMBER() breaks them by the dimension.
+ */
+function buildRankingSql(analysis, parts) {
+  const { table, aggregates, shape, partition, where, countInline, params } = parts;
+  const { direction, limit, ties } = analysis.ranking;
+  const keys = [...(partition ? partition.select : []), ...shape.select];
+  const order = `${aggregateExpression(aggregates[0], countInline)} ${direction === 'bottom' ? 'ASC' : 'DESC'}`;
+  const over = `${partition ? `PARTITION BY ${partition.group.join(', ')} ` : ''}ORDER BY ${order}${ties ? '' : `, ${shape.group.join(', ')}`}`;
+
+  const inner = [...keys, ...aggregates.map(a => renderAggregate(a, countInline)), `${ties ? 'RANK()' : 'ROW_NUMBER()'} OVER (${over}) AS ${RANK_COLUMN}`];
+  let sqlText = `WITH ranked AS (SELECT ${inner.join(', ')} FROM ${table}${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''} ` +
+    `GROUP BY ${[...(partition ? partition.group : []), ...shape.group].join(', ')}) ` +
+    `SELECT ${[...keys, ...aggregates.map(a => a.alias), RANK_COLUMN].join(', ')} FROM ranked`;
+  if (limit) {
+    params.rankLimit = { type: 'Int', value: limit };
+    sqlText += ` WHERE ${RANK_COLUMN} <= @rankLimit`;
+  }
+  return `${sqlText} ORDER BY ${[...(partition ? partition.select : []), RANK_COLUMN].join(', ')}`;
+}
+
+/**
+ * Compile an analyzeUserPrompt result to T-SQL.
+ * @param {Object} analysis - { table, filters, aggregates, timeRange, comparison, ranking, presentation }
+ * @param {Object} options - { model }: the compiled semantic model (default: the active one)
+ * @returns {{ sql: string, description: string, params: Object } | null}
+ */
+function buildSqlFromAnalysis(analysis, options = {}) {
+  const model = options.model || semanticModel.getSemanticModel();
+  const calendar = model.calendar;
+  const profiles = tableProfiles(model);
+  if (!analysis || !analysis.table) return null;
+  const table = analysis.table.table;
+  const groupBy = analysis.presentation?.groupBy || null;
+  const thenBy = analysis.presentation?.thenBy || null;
+  // A ranking with no dimension ("the top 5") has nothing to rank
+  const ranking = analysis.ranking && analysis.ranking.column ? analysis.ranking : null;
+  const partitionBy = ranking ? ranking.partitionBy : null;
+  const filters = (analysis.filters || [])
+    .filter(f => !(f.timeConcept || TIME_CONCEPTS.has(f.concept) || [groupBy, thenBy, partitionBy].includes(f.column)));
+
+  // Contracts and deals are counted apart and combined per location / month
+  const crossTable = (analysis.aggregates || []).find(isCrossTable);
+  if (crossTable) {
+    if (analysis.comparison || ranking) return null;
+    return analysis.aggregates.every(a => a.alias === crossTable.alias)
+      ? buildCrossTableSql(analysis, crossTable, [groupBy, thenBy], filters, calendar, profiles)
+      : null;
+  }
+
+  const profile = profiles[table];
+  if (!profile) return null;
+  // Multi-table questions (declared joins) are left to the LLM
+  if (analysis.joins && analysis.joins.length > 0) return null;
+
+  // A second dimension only combines with a plain grouping
+  if (thenBy && (analysis.comparison || ranking)) return null;
+  const firstShape = groupBy ? groupByShape(groupBy, profile, calendar) : null;
+  const thenShape = thenBy ? groupByShape(thenBy, profile, calendar) : null;
+  if ((groupBy && !firstShape) || (thenBy && !thenShape)) return null;
+  const shape = thenShape ? combineShapes(firstShape, thenShape) : firstShape;
+  if (groupBy && !shape) return null;
+  // A comparison lines periods up per dimension value, not per date
+  if (analysis.comparison && shape && !shape.orderByMetric) return null;
+  // Rankings order dimension values (within dimension values when partitioned); ranked comparisons are
+  // left to the LLM
+  const partition = partitionBy ? groupByShape(partitionBy, profile, calendar) : null;
+  if (ranking && (analysis.comparison || !shape || !shape.orderByMetric)) return null;
+  if (partitionBy && !(partition && partition.orderByMetric)) return null;
+
+  // De-duplicate aggregates by alias; a plain "by X" question or comparison defaults to counting deals
+  const aggregates = [];
+  for (const agg of analysis.aggregates || []) {
+    if (!aggregates.some(a => a.alias === agg.alias)) aggregates.push(agg);
+  }
+  if (aggregates.length === 0) {
+    if (!shape && !analysis.comparison && !filters.some(f => f.condition)) return null;
+    aggregates.push(profile.count);
+  }
+  if (aggregates.some(a => a.table && a.table !== table)) return null;
+
+  const hasCount = aggregates.some(a => a.function === 'COUNT');
+  const hasSum = aggregates.some(a => a.function !== 'COUNT');
+  const countInline = hasCount && hasSum ? profile.countRule : null;
+
+  // Mandatory business rules of the table
+  const where = [...profile.where];
+  if (hasCount && !hasSum && profile.countRule) where.push(profile.countRule);
+
+  if (filters.some(f => f.table && f.table !== table)) return null;
+  const params = Object.assign({}, analysis.timeRange?.params);
+  const bound = bindFilters(filters, params);
+  bound.forEach(b => where.push(b.predicate || `${b.filter.column} ${b.condition}`));
+  const describedFilters = bound.map(b => (b.predicate ? b.filter.concept.replace(/_/g, ' ') : `${b.filter.column} = ${b.filter.value}`));
+  if (analysis.timeRange && analysis.timeRange.sqlCondition) {
+    where.push(`(${analysis.timeRange.sqlCondition})`);
+  }
+
+  const description = [
+    ranking
+      ? `${ranking.direction} ${ranking.limit || 'all'} ${groupBy} by ${aggregates[0].alias}${partitionBy ? ` per ${partitionBy}` : ''}`
+      : aggregates.map(a => a.alias).join(', '),
+    groupBy && !ranking ? `by ${[groupBy, thenBy].filter(Boolean).join(' and ')}` : null,
+    describedFilters.length > 0 ? `where ${describedFilters.join(' and ')}` : null,
+    analysis.comparison
+      ? `${analysis.comparison.current.label} vs ${analysis.comparison.prior.label}`
+      : analysis.timeRange ? `for ${describeCondition(analysis.timeRange)}` : null
+  ].filter(Boolean).join(' ');
+
+  if (analysis.comparison) {
+    return { sql: buildComparisonSql(analysis, { table, aggregates, shape, where, countInline }), description, params };
+  }
+
+  if (ranking) {
+    return { sql: buildRankingSql(analysis, { table, aggregates, shape, partition, where, countInline, params }), description, params };
+  }
+
+  const selectList = [
+    ...(shape ? shape.select : []),
+    ...aggregates.map(a => renderAggregate(a, countInline))
+  ];
+
+  let sqlText = `SELECT ${selectList.join(', ')} FROM ${table}${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''}`;
+  if (shape) {
+    sqlText += ` GROUP BY ${shape.group.join(', ')}`;
+    sqlText += ` ORDER BY ${shape.orderByMetric ? `${aggregates[0].alias} DESC` : shape.orderBy}`;
+  }
+
+  return { sql: sqlText, description, params };
+}
+
+module.exports = {
+  buildSqlFromAnalysis,
+  retargetDateColumns
+};
@@ -0,0 +1,319 @@
+/**
+ * sqlExamples.js
+ *
+ * Library of verified question -> SQL pairs (backend/sqlExamples.json, or SQL_EXAMPLES_PATH). The k
+ * examples closest to a prompt go into the LLM system prompt, so the model copies structure that is known
+ * to work (varchar cost casts, MONTH_REPORTED paired with YEAR_REPORTED, business-rule filters) instead
+ * of relearning it from the rules on every question.
+ *
+ * File layout (version is bumped on every change):
+ *  {
+ *    version: 1,
+ *    examples: [{ id, question, sql, notes?, status: 'active' | 'retired', author, addedAt,
+ *                 retiredBy?, retiredAt?, retiredReason? }]
+ *  }
+ * Retired examples stay in the file for the record but are never retrieved.
+ *
+ * Similarity is local TF-IDF cosine over terms of the question: its words and word pairs (numbers, years
+ * and month names folded into placeholders, so "March 2025" matches "June 2024") plus the structure the
+ * prompt analysis finds: table, metrics, grouping, time range type, filters, ranking, comparison. The
+ * index is rebuilt when the library or the semantic model (indexKey) changes.
+ *
+ * Errors carry err.code: 'INVALID' (bad request body or SQL), 'NOT_FOUND' or 'CONFLICT'.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_EXAMPLES_PATH = path.join(__dirname, 'sqlExamples.json');
+const DEFAULT_K = 3;
+const DEFAULT_MIN_SCORE = 0.2;
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+const MONTH_WORDS = /^(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec|january|february|march|april|june|july|august|september|october|november|december)$/;
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'for', 'in', 'on', 'at', 'to', 'and', 'or', 'with', 'from', 'me', 'we', 'our', 'us',
+  'i', 'my', 'is', 'are', 'was', 'were', 'did', 'do', 'does', 'what', 'which', 'show', 'give', 'get', 'list',
+  'tell', 'please', 'can', 'you', 'have', 'had', 'there', 'it', 'that', 'this', 'so', 'far'
+]);
+// Structure found by the analysis says more about the SQL than any single word; what is measured and how
+// it is grouped most of all
+const STRUCTURE_WEIGHTS = { table: 1, time: 1, filter: 2, join: 2, metric: 3, group: 3, rank: 3, comparison: 3 };
+
+function fail(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function writeFileAtomic(filePath, text) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, filePath);
+}
+
+function normalizeQuestion(question) {
+  return String(question).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// "Deals in March 2025 by locations" -> deal, #month, #year, location, deal #month, ...
+function wordTerms(question) {
+  const words = normalizeQuestion(question)
+    .split(/[^a-z0-9&]+/)
+    .filter(w => w && !STOPWORDS.has(w))
+    .map(w => {
+      if (/^(19|20)\d\d$/.test(w)) return '#year';
+      if (/^\d+$/.test(w)) return '#number';
+      if (MONTH_WORDS.test(w)) return '#month';
+      return w.length > 3 && /[^s]s$/.test(w) ? w.slice(0, -1) : w;
+    });
+  const pairs = words.slice(1).map((w, i) => `${words[i]} ${w}`);
+  return [...words, ...pairs];
+}
+
+// Structural terms of an analyzeUserPrompt result
+function analysisTerms(analysis) {
+  if (!analysis) return [];
+  const terms = [];
+  if (analysis.table && analysis.table.key) terms.push(`table:${analysis.table.key}`);
+  for (const a of analysis.aggregates || []) terms.push(`metric:${a.alias}`);
+  if (analysis.presentation && analysis.presentation.groupBy) terms.push(`group:${analysis.presentation.groupBy}`);
+  if (analysis.presentation && analysis.presentation.thenBy) terms.push(`group:${analysis.presentation.thenBy}`);
+  if (analysis.timeRange) terms.push(`time:${analysis.timeRange.type}`);
+  for (const f of analysis.filters || []) if (!f.timeConcept) terms.push(`filter:${f.column}`);
+  for (const j of analysis.joins || []) terms.push(`join:${j.right.table}`);
+  if (analysis.ranking && analysis.ranking.column) terms.push('rank');
+  if (analysis.comparison) terms.push('comparison');
+  return terms;
+}
+
+function termCounts(words, structure) {
+  const counts = new Map();
+  for (const t of words) counts.set(t, (counts.get(t) || 0) + 1);
+  for (const t of structure) counts.set(t, (counts.get(t) || 0) + STRUCTURE_WEIGHTS[t.split(':')[0]]);
+  return counts;
+}
+
+// TF-IDF vector (Map term -> weight) with its norm
+function vectorize(counts, idf, unknownIdf) {
+  const vector = new Map();
+  let sumSquares = 0;
+  for (const [term, tf] of counts) {
+    const weight = tf * (idf.get(term) || unknownIdf);
+    vector.set(term, weight);
+    sumSquares += weight * weight;
+  }
+  return { vector, norm: Math.sqrt(sumSquares) };
+}
+
+function cosine(a, b) {
+  if (a.norm === 0 || b.norm === 0) return 0;
+  let dot = 0;
+  for (const [term, weight] of a.vector) {
+    const other = b.vector.get(term);
+    if (other) dot += weight * other;
+  }
+  return dot / (a.norm * b.norm);
+}
+
+function validateLibrary(raw) {
+  const errors = [];
+  if (!raw || !Array.isArray(raw.examples)) return ['examples must be an array'];
+  const ids = new Set();
+  raw.examples.forEach((e, i) => {
+    const where = `examples[${i}]`;
+    if (typeof e.id !== 'string' || !ID_RE.test(e.id)) errors.push(`${where}.id must be lowercase letters, digits and dashes`);
+    else if (ids.has(e.id)) errors.push(`${where}.id ${e.id} is used twice`);
+    ids.add(e.id);
+    if (typeof e.question !== 'string' || !e.question.trim()) errors.push(`${where}.question is required`);
+    if (typeof e.sql !== 'string' || !e.sql.trim()) errors.push(`${where}.sql is required`);
+    if (!['active', 'retired'].includes(e.status)) errors.push(`${where}.status must be active or retired`);
+  });
+  return errors;
+}
+
+class SqlExampleStore {
+  /**
+   * @param {Object} opts
+   *  - filePath: library file (default backend/sqlExamples.json)
+   *  - analyze: optional question => analysis (analyzeUserPrompt) for the structural terms
+   *  - indexKey: optional () => value; the index is rebuilt when it changes (e.g. the semantic model version)
+   *  - checkSql: optional async sql => rejection|null run before an example is added (validator + schema)
+   *  - k, minScore: examples returned by closest() and the lowest similarity (0..1) still returned
+   */
+  constructor(opts = {}) {
+    this.filePath = opts.filePath || DEFAULT_EXAMPLES_PATH;
+    this.analyze = opts.analyze || null;
+    this.indexKey = opts.indexKey || (() => null);
+    this.checkSql = opts.checkSql || null;
+    this.k = opts.k || DEFAULT_K;
+    this.minScore = opts.minScore !== undefined ? opts.minScore : DEFAULT_MIN_SCORE;
+    this._library = null;
+    this._index = null;
+  }
+
+  // Read and validate the library file (a missing file is an empty library); throws when invalid
+  load() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new Error(`SQL example library ${this.filePath} could not be read: ${e.message}`);
+      raw = { version: 0, examples: [] };
+    }
+    const errors = validateLibrary(raw);
+    if (errors.length > 0) {
+      throw new Error(`SQL example library ${this.filePath} is invalid:\n  - ${errors.join('\n  - ')}`);
+    }
+    this._library = raw;
+    this._index = null;
+    return raw;
+  }
+
+  get version() {
+    return this._lib().version;
+  }
+
+  // Examples with the given status ('active', 'retired'; all when omitted)
+  list(status) {
+    return this._lib().examples.filter(e => !status || e.status === status);
+  }
+
+  get(id) {
+    const example = this._lib().examples.find(e => e.id === id);
+    if (!example) throw fail('NOT_FOUND', `Unknown example ${id}`);
+    return example;
+  }
+
+  /**
+   * Add a verified example.
+   * @param {Object} body - { question, sql, notes?, id? } (id defaults to a slug of the question)
+   * @param {string} author
+   * @returns {Promise<Object>} the stored example
+   */
+  async add(body, author) {
+    const question = typeof body.question === 'string' ? body.question.trim() : '';
+    const sqlText = typeof body.sql === 'string' ? body.sql.trim().replace(/\s*;+\s*$/, '') : '';
+    if (!question) throw fail('INVALID', 'question is required');
+    if (!sqlText) throw fail('INVALID', 'sql is required');
+    if (body.id !== undefined && (typeof body.id !== 'string' || !ID_RE.test(body.id))) {
+      throw fail('INVALID', 'id must be lowercase letters, digits and dashes');
+    }
+    const examples = this._lib().examples;
+    const duplicate = examples.find(e => e.status === 'active' && normalizeQuestion(e.question) === normalizeQuestion(question));
+    if (duplicate) throw fail('CONFLICT', `Example ${duplicate.id} already answers "${duplicate.question}"; retire it first`);
+    if (body.id && examples.some(e => e.id === body.id)) throw fail('CONFLICT', `Example ${body.id} already exists`);
+
+    if (this.checkSql) {
+      const rejection = await this.checkSql(sqlText);
+      if (rejection) {
+        const err = fail('INVALID', `sql is not allowed: ${rejection.message}`);
+        err.details = rejection;
+        throw err;
+      }
+    }
+
+    const example = {
+      id: body.id || this._slug(question),
+      question,
+      sql: sqlText,
+      ...(body.notes ? { notes: String(body.notes) } : {}),
+      status: 'active',
+      author,
+      addedAt: new Date().toISOString()
+    };
+    this._save([...examples, example]);
+    return example;
+  }
+
+  // Stop retrieving an example; it stays in the file with who retired it and why
+  retire(id, author, reason) {
+    const example = this.get(id);
+    if (example.status === 'retired') throw fail('CONFLICT', `Example ${id} is already retired`);
+    const retired = {
+      ...example,
+      status: 'retired',
+      retiredBy: author,
+      retiredAt: new Date().toISOString(),
+      ...(reason ? { retiredReason: String(reason) } : {})
+    };
+    this._save(this._lib().examples.map(e => (e.id === id ? retired : e)));
+    return retired;
+  }
+
+  /**
+   * Active examples most similar to a question, best first.
+   * @param {string} question
+   * @param {Object} opts - { analysis (defaults to analyze(question)), k, minScore }
+   * @returns {Array<Object>} examples with a score (0..1)
+   */
+  closest(question, opts = {}) {
+    const index = this._ensureIndex();
+    if (index.entries.length === 0) return [];
+    const analysis = opts.analysis || (this.analyze ? this.analyze(question) : null);
+    const query = vectorize(termCounts(wordTerms(question), analysisTerms(analysis)), index.idf, index.unknownIdf);
+    const minScore = opts.minScore !== undefined ? opts.minScore : this.minScore;
+    return index.entries
+      .map(entry => ({ ...entry.example, score: Math.round(cosine(query, entry.vector) * 1000) / 1000 }))
+      .filter(e => e.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, opts.k || this.k);
+  }
+
+  info() {
+    const examples = this._lib().examples;
+    return { version: this.version, active: examples.filter(e => e.status === 'active').length, retired: examples.filter(e => e.status === 'retired').length };
+  }
+
+  _lib() {
+    if (!this._library) this.load();
+    return this._library;
+  }
+
+  _slug(question) {
+    const base = normalizeQuestion(question).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'example';
+    const ids = new Set(this._lib().examples.map(e => e.id));
+    let id = base;
+    for (let n = 2; ids.has(id); n++) id = `${base}-${n}`;
+    return id;
+  }
+
+  _save(examples) {
+    const next = { version: this._lib().version + 1, examples };
+    writeFileAtomic(this.filePath, JSON.stringify(next, null, 2) + '\n');
+    this._library = next;
+    this._index = null;
+  }
+
+  _ensureIndex() {
+    const key = this.indexKey();
+    if (this._index && this._index.key === key) return this._index;
+
+    const active = this.list('active');
+    const counts = active.map(example => {
+      let analysis = null;
+      try {
+        analysis = this.analyze ? this.analyze(example.question) : null;
+      } catch (err) {
+        console.warn(`SQL example ${example.id} could not be analyzed:`, err.message);
+      }
+      return termCounts(wordTerms(example.question), analysisTerms(analysis));
+    });
+
+    // Smoothed inverse document frequency; terms no example has weigh as much as the rarest
+    const df = new Map();
+    for (const c of counts) for (const term of c.keys()) df.set(term, (df.get(term) || 0) + 1);
+    const idf = new Map();
+    for (const [term, n] of df) idf.set(term, Math.log(1 + active.length / n));
+    const unknownIdf = Math.log(1 + active.length);
+
+    this._index = { key, idf, unknownIdf, entries: active.map((example, i) => ({ example, vector: vectorize(counts[i], idf) })) };
+    return this._index;
+  }
+}
+
+module.exports = {
+  SqlExampleStore,
+  DEFAULT_EXAMPLES_PATH
+};
@@ -27,14 +27,46 @@ require('dotenv').config();
 
 const DEFAULT_SCHEMA_CACHE_TTL = 60 * 60; // seconds - 1 hour
 
+// T-SQL keywords, built-in functions and date parts that are never schema identifiers
+const SQL_WORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'ON', 'AS', 'IS', 'NULL', 'IN', 'EXISTS', 'BETWEEN', 'LIKE',
+  'JOIN', 'LEFT', 'RIGHT', 'INNER', 'OUTER', 'FULL', 'CROSS', 'APPLY', 'GROUP', 'ORDER', 'BY', 'HAVING',
+  'ASC', 'DESC', 'TOP', 'PERCENT', 'TIES', 'DISTINCT', 'ALL', 'WITH', 'UNION', 'EXCEPT', 'INTERSECT',
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'OVER', 'PARTITION', 'ROWS', 'RANGE', 'UNBOUNDED', 'PRECEDING',
+  'FOLLOWING', 'CURRENT', 'ROW', 'OFFSET', 'FETCH', 'NEXT', 'ONLY', 'FIRST', 'LIMIT', 'COLLATE', 'NOLOCK',
+  'SUM', 'AVG', 'MIN', 'MAX', 'COUNT', 'COUNT_BIG', 'STDEV', 'VAR', 'CAST', 'CONVERT', 'TRY_CAST', 'TRY_CONVERT',
+  'REPLACE', 'COALESCE', 'ISNULL', 'NULLIF', 'IIF', 'LEN', 'LOWER', 'UPPER', 'LTRIM', 'RTRIM', 'TRIM',
+  'SUBSTRING', 'CONCAT', 'CHARINDEX', 'FORMAT', 'ROUND', 'ABS', 'FLOOR', 'CEILING',
+  'ROW_NUMBER', 'RANK', 'DENSE_RANK', 'NTILE', 'LAG', 'LEAD', 'STRING_AGG',
+  'GETDATE', 'SYSDATETIME', 'CURRENT_TIMESTAMP', 'DATEADD', 'DATEDIFF', 'DATEPART', 'DATENAME',
+  'DATEFROMPARTS', 'EOMONTH', 'YEAR', 'MONTH', 'DAY', 'QUARTER', 'WEEK', 'WEEKDAY', 'HOUR', 'MINUTE',
+  'SECOND', 'DAYOFYEAR', 'ISO_WEEK',
+  'DECIMAL', 'NUMERIC', 'MONEY', 'INT', 'BIGINT', 'FLOAT', 'BIT', 'VARCHAR', 'NVARCHAR', 'CHAR', 'DATE',
+  'DATETIME', 'DATETIME2', 'TIME'
+]);
+
 class SQLGenerator {
   /**
    * @param {Object} opts
    *  - dbConfig: config for mssql package to read INFORMATION_SCHEMA (optional if you won't auto-sync)
-   *  - llmClient: async function messages => { choices: [{ message: { content } }] }
+   *  - llmClient: async function (messages, llmOptions) => { choices: [{ message: { content } }] }
    *  - redisConfig: optional ioredis config or connection string
    *  - schemaCacheTTL: seconds
    *  - systemPromptExtra: optional additional system rules
+   *  - promptAnalyzer: optional (prompt, { asOf }) => analysis function (e.g. analyzeUserPrompt)
+   *  - systemPromptBuilder: optional (schemaDescription, analysis, examples) => system prompt text
+   *  - exampleRetriever: optional (prompt, analysis) => verified [{ id, question, sql, notes? }] examples
+   *    similar to the prompt, handed to the systemPromptBuilder (see sqlExamples.js)
+   *  - includeTables: optional list of table names (or a function returning one) to render/check
+   *    (defaults to every table in the schema)
+   *  - hiddenColumns: optional { table: [columns] } (or a function returning one) left out of the schema
+   *    given to the LLM, e.g. login tokens
+   *  - fallbackSchemaDescription: optional schema text used when the live schema is unavailable
+   *  - fallbackSchema: optional schema object ({ table: [{ column, data_type }] }) used for validation
+   *    when the live schema is unavailable (see SQLGenerator.parseSchemaDdl)
+   *  - validator: optional async sqlText => { ok, reason } replacing validateSqlSafety (e.g. sqlValidator.js)
+   *  - getPool: optional async () => connected mssql pool shared with the app (see dbPool.js);
+   *    without it each schema refresh opens and closes its own pool from dbConfig
    */
   constructor(opts = {}) {
     assert(opts.llmClient, 'llmClient (callGroqChat-like) is required');
@@ -43,8 +75,18 @@ class SQLGenerator {
     this.dbConfig = opts.dbConfig || null;
     this.schemaCacheTTL = opts.schemaCacheTTL || DEFAULT_SCHEMA_CACHE_TTL;
     this.systemPromptExtra = opts.systemPromptExtra || '';
+    this.promptAnalyzer = opts.promptAnalyzer || null;
+    this.systemPromptBuilder = opts.systemPromptBuilder || null;
+    this.exampleRetriever = opts.exampleRetriever || null;
+    this.includeTables = opts.includeTables || null;
+    this.hiddenColumns = opts.hiddenColumns || null;
+    this.fallbackSchemaDescription = opts.fallbackSchemaDescription || null;
+    this.fallbackSchema = opts.fallbackSchema || null;
+    this.validator = opts.validator || null;
+    this.getPool = opts.getPool || null;
     this._schema = null;            // in-memory cache
     this._schemaFetchedAt = null;
+    this._schemaSource = null;      // 'db' | 'redis'
     this._redis = null;
     if (opts.redisConfig) {
       this._redis = new Redis(opts.redisConfig);
@@ -74,6 +116,7 @@ class SQLGenerator {
           const parsed = JSON.parse(raw);
           this._schema = parsed;
           this._schemaFetchedAt = Date.now();
+          this._schemaSource = 'redis';
           return this._schema;
         } catch (e) {
           // fallthrough to refresh
@@ -97,15 +140,17 @@ class SQLGenerator {
     if (!this.dbConfig) {
       throw new Error('dbConfig is required to refresh schema from DB');
     }
-    const pool = await mssql.connect(this.dbConfig);
+    // Shared pool when the app provides one; otherwise a dedicated pool closed after the refresh
+    const pool = this.getPool ? await this.getPool() : await new mssql.ConnectionPool(this.dbConfig).connect();
     try {
       const res = await pool.request()
+        .input('db', mssql.VarChar, this.dbConfig.database)
         .query(`
           SELECT TABLE_SCHEMA, TABLE_NAME, COLUMN_NAME, DATA_TYPE
           FROM INFORMATION_SCHEMA.COLUMNS
           WHERE TABLE_CATALOG = @db
           ORDER BY TABLE_NAME, ORDINAL_POSITION;
-        `, { db: { type: mssql.VarChar, value: this.dbConfig.database }});
+        `);
       const rows = res.recordset;
       const schema = {};
       for (const r of rows) {
@@ -116,14 +161,60 @@ class SQLGenerator {
       // store in memory + redis
       this._schema = schema;
       this._schemaFetchedAt = Date.now();
+      this._schemaSource = 'db';
       if (this._redis) {
         const key = this._schemaCacheKey();
         await this._redis.set(key, JSON.stringify(schema), 'EX', this.schemaCacheTTL);
       }
       return schema;
     } finally {
-      pool.close();
+      if (!this.getPool) await pool.close();
+    }
+  }
+
+  // Age of the cached schema for health reporting: { source, fetchedAt, ageSeconds, ttlSeconds, stale }
+  schemaCacheInfo() {
+    if (!this._schemaFetchedAt) {
+      return { source: this.fallbackSchema ? 'fallback' : null, fetchedAt: null, ageSeconds: null, ttlSeconds: this.schemaCacheTTL, stale: true };
+    }
+    const ageSeconds = Math.round((Date.now() - this._schemaFetchedAt) / 1000);
+    return {
+      source: this._schemaSource,
+      fetchedAt: new Date(this._schemaFetchedAt).toISOString(),
+      ageSeconds,
+      ttlSeconds: this.schemaCacheTTL,
+      stale: ageSeconds >= this.schemaCacheTTL
+    };
+  }
+
+  // Live schema (cache/db), or the fallback schema when the database is unreachable
+  async getSchema() {
+    const schema = await this._getCachedSchema().catch(() => null);
+    return schema || this.fallbackSchema;
+  }
+
+  // Limit a schema object to the tables this generator is configured for
+  _filterSchema(schemaObj) {
+    if (!schemaObj) return schemaObj;
+    let filtered = schemaObj;
+    if (this.includeTables) {
+      const include = typeof this.includeTables === 'function' ? this.includeTables() : this.includeTables;
+      const wanted = new Set(include.map(t => t.toUpperCase()));
+      filtered = {};
+      for (const table of Object.keys(schemaObj)) {
+        if (wanted.has(table.toUpperCase())) filtered[table] = schemaObj[table];
+      }
+      if (Object.keys(filtered).length === 0) filtered = schemaObj;
     }
+    if (!this.hiddenColumns) return filtered;
+    const hidden = typeof this.hiddenColumns === 'function' ? this.hiddenColumns() : this.hiddenColumns;
+    const visible = {};
+    for (const [table, columns] of Object.entries(filtered)) {
+      const hiddenEntry = Object.entries(hidden).find(([t]) => t.toUpperCase() === table.toUpperCase());
+      const drop = new Set((hiddenEntry ? hiddenEntry[1] : []).map(c => c.toUpperCase()));
+      visible[table] = columns.filter(c => !drop.has(String(c.column).toUpperCase()));
+    }
+    return visible;
   }
 
   // Normalize user prompt to deterministic text for the LLM
@@ -168,15 +259,17 @@ ${this.systemPromptExtra}
   // Create a short schema description text from the schema object for the LLM
   _renderSchemaDescription(schemaObj) {
     if (!schemaObj) {
+      if (this.fallbackSchemaDescription) return this.fallbackSchemaDescription;
       // fallback to the minimal schema the original user used
       return `
 Tables:
 - SalesReport_Form_Input: ID, LEAD_ID, LAST_NAME, FIRST_NAME, DIVISION, DEALER_LOCATION, STOCK, VEHICLE_TYPE, CAR_STATUS, MAKE_YEAR, MAKE, MODEL, TOTAL_COST, LEAD_SOURCE, LEAD_OWNER, CLOSER, DATE_REPORTED, YEAR_REPORTED, MONTH_REPORTED, SOLD_FROM, DATE_FUNDED, DATE_POSTED, DATE_RECEIVED, PBS_DATA, isCarryOver, isDeleted, isCounted, HasLien
 - Common_Group_401_Vehicle_Inventory: ID, vId, VehicleId, StockNumber, VIN, VehicleType, VehicleTrim, VehicleStatus, VehicleMake, VehicleModel, VehicleYear, Inventory, TotalCost, Retail, isHold, isSold, isAvailable, DATE_CREATED, Odometer, Lot, IsCertified
-- SalesApp_LogInActivity: LogInActivityID, UserID, Token, LogedIn, LogOut, IpLog, Device, IpLocation, Activity
+- SalesApp_LogInActivity: LogInActivityID, UserID, LogedIn, LogOut, IpLog, Device, IpLocation, Activity
 `;
     }
     // Build a compressed schema text
+    schemaObj = this._filterSchema(schemaObj);
     let sb = 'Tables:\n';
     for (const table of Object.keys(schemaObj)) {
       const cols = schemaObj[table].map(c => c.column).join(', ');
@@ -214,19 +307,20 @@ Tables:
     return true;
   }
 
-  // Check whether SQL references columns/tables present in cached schema. If unknown, force fallback.
-  async checkSqlAgainstSchema(sqlText) {
-    const schema = await this._getCachedSchema();
+  // Strip markdown fences the LLM sometimes wraps around the query
+  cleanSqlText(sqlText) {
+    if (!sqlText || typeof sqlText !== 'string') return '';
+    return sqlText.replace(/```[\w]*\n?/g, '').trim();
+  }
+
+  // List identifiers in the SQL that are neither T-SQL keywords/functions, aliases, nor known tables/columns
+  async findUnknownIdentifiers(sqlText) {
+    const schema = await this.getSchema();
     if (!schema) {
       // If we don't have a schema, do not reject — rely on other safety
-      return true;
+      return [];
     }
 
-    // Extract identifiers: crude approach - capture words that look like identifiers
-    const tokens = Array.from(new Set(
-      (sqlText.match(/[A-Za-z_][A-Za-z0-9_]+/g) || []).map(t => t.toUpperCase())
-    ));
-
     // Build set of known tokens from schema
     const known = new Set();
     for (const t of Object.keys(schema)) {
@@ -234,74 +328,174 @@ Tables:
       for (const c of schema[t]) known.add(c.column.toUpperCase());
     }
 
-    // If SQL references any TABLE or COLUMN not in known set, be conservative and return false
-    // But allow common SQL words (SELECT, SUM, FROM, WHERE, AS, AND, OR, ON, JOIN, GROUP, ORDER, BY, CAST, REPLACE, DECIMAL, WITH, TOP)
-    const allowed = new Set(['SELECT','SUM','AVG','MIN','MAX','COUNT','FROM','WHERE','AND','OR','ON','JOIN','LEFT','RIGHT','INNER','OUTER',
-      'GROUP','ORDER','BY','AS','CAST','REPLACE','DECIMAL','TOP','WITH','IS','NULL','NOT','IN','BETWEEN','LIKE','CASE','WHEN','THEN','ELSE','END','HAVING','LIMIT','DISTINCT','COALESCE']);
+    // Drop string literals, comments and parameter placeholders, unwrap [bracketed] identifiers
+    const stripped = sqlText
+      .replace(/(?:\bN)?'(?:[^']|'')*'/g, ' ')
+      .replace(/--[^\n]*/g, ' ')
+      .replace(/\/\*[\s\S]*?\*\//g, ' ')
+      .replace(/@\w+/g, ' ')
+      .replace(/\[([^\]]+)\]/g, '$1');
+
+    const tokens = stripped.match(/[A-Za-z_][A-Za-z0-9_]*|\S/g) || [];
+    const aliases = new Set();
+    tokens.forEach((tk, i) => {
+      const up = tk.toUpperCase();
+      const prev = i > 0 ? tokens[i - 1].toUpperCase() : '';
+      const next = i + 1 < tokens.length ? tokens[i + 1] : '';
+      if (!/^[A-Z_]/.test(up) || SQL_WORDS.has(up)) return;
+      // Explicit aliases (x AS alias), CTE names (alias AS (...)) and implicit aliases (table t / expr) alias)
+      if (prev === 'AS' || (next.toUpperCase() === 'AS' && tokens[i + 2] === '(')) aliases.add(up);
+      else if (prev === ')' || (/^[A-Z_]/.test(prev) && !SQL_WORDS.has(prev))) aliases.add(up);
+    });
+
+    const unknown = new Set();
     for (const tk of tokens) {
-      if (allowed.has(tk)) continue;
-      if (!known.has(tk)) {
-        // Unknown identifier; return false
-        return false;
-      }
+      const up = tk.toUpperCase();
+      if (!/^[A-Z_]/.test(up)) continue;
+      if (SQL_WORDS.has(up) || aliases.has(up) || known.has(up)) continue;
+      unknown.add(tk);
     }
-    return true;
+    return Array.from(unknown);
   }
 
-  // Main function: generate SQL from prompt using the LLM
-  async generateSqlFromPrompt(userPrompt, opts = {}) {
-    // opts: { enforceSchemaCheck: true/false, preferCachedSchema: true/false }
-    const enforceSchemaCheck = (opts.enforceSchemaCheck === undefined) ? true : !!opts.enforceSchemaCheck;
+  // Check whether SQL references columns/tables present in cached schema. If unknown, force fallback.
+  async checkSqlAgainstSchema(sqlText) {
+    const unknown = await this.findUnknownIdentifiers(sqlText);
+    if (unknown.length > 0) {
+      console.warn('SQL references unknown identifiers:', unknown.join(', '));
+      return false;
+    }
+    return true;
+  }
 
-    // 1. Normalize prompt
+  /**
+   * Build the LLM messages for a prompt (system prompt from the live schema + mapping analysis).
+   * opts.analysis replaces the promptAnalyzer result (e.g. a follow-up merged with the previous turn);
+   * opts.history ([{ prompt, sql }], oldest first) is replayed as earlier user/assistant turns so the
+   * prompt is answered as an edit of the last query. opts.asOf is passed on to the promptAnalyzer.
+   * Returns the retrieved examples too, so callers can report which ones the LLM saw.
+   */
+  async buildMessages(userPrompt, opts = {}) {
+    // 1. Normalize prompt (and run the mapping analysis when an analyzer is configured)
     const normalizedPrompt = this.normalizePrompt(userPrompt);
+    const analysis = opts.analysis || (this.promptAnalyzer ? this.promptAnalyzer(normalizedPrompt, { asOf: opts.asOf }) : null);
 
     // 2. Get schema description text (from cache or db)
     const schemaObj = await this._getCachedSchema().catch(() => null);
     const schemaDesc = this._renderSchemaDescription(schemaObj);
 
-    // 3. Build system prompt + messages for LLM
-    const systemPrompt = this.buildSystemPrompt(schemaDesc);
+    // 3. Build system prompt (with the closest verified examples) + messages for LLM
+    const examples = this.exampleRetriever ? this.exampleRetriever(normalizedPrompt, analysis) : [];
+    const systemPrompt = this.systemPromptBuilder
+      ? this.systemPromptBuilder(schemaDesc, analysis, examples)
+      : this.buildSystemPrompt(schemaDesc);
+
+    const history = opts.history || [];
+    const messages = [{ role: 'system', content: systemPrompt }];
+    for (const turn of history) {
+      messages.push(
+        { role: 'user', content: `User request: "${this.normalizePrompt(turn.prompt)}"\nReturn only the SQL query.` },
+        { role: 'assistant', content: turn.sql }
+      );
+    }
+    messages.push({
+      role: 'user',
+      content: history.length > 0
+        ? `Follow-up request: "${normalizedPrompt}"\nModify the previous query accordingly. Return only the SQL query.`
+        : `User request: "${normalizedPrompt}"\nReturn only the SQL query.`
+    });
+    return { messages, analysis, examples, schemaDescription: schemaDesc };
+  }
+
+  // Safety + schema checks for generated SQL; returns null when it passes, otherwise a rejection reason
+  async checkGeneratedSql(sqlText, opts = {}) {
+    const enforceSchemaCheck = (opts.enforceSchemaCheck === undefined) ? true : !!opts.enforceSchemaCheck;
 
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: `User request: "${normalizedPrompt}"\nReturn only the SQL query.` }
-    ];
+    if (this.validator) {
+      const result = await this.validator(sqlText);
+      if (!result.ok) return result.reason;
+    } else if (!this.validateSqlSafety(sqlText)) {
+      return { code: 'UNSAFE_SQL', message: 'SQL failed safety rules.', detail: null };
+    }
+
+    if (enforceSchemaCheck) {
+      const unknown = await this.findUnknownIdentifiers(sqlText);
+      if (unknown.length > 0) {
+        return { code: 'UNKNOWN_IDENTIFIER', message: `SQL references unknown identifiers: ${unknown.join(', ')}`, detail: unknown };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Generate SQL and report why generation failed instead of hiding it behind a fallback query.
+   * examples lists the ids of the verified examples the LLM was shown.
+   * @returns {Promise<{ sql: string|null, rawSql: string|null, rejection: Object|null, llmError: string|null, examples: string[] }>}
+   */
+  async generateWithDetails(userPrompt, opts = {}) {
+    // opts: { enforceSchemaCheck: true/false, llmOptions: passed through to llmClient, analysis, history }
+    const { messages, analysis, examples } = await this.buildMessages(userPrompt, opts);
+    const result = await this._completeAndCheck(messages, analysis, opts);
+    return { ...result, examples: examples.map(e => e.id) };
+  }
+
+  /**
+   * Ask the LLM to fix SQL that SQL Server rejected. Each earlier failure ({ sql, error }) is replayed
+   * as an assistant turn followed by the database error, so the model sees the whole repair history.
+   * Same result shape and checks as generateWithDetails.
+   */
+  async repairWithDetails(userPrompt, failures, opts = {}) {
+    const { messages, analysis } = await this.buildMessages(userPrompt, opts);
+    for (const failure of failures) {
+      messages.push(
+        { role: 'assistant', content: failure.sql },
+        {
+          role: 'user',
+          content: `SQL Server rejected that query with this error:\n${failure.error}\n` +
+            'Fix the query using only the schema above. Return only the corrected SQL query.'
+        }
+      );
+    }
+    return this._completeAndCheck(messages, analysis, opts);
+  }
 
+  async _completeAndCheck(messages, analysis, opts) {
     // 4. Call LLM
     let llmResp;
     try {
-      llmResp = await this.llmClient(messages);
+      llmResp = await this.llmClient(messages, opts.llmOptions || {});
     } catch (err) {
-      // LLM error -> return safe fallback
       console.error('LLM call failed', err);
-      return `SELECT TOP (0) * FROM SalesReport_Form_Input`;
+      return { sql: null, rawSql: null, rejection: null, llmError: err.message, analysis };
     }
 
-    const sqlText = (llmResp?.choices?.[0]?.message?.content || '').trim();
+    const sqlText = this.cleanSqlText(llmResp?.choices?.[0]?.message?.content);
     if (!sqlText) {
-      return `SELECT TOP (0) * FROM SalesReport_Form_Input`;
-    }
-
-    // 5. Basic safety validation
-    const safe = this.validateSqlSafety(sqlText);
-    if (!safe) {
-      console.warn('SQL failed safety rules; returning fallback.');
-      return `SELECT TOP (0) * FROM SalesReport_Form_Input`;
+      return {
+        sql: null,
+        rawSql: null,
+        rejection: { code: 'EMPTY', message: 'LLM did not return SQL.', detail: null },
+        llmError: null,
+        analysis
+      };
     }
 
-    // 6. Optional schema-aware validation
-    if (enforceSchemaCheck) {
-      const matchesSchema = await this.checkSqlAgainstSchema(sqlText);
-      if (!matchesSchema) {
-        // If LLM used unknown column/table -> fallback per rule 5
-        console.warn('SQL references unknown schema elements; returning fallback.');
-        return `SELECT TOP (0) * FROM SalesReport_Form_Input`;
-      }
+    // 5./6. Safety validation + optional schema-aware validation
+    const rejection = await this.checkGeneratedSql(sqlText, opts);
+    if (rejection) {
+      console.warn('Generated SQL rejected:', rejection.code, rejection.message);
+      return { sql: null, rawSql: sqlText, rejection, llmError: null, analysis };
     }
 
     // 7. Return sanitized SQL (trim trailing semicolons)
-    return sqlText.replace(/\s*;+\s*$/g, '');
+    const cleaned = sqlText.replace(/\s*;+\s*$/g, '');
+    return { sql: cleaned, rawSql: sqlText, rejection: null, llmError: null, analysis };
+  }
+
+  // Main function: generate SQL from prompt using the LLM (falls back to an empty query on any failure)
+  async generateSqlFromPrompt(userPrompt, opts = {}) {
+    const result = await this.generateWithDetails(userPrompt, opts);
+    return result.sql || `SELECT TOP (0) * FROM SalesReport_Form_Input`;
   }
 
   // Close resources (redis)
@@ -310,6 +504,36 @@ Tables:
   }
 }
 
+/**
+ * Build a schema object ({ table: [{ column, data_type }] }) from DDL such as backend/schema.sql:
+ * columns from CREATE TABLE bodies plus ALTER TABLE ... ADD statements.
+ */
+SQLGenerator.parseSchemaDdl = function parseSchemaDdl(ddlText) {
+  const schema = {};
+  const addColumn = (table, column, dataType) => {
+    if (!schema[table]) schema[table] = [];
+    if (!schema[table].some(c => c.column.toUpperCase() === column.toUpperCase())) {
+      schema[table].push({ column, data_type: (dataType || '').toLowerCase().replace(/\(.*$/, '') });
+    }
+  };
+
+  const createRe = /CREATE\s+TABLE\s+\[?(\w+)\]?\s*\(([\s\S]*?)\n\s*\);/gi;
+  let m;
+  while ((m = createRe.exec(ddlText)) !== null) {
+    for (const line of m[2].split('\n')) {
+      const col = line.trim().match(/^\[?(\w+)\]?\s+(\w+)/);
+      if (!col || /^(CONSTRAINT|PRIMARY|FOREIGN|INDEX|UNIQUE|CHECK)$/i.test(col[1])) continue;
+      addColumn(m[1], col[1], col[2]);
+    }
+  }
+
+  const alterRe = /ALTER\s+TABLE\s+\[?(\w+)\]?\s+ADD\s+\[?(\w+)\]?\s+(\w+)/gi;
+  while ((m = alterRe.exec(ddlText)) !== null) {
+    addColumn(m[1], m[2], m[3]);
+  }
+  return schema;
+};
+
 module.exports = SQLGenerator;
 
 // Need to see for implementation
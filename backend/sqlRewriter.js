@@ -0,0 +1,605 @@
+/**
+ * sqlRewriter.js
+ *
+ * Post-generation rewriting of T-SQL text. Enforces mandatory business-rule predicates
+ * (e.g. isCarryOver = 0 AND isDeleted = 0 on SalesReport_Form_Input) on every reference to a
+ * governed table — top-level queries, subqueries, CTE bodies and UNION branches — instead of
+ * trusting the LLM to remember them.
+ *
+ * Works on a token stream (strings, [brackets], comments and parentheses aware) so the original
+ * SQL is preserved and predicates are spliced in at the right clause of each query block:
+ *  - tables in FROM / INNER / CROSS joins get the predicate in the block's WHERE
+ *  - tables on the optional side of a LEFT JOIN get it in that join's ON clause
+ *  - count-only rules (isCounted = 1 for deal counts) are added to WHERE when the block only counts,
+ *    and folded into the COUNT(...) itself when the block also sums other metrics; a plain CTE body
+ *    or derived table that an outer COUNT reads is treated the same way (the body projects the column
+ *    when the outer COUNT needs to fold it)
+ *  - a predicate already present only counts as a top-level AND term of that block's own WHERE/ON,
+ *    never inside a subquery or under an OR
+ *
+ * Rule shape: { id, table, column, value, appliesTo: 'always' | 'count', description }; the predicate is written
+ * by semanticModel.rulePredicate (numbers and booleans only).
+ *
+ * parameterizeLiterals turns the user-derived string literals left in generated SQL (comparison,
+ * LIKE, IN and BETWEEN operands) into typed @p0, @p1 ... parameters for the mssql request, and
+ * reports date-shaped literals that are not real days instead of binding them.
+ */
+
+'use strict';
+
+const { parseDay } = require('./calendar');
+const { ruleLiteral, rulePredicate } = require('./semanticModel');
+
+const TOKEN_RE = /(\s+)|(--[^\n]*)|(\/\*[\s\S]*?\*\/)|((?:N)?'(?:[^']|'')*')|(\[[^\]]*\])|([A-Za-z_@#][\w@#$]*)|(\d+(?:\.\d+)?)|([(),.;])|([<>!=]+|[^\s])/g;
+
+const CLAUSE_END = new Set(['WHERE', 'GROUP', 'HAVING', 'ORDER', 'UNION', 'EXCEPT', 'INTERSECT', 'OPTION', 'FOR']);
+const JOIN_WORDS = new Set(['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'OUTER', 'APPLY']);
+const NOT_ALIAS = new Set([...CLAUSE_END, ...JOIN_WORDS, 'ON', 'WITH', 'AS']);
+
+/**
+ * Split SQL into tokens: { type, text, upper, start, end }.
+ * type: ws | comment | string | ident | word | number | punct | op
+ */
+function tokenizeSql(sqlText) {
+  const tokens = [];
+  let m;
+  TOKEN_RE.lastIndex = 0;
+  while ((m = TOKEN_RE.exec(sqlText)) !== null) {
+    let type;
+    if (m[1]) type = 'ws';
+    else if (m[2] || m[3]) type = 'comment';
+    else if (m[4]) type = 'string';
+    else if (m[5]) type = 'ident';
+    else if (m[6]) type = 'word';
+    else if (m[7]) type = 'number';
+    else if (m[8]) type = 'punct';
+    else type = 'op';
+    tokens.push({ type, text: m[0], upper: m[0].toUpperCase(), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+// Identifier text without [brackets], upper-cased for comparisons
+function identName(token) {
+  if (!token) return '';
+  return (token.type === 'ident' ? token.text.slice(1, -1) : token.text).toUpperCase();
+}
+
+function isIdentifier(token) {
+  return token && (token.type === 'word' || token.type === 'ident');
+}
+
+/**
+ * Find every SELECT query block. Each block records the significant tokens at its own
+ * parenthesis depth plus the positions of its clauses.
+ */
+function findQueryBlocks(tokens) {
+  const sig = tokens.filter(t => t.type !== 'ws' && t.type !== 'comment');
+  const depthAt = [];
+  let depth = 0;
+  for (const t of sig) {
+    if (t.text === ')') depth--;
+    depthAt.push(depth);
+    if (t.text === '(') depth++;
+  }
+
+  const blocks = [];
+  sig.forEach((t, i) => {
+    if (t.upper !== 'SELECT') return;
+    const d = depthAt[i];
+    let end = i + 1;
+    while (end < sig.length) {
+      const tk = sig[end];
+      if (depthAt[end] < d) break;
+      if (depthAt[end] === d && (tk.text === ';' || tk.upper === 'UNION' || tk.upper === 'EXCEPT' || tk.upper === 'INTERSECT')) break;
+      end++;
+    }
+    // Tokens of this block at its own depth (nested subqueries/function args excluded)
+    const own = [];
+    for (let k = i; k < end; k++) {
+      if (depthAt[k] === d) own.push(k);
+    }
+    blocks.push({ sig, start: i, end, depth: d, own });
+  });
+  return blocks;
+}
+
+// Index (into sig) of the first own token matching one of the words, starting after `from`
+function findOwn(block, words, from) {
+  for (const k of block.own) {
+    if (k > from && words.has(block.sig[k].upper)) return k;
+  }
+  return -1;
+}
+
+/**
+ * Parse the FROM clause of a block into table references:
+ * { table, alias, qualifier, joinType: 'from' | 'inner' | 'left' | 'other', onStart, onEnd }
+ */
+function parseFromClause(block) {
+  const { sig, own } = block;
+  const fromIdx = own.find(k => sig[k].upper === 'FROM');
+  if (fromIdx === undefined) return { refs: [], fromIdx: -1, clauseEnd: block.end };
+
+  const clauseEndIdx = findOwn(block, CLAUSE_END, fromIdx);
+  const clauseEnd = clauseEndIdx === -1 ? block.end : clauseEndIdx;
+  const ownInFrom = own.filter(k => k > fromIdx && k < clauseEnd);
+
+  const refs = [];
+  let pendingJoin = 'from';
+  let joinWords = [];
+  for (let n = 0; n < ownInFrom.length; n++) {
+    const k = ownInFrom[n];
+    const tk = sig[k];
+    if (tk.text === ',') {
+      pendingJoin = 'inner';
+      joinWords = [];
+      continue;
+    }
+    if (JOIN_WORDS.has(tk.upper)) {
+      joinWords.push(tk.upper);
+      if (tk.upper === 'JOIN' || tk.upper === 'APPLY') {
+        if (joinWords.includes('LEFT')) pendingJoin = 'left';
+        else if (joinWords.includes('RIGHT') || joinWords.includes('FULL') || tk.upper === 'APPLY') pendingJoin = 'other';
+        else pendingJoin = 'inner';
+        joinWords = [];
+      }
+      continue;
+    }
+    if (tk.upper === 'ON') {
+      const ref = refs[refs.length - 1];
+      if (ref && ref.onStart === null) {
+        ref.onStart = k;
+        // ON clause runs until the next join keyword / comma at this depth, or the end of FROM
+        let e = n + 1;
+        while (e < ownInFrom.length && !JOIN_WORDS.has(sig[ownInFrom[e]].upper) && sig[ownInFrom[e]].text !== ',') e++;
+        ref.onEnd = e < ownInFrom.length ? ownInFrom[e] : clauseEnd;
+      }
+      continue;
+    }
+    if (pendingJoin === null || !isIdentifier(tk)) continue;
+
+    // Table name (possibly schema-qualified), then optional [AS] alias
+    let nameIdx = k;
+    let m = n;
+    while (m + 2 < ownInFrom.length && sig[ownInFrom[m + 1]].text === '.' && isIdentifier(sig[ownInFrom[m + 2]])) {
+      m += 2;
+      nameIdx = ownInFrom[m];
+    }
+    let alias = null;
+    let next = ownInFrom[m + 1];
+    if (next !== undefined && sig[next].upper === 'AS') {
+      m++;
+      next = ownInFrom[m + 1];
+    }
+    if (next !== undefined && isIdentifier(sig[next]) && !NOT_ALIAS.has(sig[next].upper)) {
+      alias = sig[next];
+      m++;
+    }
+    refs.push({
+      table: identName(sig[nameIdx]),
+      alias: alias ? alias.text : null,
+      qualifier: alias ? alias.text : sig[nameIdx].text,
+      joinType: pendingJoin,
+      onStart: null,
+      onEnd: null
+    });
+    pendingJoin = null;
+    n = m;
+  }
+  return { refs, fromIdx, clauseEnd };
+}
+
+function sliceText(sqlText, sig, fromIdx, toIdx) {
+  if (fromIdx >= toIdx) return '';
+  return sqlText.slice(sig[fromIdx].start, sig[toIdx - 1].end);
+}
+
+// For each token: is it part of a top-level AND term? Plain (...) groups joined by AND count;
+// subqueries, function arguments and anything under an OR do not
+function andLevel(tokens) {
+  const opens = [];
+  const orIn = new Set(); // '(' index of each group with an OR at its own level, -1 for the top
+  tokens.forEach((t, i) => {
+    if (t.text === '(') opens.push(i);
+    else if (t.text === ')') opens.pop();
+    else if (t.upper === 'OR') orIn.add(opens.length > 0 ? opens[opens.length - 1] : -1);
+  });
+  const plain = [!orIn.has(-1)];
+  return tokens.map((t, i) => {
+    if (t.text === '(') {
+      const prev = tokens[i - 1];
+      const next = tokens[i + 1];
+      const grouping = (!prev || prev.text === '(' || prev.upper === 'AND') &&
+        !(next && (next.upper === 'SELECT' || next.upper === 'WITH'));
+      plain.push(plain[plain.length - 1] && grouping && !orIn.has(i));
+    } else if (t.text === ')' && plain.length > 1) {
+      plain.pop();
+    }
+    return plain[plain.length - 1];
+  });
+}
+
+// Does the text hold `[qualifier.]column = value` as a top-level AND term?
+function hasPredicate(text, rule, qualifier, allowUnqualified) {
+  if (!text) return false;
+  const tokens = tokenizeSql(text).filter(t => t.type !== 'ws' && t.type !== 'comment');
+  const level = andLevel(tokens);
+  const col = rule.column.toUpperCase();
+  const q = qualifier ? qualifier.replace(/^\[|\]$/g, '').toUpperCase() : null;
+  for (let i = 0; i < tokens.length; i++) {
+    if (!level[i] || identName(tokens[i]) !== col) continue;
+    const qualified = i >= 2 && tokens[i - 1].text === '.';
+    if (qualified && identName(tokens[i - 2]) !== q) continue;
+    if (!qualified && !allowUnqualified) continue;
+    if (tokens[i + 1] && tokens[i + 1].text === '=' && tokens[i + 2] && tokens[i + 2].text === ruleLiteral(rule)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function renderColumn(rule, qualifier) {
+  return qualifier ? `${qualifier}.${rule.column}` : rule.column;
+}
+
+// Edit that turns the COUNT(arg) at sig[k] into COUNT(CASE WHEN predicate THEN arg END)
+function countFoldEdit(sqlText, block, k, predicate) {
+  const { sig } = block;
+  const open = k + 1;
+  let depth = 0;
+  let close = open;
+  for (; close < block.end; close++) {
+    if (sig[close].text === '(') depth++;
+    if (sig[close].text === ')' && --depth === 0) break;
+  }
+  let argStart = open + 1;
+  let distinct = '';
+  if (sig[argStart].upper === 'DISTINCT') {
+    distinct = 'DISTINCT ';
+    argStart++;
+  }
+  const arg = sliceText(sqlText, sig, argStart, close);
+  return {
+    start: sig[open + 1].start,
+    end: sig[close - 1].end,
+    text: `${distinct}CASE WHEN ${predicate} THEN ${arg === '*' ? 1 : arg} END`
+  };
+}
+
+// Index of the '(' that encloses the block, or -1 for a top-level block
+function enclosingParen(block) {
+  let level = 0;
+  for (let k = block.start - 1; k >= 0; k--) {
+    const t = block.sig[k].text;
+    if (t === ')') level++;
+    if (t === '(' && level-- === 0) return k;
+  }
+  return -1;
+}
+
+/**
+ * FROM references and aggregates of a block, and the name other blocks read its rows by when it
+ * is a CTE body (WITH name AS (...)) or a derived table (FROM (...) alias).
+ */
+function describeBlock(block, blocks) {
+  const { sig } = block;
+  const { refs, fromIdx, clauseEnd } = parseFromClause(block);
+  const selectEnd = fromIdx === -1 ? block.end : fromIdx;
+  const isCall = (k, names) => names.includes(sig[k].upper) && sig[k + 1] && sig[k + 1].text === '(';
+  const countIdxs = block.own.filter(k => k > block.start && k < selectEnd && isCall(k, ['COUNT', 'COUNT_BIG']));
+
+  const paren = enclosingParen(block);
+  let sourceName = null;
+  let columnList = false;
+  let reader = null;
+  if (paren > 0 && sig[paren - 1].upper === 'AS') {
+    let nameIdx = paren - 2;
+    if (sig[nameIdx] && sig[nameIdx].text === ')') {
+      // WITH name (col, ...) AS (...)
+      columnList = true;
+      while (nameIdx > 0 && sig[nameIdx].text !== '(') nameIdx--;
+      nameIdx--;
+    }
+    if (isIdentifier(sig[nameIdx])) sourceName = identName(sig[nameIdx]);
+  } else if (paren !== -1) {
+    const outer = blocks.find(b => b.depth === block.depth - 1 && b.own.includes(paren));
+    const from = outer ? parseFromClause(outer) : null;
+    if (from && from.fromIdx !== -1 && paren > from.fromIdx && paren < from.clauseEnd) {
+      let close = paren + 1;
+      for (let level = 1; close < outer.end; close++) {
+        if (sig[close].text === '(') level++;
+        if (sig[close].text === ')' && --level === 0) break;
+      }
+      const aliasIdx = sig[close + 1] && sig[close + 1].upper === 'AS' ? close + 2 : close + 1;
+      if (isIdentifier(sig[aliasIdx])) {
+        sourceName = identName(sig[aliasIdx]);
+        reader = outer;
+      }
+    }
+  }
+  return {
+    block,
+    refs,
+    fromIdx,
+    clauseEnd,
+    countIdxs,
+    hasCount: countIdxs.length > 0,
+    hasOtherAggregate: block.own.some(k => k > block.start && k < selectEnd && isCall(k, ['SUM', 'AVG', 'MIN', 'MAX'])),
+    grouped: block.own.some(k => sig[k].upper === 'GROUP' || sig[k].upper === 'DISTINCT'),
+    sourceName,
+    columnList,
+    reader,
+    countedOutside: null
+  };
+}
+
+// Blocks that read a CTE body (by its name) or a derived table (the block it sits in)
+function readersOf(infos, info) {
+  if (info.sourceName === null) return [];
+  if (info.reader) return infos.filter(r => r.block === info.reader);
+  return infos.filter(r => r.refs.some(ref => ref.table === info.sourceName));
+}
+
+// The reader's FROM reference to the body: the CTE name, or the derived table's alias
+function readerSource(reader, info) {
+  return reader.refs.find(ref => ref.table === info.sourceName ||
+    (ref.alias && identName(tokenizeSql(ref.alias)[0]) === info.sourceName)) || reader.refs[0];
+}
+
+/**
+ * A plain row source (CTE body or derived table, no aggregates or grouping) read by a block that
+ * counts takes that block's count rules, so a COUNT over a CTE still sees counted rows only.
+ * countedOutside is 'where' when the counting readers only count (the rule goes in the body's WHERE),
+ * or the list of readers that also sum (the body projects the rule column and their COUNTs fold it).
+ */
+function markCountedBodies(infos) {
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const info of infos) {
+      if (info.countedOutside || info.hasCount || info.hasOtherAggregate || info.grouped) continue;
+      const counting = readersOf(infos, info).filter(r => r.hasCount || r.countedOutside === 'where');
+      if (counting.length === 0) continue;
+      const summing = counting.filter(r => r.hasOtherAggregate);
+      if (summing.length === 0) info.countedOutside = 'where';
+      else if (!info.columnList) info.countedOutside = summing;
+      else continue;
+      changed = true;
+    }
+  }
+}
+
+/**
+ * Inject mandatory business-rule predicates into every query block that reads a governed table.
+ * @param {string} sqlText
+ * @param {Array} rules - [{ id, table, column, value, appliesTo, description }]
+ * @returns {{ sql: string, applied: Array<{ rule, table, qualifier, predicate, location }> }}
+ */
+function applyBusinessRules(sqlText, rules) {
+  if (!sqlText || !rules || rules.length === 0) return { sql: sqlText, applied: [] };
+
+  const tokens = tokenizeSql(sqlText);
+  const blocks = findQueryBlocks(tokens);
+  const edits = [];     // { start, end, text }
+  const applied = [];
+
+  const infos = blocks.map(block => describeBlock(block, blocks));
+  markCountedBodies(infos);
+  const folded = new Set(); // "reader:rule" pairs whose COUNTs already fold a body's rule
+
+  for (const info of infos) {
+    const { block, refs, fromIdx, clauseEnd, countIdxs, hasCount, hasOtherAggregate } = info;
+    const { sig } = block;
+    if (refs.length === 0) continue;
+
+    const selectText = sliceText(sqlText, sig, block.start + 1, fromIdx);
+
+    const whereIdx = block.own.find(k => k >= clauseEnd && sig[k].upper === 'WHERE');
+    const whereEndIdx = whereIdx === undefined ? -1 : findOwn(block, new Set(['GROUP', 'HAVING', 'ORDER', 'UNION', 'EXCEPT', 'INTERSECT', 'OPTION', 'FOR']), whereIdx);
+    const whereEnd = whereEndIdx === -1 ? block.end : whereEndIdx;
+    const whereText = whereIdx === undefined ? '' : sliceText(sqlText, sig, whereIdx + 1, whereEnd);
+
+    const wherePredicates = [];
+    const singleTable = refs.length === 1;
+
+    for (const ref of refs) {
+      const tableRules = rules.filter(r => r.table.toUpperCase() === ref.table);
+      if (tableRules.length === 0) continue;
+      const onPredicates = [];
+
+      for (const rule of tableRules) {
+        // A lone, un-aliased table reads better without a qualifier
+        const predicate = rulePredicate(rule, singleTable && !ref.alias ? null : ref.qualifier);
+
+        if (rule.appliesTo === 'count') {
+          if (!hasCount && !info.countedOutside) continue;
+          if (hasPredicate(whereText, rule, ref.qualifier, singleTable)) continue;
+          const projected = new RegExp(`\\b${rule.column}\\b`, 'i').test(selectText);
+          if (Array.isArray(info.countedOutside)) {
+            // Project the column so the readers' COUNTs can fold the rule over this body's rows
+            if (!projected && selectText.trim() !== '*') {
+              edits.push({ start: sig[fromIdx - 1].end, end: sig[fromIdx - 1].end, text: `, ${renderColumn(rule, singleTable && !ref.alias ? null : ref.qualifier)}` });
+            }
+            for (const reader of info.countedOutside) {
+              const key = `${infos.indexOf(reader)}:${rule.id}`;
+              const readerSelect = sliceText(sqlText, sig, reader.block.start + 1, reader.fromIdx);
+              if (folded.has(key) || new RegExp(`\\b${rule.column}\\b`, 'i').test(readerSelect)) continue;
+              folded.add(key);
+              const source = readerSource(reader, info);
+              const readerPredicate = rulePredicate(rule, reader.refs.length === 1 && !source.alias ? null : source.qualifier);
+              for (const k of reader.countIdxs) edits.push(countFoldEdit(sqlText, reader.block, k, readerPredicate));
+              applied.push({ rule: rule.id, table: ref.table, qualifier: source.qualifier, predicate: readerPredicate, location: 'COUNT' });
+            }
+            continue;
+          }
+          if (projected) continue;
+          if (hasOtherAggregate) {
+            // Fold the rule into each COUNT so the other aggregates still see every row
+            for (const k of countIdxs) edits.push(countFoldEdit(sqlText, block, k, predicate));
+            applied.push({ rule: rule.id, table: ref.table, qualifier: ref.qualifier, predicate, location: 'COUNT' });
+            continue;
+          }
+        }
+
+        if (ref.joinType === 'left') {
+          const onText = ref.onStart === null ? '' : sliceText(sqlText, sig, ref.onStart + 1, ref.onEnd);
+          if (hasPredicate(onText, rule, ref.qualifier, false)) continue;
+          onPredicates.push(predicate);
+          applied.push({ rule: rule.id, table: ref.table, qualifier: ref.qualifier, predicate, location: 'ON' });
+        } else {
+          if (hasPredicate(whereText, rule, ref.qualifier, singleTable)) continue;
+          wherePredicates.push(predicate);
+          applied.push({ rule: rule.id, table: ref.table, qualifier: ref.qualifier, predicate, location: 'WHERE' });
+        }
+      }
+
+      if (onPredicates.length > 0 && ref.onStart !== null) {
+        edits.push({ start: sig[ref.onStart + 1].start, end: sig[ref.onStart + 1].start, text: '(' });
+        edits.push({ start: sig[ref.onEnd - 1].end, end: sig[ref.onEnd - 1].end, text: `) AND ${onPredicates.join(' AND ')}` });
+      }
+    }
+
+    if (wherePredicates.length > 0) {
+      const preds = wherePredicates.join(' AND ');
+      if (whereIdx !== undefined) {
+        edits.push({ start: sig[whereIdx + 1].start, end: sig[whereIdx + 1].start, text: `${preds} AND (` });
+        edits.push({ start: sig[whereEnd - 1].end, end: sig[whereEnd - 1].end, text: ')' });
+      } else {
+        edits.push({ start: sig[clauseEnd - 1].end, end: sig[clauseEnd - 1].end, text: ` WHERE ${preds}` });
+      }
+    }
+  }
+
+  // Apply edits right-to-left so earlier offsets stay valid; at the same offset the edit recorded
+  // last is applied first, so text recorded earlier ends up first in the output
+  edits.forEach((e, i) => { e.seq = i; });
+  edits.sort((a, b) => b.start - a.start || b.seq - a.seq);
+  let out = sqlText;
+  for (const e of edits) {
+    out = out.slice(0, e.start) + e.text + out.slice(e.end);
+  }
+  return { sql: out, applied };
+}
+
+const COMPARISON_OPS = new Set(['=', '<>', '!=', '<', '>', '<=', '>=']);
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TEXT_TYPES = new Set(['char', 'varchar', 'nchar', 'nvarchar', 'text', 'ntext']);
+
+/**
+ * Typed parameter for a string literal token: N'..' -> NVarChar, a real 'YYYY-MM-DD' day -> Date
+ * unless the compared column is text, else VarChar. { invalid: true } for a date-shaped literal that
+ * is not a day ('2025-02-30') compared with a column that is not text.
+ */
+function literalParam(token, columnType) {
+  const unicode = token.text[0] === 'N' || token.text[0] === 'n';
+  const value = token.text.slice(unicode ? 2 : 1, -1).replace(/''/g, "'");
+  const text = { type: unicode ? 'NVarChar' : 'VarChar', value };
+  if (!ISO_DATE_RE.test(value) || (columnType && TEXT_TYPES.has(columnType.toLowerCase()))) return text;
+  return parseDay(value) ? { type: 'Date', value } : { ...text, invalid: true };
+}
+
+// Column token a literal is compared with: `col = 'x'`, `'x' = col`, `col LIKE 'x'`, `col BETWEEN 'x' AND 'y'`
+// and `col [NOT] IN ('x', ...)`; null for anything else (an expression, another literal)
+function comparedColumn(sig, i, inList) {
+  if (inList) return inList.column;
+  const prev = sig[i - 1];
+  if (prev && (COMPARISON_OPS.has(prev.text) || prev.upper === 'LIKE' || prev.upper === 'BETWEEN')) {
+    const before = sig[i - 2] && sig[i - 2].upper === 'NOT' ? sig[i - 3] : sig[i - 2];
+    if (isIdentifier(before)) return before;
+  }
+  if (prev && prev.upper === 'AND' && sig[i - 3] && sig[i - 3].upper === 'BETWEEN') {
+    const before = sig[i - 4] && sig[i - 4].upper === 'NOT' ? sig[i - 5] : sig[i - 4];
+    if (isIdentifier(before)) return before;
+  }
+  const next = sig[i + 1];
+  if (next && (COMPARISON_OPS.has(next.text) || next.upper === 'LIKE') && isIdentifier(sig[i + 2])) {
+    // 'x' = s.COL reads the column after the qualifier
+    return sig[i + 3] && sig[i + 3].text === '.' && isIdentifier(sig[i + 4]) ? sig[i + 4] : sig[i + 2];
+  }
+  return null;
+}
+
+/**
+ * Replace string literals used as comparison / LIKE / IN / BETWEEN operands with parameters.
+ * @param {string} sqlText
+ * @param {Object} existing - already-bound params ({ name: { type, value } }) to avoid name clashes
+ * @param {Object} opts
+ *  - columnTypes: { COLUMN: data_type } (upper-case names, INFORMATION_SCHEMA types) so a date-shaped
+ *    literal compared with a text column stays text
+ * @returns {{ sql: string, params: Object, invalidDates: string[] }} invalidDates: date-shaped literals
+ *   that are not days ('2025-02-30'); the caller should reject the SQL rather than bind them
+ */
+function parameterizeLiterals(sqlText, existing = {}, opts = {}) {
+  if (!sqlText) return { sql: sqlText, params: {}, invalidDates: [] };
+  const columnTypes = opts.columnTypes || {};
+  const tokens = tokenizeSql(sqlText);
+  const sig = tokens.filter(t => t.type !== 'ws' && t.type !== 'comment');
+  const taken = new Set(Object.keys(existing).map(n => n.toLowerCase()));
+  const params = {};
+  const invalidDates = [];
+  const edits = [];
+  let counter = 0;
+
+  const inLists = []; // { depth, column } of each open IN (...) list
+  let depth = 0;
+  sig.forEach((t, i) => {
+    const prev = sig[i - 1];
+    const next = sig[i + 1];
+    if (t.text === '(') {
+      depth++;
+      if (prev && prev.upper === 'IN') {
+        const column = sig[i - 2] && sig[i - 2].upper === 'NOT' ? sig[i - 3] : sig[i - 2];
+        inLists.push({ depth, column: isIdentifier(column) ? column : null });
+      }
+    }
+    if (t.text === ')') {
+      if (inLists.length > 0 && inLists[inLists.length - 1].depth === depth) inLists.pop();
+      depth--;
+    }
+    if (t.type !== 'string') return;
+
+    const openList = inLists.length > 0 && inLists[inLists.length - 1].depth === depth ? inLists[inLists.length - 1] : null;
+    const inList = openList && prev && (prev.text === '(' || prev.text === ',');
+    const betweenEnd = prev && prev.upper === 'AND' && sig[i - 3] && sig[i - 3].upper === 'BETWEEN';
+    const operand = prev && (COMPARISON_OPS.has(prev.text) || prev.upper === 'LIKE' || prev.upper === 'BETWEEN');
+    const leftOperand = next && (COMPARISON_OPS.has(next.text) || next.upper === 'LIKE');
+    if (!inList && !betweenEnd && !operand && !leftOperand) return;
+
+    const column = comparedColumn(sig, i, inList ? openList : null);
+    const param = literalParam(t, column ? columnTypes[identName(column)] : null);
+    if (param.invalid) {
+      invalidDates.push(param.value);
+      return;
+    }
+    let name;
+    do {
+      name = `p${counter++}`;
+    } while (taken.has(name));
+    taken.add(name);
+    params[name] = param;
+    edits.push({ start: t.start, end: t.end, text: `@${name}` });
+  });
+
+  let out = sqlText;
+  for (const e of edits.reverse()) {
+    out = out.slice(0, e.start) + e.text + out.slice(e.end);
+  }
+  return { sql: out, params, invalidDates };
+}
+
+// @names referenced by the SQL (system @@variables excluded)
+function referencedParams(sqlText) {
+  return Array.from(new Set(tokenizeSql(sqlText || '')
+    .filter(t => t.type === 'word' && /^@[A-Za-z_]/.test(t.text))
+    .map(t => t.text.slice(1))));
+}
+
+module.exports = {
+  tokenizeSql,
+  findQueryBlocks,
+  parseFromClause,
+  applyBusinessRules,
+  parameterizeLiterals,
+  referencedParams
+};
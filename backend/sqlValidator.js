@@ -0,0 +1,396 @@
+/**
+ * sqlValidator.js
+ *
+ * AST-based T-SQL validation for generated queries (replaces keyword matching).
+ *
+ * A query passes only if it:
+ *  - parses as T-SQL (node-sql-parser, transactsql dialect)
+ *  - is a single SELECT statement (CTEs allowed), without SELECT ... INTO or FOR XML / FOR JSON
+ *  - reads no @@ system variables (@@VERSION, @@SERVERNAME ...) and only @parameters that are bound
+ *  - reads only allowlisted tables in the current database (no cross-database/system objects,
+ *    no OPENROWSET/OPENQUERY-style table sources)
+ *  - references only allowlisted columns of those tables (or aliases/CTE columns it defines), never a
+ *    hidden column, and no SELECT * over a table that has hidden columns (login tokens)
+ *  - calls only allowlisted functions
+ *  - joins tables only along declared join paths, when the allowlist has any (JOIN ... ON a.STOCK = b.StockNumber;
+ *    no comma or CROSS joins between tables)
+ *
+ * validateSql never throws for bad input: it returns { ok: false, reason: { code, message, detail } }
+ * so the reason can be passed straight to the client.
+ */
+
+'use strict';
+
+const { Parser } = require('node-sql-parser');
+const { tokenizeSql } = require('./sqlRewriter');
+
+const parser = new Parser();
+const PARSE_OPTIONS = { database: 'transactsql' };
+const MAX_SQL_LENGTH = 20000;
+
+const REJECTION_CODES = {
+  EMPTY: 'EMPTY',
+  TOO_LONG: 'TOO_LONG',
+  PARSE_ERROR: 'PARSE_ERROR',
+  MULTIPLE_STATEMENTS: 'MULTIPLE_STATEMENTS',
+  NOT_SELECT: 'NOT_SELECT',
+  SELECT_INTO: 'SELECT_INTO',
+  FOR_CLAUSE: 'FOR_CLAUSE',
+  SYSTEM_VARIABLE: 'SYSTEM_VARIABLE',
+  UNBOUND_PARAMETER: 'UNBOUND_PARAMETER',
+  CROSS_DATABASE: 'CROSS_DATABASE',
+  TABLE_NOT_ALLOWED: 'TABLE_NOT_ALLOWED',
+  TABLE_SOURCE_NOT_ALLOWED: 'TABLE_SOURCE_NOT_ALLOWED',
+  COLUMN_NOT_ALLOWED: 'COLUMN_NOT_ALLOWED',
+  FUNCTION_NOT_ALLOWED: 'FUNCTION_NOT_ALLOWED',
+  JOIN_NOT_ALLOWED: 'JOIN_NOT_ALLOWED'
+};
+
+const ALLOWED_FUNCTIONS = [
+  // aggregates
+  'SUM', 'AVG', 'MIN', 'MAX', 'COUNT', 'COUNT_BIG', 'STDEV', 'VAR', 'STRING_AGG',
+  // conversion / null handling
+  'CAST', 'CONVERT', 'TRY_CAST', 'TRY_CONVERT', 'COALESCE', 'ISNULL', 'NULLIF', 'IIF', 'ISNUMERIC',
+  // strings
+  'REPLACE', 'LEN', 'LOWER', 'UPPER', 'LTRIM', 'RTRIM', 'TRIM', 'SUBSTRING', 'LEFT', 'RIGHT',
+  'CONCAT', 'CHARINDEX', 'FORMAT',
+  // math
+  'ROUND', 'ABS', 'FLOOR', 'CEILING',
+  // window
+  'ROW_NUMBER', 'RANK', 'DENSE_RANK', 'NTILE', 'LAG', 'LEAD',
+  // dates
+  'GETDATE', 'SYSDATETIME', 'CURRENT_TIMESTAMP', 'DATEADD', 'DATEDIFF', 'DATEPART', 'DATENAME',
+  'DATEFROMPARTS', 'EOMONTH', 'YEAR', 'MONTH', 'DAY',
+  // predicates the parser models as functions
+  'EXISTS'
+];
+
+// Type names appear as "functions" inside CONVERT(varchar(10), ...)
+const TYPE_NAMES = new Set(['VARCHAR', 'NVARCHAR', 'CHAR', 'NCHAR', 'DECIMAL', 'NUMERIC', 'INT', 'BIGINT', 'DATE', 'DATETIME']);
+
+// The first argument of these is a date part keyword that the parser reports as a column
+const DATEPART_FUNCTIONS = new Set(['DATEADD', 'DATEDIFF', 'DATEPART', 'DATENAME']);
+const DATEPARTS = new Set([
+  'YEAR', 'YY', 'YYYY', 'QUARTER', 'QQ', 'Q', 'MONTH', 'MM', 'M', 'DAYOFYEAR', 'DY', 'Y', 'DAY', 'DD', 'D',
+  'WEEK', 'WK', 'WW', 'WEEKDAY', 'DW', 'HOUR', 'HH', 'MINUTE', 'MI', 'N', 'SECOND', 'SS', 'S', 'ISO_WEEK', 'ISOWK'
+]);
+
+function reject(code, message, detail) {
+  return { ok: false, reason: { code, message, detail: detail === undefined ? null : detail } };
+}
+
+/**
+ * Build an allowlist for validateSql.
+ * @param {Object} opts
+ *  - tables: { TableName: [column names] | null }  (null = table allowed, columns not checked)
+ *  - functions: optional list of function names (defaults to ALLOWED_FUNCTIONS)
+ *  - joins: optional [{ left: { table, column }, right: { table, column } }]; when given, tables may only
+ *    be joined on these column pairs
+ *  - hiddenColumns: optional { TableName: [column names] } that may never be read
+ */
+function buildAllowlist(opts = {}) {
+  const tables = new Map();
+  const hiddenOf = (name) => {
+    const entry = Object.entries(opts.hiddenColumns || {}).find(([t]) => t.toUpperCase() === name.toUpperCase());
+    return new Set(entry ? entry[1].map(c => c.toUpperCase()) : []);
+  };
+  for (const [name, columns] of Object.entries(opts.tables || {})) {
+    const hidden = hiddenOf(name);
+    tables.set(name.toUpperCase(), {
+      name,
+      columns: columns ? new Set(columns.map(c => c.toUpperCase()).filter(c => !hidden.has(c))) : null,
+      hidden
+    });
+  }
+  const key = (side) => `${side.table}.${side.column}`.toUpperCase();
+  return {
+    tables,
+    functions: new Set((opts.functions || ALLOWED_FUNCTIONS).map(f => f.toUpperCase())),
+    joins: opts.joins ? new Set(opts.joins.flatMap(j => [`${key(j.left)}=${key(j.right)}`, `${key(j.right)}=${key(j.left)}`])) : null
+  };
+}
+
+// Depth-first walk over the parser's AST; visit may return false to skip a node's children
+function walk(node, visit) {
+  if (Array.isArray(node)) {
+    node.forEach(n => walk(n, visit));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+  if (visit(node) === false) return;
+  for (const key of Object.keys(node)) walk(node[key], visit);
+}
+
+function functionName(node) {
+  if (node.type === 'aggr_func') return String(node.name).toUpperCase();
+  const parts = node.name && node.name.name ? node.name.name.map(n => n.value) : [String(node.name)];
+  return parts.join('.').toUpperCase();
+}
+
+function columnName(ref) {
+  const col = ref.column;
+  if (typeof col === 'string') return col;
+  return col && col.expr ? String(col.expr.value) : '';
+}
+
+// Top-level AND terms of an ON condition
+function conjuncts(expr) {
+  if (!expr) return [];
+  if (expr.type === 'binary_expr' && String(expr.operator).toUpperCase() === 'AND') {
+    return [...conjuncts(expr.left), ...conjuncts(expr.right)];
+  }
+  return [expr];
+}
+
+/**
+ * Joins of one SELECT: every table joined to an earlier table must be joined with ON over declared
+ * column pairs, and every column-to-column equality between two tables in the ON must be declared.
+ * Joins to CTEs and derived tables are checked inside those queries instead.
+ */
+function checkJoins(select, allowlist, cteNames) {
+  const seen = [];                 // { tableKey, names: Set(table name / alias) } of earlier base tables
+  for (const source of select.from || []) {
+    if (!source.table || cteNames.has(String(source.table).toUpperCase())) continue;
+    const tableKey = String(source.table).toUpperCase();
+    const current = { tableKey, names: new Set([tableKey, source.as ? String(source.as).toUpperCase() : tableKey]) };
+    if (seen.length === 0) {
+      seen.push(current);
+      continue;
+    }
+
+    const joinType = String(source.join || '').toUpperCase();
+    const label = `${seen.map(t => allowlist.tables.get(t.tableKey).name).join(', ')} / ${source.table}`;
+    if (!source.join || !source.on || joinType.includes('CROSS') || joinType.includes('APPLY')) {
+      return reject(REJECTION_CODES.JOIN_NOT_ALLOWED,
+        `${source.table} must be joined with ON over a declared join path.`, label);
+    }
+
+    // Resolve a column reference to one of the tables of this join
+    const candidates = [current, ...seen];
+    const tableOf = (ref) => {
+      if (ref.table) {
+        const match = candidates.find(t => t.names.has(String(ref.table).toUpperCase()));
+        return match ? match.tableKey : null;
+      }
+      const col = columnName(ref).toUpperCase();
+      const owners = candidates.filter(t => {
+        const cols = allowlist.tables.get(t.tableKey).columns;
+        return cols && cols.has(col);
+      });
+      return owners.length === 1 ? owners[0].tableKey : null;
+    };
+
+    let declared = 0;
+    for (const term of conjuncts(source.on)) {
+      if (term.type !== 'binary_expr' || term.left.type !== 'column_ref' || term.right.type !== 'column_ref') continue;
+      const leftTable = tableOf(term.left);
+      const rightTable = tableOf(term.right);
+      if (!leftTable || !rightTable || leftTable === rightTable) continue;
+      const pair = `${leftTable}.${columnName(term.left).toUpperCase()}=${rightTable}.${columnName(term.right).toUpperCase()}`;
+      if (term.operator !== '=' || !allowlist.joins.has(pair)) {
+        return reject(REJECTION_CODES.JOIN_NOT_ALLOWED, `Join condition ${pair} is not a declared join path.`, pair);
+      }
+      declared++;
+    }
+    if (declared === 0) {
+      return reject(REJECTION_CODES.JOIN_NOT_ALLOWED,
+        `${source.table} must be joined with ON over a declared join path.`, label);
+    }
+    seen.push(current);
+  }
+  return null;
+}
+
+/**
+ * Validate generated SQL against an allowlist built by buildAllowlist.
+ * @param {string} sqlText
+ * @param {Object} allowlist
+ * @param {Object} opts - { params: names (without @) of the bound parameters }; without params any
+ *   well-formed @name passes, for SQL checked before its parameters are bound
+ * @returns {{ ok: true, tables: string[] } | { ok: false, reason: { code, message, detail } }}
+ */
+function validateSql(sqlText, allowlist, opts = {}) {
+  if (!sqlText || typeof sqlText !== 'string' || !sqlText.trim()) {
+    return reject(REJECTION_CODES.EMPTY, 'No SQL was generated.');
+  }
+  if (sqlText.length > MAX_SQL_LENGTH) {
+    return reject(REJECTION_CODES.TOO_LONG, `SQL exceeds ${MAX_SQL_LENGTH} characters.`);
+  }
+
+  // The parser reads SELECT @@VERSION as a column named "@", so system variables are found in the tokens
+  const systemVariable = tokenizeSql(sqlText).find(t => t.type === 'word' && t.text.startsWith('@@'));
+  if (systemVariable) {
+    return reject(REJECTION_CODES.SYSTEM_VARIABLE, `System variable ${systemVariable.text} is not allowed.`, systemVariable.text);
+  }
+
+  let ast;
+  try {
+    ast = parser.astify(sqlText.trim().replace(/;+\s*$/, ''), PARSE_OPTIONS);
+  } catch (e) {
+    return reject(REJECTION_CODES.PARSE_ERROR, 'SQL could not be parsed as a single T-SQL SELECT.', e.message);
+  }
+
+  const statements = (Array.isArray(ast) ? ast : [ast]).filter(Boolean);
+  if (statements.length !== 1) {
+    return reject(REJECTION_CODES.MULTIPLE_STATEMENTS, 'Only a single statement is allowed.', statements.length);
+  }
+  const stmt = statements[0];
+  if (stmt.type !== 'select') {
+    return reject(REJECTION_CODES.NOT_SELECT, 'Only SELECT statements are allowed.', stmt.type);
+  }
+
+  // Pass 1: collect every SELECT (CTEs, subqueries, UNION branches) with its sources and output aliases
+  const selects = [];
+  const cteNames = new Set();
+  const outputAliases = new Set();
+  walk(stmt, node => {
+    if (node.type === 'select') selects.push(node);
+    if (Array.isArray(node.with)) {
+      for (const cte of node.with) {
+        const name = cte.name && (cte.name.value || cte.name);
+        if (name) cteNames.add(String(name).toUpperCase());
+        for (const col of cte.columns || []) {
+          const colName = col && (col.column || col.value || col);
+          if (typeof colName === 'string') outputAliases.add(colName.toUpperCase());
+        }
+      }
+    }
+  });
+
+  const aliasToTable = new Map();   // alias or name -> allowlisted table key
+  const derivedNames = new Set(cteNames);
+  const usedTables = new Set();
+
+  for (const select of selects) {
+    if (select.into && select.into.expr) {
+      return reject(REJECTION_CODES.SELECT_INTO, 'SELECT ... INTO is not allowed.', select.into.expr);
+    }
+    if (select.for) {
+      const clause = String(select.for.type).toUpperCase();
+      return reject(REJECTION_CODES.FOR_CLAUSE, `${clause} is not allowed.`, clause);
+    }
+    for (const col of select.columns || []) {
+      if (col && col.as) outputAliases.add(String(col.as).toUpperCase());
+    }
+    for (const source of select.from || []) {
+      if (source.table) {
+        const tableKey = String(source.table).toUpperCase();
+        if (source.db && String(source.db).toLowerCase() !== 'dbo') {
+          return reject(REJECTION_CODES.CROSS_DATABASE, 'Only tables in the current database are allowed.',
+            `${source.db}.${source.table}`);
+        }
+        if (cteNames.has(tableKey)) {
+          if (source.as) derivedNames.add(String(source.as).toUpperCase());
+          continue;
+        }
+        if (!allowlist.tables.has(tableKey)) {
+          return reject(REJECTION_CODES.TABLE_NOT_ALLOWED, `Table ${source.table} is not allowed.`, source.table);
+        }
+        usedTables.add(tableKey);
+        aliasToTable.set(tableKey, tableKey);
+        if (source.as) aliasToTable.set(String(source.as).toUpperCase(), tableKey);
+      } else if (source.expr && source.expr.ast) {
+        if (source.as) derivedNames.add(String(source.as).toUpperCase());
+      } else if (source.expr) {
+        const name = source.expr.type === 'function' ? functionName(source.expr) : source.expr.type;
+        return reject(REJECTION_CODES.TABLE_SOURCE_NOT_ALLOWED, `Table source ${name} is not allowed.`, name);
+      }
+    }
+  }
+
+  if (allowlist.joins) {
+    for (const select of selects) {
+      const joinRejection = checkJoins(select, allowlist, cteNames);
+      if (joinRejection) return joinRejection;
+    }
+  }
+
+  const bound = opts.params ? new Set(opts.params.map(name => String(name).toUpperCase())) : null;
+  const columnsOf = (tableKey) => allowlist.tables.get(tableKey).columns;
+  const hiddenIn = (tableKey) => allowlist.tables.get(tableKey).hidden || new Set();
+  const inAnyUsedTable = (col) => Array.from(usedTables).some(t => !columnsOf(t) || columnsOf(t).has(col));
+
+  // Pass 2: functions and column references
+  let rejection = null;
+  const datepartArgs = new WeakSet();
+  walk(stmt, node => {
+    if (rejection) return false;
+
+    if (node.type === 'function' || node.type === 'aggr_func') {
+      const name = functionName(node);
+      if (!allowlist.functions.has(name) && !TYPE_NAMES.has(name)) {
+        rejection = reject(REJECTION_CODES.FUNCTION_NOT_ALLOWED, `Function ${name} is not allowed.`, name);
+        return false;
+      }
+      if (DATEPART_FUNCTIONS.has(name) && node.args && Array.isArray(node.args.value)) {
+        const first = node.args.value[0];
+        if (first && first.type === 'column_ref' && DATEPARTS.has(columnName(first).toUpperCase())) {
+          datepartArgs.add(first);
+        }
+      }
+    }
+
+    if (node.type === 'column_ref' && !datepartArgs.has(node)) {
+      const col = columnName(node);
+      const colKey = col.toUpperCase();
+      const qualifier = node.table ? String(node.table).toUpperCase() : null;
+
+      // SELECT * / alias.* would read hidden columns too
+      if (col === '*') {
+        const starTables = qualifier ? [aliasToTable.get(qualifier)].filter(Boolean) : Array.from(usedTables);
+        const guarded = starTables.find(t => hiddenIn(t).size > 0);
+        if (guarded) {
+          const name = allowlist.tables.get(guarded).name;
+          rejection = reject(REJECTION_CODES.COLUMN_NOT_ALLOWED, `SELECT * is not allowed on ${name}; list the columns.`, name);
+          return false;
+        }
+        return;
+      }
+      if (!col) return;
+      if (col.startsWith('@')) {
+        if (!/^@[A-Za-z_]\w*$/.test(col) || (bound && !bound.has(col.slice(1).toUpperCase()))) {
+          rejection = reject(REJECTION_CODES.UNBOUND_PARAMETER, `Parameter ${col} is not bound.`, col);
+          return false;
+        }
+        return;
+      }
+
+      const hiddenBy = qualifier && aliasToTable.has(qualifier)
+        ? [aliasToTable.get(qualifier)].filter(t => hiddenIn(t).has(colKey))
+        : qualifier ? [] : Array.from(usedTables).filter(t => hiddenIn(t).has(colKey));
+      if (hiddenBy.length > 0) {
+        const ref = qualifier ? `${node.table}.${col}` : col;
+        rejection = reject(REJECTION_CODES.COLUMN_NOT_ALLOWED, `Column ${ref} is not allowed.`, ref);
+        return false;
+      }
+
+      let allowed;
+      if (qualifier && aliasToTable.has(qualifier)) {
+        const cols = columnsOf(aliasToTable.get(qualifier));
+        allowed = !cols || cols.has(colKey);
+      } else if (qualifier && derivedNames.has(qualifier)) {
+        allowed = outputAliases.has(colKey) || inAnyUsedTable(colKey);
+      } else if (qualifier) {
+        allowed = false;
+      } else {
+        allowed = outputAliases.has(colKey) || inAnyUsedTable(colKey);
+      }
+
+      if (!allowed) {
+        const ref = qualifier ? `${node.table}.${col}` : col;
+        rejection = reject(REJECTION_CODES.COLUMN_NOT_ALLOWED, `Column ${ref} is not allowed.`, ref);
+        return false;
+      }
+    }
+  });
+  if (rejection) return rejection;
+
+  return { ok: true, tables: Array.from(usedTables).map(t => allowlist.tables.get(t).name) };
+}
+
+module.exports = {
+  REJECTION_CODES,
+  ALLOWED_FUNCTIONS,
+  buildAllowlist,
+  validateSql
+};
@@ -0,0 +1,116 @@
+/**
+ * calendar.test.js
+ *
+ * The reporting calendar against a fixed as-of date (Monday 2026-03-16): fiscal years and quarters, the
+ * week start (and the DATEFIRST-free week SQL), reported month / week columns versus a table's own date
+ * column, and validation of the model's calendar section.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { FiscalCalendar, validateCalendar, parseAsOf, isoDay, addMonths } = require('../calendar');
+
+const asOf = new Date(Date.UTC(2026, 2, 16));
+const standard = new FiscalCalendar({}, null, asOf);
+const april = new FiscalCalendar({ fiscalYearStartMonth: 4, weekStartDay: 'monday' }, null, asOf);
+const weekly = new FiscalCalendar({ useReportedWeek: true }, null, asOf);
+const MONTH_INDEX = "(CAST(YEAR_REPORTED AS INT) * 12 + (CHARINDEX(LEFT(MONTH_REPORTED, 3), 'JanFebMarAprMayJunJulAugSepOctNovDec') + 2) / 3)";
+
+const date = (value) => ({ type: 'Date', value });
+
+test('a fiscal year is named by the calendar year it ends in', () => {
+  assert.deepStrictEqual(april.fiscalPeriod(2026, 3), { year: 2026, quarter: 4 });
+  assert.deepStrictEqual(april.fiscalPeriod(2026, 4), { year: 2027, quarter: 1 });
+  assert.strictEqual(isoDay(april.fiscalStartDate(2026)), '2025-04-01');
+  assert.strictEqual(isoDay(april.fiscalStartDate(2026, 2)), '2025-07-01');
+  assert.deepStrictEqual(april.range({ unit: 'year', shifts: [] }), { start: '2025-04-01', end: '2026-04-01' });
+  assert.deepStrictEqual(april.range({ unit: 'year', shifts: [], toDate: true }), { start: '2025-04-01', end: '2026-03-17' });
+});
+
+test('fiscal years and quarters are reporting-month ranges; calendar years are YEAR_REPORTED', () => {
+  assert.deepStrictEqual(standard.condition({ unit: 'year', shifts: [] }),
+    { sqlCondition: 'YEAR_REPORTED = @year', params: { year: { type: 'VarChar', value: '2026' } } });
+  assert.deepStrictEqual(april.condition({ unit: 'year', shifts: [] }), {
+    sqlCondition: `${MONTH_INDEX} BETWEEN (@yearNumber * 12 - 8) AND (@yearNumber * 12 - 8) + 11`,
+    params: { yearNumber: { type: 'Int', value: 2026 } }
+  });
+  assert.deepStrictEqual(april.groupByShape('year'),
+    { select: [`(${MONTH_INDEX} - 4) / 12 + 1 AS FiscalYear`], group: [`(${MONTH_INDEX} - 4) / 12 + 1`], orderBy: 'FiscalYear' });
+  assert.strictEqual(april.groupByShape('quarter').orderBy, 'FiscalYear, FiscalQuarter');
+});
+
+test('weeks start on the configured day', () => {
+  assert.strictEqual(isoDay(standard.weekStartDate(asOf)), '2026-03-15');
+  assert.strictEqual(isoDay(april.weekStartDate(asOf)), '2026-03-16');
+  assert.strictEqual(isoDay(april.weekStartDate(new Date(Date.UTC(2026, 2, 15)))), '2026-03-09');
+  assert.deepStrictEqual(standard.condition({ unit: 'week', shifts: [['WEEK', -1]] }), {
+    sqlCondition: 'DATE_REPORTED >= @startDate AND DATE_REPORTED < @endDate',
+    params: { startDate: date('2026-03-08'), endDate: date('2026-03-15') }
+  });
+});
+
+test('the week start SQL agrees with weekStartDate for every weekday, whatever DATEFIRST is', () => {
+  // DATEDIFF(DAY, 0, d): days since Monday 1900-01-01
+  const dayZero = Date.UTC(1900, 0, 1);
+  for (const calendar of [standard, april, new FiscalCalendar({ weekStartDay: 'wednesday' })]) {
+    const offset = parseInt(calendar.weekStartOf('D').match(/\+ (\d+)\) % 7/)[1], 10);
+    for (let day = 15; day <= 21; day++) {
+      const d = new Date(Date.UTC(2026, 2, day));
+      const sqlStart = new Date(d.getTime() - (((d - dayZero) / 86400000 + offset) % 7) * 86400000);
+      assert.strictEqual(isoDay(sqlStart), isoDay(calendar.weekStartDate(d)));
+    }
+  }
+});
+
+test('WEEK_REPORTED is the week number within YEAR_REPORTED when the calendar uses it', () => {
+  assert.deepStrictEqual(weekly.condition({ unit: 'week', shifts: [] }), {
+    sqlCondition: 'YEAR_REPORTED = @year AND WEEK_REPORTED = @week',
+    params: { year: { type: 'VarChar', value: '2026' }, week: { type: 'VarChar', value: '12' } }
+  });
+  // The week holding January 1 is week 1 of the year it ends in
+  assert.deepStrictEqual(weekly.condition({ unit: 'week', start: '2025-12-28' }, 'prior').params,
+    { priorYear: { type: 'VarChar', value: '2026' }, priorWeek: { type: 'VarChar', value: '1' } });
+  assert.deepStrictEqual(weekly.groupByShape('week').select, ['YEAR_REPORTED', 'WEEK_REPORTED']);
+  assert.match(standard.groupByShape('week').select[0], / AS WeekStart$/);
+});
+
+test('reported columns apply only to tables that have them', () => {
+  assert.strictEqual(standard.condition({ unit: 'month', shifts: [] }).sqlCondition, 'MONTH_REPORTED = @month AND YEAR_REPORTED = @year');
+  assert.deepStrictEqual(standard.forTable({ reportedColumns: [] }).condition({ unit: 'month', shifts: [] }), {
+    sqlCondition: 'DATE_REPORTED >= @startDate AND DATE_REPORTED < @endDate',
+    params: { startDate: date('2026-03-01'), endDate: date('2026-04-01') }
+  });
+  const logins = standard.forTable({ dateColumn: 'LogedIn' });
+  assert.strictEqual(logins.condition({ unit: 'quarter', shifts: [] }).sqlCondition, 'LogedIn >= @startDate AND LogedIn < @endDate');
+  assert.deepStrictEqual(logins.groupByShape('quarter').select, ['YEAR(LogedIn) AS ReportYear', 'DATEPART(QUARTER, LogedIn) AS ReportQuarter']);
+  assert.strictEqual(weekly.forTable({ dateColumn: 'LogedIn' }).groupByShape('week').orderBy, 'WeekStart');
+});
+
+test('relative days come from the as-of date, never from the database clock', () => {
+  assert.strictEqual(standard.today(), asOf);
+  assert.deepStrictEqual(standard.condition({ unit: 'day', shifts: [['DAY', -1]] }),
+    { sqlCondition: 'CAST(DATE_REPORTED AS DATE) = @date', params: { date: date('2026-03-15') } });
+  assert.deepStrictEqual(standard.lastDays(7).params, { startDate: date('2026-03-09'), endDate: date('2026-03-16') });
+  // The first line tells the LLM not to use GETDATE(); no period uses it
+  assert.ok(standard.describe().slice(1).every(line => !line.includes('GETDATE')));
+});
+
+test('validateCalendar lists every bad setting', () => {
+  assert.deepStrictEqual(validateCalendar(undefined), []);
+  assert.deepStrictEqual(validateCalendar([]), ['calendar: must be an object']);
+  assert.deepStrictEqual(validateCalendar({ fiscalYearStartMonth: 0, weekStartDay: 'funday', useReportedWeek: 'yes', timeZone: 'Mars/Base' }), [
+    'calendar.fiscalYearStartMonth: must be a month number from 1 to 12',
+    'calendar.weekStartDay: must be one of monday, tuesday, wednesday, thursday, friday, saturday, sunday',
+    'calendar.useReportedWeek: must be true or false',
+    'calendar.timeZone: must be an IANA time zone name such as America/Toronto'
+  ]);
+});
+
+test('parseAsOf accepts real days only, and months are added without overflowing', () => {
+  assert.strictEqual(parseAsOf('2026-03-16').toISOString(), '2026-03-16T00:00:00.000Z');
+  assert.throws(() => parseAsOf('2026-02-30'), /asOf must be a date/);
+  assert.strictEqual(isoDay(addMonths(new Date(Date.UTC(2026, 0, 31)), 1)), '2026-02-28');
+});
@@ -0,0 +1,106 @@
+/**
+ * dateExpressions.test.js
+ *
+ * Date expressions resolved on a fixed day (Monday 2026-03-16, calendar fiscal year), as start and
+ * end (exclusive) of the normalized range, and the expressions that must be asked about instead; then
+ * the same range on each table's date column, and the question an invalid one gets.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { FiscalCalendar } = require('../calendar');
+const { parseDateExpression } = require('../dateExpressions');
+const { analyzeUserPrompt, findClarification } = require('../server');
+
+const asOf = new Date(Date.UTC(2026, 2, 16));
+const calendar = new FiscalCalendar().on(asOf);
+
+// [prompt, type, start, end]
+const RANGES = [
+  ['deals between Dec 20 2025 and Jan 10 2026', 'custom_range', '2025-12-20', '2026-01-11'],
+  ['deals from March 1 to March 15', 'custom_range', '2026-03-01', '2026-03-16'],
+  ['deals from Dec 20 to Jan 10', 'custom_range', '2025-12-20', '2026-01-11'],
+  ['deals from Dec 20 2025 to Jan 10', 'custom_range', '2025-12-20', '2026-01-11'],
+  ['deals from January to March 2026', 'custom_range', '2026-01-01', '2026-04-01'],
+  ['deals from November to February 2026', 'custom_range', '2025-11-01', '2026-03-01'],
+  ['deals between Nov 2025 and Feb 2026', 'custom_range', '2025-11-01', '2026-03-01'],
+  ['deals from Jan to Mar 15', 'custom_range', '2026-01-01', '2026-03-16'],
+  ['deals since March 15', 'since', '2026-03-15', '2026-03-17'],
+  ['deals since March 20', 'since', '2025-03-20', '2026-03-17'],
+  ['deals since June', 'since', '2025-06-01', '2026-03-17'],
+  ['deals since 2025', 'since', '2025-01-01', '2026-03-17'],
+  ['deals last 90 days', 'rolling', '2025-12-16', '2026-03-16'],
+  ['deals last three months', 'rolling', '2025-12-16', '2026-03-16'],
+  ['deals past week', 'rolling', '2026-03-09', '2026-03-16'],
+  ['deals H1 2025', 'half_year', '2025-01-01', '2025-07-01'],
+  ['deals first week of June', 'week_of_month', '2025-06-01', '2025-06-08'],
+  ['deals Q3 2025', 'quarter_year', '2025-07-01', '2025-10-01'],
+  ['deals on 2026-01-09', 'specific_date', '2026-01-09', '2026-01-10'],
+  ['deals on 01/09/2026', 'specific_date', '2026-01-09', '2026-01-10'],
+  ['deals in December 2025', 'specific_month_year', '2025-12-01', '2026-01-01'],
+  ['deals last month', 'relative_month', '2026-02-01', '2026-03-01'],
+  ['deals yesterday', 'yesterday', '2026-03-15', '2026-03-16'],
+  ['deals in 2025', 'specific_year', '2025-01-01', '2026-01-01']
+];
+
+// [prompt, type, suggestion]
+const INVALID = [
+  ['how many deals last 99999999 days', 'rolling', null],
+  ['deals past 5000 years', 'rolling', null],
+  ['deals between Jan 10 2026 and Dec 20 2025', 'custom_range', 'between Dec 20 2025 and Jan 10 2026'],
+  ['deals from March 2026 to January 2026', 'custom_range', 'from January 2026 to March 2026'],
+  ['deals from Jan 5 2026 to Feb 30 2026', 'custom_range', null],
+  ['deals since 2026-02-30', 'since', null],
+  ['deals since March 2027', 'since', null],
+  ['deals on Feb 30 2026', 'specific_date', null],
+  ['deals on 13/01/2026', 'specific_date', null]
+];
+
+for (const [prompt, type, start, end] of RANGES) {
+  test(`"${prompt}" is ${start} to ${end}`, () => {
+    const expression = parseDateExpression(prompt, calendar);
+    assert.strictEqual(expression.type, type);
+    assert.deepStrictEqual(calendar.range(expression.period), { start, end });
+  });
+}
+
+for (const [prompt, type, suggestion] of INVALID) {
+  test(`"${prompt}" is reported as invalid`, () => {
+    const expression = parseDateExpression(prompt, calendar);
+    assert.strictEqual(expression.type, type);
+    assert.strictEqual(expression.period, undefined);
+    assert.ok(expression.invalid);
+    assert.strictEqual(expression.suggestion, suggestion);
+  });
+}
+
+test('words that are not dates are left alone', () => {
+  assert.strictEqual(parseDateExpression('deals last 0 days', calendar), null);
+  assert.strictEqual(parseDateExpression('jayco units may 45 be sold', calendar), null);
+  assert.strictEqual(parseDateExpression('front gross by location', calendar), null);
+});
+
+test('the normalized range is bound on the date column of the question\'s table', () => {
+  const deals = analyzeUserPrompt('front gross by closer last 90 days', { asOf }).timeRange;
+  assert.strictEqual(deals.sqlCondition, 'DATE_REPORTED >= @startDate AND DATE_REPORTED < @endDate');
+  assert.deepStrictEqual([deals.params.startDate.value, deals.params.endDate.value], ['2025-12-16', '2026-03-16']);
+
+  const logins = analyzeUserPrompt('logins since March 1', { asOf }).timeRange;
+  assert.strictEqual(logins.type, 'since');
+  assert.strictEqual(logins.sqlCondition, 'LogedIn >= @startDate AND LogedIn < @endDate');
+  assert.deepStrictEqual([logins.params.startDate.value, logins.params.endDate.value], ['2026-03-01', '2026-03-17']);
+});
+
+test('an invalid date is asked about, with the corrected range as the choice when there is one', () => {
+  const prompt = 'deals between Jan 10 2026 and Dec 20 2025';
+  const clarification = findClarification(prompt, analyzeUserPrompt(prompt, { asOf }));
+  assert.strictEqual(clarification.reason, 'invalid_date');
+  assert.strictEqual(clarification.question, 'The range starts on 2026-01-10, after it ends on 2025-12-20. Which dates do you mean?');
+  assert.deepStrictEqual(clarification.choices.map(c => c.prompt), ['deals between Dec 20 2025 and Jan 10 2026']);
+
+  const noSuggestion = findClarification('deals on Feb 30 2026', analyzeUserPrompt('deals on Feb 30 2026', { asOf }));
+  assert.strictEqual(noSuggestion.reason, 'invalid_date');
+  assert.deepStrictEqual(noSuggestion.choices, []);
+});
@@ -0,0 +1,97 @@
+/**
+ * dbPool.test.js
+ *
+ * Pool settings from env, lazy shared connect, retry after a failed connect and draining on shutdown,
+ * with mssql's ConnectionPool replaced by a fake.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sql = require('mssql');
+const dbPool = require('../dbPool');
+
+const RealConnectionPool = sql.ConnectionPool;
+let created = [];
+let failNext = false;
+
+class FakePool {
+  constructor(config) {
+    this.config = config;
+    this.connected = false;
+    this.closed = false;
+    Object.assign(this, { size: 1, available: 1, borrowed: 0, pending: 0 });
+    created.push(this);
+  }
+
+  on() {}
+
+  async connect() {
+    if (failNext) {
+      failNext = false;
+      throw new Error('Login failed');
+    }
+    this.connected = true;
+    return this;
+  }
+
+  async close() {
+    this.closed = true;
+    this.connected = false;
+  }
+}
+
+test.before(() => { sql.ConnectionPool = FakePool; });
+test.after(() => { sql.ConnectionPool = RealConnectionPool; });
+test.beforeEach(async () => {
+  await dbPool.closePool();
+  created = [];
+  failNext = false;
+});
+
+test('pool sizing and timeouts come from env, with defaults', () => {
+  const saved = { ...process.env };
+  try {
+    delete process.env.DB_POOL_MAX;
+    delete process.env.DB_REQUEST_TIMEOUT_MS;
+    process.env.DB_POOL_MIN = '2';
+    process.env.DB_POOL_IDLE_TIMEOUT_MS = 'soon';
+    const config = dbPool.buildPoolConfig({ server: 'db', database: 'crm' });
+    assert.strictEqual(config.server, 'db');
+    assert.strictEqual(config.requestTimeout, 15000);
+    assert.deepStrictEqual(config.pool, { max: 10, min: 2, idleTimeoutMillis: 30000 });
+  } finally {
+    process.env = saved;
+  }
+});
+
+test('getPool connects once and shares the pool between callers', async () => {
+  dbPool.configurePool({ server: 'db' });
+  const [a, b] = await Promise.all([dbPool.getPool(), dbPool.getPool()]);
+  assert.strictEqual(a, b);
+  assert.strictEqual(created.length, 1);
+  assert.strictEqual(await dbPool.getPool(), a);
+  assert.deepStrictEqual(dbPool.poolStats(), { max: 10, min: 0, idleTimeoutMillis: 30000, size: 1, available: 1, borrowed: 0, pending: 0 });
+});
+
+test('a failed connect is not cached', async () => {
+  dbPool.configurePool({ server: 'db' });
+  failNext = true;
+  await assert.rejects(dbPool.getPool(), /Login failed/);
+  const pool = await dbPool.getPool();
+  assert.strictEqual(created.length, 2);
+  assert.strictEqual(pool.connected, true);
+});
+
+test('closePool drains the pool and the next getPool reconnects', async () => {
+  dbPool.configurePool({ server: 'db' });
+  const first = await dbPool.getPool();
+  await dbPool.closePool();
+  assert.strictEqual(first.closed, true);
+  assert.deepStrictEqual(Object.keys(dbPool.poolStats()), ['max', 'min', 'idleTimeoutMillis']);
+  const second = await dbPool.getPool();
+  assert.notStrictEqual(second, first);
+  await dbPool.closePool();
+  await dbPool.closePool();
+});
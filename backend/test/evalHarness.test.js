@@ -0,0 +1,155 @@
+/**
+ * evalHarness.test.js
+ *
+ * The parts of the evaluation harness that need no server or database: the shipped golden dataset and
+ * its replay fixtures, how generated SQL and rows are compared with what was expected, the metrics of a
+ * run, and the side-by-side comparison of two reports.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadDataset, canonicalSql, rowsMatch, summarize, compareReports, formatMetrics } = require('../evalHarness');
+
+const EVAL_DIR = path.join(__dirname, '..', 'fixtures', 'eval');
+
+// One case result as runCase reports it; unsafe cases carry `refused`
+function result(id, overrides = {}) {
+  return {
+    id, outcome: 'answered', source: 'llm', exactMatch: true, executionMatch: true,
+    rulesApplied: [], rejection: null, durationMs: 100, ...overrides
+  };
+}
+
+function report(label, cases) {
+  return { label, commit: 'abc1234', config: { provider: 'replay', model: null, mode: 'llm' }, metrics: summarize(cases), cases };
+}
+
+test('the golden dataset loads and every case has one replay fixture', () => {
+  const dataset = loadDataset(path.join(EVAL_DIR, 'golden.json'));
+  assert.strictEqual(dataset.asOf, '2026-03-16');
+  const fixtures = fs.readdirSync(path.join(EVAL_DIR, 'llm'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(EVAL_DIR, 'llm', f), 'utf8')));
+  for (const c of dataset.cases) {
+    const matching = fixtures.filter(fx => c.prompt.toLowerCase().includes(fx.match.toLowerCase()));
+    assert.strictEqual(matching.length, 1, c.id);
+  }
+});
+
+test('a dataset with bad cases is refused with every problem', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-dataset-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'bad.json');
+  fs.writeFileSync(filePath, JSON.stringify({ cases: [
+    { id: 'a', prompt: 'deals today', expected: { sql: 'SELECT 1' } },
+    { id: 'a', prompt: '', expectRejection: true },
+    { id: 'b', prompt: 'deals today' }
+  ] }));
+  assert.throws(() => loadDataset(filePath), (e) =>
+    e.message === `Dataset ${filePath} is invalid:\n` +
+      '  - cases[1]: missing or duplicate id\n' +
+      '  - cases[1] a: prompt is required\n' +
+      '  - cases[2] b: expected.sql or expected.rows is required (or expectRejection)');
+  fs.writeFileSync(filePath, JSON.stringify({ cases: [] }));
+  assert.throws(() => loadDataset(filePath), /cases must be a non-empty array/);
+});
+
+test('exact match ignores case, spacing, comments, brackets and N prefixes, and inlines parameters', () => {
+  const params = { month: { type: 'VarChar', value: 'February' }, limit: { type: 'Int', value: 5 }, name: { type: 'NVarChar', value: "O'Neil" } };
+  assert.strictEqual(
+    canonicalSql("select top (@limit) [CLOSER] from SalesReport_Form_Input -- deals\nwhere MONTH_REPORTED = @month and CLOSER = @name;", params),
+    canonicalSql("SELECT TOP (5) CLOSER FROM SalesReport_Form_Input WHERE MONTH_REPORTED = N'February' AND CLOSER = 'O''Neil'"));
+  assert.strictEqual(canonicalSql("SELECT n'x'"), canonicalSql("SELECT 'x'"));
+  assert.strictEqual(canonicalSql('SELECT 1; -- done'), 'SELECT 1');
+  // String literals keep their case; unbound parameters stay as they are
+  assert.notStrictEqual(canonicalSql("SELECT 'calgary'"), canonicalSql("SELECT 'Calgary'"));
+  assert.strictEqual(canonicalSql('SELECT @other', params), 'SELECT @OTHER');
+});
+
+test('rows match whatever the column names and order; row order counts only when asked', () => {
+  const expected = [{ DEALER_LOCATION: 'Calgary', TotalDeals: 3 }, { DEALER_LOCATION: 'Edmonton', TotalDeals: 2 }];
+  const actual = [{ Deals: 2, Location: 'Edmonton ' }, { Deals: 3, Location: 'Calgary' }];
+  assert.ok(rowsMatch(expected, actual));
+  assert.ok(!rowsMatch(expected, actual, true));
+  assert.ok(!rowsMatch(expected, actual.slice(1)));
+  assert.ok(!rowsMatch(expected, undefined));
+  // Decimals to the cent, booleans as bits, dates as ISO strings
+  assert.ok(rowsMatch([{ gross: 1234.5, counted: 1, day: '2026-03-16T00:00:00.000Z' }],
+    [{ gross: 1234.504, counted: true, day: new Date(Date.UTC(2026, 2, 16)) }]));
+  assert.ok(!rowsMatch([{ gross: 1234.5 }], [{ gross: '1234.50' }]));
+});
+
+test('the metrics of a run count each case where it belongs', () => {
+  const metrics = summarize([
+    result('pass'),
+    result('fallback', { exactMatch: false, source: 'rules', rejection: { code: 'NOT_SELECT' } }),
+    result('rule-added', { exactMatch: false, rulesApplied: ['isDeleted'], durationMs: 400 }),
+    result('clarified', { outcome: 'clarification', exactMatch: false, executionMatch: false }),
+    result('rows-only', { exactMatch: undefined, outcome: 'unanswered', executionMatch: false }),
+    result('unsafe', { outcome: 'rejected', exactMatch: undefined, executionMatch: undefined, refused: true, rejection: { code: 'NOT_SELECT' } }),
+    result('unsafe-answered', { exactMatch: undefined, executionMatch: undefined, refused: false, outcome: 'error' })
+  ]);
+  assert.deepStrictEqual(metrics, {
+    cases: 7,
+    exactMatch: { count: 1, total: 4, rate: 0.25 },
+    executionMatch: { count: 3, total: 5, rate: 0.6 },
+    safetyRejection: { count: 1, total: 5, rate: 0.2 },
+    businessRuleViolation: { count: 1, total: 3, rate: 0.333 },
+    unsafeRefused: { count: 1, total: 2, rate: 0.5 },
+    rulesFallback: 1,
+    clarifications: 1,
+    unanswered: 1,
+    errors: 1,
+    avgDurationMs: 143
+  });
+  assert.strictEqual(summarize([]).exactMatch.rate, null);
+});
+
+test('a report prints its metrics with n/a for rates it has no cases for', () => {
+  const text = formatMetrics(report('baseline', [result('pass'), result('miss', { exactMatch: false, executionMatch: false })]));
+  assert.strictEqual(text.split('\n')[0], 'baseline (abc1234; replay, mode llm)');
+  assert.ok(text.includes('  Exact match              50.0% (1/2)'));
+  assert.ok(text.includes('  Unsafe prompts refused   n/a'));
+});
+
+test('two reports compare side by side with the cases that were fixed, broken, changed or added', () => {
+  const before = report('before', [
+    result('fixed', { exactMatch: false, executionMatch: false, outcome: 'clarification' }),
+    result('broken'),
+    result('changed', { exactMatch: false }),
+    result('same'),
+    result('dropped')
+  ]);
+  const after = report('after', [
+    result('fixed'),
+    result('broken', { exactMatch: false, executionMatch: false, rulesApplied: ['isCarryOver'] }),
+    result('changed'),
+    result('same'),
+    result('added', { refused: true, exactMatch: undefined, executionMatch: undefined })
+  ]);
+  const lines = compareReports(before, after).split('\n');
+  assert.strictEqual(lines[0], `${'Metric'.padEnd(24)} ${'before'.padEnd(22)} ${'after'.padEnd(22)} Change`);
+  assert.strictEqual(lines[1], `${'Exact match'.padEnd(24)} ${'60.0% (3/5)'.padEnd(22)} ${'75.0% (3/4)'.padEnd(22)} +15.0 pts`);
+  assert.strictEqual(lines[2], `${'Execution match'.padEnd(24)} ${'80.0% (4/5)'.padEnd(22)} ${'75.0% (3/4)'.padEnd(22)} -5.0 pts`);
+  assert.strictEqual(lines[5], `${'Unsafe prompts refused'.padEnd(24)} ${'n/a'.padEnd(22)} ${'100.0% (1/1)'.padEnd(22)} `);
+  assert.deepStrictEqual(lines.slice(6), [
+    '',
+    'Cases:',
+    '  fixed   fixed (clarification -> answered; exact match no -> yes)',
+    '  broken  broken (exact match yes -> no; rules added 0 -> 1)',
+    '  changed changed (exact match no -> yes)',
+    '  new     added: PASS'
+  ]);
+});
+
+test('identical reports list no cases', () => {
+  const cases = [result('pass'), result('miss', { executionMatch: false })];
+  const text = compareReports(report('a', cases), report('b', cases));
+  assert.ok(text.includes('+0.0 pts'));
+  assert.ok(!text.includes('Cases:'));
+});
@@ -0,0 +1,48 @@
+/**
+ * healthChecks.test.js
+ *
+ * Readiness report: component statuses, timeouts and the overall status a load balancer reads.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runChecks } = require('../healthChecks');
+
+const ok = (detail) => ({ run: async () => detail });
+const down = (message, required = true) => ({ run: async () => { throw new Error(message); }, required });
+
+// [name, checks, overall status]
+const CASES = [
+  ['every component ok', { db: ok({ pool: {} }), llm: ok() }, 'ok'],
+  ['an optional component down', { db: ok(), cache: down('redis refused', false) }, 'degraded'],
+  ['a component reporting itself degraded', { db: ok(), dictionary: ok({ status: 'degraded' }) }, 'degraded'],
+  ['a required component down', { db: down('Login failed'), llm: ok() }, 'down']
+];
+
+for (const [name, checks, status] of CASES) {
+  test(`${name}: ${status}`, async () => {
+    const report = await runChecks(checks);
+    assert.strictEqual(report.status, status);
+    assert.deepStrictEqual(Object.keys(report.components), Object.keys(checks));
+  });
+}
+
+test('each component carries its detail, latency and whether it is required', async () => {
+  const report = await runChecks({ db: ok({ pool: { max: 10 } }), cache: down('redis refused', false) });
+  assert.deepStrictEqual(report.components.db.pool, { max: 10 });
+  assert.strictEqual(report.components.db.required, true);
+  assert.strictEqual(typeof report.components.db.latencyMs, 'number');
+  assert.deepStrictEqual(
+    { status: report.components.cache.status, required: report.components.cache.required, error: report.components.cache.error },
+    { status: 'down', required: false, error: 'redis refused' }
+  );
+  assert.ok(!Number.isNaN(Date.parse(report.checkedAt)));
+});
+
+test('a check that hangs is reported down after the timeout', async () => {
+  const report = await runChecks({ db: { run: () => new Promise(() => {}) } }, { timeoutMs: 50 });
+  assert.strictEqual(report.status, 'down');
+  assert.strictEqual(report.components.db.error, 'db check timed out after 50ms');
+});
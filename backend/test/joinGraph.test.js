@@ -0,0 +1,116 @@
+/**
+ * joinGraph.test.js
+ *
+ * Join paths over the shipped model's declared joins, the joins the analyzer plans for multi-table
+ * questions, and the validator refusing every join that is not declared (allowlist built from the same
+ * joins, as server.js does).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const semanticModel = require('../semanticModel');
+const { findJoinPath, joinPathFor, describeJoin } = require('../joinGraph');
+const { buildAllowlist, validateSql } = require('../sqlValidator');
+const { analyzeUserPrompt } = require('../server');
+
+const SALES = 'SalesReport_Form_Input';
+const INVENTORY = 'Common_Group_401_Vehicle_Inventory';
+const RVAC = 'SaleWarranty_RVAC_CONTRACTS';
+const LOGINS = 'SalesApp_LogInActivity';
+
+const { joins } = semanticModel.getSemanticModel();
+const ids = (path) => path.map(j => j.id);
+
+test('findJoinPath takes the shortest declared path, in either direction', () => {
+  assert.deepStrictEqual(findJoinPath(joins, SALES, SALES), []);
+  assert.deepStrictEqual(ids(findJoinPath(joins, SALES, INVENTORY)), ['sales_inventory_stock']);
+  assert.deepStrictEqual(ids(findJoinPath(joins, INVENTORY, SALES)), ['sales_inventory_stock']);
+  // Two declared sales <-> rvac joins: declaration order picks the stock number
+  assert.deepStrictEqual(ids(findJoinPath(joins, RVAC, SALES)), ['sales_rvac_stock']);
+  assert.strictEqual(findJoinPath(joins, LOGINS, SALES), null);
+});
+
+test('findJoinPath walks several joins when there is no direct one', () => {
+  const chain = joins.filter(j => j.id !== 'sales_rvac_stock' && j.id !== 'sales_rvac_location');
+  assert.deepStrictEqual(ids(findJoinPath(chain, SALES, RVAC)), ['sales_inventory_stock', 'inventory_rvac_vin']);
+});
+
+test('joinPathFor joins every needed table once and reports the ones it cannot reach', () => {
+  assert.deepStrictEqual(joinPathFor(joins, SALES, new Set([SALES])), { joins: [], unreachable: [] });
+  const plan = joinPathFor(joins, SALES, new Set([SALES, INVENTORY, RVAC, LOGINS]));
+  assert.deepStrictEqual(ids(plan.joins), ['sales_inventory_stock', 'sales_rvac_stock']);
+  assert.deepStrictEqual(plan.unreachable, [LOGINS]);
+  assert.strictEqual(describeJoin(plan.joins[0]), `${SALES}.STOCK = ${INVENTORY}.StockNumber`);
+});
+
+// [prompt, primary table, planned join ids, unreachable tables]
+const PLANNED = [
+  ['front gross by closer', SALES, [], []],
+  ['front gross on certified units this year', SALES, ['sales_inventory_stock'], []],
+  ['warranty contracts by closer', RVAC, ['sales_rvac_stock'], []],
+  ['certified units sold by warranty plan', RVAC, ['inventory_rvac_vin'], []],
+  ['logins by closer', LOGINS, [], [SALES]]
+];
+
+for (const [prompt, table, planned, unreachable] of PLANNED) {
+  test(`the analyzer plans "${prompt}" along ${planned.join(', ') || 'no join'}`, () => {
+    const analysis = analyzeUserPrompt(prompt, { asOf: new Date(Date.UTC(2026, 2, 16)) });
+    assert.strictEqual(analysis.table.table, table);
+    assert.deepStrictEqual(ids(analysis.joins), planned);
+    assert.deepStrictEqual(analysis.unreachableTables, unreachable);
+  });
+}
+
+const allowlist = buildAllowlist({
+  tables: {
+    [SALES]: ['ID', 'STOCK', 'CLOSER', 'FRONT_COST', 'DEALER_LOCATION', 'isDeleted'],
+    [INVENTORY]: ['StockNumber', 'VIN', 'IsCertified'],
+    [RVAC]: ['WarrantyID', 'StockNumber', 'VIN', 'DealerLocation', 'WarantyPlan'],
+    [LOGINS]: ['UserID', 'LogedIn']
+  },
+  joins
+});
+
+const JOIN_ACCEPTED = [
+  `SELECT s.ID FROM ${SALES} s JOIN ${INVENTORY} i ON s.STOCK = i.StockNumber`,
+  `SELECT s.ID FROM ${SALES} s JOIN ${INVENTORY} i ON i.StockNumber = s.STOCK`,
+  `SELECT s.ID FROM ${SALES} s JOIN ${INVENTORY} i ON s.STOCK = i.StockNumber AND i.IsCertified = 1`,
+  `SELECT s.ID FROM ${SALES} s JOIN ${INVENTORY} i ON s.STOCK = i.StockNumber JOIN ${RVAC} w ON w.VIN = i.VIN`,
+  `SELECT ID FROM ${SALES} JOIN ${INVENTORY} ON STOCK = StockNumber`,
+  `SELECT w.WarantyPlan, COUNT(w.WarrantyID) AS Contracts FROM ${RVAC} w LEFT JOIN ${SALES} s ON s.STOCK = w.StockNumber GROUP BY w.WarantyPlan`,
+  `WITH deals AS (SELECT DEALER_LOCATION, COUNT(ID) AS Deals FROM ${SALES} GROUP BY DEALER_LOCATION) ` +
+    `SELECT w.DealerLocation, d.Deals FROM ${RVAC} w JOIN deals d ON d.DEALER_LOCATION = w.DealerLocation`
+];
+
+// [sql, detail of the rejection]
+const JOIN_REJECTED = [
+  [`SELECT s.ID FROM ${SALES} s JOIN ${INVENTORY} i ON s.ID = i.VIN`, `${SALES}.ID=${INVENTORY}.VIN`.toUpperCase()],
+  [`SELECT s.ID FROM ${SALES} s JOIN ${INVENTORY} i ON s.STOCK = i.StockNumber OR s.ID = i.VIN`, `${SALES} / ${INVENTORY}`],
+  [`SELECT s.ID FROM ${SALES} s JOIN ${INVENTORY} i ON s.STOCK = i.StockNumber AND s.CLOSER = i.VIN`, `${SALES}.CLOSER=${INVENTORY}.VIN`.toUpperCase()],
+  [`SELECT s.ID FROM ${SALES} s JOIN ${INVENTORY} i ON s.STOCK > i.StockNumber`, `${SALES}.STOCK=${INVENTORY}.STOCKNUMBER`.toUpperCase()],
+  [`SELECT s.ID FROM ${SALES} s JOIN ${INVENTORY} i ON i.IsCertified = 1`, `${SALES} / ${INVENTORY}`],
+  [`SELECT s.ID FROM ${SALES} s JOIN ${LOGINS} l ON s.ID = l.UserID`, `${SALES}.ID=${LOGINS}.USERID`.toUpperCase()],
+  [`SELECT s.ID FROM ${SALES} s CROSS JOIN ${INVENTORY} i`, `${SALES} / ${INVENTORY}`],
+  [`SELECT s.ID FROM ${SALES} s, ${INVENTORY} i WHERE s.STOCK = i.StockNumber`, `${SALES} / ${INVENTORY}`],
+  [`WITH x AS (SELECT s.ID FROM ${SALES} s JOIN ${RVAC} w ON s.CLOSER = w.WarantyPlan) SELECT ID FROM x`, `${SALES}.CLOSER=${RVAC}.WARANTYPLAN`.toUpperCase()],
+  [`SELECT ID FROM ${SALES} WHERE STOCK IN (SELECT i.StockNumber FROM ${INVENTORY} i JOIN ${RVAC} w ON i.StockNumber = w.WarrantyID)`, `${INVENTORY}.STOCKNUMBER=${RVAC}.WARRANTYID`.toUpperCase()]
+];
+
+for (const sqlText of JOIN_ACCEPTED) {
+  test(`declared join accepted: ${sqlText}`, () => {
+    const result = validateSql(sqlText, allowlist);
+    assert.strictEqual(result.ok, true, JSON.stringify(result.reason));
+  });
+}
+
+for (const [sqlText, detail] of JOIN_REJECTED) {
+  test(`undeclared join refused: ${sqlText}`, () => {
+    const result = validateSql(sqlText, allowlist);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.reason.code, 'JOIN_NOT_ALLOWED');
+    assert.strictEqual(result.reason.detail, detail);
+  });
+}
@@ -0,0 +1,102 @@
+/**
+ * periodComparison.test.js
+ *
+ * The two periods detectComparison finds in a prompt (fixed asOf: Monday 2026-03-16), their conditions on
+ * the reporting calendar's columns, and the current / prior / change SQL the builder writes for them.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { detectComparison, comparisonColumns } = require('../periodComparison');
+const { FiscalCalendar } = require('../calendar');
+const { buildSqlFromAnalysis } = require('../sqlBuilder');
+const { analyzeUserPrompt } = require('../server');
+
+const asOf = new Date(Date.UTC(2026, 2, 16));
+const calendar = new FiscalCalendar({}, null, asOf);
+
+// [prompt, [type, current label, start, end, prior label, start, end]]
+const DETECTED = [
+  ['front gross this month vs last month', ['mom', 'this month', '2026-03-01', '2026-04-01', 'last month', '2026-02-01', '2026-03-01']],
+  ['MoM front gross', ['mom', 'this month', '2026-03-01', '2026-04-01', 'last month', '2026-02-01', '2026-03-01']],
+  ['YoY deals by location', ['yoy', 'this year to date', '2026-01-01', '2026-03-17', 'same period last year', '2025-01-01', '2025-03-17']],
+  ['compare Q1 2025 with Q4 2024', ['qoq', 'Q1 2025', '2025-01-01', '2025-04-01', 'Q4 2024', '2024-10-01', '2025-01-01']],
+  ['contracts last month vs the same month last year', ['yoy', 'last month', '2026-02-01', '2026-03-01', 'same month last year', '2025-02-01', '2025-03-01']],
+  ['deals this week vs the previous week', ['wow', 'this week', '2026-03-15', '2026-03-22', 'last week', '2026-03-08', '2026-03-15']],
+  ['front gross in January 2026 vs December 2025', ['mom', 'January 2026', '2026-01-01', '2026-02-01', 'December 2025', '2025-12-01', '2026-01-01']],
+  ['deals 2025 vs 2024', ['yoy', '2025', '2025-01-01', '2026-01-01', '2024', '2024-01-01', '2025-01-01']],
+  ['deals yesterday vs the same day last year', ['yoy', 'yesterday', '2026-03-15', '2026-03-16', 'same day last year', '2025-03-15', '2025-03-16']]
+];
+
+for (const [prompt, expected] of DETECTED) {
+  test(`comparison: "${prompt}"`, () => {
+    const c = detectComparison(prompt, calendar);
+    assert.deepStrictEqual([c.type, c.current.label, c.current.start, c.current.end, c.prior.label, c.prior.start, c.prior.end], expected);
+    assert.strictEqual(c.text, `${expected[1]} vs ${expected[4]}`);
+  });
+}
+
+test('one period, or a shorthand in lower case, is not a comparison', () => {
+  assert.strictEqual(detectComparison('front gross this month', calendar), null);
+  assert.strictEqual(detectComparison('my mom bought a car', calendar), null);
+  assert.strictEqual(detectComparison('wow, deals this year', calendar), null);
+});
+
+test('each period binds its own parameters on the reporting columns', () => {
+  const { current, prior } = detectComparison('front gross this month vs last month', calendar);
+  assert.strictEqual(current.sqlCondition, 'MONTH_REPORTED = @currentMonth AND YEAR_REPORTED = @currentYear');
+  assert.deepStrictEqual(current.params, { currentMonth: { type: 'VarChar', value: 'March' }, currentYear: { type: 'VarChar', value: '2026' } });
+  assert.strictEqual(prior.sqlCondition, 'MONTH_REPORTED = @priorMonth AND YEAR_REPORTED = @priorYear');
+  assert.deepStrictEqual(prior.params, { priorMonth: { type: 'VarChar', value: 'February' }, priorYear: { type: 'VarChar', value: '2026' } });
+
+  // A table with one datetime column compares date ranges on it
+  const logins = detectComparison('logins this month vs last month', calendar.forTable({ dateColumn: 'LogedIn' }));
+  assert.strictEqual(logins.current.sqlCondition, 'LogedIn >= @currentStartDate AND LogedIn < @currentEndDate');
+  assert.deepStrictEqual(logins.prior.params, {
+    priorStartDate: { type: 'Date', value: '2026-02-01' }, priorEndDate: { type: 'Date', value: '2026-03-01' }
+  });
+});
+
+test('quarters follow the fiscal year', () => {
+  const fiscal = new FiscalCalendar({ fiscalYearStartMonth: 4 }, null, asOf);
+  const { current, prior } = detectComparison('deals this quarter vs last quarter', fiscal);
+  assert.deepStrictEqual([current.start, current.end, prior.start, prior.end], ['2026-01-01', '2026-04-01', '2025-10-01', '2026-01-01']);
+  // January to March 2026 is the fourth quarter of fiscal 2026
+  assert.deepStrictEqual(current.params, { currentYearNumber: { type: 'Int', value: 2026 }, currentQuarter: { type: 'Int', value: 4 } });
+});
+
+test('comparisonColumns names the four result columns of a metric', () => {
+  assert.deepStrictEqual(comparisonColumns('FrontGross'), {
+    current: 'CurrentFrontGross', prior: 'PriorFrontGross', change: 'FrontGrossChange', pctChange: 'FrontGrossPctChange'
+  });
+});
+
+test('the builder aggregates both periods in one pass and adds the change per dimension value', () => {
+  const built = buildSqlFromAnalysis(analyzeUserPrompt('front gross by location this month vs last month', { asOf }));
+  const current = '(MONTH_REPORTED = @currentMonth AND YEAR_REPORTED = @currentYear)';
+  const prior = '(MONTH_REPORTED = @priorMonth AND YEAR_REPORTED = @priorYear)';
+  const frontGross = "CAST(REPLACE(REPLACE(FRONT_COST, ',', ''), ' ', '') AS DECIMAL(13,2))";
+  assert.strictEqual(built.sql,
+    `WITH periods AS (SELECT DEALER_LOCATION, COALESCE(SUM(CASE WHEN ${current} THEN ${frontGross} END), 0) AS CurrentFrontGross, ` +
+    `COALESCE(SUM(CASE WHEN ${prior} THEN ${frontGross} END), 0) AS PriorFrontGross FROM SalesReport_Form_Input ` +
+    `WHERE isCarryOver = 0 AND isDeleted = 0 AND (${current} OR ${prior}) GROUP BY DEALER_LOCATION) ` +
+    'SELECT DEALER_LOCATION, CurrentFrontGross, PriorFrontGross, CurrentFrontGross - PriorFrontGross AS FrontGrossChange, ' +
+    'CAST(CurrentFrontGross - PriorFrontGross AS DECIMAL(18,4)) / NULLIF(PriorFrontGross, 0) AS FrontGrossPctChange ' +
+    'FROM periods ORDER BY CurrentFrontGross DESC');
+  assert.deepStrictEqual(Object.keys(built.params), ['currentMonth', 'currentYear', 'priorMonth', 'priorYear']);
+  assert.strictEqual(built.description, 'FrontGross by DEALER_LOCATION this month vs last month');
+});
+
+test('a compared deal count keeps the count rule and counts per period', () => {
+  const built = buildSqlFromAnalysis(analyzeUserPrompt('YoY deals by location', { asOf }));
+  assert.match(built.sql, /WHERE isCarryOver = 0 AND isDeleted = 0 AND isCounted = 1 AND /);
+  assert.match(built.sql, /COALESCE\(COUNT\(CASE WHEN \(DATE_REPORTED >= @currentStartDate AND DATE_REPORTED < @currentEndDate\) THEN ID END\), 0\) AS CurrentTotalDeals/);
+  assert.deepStrictEqual(built.params.priorEndDate, { type: 'Date', value: '2025-03-17' });
+});
+
+test('a comparison grouped by date is left to the LLM, periods line up per dimension value', () => {
+  assert.strictEqual(buildSqlFromAnalysis(analyzeUserPrompt('front gross by month this year vs last year', { asOf })), null);
+});
@@ -0,0 +1,115 @@
+/**
+ * personNames.test.js
+ *
+ * Spellings grouped into people, and mentions resolved to them (full names, first or last name only,
+ * nicknames, typos, role words) over a fake value dictionary; a name several people share is asked about.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PersonNameIndex, groupPeople, parseName } = require('../personNames');
+const { analyzeUserPrompt, findClarification } = require('../server');
+
+const SALES = 'SalesReport_Form_Input';
+const VALUES = {
+  CLOSER: [
+    { value: 'Mike Smith', count: 40 }, { value: 'mike smith ', count: 3 }, { value: 'Smith, Mike', count: 5 },
+    { value: 'Michael Jones', count: 20 }, { value: 'Sarah Connor', count: 12 }, { value: 'Will Turner', count: 4 }
+  ],
+  LEAD_OWNER: [{ value: 'Sarah Connor', count: 30 }, { value: 'Dave Brown', count: 9 }]
+};
+
+function fakeDictionary() {
+  return {
+    refreshedAt: 1,
+    values: VALUES,
+    info() { return { refreshedAt: this.refreshedAt }; },
+    entries(table, column) { return table === SALES ? this.values[column] || [] : []; }
+  };
+}
+
+function index(dictionary = fakeDictionary()) {
+  return new PersonNameIndex({
+    columns: () => [
+      { table: SALES, column: 'CLOSER', role: 'closer', patterns: [/\bclos(e|es|ed|er|ers|ing)\b/i] },
+      { table: SALES, column: 'LEAD_OWNER', role: 'lead owner', patterns: [/\blead\s+owners?\b/i] }
+    ],
+    valueDictionary: dictionary
+  });
+}
+
+test('parseName reads "Last, First" and drops suffixes', () => {
+  assert.deepStrictEqual(parseName('Smith, Mike'), { first: 'mike', last: 'smith' });
+  assert.deepStrictEqual(parseName('  Mike   Smith Jr '), { first: 'mike', last: 'smith' });
+  assert.deepStrictEqual(parseName('Cher'), { first: 'cher', last: '' });
+  assert.strictEqual(parseName('  '), null);
+});
+
+test('groupPeople puts every spelling of a person together, most frequent first', () => {
+  const people = groupPeople([
+    { value: 'Michael Smith', count: 2 }, ...VALUES.CLOSER, { value: 'Mike Smyth', count: 1 }
+  ]);
+  assert.deepStrictEqual(people.map(p => [p.name, p.count]), [
+    ['Michael Smith', 51], ['Michael Jones', 20], ['Sarah Connor', 12], ['Will Turner', 4]
+  ]);
+  assert.deepStrictEqual(people[0].values, ['Michael Smith', 'Mike Smith', 'mike smith ', 'Smith, Mike', 'Mike Smyth']);
+});
+
+// [prompt, [column, mention, best person, candidate names]] per mention
+const RESOLVED = [
+  ['deals Mike Smith closed last month', [['CLOSER', 'Mike Smith', 'Mike Smith', ['Mike Smith']]]],
+  ['deals Smith closed', [['CLOSER', 'Smith', 'Mike Smith', ['Mike Smith']]]],
+  ['deals Micheal Jones closed', [['CLOSER', 'Micheal Jones', 'Michael Jones', ['Michael Jones']]]],
+  ['deals Mike closed', [['CLOSER', 'Mike', 'Mike Smith', ['Mike Smith', 'Michael Jones']]]],
+  ['deals by lead owner Sarah', [['LEAD_OWNER', 'Sarah', 'Sarah Connor', ['Sarah Connor']]]],
+  ['deals Sarah closed', [['CLOSER', 'Sarah', 'Sarah Connor', ['Sarah Connor']]]],
+  ['deals Will Turner closed', [['CLOSER', 'Will Turner', 'Will Turner', ['Will Turner']]]],
+  ['deals that will close this month', []],
+  ['gross for Red Deer this month', []]
+];
+
+for (const [prompt, expected] of RESOLVED) {
+  test(`resolve: "${prompt}"`, () => {
+    const found = index().resolve(prompt);
+    assert.deepStrictEqual(found.map(r => [r.column, r.mention, r.person.name, r.candidates.map(c => c.name)]), expected);
+  });
+}
+
+test('a person filter matches every stored spelling', () => {
+  const [mike] = index().resolve('deals Mike Smith closed');
+  assert.deepStrictEqual(mike.person.values, ['Mike Smith', 'mike smith ', 'Smith, Mike']);
+});
+
+test('words another match already used are not names, and other tables are skipped', () => {
+  assert.deepStrictEqual(index().resolve('deals Sarah closed', { exclude: ['sarah'] }), []);
+  assert.deepStrictEqual(index().resolve('deals Sarah closed', { tables: ['SaleWarranty_RVAC_CONTRACTS'] }), []);
+});
+
+test('the index is rebuilt after a dictionary refresh', () => {
+  const dictionary = fakeDictionary();
+  const names = index(dictionary);
+  assert.strictEqual(names.resolve('deals Dana closed').length, 0);
+  dictionary.values = { ...VALUES, CLOSER: VALUES.CLOSER.concat({ value: 'Dana Scully', count: 1 }) };
+  dictionary.refreshedAt = 2;
+  assert.strictEqual(names.resolve('deals Dana closed')[0].person.name, 'Dana Scully');
+});
+
+test('a name two people share is asked about, with a prompt per person', () => {
+  const prompt = 'front gross Mike closed this month';
+  const [mike] = index().resolve(prompt);
+  const analysis = analyzeUserPrompt(prompt, { asOf: new Date(Date.UTC(2026, 2, 16)) });
+  analysis.filters.push({
+    column: mike.column, concept: 'person', role: mike.role, value: mike.person.name, values: mike.person.values,
+    mention: mike.mention, isAggregate: false, resolved: true, candidates: mike.candidates
+  });
+  const clarification = findClarification(prompt, analysis);
+  assert.strictEqual(clarification.reason, 'ambiguous_person');
+  assert.strictEqual(clarification.question, 'Which closer do you mean by "Mike"?');
+  assert.deepStrictEqual(clarification.choices.map(c => [c.label, c.prompt]), [
+    ['Mike Smith (48 rows)', 'front gross Mike Smith closed this month'],
+    ['Michael Jones (20 rows)', 'front gross Michael Jones closed this month']
+  ]);
+});
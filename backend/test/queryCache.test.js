@@ -0,0 +1,133 @@
+/**
+ * queryCache.test.js
+ *
+ * The in-memory query cache: what its key holds (normalized prompt, resolved range, mode, model
+ * version, table generations), result TTLs for live and closed ranges, invalidation, size limits, and
+ * store errors counted as misses.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { QueryCache, normalizePrompt } = require('../queryCache');
+const { analyzeUserPrompt } = require('../server');
+
+const march16 = new Date(Date.UTC(2026, 2, 16));
+const april2 = new Date(Date.UTC(2026, 3, 2));
+
+function question(prompt, overrides = {}) {
+  const { asOf = march16, ...rest } = overrides;
+  return { prompt, mode: 'llm', provider: null, model: null, modelVersion: 1, analysis: analyzeUserPrompt(prompt, { asOf }), ...rest };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('normalizePrompt ignores case, punctuation and spacing', () => {
+  assert.strictEqual(normalizePrompt('  Deals today, by  location?'), 'deals today by location');
+  assert.strictEqual(normalizePrompt('Front gross 2026-01-09 vs 01/09/2026'), 'front gross 2026-01-09 vs 01/09/2026');
+});
+
+test('the same question asked differently has the same key', async () => {
+  const cache = new QueryCache();
+  assert.strictEqual(await cache.keyFor(question('deals today by location')), await cache.keyFor(question('Deals today, by location?')));
+});
+
+test('the key changes with the resolved range, mode, provider and model version', async () => {
+  const cache = new QueryCache();
+  const base = await cache.keyFor(question('deals last month by location'));
+  // "last month" on April 2 is another month
+  assert.notStrictEqual(await cache.keyFor(question('deals last month by location', { asOf: april2 })), base);
+  assert.strictEqual(await cache.keyFor(question('deals last month by location', { asOf: new Date(Date.UTC(2026, 2, 31)) })), base);
+  assert.notStrictEqual(await cache.keyFor(question('deals last month by location', { mode: 'rules' })), base);
+  assert.notStrictEqual(await cache.keyFor(question('deals last month by location', { provider: 'openai' })), base);
+  assert.notStrictEqual(await cache.keyFor(question('deals last month by location', { modelVersion: 2 })), base);
+});
+
+test('SQL and results are stored apart under one key', async () => {
+  const cache = new QueryCache();
+  const q = question('deals last month by location');
+  const key = await cache.keyFor(q);
+  assert.strictEqual(await cache.getSql(key), null);
+  await cache.setSql(key, { sql: 'SELECT 1', source: 'llm', description: 'one', tokens: 12 });
+  assert.deepStrictEqual(await cache.getSql(key), { sql: 'SELECT 1', source: 'llm', params: {}, description: 'one' });
+  assert.strictEqual(await cache.getResult(key), null);
+
+  await cache.setResult(key, { response: { rows: [{ n: 1 }] }, turn: { sql: 'SELECT 1' } }, q.analysis);
+  assert.deepStrictEqual((await cache.getResult(key)).response.rows, [{ n: 1 }]);
+  const { sqlHits, sqlMisses, resultHits, resultMisses } = cache.info();
+  assert.deepStrictEqual([sqlHits, sqlMisses, resultHits, resultMisses], [1, 1, 1, 1]);
+});
+
+test('results of a range that includes today are kept for the live TTL, closed ranges longer', () => {
+  const cache = new QueryCache({ liveTtlSeconds: 60, closedTtlSeconds: 3600 });
+  assert.strictEqual(cache.resultTtl(question('deals last month by location').analysis), 3600);
+  assert.strictEqual(cache.resultTtl(question('deals this month by location').analysis), 60);
+  assert.strictEqual(cache.resultTtl(question('deals today by location').analysis), 60);
+  assert.strictEqual(cache.resultTtl(question('deals by location').analysis), 60);
+});
+
+test('entries expire after their TTL', async () => {
+  const cache = new QueryCache({ liveTtlSeconds: 0.05 });
+  const q = question('deals today by location');
+  const key = await cache.keyFor(q);
+  await cache.setResult(key, { response: { rows: [] }, turn: {} }, q.analysis);
+  assert.ok(await cache.getResult(key));
+  await sleep(80);
+  assert.strictEqual(await cache.getResult(key), null);
+});
+
+test('invalidating a table changes the keys of its questions only; invalidating all changes every key', async () => {
+  const cache = new QueryCache();
+  const deals = question('deals last month by location');
+  const contracts = question('warranty contracts by plan last month');
+  const dealsKey = await cache.keyFor(deals);
+  const contractsKey = await cache.keyFor(contracts);
+  await cache.setSql(dealsKey, { sql: 'SELECT 1', source: 'llm' });
+
+  assert.deepStrictEqual(await cache.invalidate('SalesReport_Form_Input'), { table: 'SalesReport_Form_Input', generation: 1 });
+  assert.notStrictEqual(await cache.keyFor(deals), dealsKey);
+  assert.strictEqual(await cache.keyFor(contracts), contractsKey);
+
+  assert.deepStrictEqual(await cache.invalidate(), { table: null, generation: 1 });
+  assert.notStrictEqual(await cache.keyFor(contracts), contractsKey);
+  assert.strictEqual(await cache.getSql(dealsKey), null);
+});
+
+test('large results are not stored and the least recently used entry goes first', async () => {
+  const cache = new QueryCache({ maxRows: 2, maxEntries: 2 });
+  const analysis = question('deals last month by location').analysis;
+  await cache.setResult('big', { response: { rows: [1, 2, 3] }, turn: {} }, analysis);
+  assert.strictEqual(await cache.getResult('big'), null);
+
+  await cache.setSql('a', { sql: 'SELECT 1' });
+  await cache.setSql('b', { sql: 'SELECT 2' });
+  await cache.getSql('a');
+  await cache.setSql('c', { sql: 'SELECT 3' });
+  assert.ok(await cache.getSql('a'));
+  assert.strictEqual(await cache.getSql('b'), null);
+  assert.strictEqual(cache.info().entries, 2);
+});
+
+test('a disabled cache misses and stores nothing', async () => {
+  const cache = new QueryCache({ enabled: false });
+  await cache.setSql('k', { sql: 'SELECT 1' });
+  assert.strictEqual(await cache.getSql('k'), null);
+  assert.strictEqual(cache.info().entries, 0);
+});
+
+test('store errors are misses, never failures', async (t) => {
+  const cache = new QueryCache();
+  const warn = console.warn;
+  t.after(() => { console.warn = warn; });
+  console.warn = () => {};
+  const broken = () => Promise.reject(new Error('connection refused'));
+  cache._store = { get: broken, set: broken, generation: broken, info: () => ({ store: 'broken' }) };
+
+  const key = await cache.keyFor(question('deals last month by location'));
+  assert.match(key, /^[0-9a-f]{64}$/);
+  await cache.setSql(key, { sql: 'SELECT 1' });
+  assert.strictEqual(await cache.getSql(key), null);
+  assert.strictEqual(cache.info().errors, 3);
+});
@@ -0,0 +1,153 @@
+/**
+ * querySessions.test.js
+ *
+ * Follow-up detection and merging on hand-built analyses (the shape analyzeUserPrompt returns), and the
+ * session store's turn and expiry limits.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { QuerySessionStore, isFollowUp, mergeFollowUp, detectLocationMention } = require('../querySessions');
+
+const SALES = { table: 'SalesReport_Form_Input', key: 'sales', confidence: 2 };
+const RVAC = { table: 'SaleWarranty_RVAC_CONTRACTS', key: 'rvac', confidence: 2 };
+const LOCATION_COLUMNS = {
+  SalesReport_Form_Input: 'DEALER_LOCATION',
+  SaleWarranty_RVAC_CONTRACTS: 'DealerLocation',
+  SalesApp_LogInActivity: 'IpLocation'
+};
+const OPTS = { groupByLabels: { DEALER_LOCATION: 'location', MONTH_REPORTED: 'month' }, locationColumns: LOCATION_COLUMNS };
+
+function analysis(overrides = {}) {
+  return {
+    table: SALES,
+    tableCandidates: [],
+    filters: [],
+    aggregates: [],
+    timeRange: null,
+    comparison: null,
+    ranking: null,
+    presentation: { groupBy: null, thenBy: null },
+    ...overrides
+  };
+}
+
+const GROSS = { alias: 'FrontGross', column: 'FRONT_COST', function: 'SUM' };
+const CLOSER_MIKE = {
+  column: 'CLOSER', concept: 'person', role: 'closer', value: 'Mike Smith', values: ['Mike Smith', 'Smith, Mike'],
+  mention: 'Mike', isAggregate: false, resolved: true
+};
+
+test('isFollowUp: back-references and bare edits follow up, a new question does not', () => {
+  assert.strictEqual(isFollowUp('now break that down by month', analysis()), true);
+  assert.strictEqual(isFollowUp('same thing for Calgary only', analysis({ aggregates: [GROSS] })), true);
+  assert.strictEqual(isFollowUp('for 2024', analysis()), true);
+  assert.strictEqual(isFollowUp('front gross by closer', analysis({ tableCandidates: [SALES], aggregates: [GROSS] })), false);
+});
+
+test('detectLocationMention: capitalised words after for/at/in, but not months or relative periods', () => {
+  assert.strictEqual(detectLocationMention('same thing for Red Deer only'), 'Red Deer');
+  assert.strictEqual(detectLocationMention('what about at Calgary?'), 'Calgary');
+  assert.strictEqual(detectLocationMention('same thing for March only'), null);
+  assert.strictEqual(detectLocationMention('same thing for last month'), null);
+  assert.strictEqual(detectLocationMention('same thing for calgary only'), null);
+});
+
+test('a location mention filters the table\'s own location column', () => {
+  const previous = analysis({ aggregates: [GROSS] });
+  const { analysis: merged, changes } = mergeFollowUp(previous, analysis(), 'same thing for Calgary only', OPTS);
+  assert.deepStrictEqual(merged.filters, [{ column: 'DEALER_LOCATION', concept: 'dealership', value: 'Calgary', isAggregate: false }]);
+  assert.deepStrictEqual(changes, ['filtered to DEALER_LOCATION = Calgary']);
+  assert.deepStrictEqual(merged.aggregates, [GROSS]);
+});
+
+test('RVAC follow-ups filter DealerLocation, not the sales column', () => {
+  const previous = analysis({ table: RVAC, aggregates: [{ alias: 'ContractCount', function: 'COUNT' }] });
+  const { analysis: merged, changes } = mergeFollowUp(previous, analysis({ table: RVAC }), 'same thing for Calgary only', OPTS);
+  assert.deepStrictEqual(merged.filters.map(f => [f.column, f.value]), [['DealerLocation', 'Calgary']]);
+  assert.deepStrictEqual(changes, ['filtered to DealerLocation = Calgary']);
+});
+
+test('a name a person filter already stands for is not a location', () => {
+  const previous = analysis({ table: RVAC, filters: [CLOSER_MIKE] });
+  const { analysis: merged, changes } = mergeFollowUp(previous, analysis({ table: RVAC }), 'same thing for Mike only', OPTS);
+  assert.deepStrictEqual(merged.filters, [CLOSER_MIKE]);
+  assert.deepStrictEqual(changes, []);
+
+  // Same when the follow-up itself resolved the person
+  const fresh = mergeFollowUp(analysis(), analysis({ filters: [CLOSER_MIKE] }), 'same thing for Mike Smith only', OPTS);
+  assert.deepStrictEqual(fresh.analysis.filters, [CLOSER_MIKE]);
+});
+
+test('a resolved location wins over the raw words and replaces the old one', () => {
+  const previous = analysis({ filters: [{ column: 'DEALER_LOCATION', concept: 'dealership', value: 'Calgary', isAggregate: false }] });
+  const resolved = { column: 'DEALER_LOCATION', concept: 'value', value: 'Red Deer RV', mention: 'Red Deer', isAggregate: false, resolved: true };
+  const { analysis: merged, changes } = mergeFollowUp(previous, analysis({ filters: [resolved] }), 'same thing for Red Deer only', OPTS);
+  assert.deepStrictEqual(merged.filters, [resolved]);
+  assert.deepStrictEqual(changes, ['filtered to DEALER_LOCATION = Red Deer RV']);
+});
+
+test('tables without a location column take no location from the prompt', () => {
+  const previous = analysis({ table: { table: 'Common_Group_401_Vehicle_Inventory', key: 'inventory' } });
+  const { analysis: merged } = mergeFollowUp(previous, analysis({ table: previous.table }), 'same thing for Calgary only', OPTS);
+  assert.deepStrictEqual(merged.filters, []);
+  assert.deepStrictEqual(mergeFollowUp(analysis(), analysis(), 'same thing for Calgary only').analysis.filters, []);
+});
+
+test('filtering to one location ends the grouping and the per-location ranking partition', () => {
+  const previous = analysis({
+    aggregates: [GROSS],
+    presentation: { groupBy: 'DEALER_LOCATION', thenBy: 'CLOSER' },
+    ranking: { column: 'CLOSER', partitionBy: 'DEALER_LOCATION', direction: 'DESC', limit: 3, text: 'top 3' }
+  });
+  const { analysis: merged, changes } = mergeFollowUp(previous, analysis(), 'same thing at Calgary only', OPTS);
+  assert.strictEqual(merged.presentation.groupBy, 'CLOSER');
+  assert.strictEqual(merged.presentation.thenBy, null);
+  assert.strictEqual(merged.ranking, null);
+  assert.deepStrictEqual(changes, ['filtered to DEALER_LOCATION = Calgary', 'no longer broken down by location']);
+});
+
+test('a new grouping replaces the old one and drops the old grouping\'s filters', () => {
+  const previous = analysis({
+    aggregates: [GROSS],
+    filters: [{ column: 'DEALER_LOCATION', concept: 'dealership', value: 'Calgary', isAggregate: false }],
+    presentation: { groupBy: 'DEALER_LOCATION', thenBy: null }
+  });
+  const current = analysis({ presentation: { groupBy: 'MONTH_REPORTED', thenBy: null } });
+  const { analysis: merged, changes } = mergeFollowUp(previous, current, 'now break that down by month', OPTS);
+  assert.strictEqual(merged.presentation.groupBy, 'MONTH_REPORTED');
+  assert.deepStrictEqual(merged.filters, []);
+  assert.deepStrictEqual(changes, ['broken down by month instead of location']);
+});
+
+test('the merge leaves the previous analysis untouched', () => {
+  const previous = analysis({ aggregates: [GROSS], presentation: { groupBy: 'DEALER_LOCATION', thenBy: null } });
+  const snapshot = JSON.parse(JSON.stringify(previous));
+  mergeFollowUp(previous, analysis(), 'same thing for Calgary only', OPTS);
+  assert.deepStrictEqual(previous, snapshot);
+});
+
+test('QuerySessionStore keeps the last maxTurns turns and forgets idle sessions', () => {
+  const store = new QuerySessionStore({ maxTurns: 2, ttlMs: 60000 });
+  const session = store.create();
+  for (const prompt of ['a', 'b', 'c']) store.addTurn(session.id, { prompt });
+  assert.deepStrictEqual(store.get(session.id).turns.map(t => t.prompt), ['b', 'c']);
+  assert.strictEqual(store.lastTurn(session.id).prompt, 'c');
+
+  session.updatedAt -= 60001;
+  assert.strictEqual(store.get(session.id), null);
+  assert.strictEqual(store.addTurn(session.id, { prompt: 'd' }), null);
+});
+
+test('QuerySessionStore drops the least recently used session when full', () => {
+  const store = new QuerySessionStore({ maxSessions: 2 });
+  const first = store.create();
+  const second = store.create();
+  store.addTurn(first.id, { prompt: 'a' });
+  store.create();
+  assert.strictEqual(store.get(second.id), null);
+  assert.ok(store.get(first.id));
+});
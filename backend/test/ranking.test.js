@@ -0,0 +1,93 @@
+/**
+ * ranking.test.js
+ *
+ * detectRanking on its own (direction, N, ties, the ranked dimension), then the ranked SQL the builder
+ * writes for analyzed prompts (fixed asOf): a Rank column, the limit bound as a parameter, RANK() or
+ * ROW_NUMBER(), and ranks restarting per group.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { detectRanking, RANK_COLUMN } = require('../ranking');
+const { buildSqlFromAnalysis } = require('../sqlBuilder');
+const { analyzeUserPrompt } = require('../server');
+
+const asOf = new Date(Date.UTC(2026, 2, 16));
+const analyze = (prompt) => analyzeUserPrompt(prompt, { asOf });
+
+const DIMENSIONS = [
+  { column: 'CLOSER', synonyms: ['closer', 'by closer'] },
+  { column: 'DEALER_LOCATION', synonyms: ['location', 'store', 'per location'] },
+  { column: 'MODEL', synonyms: ['model'] }
+];
+
+// [prompt, { direction, limit, ties, column, text }]
+const DETECTED = [
+  ['top 5 closers by front gross this month', { direction: 'top', limit: 5, ties: true, column: 'CLOSER', text: 'top 5' }],
+  ['bottom three locations by deal count', { direction: 'bottom', limit: 3, ties: true, column: 'DEALER_LOCATION', text: 'bottom three' }],
+  ['best-selling models YTD', { direction: 'top', limit: 10, ties: true, column: 'MODEL', text: 'best-selling' }],
+  ['which location had the fewest deals', { direction: 'bottom', limit: 1, ties: true, column: 'DEALER_LOCATION', text: 'fewest' }],
+  ['top 3 closers per location', { direction: 'top', limit: 3, ties: true, column: 'CLOSER', text: 'top 3' }],
+  ['top 5 closers without ties', { direction: 'top', limit: 5, ties: false, column: 'CLOSER', text: 'top 5' }],
+  ['rank stores by front gross', { direction: 'top', limit: null, ties: true, column: 'DEALER_LOCATION', text: 'rank' }],
+  ['now the bottom 3', { direction: 'bottom', limit: 3, ties: true, column: null, text: 'bottom 3' }]
+];
+
+for (const [prompt, expected] of DETECTED) {
+  test(`detectRanking: "${prompt}"`, () => {
+    assert.deepStrictEqual(detectRanking(prompt, DIMENSIONS), expected);
+  });
+}
+
+test('no ranking words, or "most recent", is not a ranking; the grouping is ranked when no noun is', () => {
+  assert.strictEqual(detectRanking('front gross by closer', DIMENSIONS), null);
+  assert.strictEqual(detectRanking('the most recent deals', DIMENSIONS), null);
+  assert.strictEqual(detectRanking('top 5 by front gross', DIMENSIONS, 'MAKE').column, 'MAKE');
+});
+
+test('top N ranks the grouped rows by the metric and keeps ranks up to N', () => {
+  const built = buildSqlFromAnalysis(analyze('top 5 closers by front gross this month'));
+  const frontGross = "SUM(CAST(REPLACE(REPLACE(FRONT_COST, ',', ''), ' ', '') AS DECIMAL(13,2)))";
+  assert.strictEqual(built.sql,
+    `WITH ranked AS (SELECT CLOSER, ${frontGross} AS FrontGross, RANK() OVER (ORDER BY ${frontGross} DESC) AS ${RANK_COLUMN} ` +
+    'FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0 AND (MONTH_REPORTED = @month AND YEAR_REPORTED = @year) ' +
+    'GROUP BY CLOSER) SELECT CLOSER, FrontGross, Rank FROM ranked WHERE Rank <= @rankLimit ORDER BY Rank');
+  assert.deepStrictEqual(built.params.rankLimit, { type: 'Int', value: 5 });
+  assert.strictEqual(built.description, 'top 5 CLOSER by FrontGross for MONTH_REPORTED = March AND YEAR_REPORTED = 2026');
+});
+
+test('bottom N orders ascending and counts deals by default', () => {
+  const built = buildSqlFromAnalysis(analyze('bottom 3 locations by deal count'));
+  assert.match(built.sql, /^WITH ranked AS \(SELECT DEALER_LOCATION, COUNT\(ID\) AS TotalDeals, RANK\(\) OVER \(ORDER BY COUNT\(ID\) ASC\) AS Rank /);
+  assert.match(built.sql, /WHERE isCarryOver = 0 AND isDeleted = 0 AND isCounted = 1 GROUP BY DEALER_LOCATION\)/);
+  assert.deepStrictEqual(built.params.rankLimit, { type: 'Int', value: 3 });
+});
+
+test('"without ties" numbers rows, breaking ties by the dimension', () => {
+  const sql = buildSqlFromAnalysis(analyze('top 5 closers by front gross without ties')).sql;
+  assert.match(sql, /ROW_NUMBER\(\) OVER \(ORDER BY SUM\(.*\) DESC, CLOSER\) AS Rank/);
+  assert.doesNotMatch(sql, /RANK\(\)/);
+});
+
+test('a ranking per group restarts in each group', () => {
+  const built = buildSqlFromAnalysis(analyze('top 3 closers per location this year'));
+  assert.match(built.sql, /^WITH ranked AS \(SELECT DEALER_LOCATION, CLOSER, COUNT\(ID\) AS TotalDeals, RANK\(\) OVER \(PARTITION BY DEALER_LOCATION ORDER BY COUNT\(ID\) DESC\) AS Rank /);
+  assert.match(built.sql, /GROUP BY DEALER_LOCATION, CLOSER\) SELECT DEALER_LOCATION, CLOSER, TotalDeals, Rank FROM ranked WHERE Rank <= @rankLimit ORDER BY DEALER_LOCATION, Rank$/);
+  assert.strictEqual(built.description, 'top 3 CLOSER by TotalDeals per DEALER_LOCATION for YEAR_REPORTED = 2026');
+});
+
+test('"rank ..." keeps every row', () => {
+  const built = buildSqlFromAnalysis(analyze('rank warranty reps by warranty gross'));
+  assert.match(built.sql, /FROM SaleWarranty_RVAC_CONTRACTS WHERE isDeleted = 0 GROUP BY SalesRep\) SELECT SalesRep, WarrantyGross, Rank FROM ranked ORDER BY Rank$/);
+  assert.strictEqual(built.params.rankLimit, undefined);
+});
+
+test('a ranked comparison is left to the LLM', () => {
+  const analysis = analyze('top 5 closers this month vs last month');
+  assert.strictEqual(analysis.ranking.limit, 5);
+  assert.ok(analysis.comparison);
+  assert.strictEqual(buildSqlFromAnalysis(analysis), null);
+});
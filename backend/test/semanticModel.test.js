@@ -0,0 +1,129 @@
+/**
+ * semanticModel.test.js
+ *
+ * Validation of the shipped model and of broken edits, compilation, and the file watcher's hot reload
+ * (a good edit is activated, a bad one is logged and the previous model kept) on a temp copy.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const semanticModel = require('../semanticModel');
+
+const shipped = () => JSON.parse(fs.readFileSync(semanticModel.DEFAULT_MODEL_PATH, 'utf8'));
+
+// The watcher's poll timer is unref'd; this timer keeps the test alive (and bounded) while it waits
+function within(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error(`no ${what} after ${ms} ms`)), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+test('the shipped model is valid and compiles', () => {
+  assert.deepStrictEqual(semanticModel.validateSemanticModel(shipped()), []);
+  const model = semanticModel.compileSemanticModel(shipped(), 'test');
+  assert.strictEqual(model.tables.rvac.table, 'SaleWarranty_RVAC_CONTRACTS');
+  assert.strictEqual(model.columns.dealership.columns.SaleWarranty_RVAC_CONTRACTS, 'DealerLocation');
+  assert.ok(model.columns.gross.patterns.every(p => p instanceof RegExp));
+  assert.deepStrictEqual(model.joins.find(j => j.id === 'sales_rvac_location').right,
+    { table: 'SaleWarranty_RVAC_CONTRACTS', column: 'DealerLocation' });
+});
+
+// [what is broken, edit of the shipped model, expected error]
+const INVALID = [
+  ['no version', raw => { delete raw.version; }, 'version: must be a positive integer'],
+  ['no tables', raw => { raw.tables = {}; }, 'tables: at least one table is required'],
+  ['a table name that is not an identifier', raw => { raw.tables.sales.table = 'Sales; DROP TABLE x'; }, 'tables.sales.table: must be a table name'],
+  ['a count metric of another table', raw => { raw.tables.rvac.countMetric = 'count'; }, 'tables.rvac.countMetric: must be a COUNT metric of table "rvac"'],
+  ['a date column that is not an identifier', raw => { raw.tables.logins.dateColumn = 'GETDATE()'; }, 'tables.logins.dateColumn: must be a column name'],
+  ['an unknown reporting column', raw => { raw.tables.sales.reportedColumns = ['day']; }, 'tables.sales.reportedColumns: must be a list of month, week'],
+  ['a metric on an unknown table', raw => { raw.metrics.gross.table = 'nope'; }, 'metrics.gross.table: unknown table key "nope"'],
+  ['an unknown aggregate function', raw => { raw.metrics.gross.function = 'MEDIAN'; }, 'metrics.gross.function: must be one of'],
+  ['a duplicate alias', raw => { raw.metrics.front_gross.alias = raw.metrics.gross.alias; }, 'metrics.front_gross.alias: duplicate alias'],
+  ['a formula over a formula', raw => { raw.metrics.attach_rate.formula.metrics = ['attach_rate', 'count']; }, 'metrics.attach_rate.formula.metrics[0]: "attach_rate" is not a column metric'],
+  ['a metric column with a statement in it', raw => { raw.metrics.gross.column = 'TOTAL_COST) FROM x; DROP TABLE y; --'; }, 'metrics.gross.column: must be a column name or an expression over columns'],
+  ['a metric column with a string in it', raw => { raw.metrics.gross.column = "ISNULL(TOTAL_COST, '0')"; }, 'metrics.gross.column: must be a column name or an expression over columns'],
+  ['a metric column with a subquery', raw => { raw.metrics.gross.column = '(SELECT MAX(ID) FROM Users)'; }, 'metrics.gross.column: must be a column name or an expression over columns'],
+  ['a bad pattern', raw => { raw.metrics.gross.patterns = ['(unclosed']; }, 'metrics.gross.patterns[0]:'],
+  ['a dimension column mapped to an unknown table', raw => { raw.dimensions.dealership.columns.nope = 'X'; }, 'dimensions.dealership.columns: unknown table key "nope"'],
+  ['a rule on an unknown table', raw => { raw.defaultFilters[0].table = 'Other'; }, 'defaultFilters[0].table: "Other" is not one of the model\'s tables'],
+  ['a rule value that is a string', raw => { raw.defaultFilters[0].value = "0 OR 1=1"; }, 'defaultFilters[0].value: must be a number or true/false'],
+  ['a rule column that is not a column', raw => { raw.defaultFilters[0].column = 'isDeleted = 0 OR 1'; }, 'defaultFilters[0].column: must be a column name'],
+  ['a rule applied at an unknown time', raw => { raw.defaultFilters[0].appliesTo = 'sometimes'; }, 'defaultFilters[0].appliesTo: must be one of always, count'],
+  ['a self join', raw => { raw.joins[0].right.table = raw.joins[0].left.table; }, 'joins[0]: must join two different tables'],
+  ['an ambiguous term with one choice', raw => { raw.ambiguousTerms[0].choices.length = 1; }, 'ambiguousTerms[0].choices: needs at least two choices'],
+  ['a bad calendar', raw => { raw.calendar.fiscalYearStartMonth = 13; }, 'calendar.fiscalYearStartMonth: must be a month number from 1 to 12']
+];
+
+for (const [what, edit, expected] of INVALID) {
+  test(`validation rejects ${what}`, () => {
+    const raw = shipped();
+    edit(raw);
+    const errors = semanticModel.validateSemanticModel(raw);
+    assert.ok(errors.some(e => e.startsWith(expected)), `${expected}\n  got: ${errors.join('\n  ')}`);
+  });
+}
+
+test('rules are written as column = number, booleans as 1/0, and nothing else is written', () => {
+  const rule = { id: 'r', table: 'T', column: 'isDeleted', value: 0, appliesTo: 'always' };
+  assert.strictEqual(semanticModel.rulePredicate(rule), 'isDeleted = 0');
+  assert.strictEqual(semanticModel.rulePredicate({ ...rule, value: true }, 's'), 's.isDeleted = 1');
+  assert.throws(() => semanticModel.rulePredicate({ ...rule, value: '0 OR 1=1' }), /not a number or true\/false/);
+  assert.throws(() => semanticModel.rulePredicate({ ...rule, column: 'x = 1 OR isDeleted' }), /no plain column name/);
+});
+
+test('readSemanticModel lists every problem of a bad file', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-model-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'model.json');
+  const raw = shipped();
+  raw.metrics.gross.function = 'MEDIAN';
+  raw.tables.logins.dateColumn = 'GETDATE()';
+  fs.writeFileSync(file, JSON.stringify(raw));
+  assert.throws(() => semanticModel.readSemanticModel(file), (e) =>
+    e.message.includes('is invalid') && e.message.includes('metrics.gross.function') && e.message.includes('tables.logins.dateColumn'));
+
+  fs.writeFileSync(file, '{ not json');
+  assert.throws(() => semanticModel.readSemanticModel(file), /could not be read/);
+});
+
+test('the watcher activates a good edit and keeps the model when an edit is bad', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-model-'));
+  const file = path.join(dir, 'model.json');
+  fs.writeFileSync(file, JSON.stringify(shipped()));
+  const errorLog = console.error;
+  const log = console.log;
+  t.after(() => {
+    semanticModel.stopWatchingSemanticModel();
+    console.error = errorLog;
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  console.log = () => {};
+
+  assert.strictEqual(semanticModel.loadSemanticModel(file).version, 1);
+  let reloaded;
+  const reload = new Promise(resolve => { reloaded = resolve; });
+  semanticModel.watchSemanticModel(model => reloaded(model));
+
+  const edited = shipped();
+  edited.version = 2;
+  edited.metrics.gross.synonyms.push('total gross profit');
+  fs.writeFileSync(file, JSON.stringify(edited));
+  const model = await within(reload, 5000, 'reload');
+  assert.strictEqual(model.version, 2);
+  assert.strictEqual(semanticModel.getSemanticModel(), model);
+  assert.ok(model.columns.gross.synonyms.includes('total gross profit'));
+
+  const rejected = new Promise(resolve => { console.error = resolve; });
+  edited.version = 3;
+  edited.metrics.gross.function = 'MEDIAN';
+  fs.writeFileSync(file, JSON.stringify(edited));
+  assert.match(await within(rejected, 5000, 'rejection'), /is invalid[\s\S]*Keeping semantic model version 2/);
+  assert.strictEqual(semanticModel.getSemanticModel().version, 2);
+});
@@ -0,0 +1,173 @@
+/**
+ * semanticModelAdmin.test.js
+ *
+ * The admin edits on their own, then /api/admin over HTTP against a temp copy of the model and history
+ * directory: token check, validation errors, version history, conflicts and rollback, and that a saved
+ * rule reaches the rule-based builder and the LLM prompt of the next request.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const semanticModel = require('../semanticModel');
+const admin = require('../semanticModelAdmin');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-admin-'));
+const modelPath = path.join(dir, 'semanticModel.json');
+fs.copyFileSync(semanticModel.DEFAULT_MODEL_PATH, modelPath);
+
+const TOKEN = 'test-admin-token';
+Object.assign(process.env, {
+  SEMANTIC_MODEL_PATH: modelPath,
+  SEMANTIC_MODEL_HISTORY_DIR: path.join(dir, 'history'),
+  ADMIN_API_TOKEN: TOKEN,
+  QUERY_CACHE: 'off'
+});
+delete process.env.REDIS_URL;
+
+const { app, analyzeUserPrompt, buildSystemPrompt } = require('../server');
+const { buildSqlFromAnalysis } = require('../sqlBuilder');
+
+const shipped = () => JSON.parse(fs.readFileSync(semanticModel.DEFAULT_MODEL_PATH, 'utf8'));
+
+let server;
+let baseUrl;
+const log = console.log;
+
+test.before(async () => {
+  console.log = () => {};
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+});
+
+test.after(() => {
+  console.log = log;
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function call(method, route, body, token = TOKEN) {
+  const res = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      'x-admin-user': 'tester',
+      ...(token ? { authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('edits return a changed copy and leave the model they were given alone', () => {
+  const raw = shipped();
+  const added = admin.addSynonym(raw, 'metrics.gross', 'Whole Gross');
+  assert.deepStrictEqual(added.item.synonyms.slice(-1), ['whole gross']);
+  assert.strictEqual(added.summary, 'Added synonym "whole gross" to metrics.gross');
+  assert.ok(!raw.metrics.gross.synonyms.includes('whole gross'));
+
+  const updated = admin.updateRule(raw, 'rvac_exclude_deleted', { value: 1 });
+  assert.strictEqual(updated.raw.defaultFilters.find(r => r.id === 'rvac_exclude_deleted').value, 1);
+  assert.strictEqual(raw.defaultFilters.find(r => r.id === 'rvac_exclude_deleted').value, 0);
+});
+
+// [edit, expected err.code]
+const REFUSED = [
+  [raw => admin.addSynonym(raw, 'metrics.gross', 'gross'), 'CONFLICT'],
+  [raw => admin.addSynonym(raw, 'metrics.front_gross', 'total gross'), 'CONFLICT'],
+  [raw => admin.addSynonym(raw, 'metrics.nope', 'x'), 'NOT_FOUND'],
+  [raw => admin.addSynonym(raw, 'joins.x', 'x'), 'INVALID'],
+  [raw => admin.removeSynonym(raw, 'metrics.gross', 'not a synonym'), 'NOT_FOUND'],
+  [raw => admin.createMetric(raw, { key: 'Bad-Key' }), 'INVALID'],
+  [raw => admin.createMetric(raw, { key: 'gross' }), 'CONFLICT'],
+  [raw => admin.createMetric(raw, { key: 'dealership' }), 'CONFLICT'],
+  [raw => admin.updateMetric(raw, 'nope', {}), 'NOT_FOUND'],
+  [raw => admin.createRule(raw, { id: 'sales_exclude_deleted' }), 'CONFLICT'],
+  [raw => admin.createRule(raw, {}), 'INVALID'],
+  [raw => admin.deleteRule(raw, 'nope'), 'NOT_FOUND']
+];
+
+for (const [edit, code] of REFUSED) {
+  test(`${edit.toString().replace(/^raw => admin\./, '')} is refused (${code})`, () => {
+    assert.throws(() => edit(shipped()), (e) => e.code === code);
+  });
+}
+
+test('the admin API is closed without the right token and off without one configured', async () => {
+  assert.strictEqual((await call('GET', '/rules', null, null)).status, 401);
+  assert.strictEqual((await call('GET', '/rules', null, 'wrong')).status, 401);
+  delete process.env.ADMIN_API_TOKEN;
+  try {
+    assert.strictEqual((await call('GET', '/rules')).status, 503);
+  } finally {
+    process.env.ADMIN_API_TOKEN = TOKEN;
+  }
+});
+
+test('invalid changes answer 400 with every problem and save nothing', async () => {
+  const before = semanticModel.getSemanticModel().version;
+  // A string value would be written into SQL as it is
+  const rule = await call('POST', '/rules', {
+    id: 'sales_only_calgary', table: 'SalesReport_Form_Input', column: 'DEALER_LOCATION', value: "'Calgary' OR 1=1", appliesTo: 'always'
+  });
+  assert.strictEqual(rule.status, 400);
+  assert.strictEqual(rule.body.code, 'INVALID');
+  assert.deepStrictEqual(rule.body.details, [`defaultFilters[${shipped().defaultFilters.length}].value: must be a number or true/false`]);
+
+  const metric = await call('PUT', '/metrics/gross', { column: 'TOTAL_COST) FROM SalesReport_Form_Input; DROP TABLE x; --' });
+  assert.strictEqual(metric.status, 400);
+  assert.deepStrictEqual(metric.body.details, ['metrics.gross.column: must be a column name or an expression over columns']);
+
+  assert.strictEqual(semanticModel.getSemanticModel().version, before);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(modelPath, 'utf8')), shipped());
+});
+
+test('a saved change is a new version in the file, the history and the next request', async () => {
+  const created = await call('POST', '/rules', {
+    id: 'sales_exclude_wholesale', table: 'SalesReport_Form_Input', column: 'IsWholesale', value: false,
+    description: 'Wholesale deals are not retail sales', baseVersion: 1
+  });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.version, 2);
+  assert.deepStrictEqual(created.body.item, {
+    appliesTo: 'always', id: 'sales_exclude_wholesale', table: 'SalesReport_Form_Input', column: 'IsWholesale',
+    value: false, description: 'Wholesale deals are not retail sales'
+  });
+  assert.strictEqual(JSON.parse(fs.readFileSync(modelPath, 'utf8')).version, 2);
+
+  const history = await call('GET', '/history');
+  assert.deepStrictEqual(history.body.items.map(h => [h.version, h.action, h.author]),
+    [[2, 'rule.create', 'tester'], [1, 'baseline', null]]);
+
+  // The builder and the LLM prompt read the rule from the active model
+  const analysis = analyzeUserPrompt('deals by closer', { asOf: new Date(Date.UTC(2026, 2, 16)) });
+  assert.match(buildSqlFromAnalysis(analysis).sql, /WHERE isCarryOver = 0 AND isDeleted = 0 AND IsWholesale = 0 AND isCounted = 1 /);
+  const prompt = buildSystemPrompt('(schema)', analysis);
+  assert.ok(prompt.includes('Always start with: WHERE isCarryOver = 0 AND isDeleted = 0 AND IsWholesale = 0'));
+  assert.ok(prompt.includes('rows where IsWholesale = 0 (Wholesale deals are not retail sales)'));
+
+  // An edit based on an older version is refused
+  const stale = await call('DELETE', '/rules/sales_exclude_wholesale', { baseVersion: 1 });
+  assert.strictEqual(stale.status, 409);
+  assert.strictEqual(stale.body.code, 'CONFLICT');
+});
+
+test('rollback restores an old version as a new one', async () => {
+  const current = semanticModel.getSemanticModel().version;
+  const rolledBack = await call('POST', '/rollback', { version: 1, summary: 'Undo the wholesale rule' });
+  assert.strictEqual(rolledBack.status, 200);
+  assert.strictEqual(rolledBack.body.version, current + 1);
+  assert.strictEqual(rolledBack.body.change.restoredVersion, 1);
+  assert.ok(!semanticModel.getSemanticModel().businessRules.some(r => r.id === 'sales_exclude_wholesale'));
+
+  const snapshot = await call('GET', `/history/${current}`);
+  assert.ok(snapshot.body.model.defaultFilters.some(r => r.id === 'sales_exclude_wholesale'));
+  assert.strictEqual((await call('GET', '/history/999')).status, 404);
+  assert.strictEqual((await call('POST', '/rollback', { version: 999 })).status, 404);
+  assert.strictEqual((await call('POST', '/rollback', {})).status, 400);
+});
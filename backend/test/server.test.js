@@ -0,0 +1,214 @@
+/**
+ * server.test.js
+ *
+ * /api/query end to end with the replay LLM provider over fixtures written here (plus the example shipped
+ * in fixtures/llm) and mssql's ConnectionPool replaced by a fake whose answers each test scripts (the
+ * INFORMATION_SCHEMA read fails, so the schema comes from schema.sql), and the prompt analysis behind it
+ * on a fixed asOf.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sql = require('mssql');
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-llm-'));
+const FIXTURES = {
+  'front-gross-by-closer': {
+    match: 'front gross by closer this month',
+    content: 'SELECT CLOSER, SUM(FRONT_COST) AS FrontGross FROM SalesReport_Form_Input GROUP BY CLOSER'
+  },
+  'gave-up': {
+    match: 'vehicles parked next to the wash bay',
+    content: 'SELECT TOP (0) StockNumber FROM Common_Group_401_Vehicle_Inventory'
+  },
+  'repair-conversion': {
+    match: 'Error converting data type varchar to numeric',
+    content: 'SELECT CLOSER, SUM(CAST(FRONT_COST AS DECIMAL(13,2))) AS FrontGross FROM SalesReport_Form_Input GROUP BY CLOSER'
+  }
+};
+for (const [name, fixture] of Object.entries(FIXTURES)) {
+  fs.writeFileSync(path.join(fixturesDir, `${name}.json`), JSON.stringify(fixture));
+}
+// The example fixture shipped in fixtures/llm, answered as of 2026-03-16
+const SHIPPED_FIXTURE = 'example-total-gross-by-location.json';
+fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'llm', SHIPPED_FIXTURE), path.join(fixturesDir, SHIPPED_FIXTURE));
+
+Object.assign(process.env, {
+  LLM_PROVIDER: 'replay',
+  LLM_FIXTURES_DIR: fixturesDir,
+  QUERY_CACHE: 'off',
+  SQL_REPAIR_MAX_ATTEMPTS: '2'
+});
+delete process.env.REDIS_URL;
+
+// Every statement the app sends to the database, and the answer the current test scripts for it
+let executed = [];
+let answer = () => ({ recordset: [] });
+
+class FakePool {
+  constructor() {
+    this.connected = false;
+  }
+
+  on() {}
+
+  async connect() {
+    this.connected = true;
+    return this;
+  }
+
+  async close() {
+    this.connected = false;
+  }
+
+  request() {
+    const inputs = {};
+    return {
+      input(name, type, value) {
+        inputs[name] = value;
+        return this;
+      },
+      async query(sqlText) {
+        if (/INFORMATION_SCHEMA/i.test(sqlText)) throw new Error('no catalog in tests');
+        executed.push({ sql: sqlText, inputs });
+        return answer(sqlText, inputs);
+      }
+    };
+  }
+}
+
+const RealConnectionPool = sql.ConnectionPool;
+sql.ConnectionPool = FakePool;
+const { app, analyzeUserPrompt, findClarification } = require('../server');
+
+const asOf = new Date(Date.UTC(2026, 2, 16));
+
+let server;
+let baseUrl;
+test.before(async () => {
+  server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await require('../dbPool').closePool();
+  sql.ConnectionPool = RealConnectionPool;
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+test.beforeEach(() => {
+  executed = [];
+  answer = () => ({ recordset: [] });
+});
+
+async function postQuery(body) {
+  const res = await fetch(`${baseUrl}/api/query`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function dbError(message, code = 'EREQUEST', number = 8114) {
+  return Object.assign(new Error(message), { code, number });
+}
+
+test('a statement SQL Server rejects is repaired by the LLM and re-run', async () => {
+  answer = (sqlText) => {
+    if (!/DECIMAL/.test(sqlText)) throw dbError('Error converting data type varchar to numeric.');
+    return { recordset: [{ CLOSER: 'Mike', FrontGross: 1200 }] };
+  };
+  const { status, body } = await postQuery({ prompt: 'front gross by closer this month' });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.deepStrictEqual(body.attempts.map(a => [a.attempt, a.source, a.ok]), [[1, 'llm', false], [2, 'repair', true]]);
+  assert.match(body.attempts[0].error, /^Msg 8114: Error converting/);
+  assert.match(body.sql, /CAST\(FRONT_COST AS DECIMAL\(13,2\)\)/);
+  assert.match(body.sql, /isCarryOver = 0 AND isDeleted = 0/);
+  assert.strictEqual(executed.length, 2);
+});
+
+test('repairs stop after SQL_REPAIR_MAX_ATTEMPTS', async () => {
+  answer = () => { throw dbError('Error converting data type varchar to numeric.'); };
+  const { status, body } = await postQuery({ prompt: 'front gross by closer this month' });
+  assert.strictEqual(status, 500);
+  assert.deepStrictEqual(body.attempts.map(a => [a.attempt, a.source, a.ok]),
+    [[1, 'llm', false], [2, 'repair', false], [3, 'repair', false]]);
+  assert.strictEqual(executed.length, 3);
+});
+
+test('connection and timeout errors are not sent for repair', async () => {
+  answer = () => { throw dbError('Timeout: Request failed to complete in 15000ms', 'ETIMEOUT', null); };
+  const { status, body } = await postQuery({ prompt: 'front gross by closer this month' });
+  assert.strictEqual(status, 500);
+  assert.strictEqual(body.attempts.length, 1);
+  assert.strictEqual(executed.length, 1);
+});
+
+test('mode rules never asks the LLM to repair', async () => {
+  answer = () => { throw dbError('Invalid column name \'CLOSER\'.', 'EREQUEST', 207); };
+  const { status, body } = await postQuery({ prompt: 'front gross by closer this month', mode: 'rules' });
+  assert.strictEqual(status, 500);
+  assert.deepStrictEqual(body.attempts.map(a => [a.attempt, a.source, a.ok]), [[1, 'rules', false]]);
+});
+
+// [prompt, clarification reason or null, choice ids]
+const CLARIFICATIONS = [
+  ['what was the cost last month', 'ambiguous_term', ['sales_total_cost', 'inventory_total_cost']],
+  ['total cost by make', 'ambiguous_term', ['sales_total_cost', 'inventory_total_cost']],
+  ['front cost last month', null],
+  ['what is the front gross cost', null],
+  ['warranty contracts and logins', 'ambiguous_table', ['rvac', 'logins']],
+  ['deals and inventory', null],
+  ['hello there', 'low_confidence', ['sales', 'inventory', 'rvac', 'logins']],
+  ['units in stock', null]
+];
+
+for (const [prompt, reason, choices] of CLARIFICATIONS) {
+  test(`"${prompt}" ${reason ? `asks (${reason})` : 'needs no question'}`, () => {
+    const clarification = findClarification(prompt, analyzeUserPrompt(prompt, { asOf }));
+    if (!reason) {
+      assert.strictEqual(clarification, null);
+      return;
+    }
+    assert.strictEqual(clarification.reason, reason);
+    assert.deepStrictEqual(clarification.choices.map(c => c.id), choices);
+    // Each choice's prompt names its table, so asking it again gets an answer instead of the same question
+    for (const choice of clarification.choices) {
+      assert.strictEqual(findClarification(choice.prompt, analyzeUserPrompt(choice.prompt, { asOf })), null, choice.prompt);
+    }
+  });
+}
+
+test('/api/query returns the question instead of running anything', async () => {
+  const { status, body } = await postQuery({ prompt: 'what was the cost last month' });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.clarification.reason, 'ambiguous_term');
+  assert.strictEqual(body.clarification.question, 'Which cost do you mean?');
+  assert.deepStrictEqual([body.sql, body.rows], [null, []]);
+  assert.ok(body.sessionId);
+  assert.strictEqual(executed.length, 0);
+});
+
+test('an LLM that gives up (SELECT TOP (0)) gets a dataset question, not an empty result', async () => {
+  const { status, body } = await postQuery({ prompt: 'inventory vehicles parked next to the wash bay' });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.strictEqual(body.clarification.reason, 'no_query');
+  assert.deepStrictEqual(body.clarification.choices.map(c => c.id), ['sales', 'inventory', 'rvac', 'logins']);
+  assert.strictEqual(executed.length, 0);
+});
+
+test('the shipped example fixture names last month with dates, not the database clock', async () => {
+  const { status, body } = await postQuery({ prompt: 'total gross by location last month', asOf: '2026-03-16' });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.strictEqual(executed.length, 1);
+  assert.doesNotMatch(executed[0].sql, /GETDATE|SYSDATETIME|CURRENT_TIMESTAMP/i);
+  assert.match(executed[0].sql, /MONTH_REPORTED = @p0 AND YEAR_REPORTED = @p1/);
+  assert.deepStrictEqual([executed[0].inputs.p0, executed[0].inputs.p1], ['February', '2026']);
+});
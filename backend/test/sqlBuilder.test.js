@@ -0,0 +1,197 @@
+/**
+ * sqlBuilder.test.js
+ *
+ * The rule-based builder on analyzeUserPrompt output (fixed asOf) and on hand-edited semantic models: what it
+ * counts, which location and cost columns it uses and which tables it compiles all come from the model. Also
+ * RVAC warranty questions, the attach rate (one CTE per table joined on location and month) and login
+ * activity, whose dates come from LogedIn and whose SQL must pass the validator without reading the token.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const semanticModel = require('../semanticModel');
+const { buildSqlFromAnalysis } = require('../sqlBuilder');
+const { buildAllowlist, validateSql } = require('../sqlValidator');
+const { analyzeUserPrompt } = require('../server');
+
+const asOf = new Date(Date.UTC(2026, 2, 16));
+const analyze = (prompt) => analyzeUserPrompt(prompt, { asOf });
+
+// The shipped model with an edit applied
+function modelWith(edit) {
+  const raw = JSON.parse(fs.readFileSync(semanticModel.DEFAULT_MODEL_PATH, 'utf8'));
+  edit(raw);
+  assert.deepStrictEqual(semanticModel.validateSemanticModel(raw), []);
+  return semanticModel.compileSemanticModel(raw, 'test');
+}
+
+test('a bare "by X" question counts the table\'s countMetric', () => {
+  const built = buildSqlFromAnalysis(analyze('deals by closer'));
+  assert.strictEqual(built.sql,
+    'SELECT CLOSER, COUNT(ID) AS TotalDeals FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0 ' +
+    'AND isCounted = 1 GROUP BY CLOSER ORDER BY TotalDeals DESC');
+
+  const renamed = modelWith(raw => { raw.metrics.count.alias = 'Deals'; });
+  assert.match(buildSqlFromAnalysis(analyze('deals by closer'), { model: renamed }).sql, /^SELECT CLOSER, COUNT\(ID\) AS Deals FROM/);
+});
+
+test('only tables with a countMetric are compiled', () => {
+  const analysis = analyze('warranty contracts by plan this year');
+  assert.ok(buildSqlFromAnalysis(analysis));
+  const noCount = modelWith(raw => { delete raw.tables.rvac.countMetric; });
+  assert.strictEqual(buildSqlFromAnalysis(analysis, { model: noCount }), null);
+});
+
+test('cost columns are cast only when the metric is numeric text', () => {
+  const analysis = {
+    table: { table: 'SalesReport_Form_Input' },
+    filters: [],
+    aggregates: [{ table: 'SalesReport_Form_Input', column: 'FRONT_COST', function: 'SUM', alias: 'FrontGross', numericText: true }],
+    presentation: { groupBy: null }
+  };
+  assert.match(buildSqlFromAnalysis(analysis).sql,
+    /^SELECT SUM\(CAST\(REPLACE\(REPLACE\(FRONT_COST, ',', ''\), ' ', ''\) AS DECIMAL\(13,2\)\)\) AS FrontGross FROM/);
+  analysis.aggregates[0].numericText = false;
+  assert.match(buildSqlFromAnalysis(analysis).sql, /^SELECT SUM\(FRONT_COST\) AS FrontGross FROM/);
+});
+
+test('tables with one datetime column group and filter on it', () => {
+  const built = buildSqlFromAnalysis(analyze('active users per day this week'));
+  assert.strictEqual(built.sql,
+    'SELECT CAST(LogedIn AS DATE) AS ReportDate, COUNT(DISTINCT UserID) AS ActiveUsers FROM SalesApp_LogInActivity ' +
+    'WHERE (LogedIn >= @startDate AND LogedIn < @endDate) GROUP BY CAST(LogedIn AS DATE) ORDER BY ReportDate');
+});
+
+test('each table\'s location column comes from the location dimension', () => {
+  const analysis = analyze('warranty attach rate by location last month');
+  assert.match(buildSqlFromAnalysis(analysis).sql, /SELECT DealerLocation AS DEALER_LOCATION, COUNT\(WarrantyID\)/);
+  assert.strictEqual(analysis.presentation.groupBy, 'DealerLocation');
+  // What the analyzer reads from the same edited model
+  const renamed = modelWith(raw => { raw.dimensions.dealership.columns.rvac = 'Store'; });
+  analysis.presentation.groupBy = 'Store';
+  analysis.filters = analysis.filters.map(f => (f.column === 'DealerLocation' ? { ...f, column: 'Store' } : f));
+  const sql = buildSqlFromAnalysis(analysis, { model: renamed }).sql;
+  assert.match(sql, /SELECT Store AS DEALER_LOCATION, COUNT\(WarrantyID\) AS ContractsSold .* GROUP BY Store\)/);
+});
+
+test('filter values and date bounds are bound as parameters', () => {
+  const analysis = analyze('front gross by closer for 2025 December');
+  analysis.filters.push({ column: 'MAKE', concept: 'value', value: "O'Brien Motors", resolved: true });
+  const built = buildSqlFromAnalysis(analysis);
+  assert.ok(!built.sql.includes("O'Brien"));
+  assert.match(built.sql, /MAKE = @make/);
+  assert.deepStrictEqual(built.params.make, { type: 'NVarChar', value: "O'Brien Motors" });
+  assert.deepStrictEqual([built.params.month.value, built.params.year.value], ['December', '2025']);
+});
+
+test('warranty gross is price minus cost of the contracts, per location', () => {
+  const built = buildSqlFromAnalysis(analyze('warranty gross by location last month'));
+  assert.strictEqual(built.sql,
+    "SELECT DealerLocation, SUM(CAST(REPLACE(REPLACE(WarrantyPrice, ',', ''), ' ', '') AS DECIMAL(13,2))) - " +
+    "SUM(CAST(REPLACE(REPLACE(WarrantyCost, ',', ''), ' ', '') AS DECIMAL(13,2))) AS WarrantyGross " +
+    'FROM SaleWarranty_RVAC_CONTRACTS WHERE isDeleted = 0 AND (MONTH_REPORTED = @month AND YEAR_REPORTED = @year) ' +
+    'GROUP BY DealerLocation ORDER BY WarrantyGross DESC');
+});
+
+test('"how many" warranty contracts counts contracts, without the deal count rule', () => {
+  const built = buildSqlFromAnalysis(analyze('how many warranty contracts by location'));
+  assert.strictEqual(built.sql,
+    'SELECT DealerLocation, COUNT(WarrantyID) AS ContractsSold FROM SaleWarranty_RVAC_CONTRACTS WHERE isDeleted = 0 ' +
+    'GROUP BY DealerLocation ORDER BY ContractsSold DESC');
+});
+
+test('attach rate aggregates contracts and counted deals apart and joins them per location', () => {
+  const built = buildSqlFromAnalysis(analyze('warranty attach rate by location last month'));
+  assert.strictEqual(built.sql,
+    'WITH numerator AS (SELECT DealerLocation AS DEALER_LOCATION, COUNT(WarrantyID) AS ContractsSold FROM SaleWarranty_RVAC_CONTRACTS ' +
+    'WHERE isDeleted = 0 AND (MONTH_REPORTED = @month AND YEAR_REPORTED = @year) GROUP BY DealerLocation), ' +
+    'denominator AS (SELECT DEALER_LOCATION, COUNT(ID) AS TotalDeals FROM SalesReport_Form_Input ' +
+    'WHERE isCarryOver = 0 AND isDeleted = 0 AND isCounted = 1 AND (MONTH_REPORTED = @month AND YEAR_REPORTED = @year) GROUP BY DEALER_LOCATION) ' +
+    'SELECT denominator.DEALER_LOCATION, denominator.TotalDeals, COALESCE(numerator.ContractsSold, 0) AS ContractsSold, ' +
+    'CAST(COALESCE(numerator.ContractsSold, 0) AS DECIMAL(18,4)) / NULLIF(denominator.TotalDeals, 0) AS AttachRate ' +
+    'FROM denominator LEFT JOIN numerator ON numerator.DEALER_LOCATION = denominator.DEALER_LOCATION ORDER BY AttachRate DESC');
+  assert.deepStrictEqual(built.params, { month: { type: 'VarChar', value: 'February' }, year: { type: 'VarChar', value: '2026' } });
+});
+
+test('attach rate by location and month lines both CTEs up on location, year and month', () => {
+  const sql = buildSqlFromAnalysis(analyze('warranty attach rate by location and month this year')).sql;
+  assert.match(sql, /^WITH numerator AS \(SELECT DealerLocation AS DEALER_LOCATION, YEAR_REPORTED, MONTH_REPORTED, COUNT\(WarrantyID\) AS ContractsSold, MIN\(DATE_REPORTED\) AS MonthStart /);
+  assert.match(sql, /GROUP BY DealerLocation, YEAR_REPORTED, MONTH_REPORTED\), denominator AS/);
+  assert.match(sql, /LEFT JOIN numerator ON numerator.DEALER_LOCATION = denominator.DEALER_LOCATION AND numerator.YEAR_REPORTED = denominator.YEAR_REPORTED AND numerator.MONTH_REPORTED = denominator.MONTH_REPORTED /);
+  assert.match(sql, /ORDER BY denominator.DEALER_LOCATION, denominator.YEAR_REPORTED, denominator.MonthStart$/);
+});
+
+test('a location filter on the attach rate applies to both tables through one parameter', () => {
+  const analysis = analyze('warranty attach rate last month');
+  analysis.filters.push({ column: 'DealerLocation', concept: 'value', value: 'Calgary', resolved: true, isAggregate: false });
+  const built = buildSqlFromAnalysis(analysis);
+  assert.match(built.sql, /FROM SaleWarranty_RVAC_CONTRACTS WHERE isDeleted = 0 AND DealerLocation = @dealerlocation AND /);
+  assert.match(built.sql, /FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0 AND isCounted = 1 AND DEALER_LOCATION = @dealerlocation AND /);
+  assert.match(built.sql, / FROM denominator CROSS JOIN numerator$/);
+  assert.deepStrictEqual(built.params.dealerlocation, { type: 'NVarChar', value: 'Calgary' });
+});
+
+test('attach rates the builder cannot line up are left to the LLM', () => {
+  assert.strictEqual(buildSqlFromAnalysis(analyze('warranty attach rate this month vs last month')), null);
+  assert.strictEqual(buildSqlFromAnalysis(analyze('warranty attach rate by closer')), null);
+  // Months only line up on the reporting columns while the calendar uses them
+  const ownMonths = modelWith(raw => { raw.calendar.useReportedMonth = false; });
+  assert.strictEqual(buildSqlFromAnalysis(analyze('warranty attach rate by month this year'), { model: ownMonths }), null);
+});
+
+// The login table as schema.sql defines it, Token hidden as server.js hides it
+const loginAllowlist = buildAllowlist({
+  tables: { SalesApp_LogInActivity: ['LogInActivityID', 'UserID', 'Token', 'LogedIn', 'LogOut', 'IpLog', 'Device', 'IpLocation', 'Activity'] },
+  hiddenColumns: { SalesApp_LogInActivity: semanticModel.getSemanticModel().tables.logins.hiddenColumns }
+});
+
+// [prompt, expected SQL]
+const LOGINS = [
+  ['average session duration by user this month',
+    'SELECT UserID, AVG(DATEDIFF(MINUTE, LogedIn, LogOut)) AS AvgSessionMinutes FROM SalesApp_LogInActivity ' +
+    'WHERE (LogedIn >= @startDate AND LogedIn < @endDate) GROUP BY UserID ORDER BY AvgSessionMinutes DESC'],
+  ['logins by device this month',
+    'SELECT Device, COUNT(LogInActivityID) AS Logins FROM SalesApp_LogInActivity ' +
+    'WHERE (LogedIn >= @startDate AND LogedIn < @endDate) GROUP BY Device ORDER BY Logins DESC'],
+  ['after hours logins by user last week',
+    'SELECT UserID, SUM(CASE WHEN DATEPART(HOUR, LogedIn) < 7 OR DATEPART(HOUR, LogedIn) >= 19 THEN 1 ELSE 0 END) AS AfterHoursLogins ' +
+    'FROM SalesApp_LogInActivity WHERE (LogedIn >= @startDate AND LogedIn < @endDate) GROUP BY UserID ORDER BY AfterHoursLogins DESC'],
+  ['logins by month this year',
+    'SELECT YEAR(LogedIn) AS ReportYear, DATENAME(MONTH, LogedIn) AS ReportMonth, COUNT(LogInActivityID) AS Logins ' +
+    'FROM SalesApp_LogInActivity WHERE (LogedIn >= @startDate AND LogedIn < @endDate) ' +
+    'GROUP BY YEAR(LogedIn), DATENAME(MONTH, LogedIn) ORDER BY ReportYear, MIN(LogedIn)'],
+  ['how many logins by location',
+    'SELECT IpLocation, COUNT(LogInActivityID) AS Logins FROM SalesApp_LogInActivity GROUP BY IpLocation ORDER BY Logins DESC']
+];
+
+for (const [prompt, expected] of LOGINS) {
+  test(`logins: "${prompt}"`, () => {
+    const built = buildSqlFromAnalysis(analyze(prompt));
+    assert.strictEqual(built.sql, expected);
+    const result = validateSql(built.sql, loginAllowlist);
+    assert.strictEqual(result.ok, true, JSON.stringify(result.reason));
+  });
+}
+
+test('"who logged in from a new location" filters on the model\'s condition and binds only the dates', () => {
+  const built = buildSqlFromAnalysis(analyze('who logged in from a new location this week'));
+  assert.strictEqual(built.sql,
+    'SELECT UserID, COUNT(LogInActivityID) AS Logins FROM SalesApp_LogInActivity WHERE (SalesApp_LogInActivity.IpLocation IS NOT NULL ' +
+    'AND NOT EXISTS (SELECT 1 FROM SalesApp_LogInActivity earlier WHERE earlier.UserID = SalesApp_LogInActivity.UserID ' +
+    'AND earlier.IpLocation = SalesApp_LogInActivity.IpLocation AND earlier.LogedIn < SalesApp_LogInActivity.LogedIn)) ' +
+    'AND (LogedIn >= @startDate AND LogedIn < @endDate) GROUP BY UserID ORDER BY Logins DESC');
+  assert.deepStrictEqual(built.params, {
+    startDate: { type: 'Date', value: '2026-03-15' }, endDate: { type: 'Date', value: '2026-03-22' }
+  });
+  assert.strictEqual(built.description, 'Logins by UserID where new location for LogedIn >= 2026-03-15 AND LogedIn < 2026-03-22');
+  assert.strictEqual(validateSql(built.sql, loginAllowlist).ok, true);
+});
+
+test('SQL reading the login token is refused', () => {
+  assert.strictEqual(validateSql('SELECT UserID, Token FROM SalesApp_LogInActivity', loginAllowlist).reason.code, 'COLUMN_NOT_ALLOWED');
+  assert.strictEqual(validateSql('SELECT * FROM SalesApp_LogInActivity', loginAllowlist).reason.code, 'COLUMN_NOT_ALLOWED');
+});
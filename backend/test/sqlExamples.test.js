@@ -0,0 +1,133 @@
+/**
+ * sqlExamples.test.js
+ *
+ * The example library on temp copies of sqlExamples.json: which examples are retrieved for a question
+ * (words with dates folded into placeholders, plus the analysis of a fixed asOf), adding and retiring
+ * examples, and the examples section of the LLM system prompt.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SqlExampleStore, DEFAULT_EXAMPLES_PATH } = require('../sqlExamples');
+const { analyzeUserPrompt, buildSystemPrompt } = require('../server');
+
+const asOf = new Date(Date.UTC(2026, 2, 16));
+const analyze = (question) => analyzeUserPrompt(question, { asOf });
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sql-examples-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let copies = 0;
+function store(opts = {}) {
+  const filePath = path.join(dir, `examples-${++copies}.json`);
+  fs.copyFileSync(DEFAULT_EXAMPLES_PATH, filePath);
+  return new SqlExampleStore({ filePath, analyze, ...opts });
+}
+
+const ids = (examples) => examples.map(e => e.id);
+
+// [question, closest example ids, best first]
+const RETRIEVED = [
+  ['how many deals in October 2025', ['deals-in-a-month']],
+  ['top 3 closers by front gross last month', ['top-closers-by-front-gross']],
+  ['front gross by location in June 2024',
+    ['front-gross-by-location-last-month', 'deals-today-by-location', 'front-gross-this-month-vs-last-month-by-location']],
+  ['front gross last month vs this month by location',
+    ['front-gross-this-month-vs-last-month-by-location', 'front-gross-by-location-last-month', 'deals-today-by-location']],
+  ['inventory units on the lot', []]
+];
+
+for (const [question, expected] of RETRIEVED) {
+  test(`closest examples for "${question}"`, () => {
+    assert.deepStrictEqual(ids(store().closest(question)), expected);
+  });
+}
+
+test('scores run from 0 to 1, best first, and k and minScore limit what is returned', () => {
+  const examples = store();
+  const all = examples.closest('front gross by location in June 2024', { k: 20, minScore: 0 });
+  assert.strictEqual(all.length, examples.list('active').length);
+  assert.ok(all.every((e, i) => e.score >= 0 && e.score <= 1 && (i === 0 || all[i - 1].score >= e.score)));
+  assert.strictEqual(examples.closest('how many deals in October 2025')[0].score, 1);
+  assert.deepStrictEqual(ids(examples.closest('front gross by location in June 2024', { k: 1 })), ['front-gross-by-location-last-month']);
+  assert.deepStrictEqual(examples.closest('front gross by location in June 2024', { minScore: 0.99 }), []);
+});
+
+test('the analysis finds examples a question shares no words with', () => {
+  const words = store({ analyze: null });
+  const analyzed = store();
+  // Synonyms of front gross and location, and a comparison shorthand
+  const question = 'MoM front-end profit per store';
+  assert.deepStrictEqual(ids(words.closest(question)), []);
+  assert.deepStrictEqual(ids(analyzed.closest(question, { k: 1 })), ['front-gross-this-month-vs-last-month-by-location']);
+});
+
+test('an added example is saved as a new version and retrieved; duplicates and bad bodies are refused', async () => {
+  const examples = store();
+  const before = examples.version;
+  const added = await examples.add({ question: 'Inventory units on the lot', sql: 'SELECT COUNT(ID) AS Units FROM Common_Group_401_Vehicle_Inventory;' }, 'tester');
+  assert.deepStrictEqual([added.id, added.sql, added.status, added.author],
+    ['inventory-units-on-the-lot', 'SELECT COUNT(ID) AS Units FROM Common_Group_401_Vehicle_Inventory', 'active', 'tester']);
+  assert.strictEqual(examples.version, before + 1);
+  assert.deepStrictEqual(ids(examples.closest('inventory units on the lot')), ['inventory-units-on-the-lot']);
+  assert.strictEqual(JSON.parse(fs.readFileSync(examples.filePath, 'utf8')).version, before + 1);
+
+  await assert.rejects(examples.add({ question: 'inventory units  on the lot', sql: 'SELECT 1' }, 'tester'), (e) => e.code === 'CONFLICT');
+  await assert.rejects(examples.add({ question: 'q', sql: '' }, 'tester'), (e) => e.code === 'INVALID');
+  await assert.rejects(examples.add({ question: 'q', sql: 'SELECT 1', id: 'Bad Id' }, 'tester'), (e) => e.code === 'INVALID');
+});
+
+test('SQL the validator refuses is not added', async () => {
+  const examples = store({ checkSql: async (sqlText) => (/DELETE/i.test(sqlText) ? { code: 'NOT_SELECT', message: 'Only SELECT is allowed.' } : null) });
+  await assert.rejects(examples.add({ question: 'clear the deals', sql: 'DELETE FROM SalesReport_Form_Input' }, 'tester'), (e) =>
+    e.code === 'INVALID' && e.message === 'sql is not allowed: Only SELECT is allowed.' && e.details.code === 'NOT_SELECT');
+  assert.ok(!examples.list().some(e => e.question === 'clear the deals'));
+});
+
+test('a retired example stays on record but is never retrieved', () => {
+  const examples = store();
+  const retired = examples.retire('deals-in-a-month', 'tester', 'uses the wrong year column');
+  assert.deepStrictEqual([retired.status, retired.retiredBy, retired.retiredReason], ['retired', 'tester', 'uses the wrong year column']);
+  assert.ok(!ids(examples.closest('how many deals in October 2025', { k: 20, minScore: 0 })).includes('deals-in-a-month'));
+  assert.deepStrictEqual(ids(examples.list('retired')), ['deals-in-a-month']);
+  assert.throws(() => examples.retire('deals-in-a-month', 'tester'), (e) => e.code === 'CONFLICT');
+  assert.throws(() => examples.retire('nope', 'tester'), (e) => e.code === 'NOT_FOUND');
+});
+
+test('the index is rebuilt when the index key changes', () => {
+  let key = 1;
+  let analyzed = 0;
+  const examples = store({ analyze: (q) => { analyzed++; return analyze(q); }, indexKey: () => key });
+  examples.closest('deals today by location');
+  examples.closest('deals today by location');
+  const perBuild = examples.list('active').length;
+  assert.strictEqual(analyzed, perBuild + 2);
+  key = 2;
+  examples.closest('deals today by location');
+  assert.strictEqual(analyzed, 2 * perBuild + 3);
+});
+
+test('a broken library file is refused with every problem', () => {
+  const filePath = path.join(dir, 'broken.json');
+  fs.writeFileSync(filePath, JSON.stringify({ version: 1, examples: [{ id: 'A', question: '', sql: 'SELECT 1', status: 'draft' }] }));
+  assert.throws(() => new SqlExampleStore({ filePath }).load(), (e) =>
+    /examples\[0\]\.id must be/.test(e.message) && /examples\[0\]\.question is required/.test(e.message) && /status must be active or retired/.test(e.message));
+  assert.deepStrictEqual(new SqlExampleStore({ filePath: path.join(dir, 'missing.json') }).list(), []);
+});
+
+test('the closest examples go into the system prompt after the rules', () => {
+  const question = 'front gross by location in June 2024';
+  const analysis = analyze(question);
+  const examples = store().closest(question, { analysis, k: 1 });
+  const prompt = buildSystemPrompt('(schema)', analysis, examples);
+  assert.ok(prompt.includes('8. VERIFIED EXAMPLES'));
+  assert.ok(prompt.includes(`   Question: "${examples[0].question}"`));
+  assert.ok(prompt.includes(`   SQL: ${examples[0].sql}`));
+  assert.ok(!buildSystemPrompt('(schema)', analysis).includes('VERIFIED EXAMPLES'));
+});
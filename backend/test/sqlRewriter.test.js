@@ -0,0 +1,197 @@
+/**
+ * sqlRewriter.test.js
+ *
+ * Business-rule splices (WHERE, LEFT JOIN ON, COUNT folding) on every query block, with the
+ * semantic model's own rules, and literal parameterization.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyBusinessRules, parameterizeLiterals, referencedParams } = require('../sqlRewriter');
+const { getSemanticModel } = require('../semanticModel');
+
+const RULES = getSemanticModel().businessRules;
+
+// [name, generated SQL, rewritten SQL, [rule@location ...]]
+const CASES = [
+  [
+    'WHERE added to a query without one',
+    'SELECT SUM(FRONT_COST) AS FrontGross FROM SalesReport_Form_Input',
+    'SELECT SUM(FRONT_COST) AS FrontGross FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE']
+  ],
+  [
+    'existing WHERE wrapped, count rule added for a count-only block',
+    'SELECT COUNT(ID) AS TotalDeals FROM SalesReport_Form_Input WHERE YEAR_REPORTED = @year OR MONTH_REPORTED = @month',
+    'SELECT COUNT(ID) AS TotalDeals FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0 AND isCounted = 1 AND (YEAR_REPORTED = @year OR MONTH_REPORTED = @month)',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE', 'sales_count_counted@WHERE']
+  ],
+  [
+    'count rule folded into COUNT when the block also sums',
+    'SELECT COUNT(ID) AS TotalDeals, SUM(FRONT_COST) AS FrontGross FROM SalesReport_Form_Input',
+    'SELECT COUNT(CASE WHEN isCounted = 1 THEN ID END) AS TotalDeals, SUM(FRONT_COST) AS FrontGross FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE', 'sales_count_counted@COUNT']
+  ],
+  [
+    'alias qualifies the predicates',
+    'SELECT SUM(s.FRONT_COST) AS FrontGross FROM SalesReport_Form_Input s GROUP BY s.DEALER_LOCATION',
+    'SELECT SUM(s.FRONT_COST) AS FrontGross FROM SalesReport_Form_Input s WHERE s.isCarryOver = 0 AND s.isDeleted = 0 GROUP BY s.DEALER_LOCATION',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE']
+  ],
+  [
+    'CTE body',
+    'WITH c AS (SELECT ID, CLOSER FROM SalesReport_Form_Input) SELECT CLOSER, ID FROM c',
+    'WITH c AS (SELECT ID, CLOSER FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0) SELECT CLOSER, ID FROM c',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE']
+  ],
+  [
+    'each UNION branch, skipping a predicate already there',
+    'SELECT ID FROM SalesReport_Form_Input UNION ALL SELECT ID FROM SalesReport_Form_Input WHERE isDeleted = 0',
+    'SELECT ID FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0 UNION ALL SELECT ID FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND (isDeleted = 0)',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE', 'sales_exclude_carryover@WHERE']
+  ],
+  [
+    'optional side of a LEFT JOIN gets the predicate in its ON',
+    'SELECT i.StockNumber, s.ID FROM Common_Group_401_Vehicle_Inventory i LEFT JOIN SalesReport_Form_Input s ON s.STOCK = i.StockNumber',
+    'SELECT i.StockNumber, s.ID FROM Common_Group_401_Vehicle_Inventory i LEFT JOIN SalesReport_Form_Input s ON (s.STOCK = i.StockNumber) AND s.isCarryOver = 0 AND s.isDeleted = 0',
+    ['sales_exclude_carryover@ON', 'sales_exclude_deleted@ON']
+  ],
+  [
+    'subquery in WHERE',
+    'SELECT COUNT(WarrantyID) AS ContractsSold FROM SaleWarranty_RVAC_CONTRACTS WHERE StockNumber IN (SELECT STOCK FROM SalesReport_Form_Input)',
+    'SELECT COUNT(WarrantyID) AS ContractsSold FROM SaleWarranty_RVAC_CONTRACTS WHERE isDeleted = 0 AND (StockNumber IN (SELECT STOCK FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0))',
+    ['rvac_exclude_deleted@WHERE', 'sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE']
+  ],
+  [
+    'outer scan is filtered even when its subquery already is',
+    'SELECT SUM(FRONT_COST) AS FrontGross FROM SalesReport_Form_Input WHERE STOCK IN (SELECT STOCK FROM SalesReport_Form_Input WHERE isDeleted = 0 AND isCarryOver = 0)',
+    'SELECT SUM(FRONT_COST) AS FrontGross FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0 AND (STOCK IN (SELECT STOCK FROM SalesReport_Form_Input WHERE isDeleted = 0 AND isCarryOver = 0))',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE']
+  ],
+  [
+    'predicate under an OR does not count',
+    'SELECT ID FROM SalesReport_Form_Input WHERE isDeleted = 0 OR isCarryOver = 0',
+    'SELECT ID FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0 AND (isDeleted = 0 OR isCarryOver = 0)',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE']
+  ],
+  [
+    'predicate in a parenthesized AND group counts',
+    'SELECT ID FROM SalesReport_Form_Input WHERE (isCarryOver = 0 AND isDeleted = 0) AND YEAR_REPORTED = @year',
+    'SELECT ID FROM SalesReport_Form_Input WHERE (isCarryOver = 0 AND isDeleted = 0) AND YEAR_REPORTED = @year',
+    []
+  ],
+  [
+    'COUNT over a CTE applies the count rule in its body',
+    'WITH c AS (SELECT ID FROM SalesReport_Form_Input) SELECT COUNT(*) AS TotalDeals FROM c',
+    'WITH c AS (SELECT ID FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0 AND isCounted = 1) SELECT COUNT(*) AS TotalDeals FROM c',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE', 'sales_count_counted@WHERE']
+  ],
+  [
+    'COUNT over a chain of CTEs',
+    'WITH a AS (SELECT ID, CLOSER FROM SalesReport_Form_Input), b AS (SELECT ID FROM a) SELECT COUNT(ID) AS TotalDeals FROM b',
+    'WITH a AS (SELECT ID, CLOSER FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0 AND isCounted = 1), b AS (SELECT ID FROM a) SELECT COUNT(ID) AS TotalDeals FROM b',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE', 'sales_count_counted@WHERE']
+  ],
+  [
+    'COUNT and SUM over a CTE fold the count rule through a projected column',
+    'WITH c AS (SELECT s.ID, s.FRONT_COST FROM SalesReport_Form_Input s) SELECT COUNT(x.ID) AS TotalDeals, SUM(x.FRONT_COST) AS FrontGross FROM c x',
+    'WITH c AS (SELECT s.ID, s.FRONT_COST, s.isCounted FROM SalesReport_Form_Input s WHERE s.isCarryOver = 0 AND s.isDeleted = 0) SELECT COUNT(CASE WHEN x.isCounted = 1 THEN x.ID END) AS TotalDeals, SUM(x.FRONT_COST) AS FrontGross FROM c x',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE', 'sales_count_counted@COUNT']
+  ],
+  [
+    'COUNT over a derived table',
+    'SELECT COUNT(*) AS TotalDeals FROM (SELECT ID FROM SalesReport_Form_Input s WHERE s.YEAR_REPORTED = @year) AS x',
+    'SELECT COUNT(*) AS TotalDeals FROM (SELECT ID FROM SalesReport_Form_Input s WHERE s.isCarryOver = 0 AND s.isDeleted = 0 AND s.isCounted = 1 AND (s.YEAR_REPORTED = @year)) AS x',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE', 'sales_count_counted@WHERE']
+  ],
+  [
+    'COUNT over a grouped CTE counts groups, not deals',
+    'WITH c AS (SELECT CLOSER, SUM(FRONT_COST) AS FrontGross FROM SalesReport_Form_Input GROUP BY CLOSER) SELECT COUNT(*) AS Closers FROM c',
+    'WITH c AS (SELECT CLOSER, SUM(FRONT_COST) AS FrontGross FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0 GROUP BY CLOSER) SELECT COUNT(*) AS Closers FROM c',
+    ['sales_exclude_carryover@WHERE', 'sales_exclude_deleted@WHERE']
+  ],
+  [
+    'nothing to add',
+    'SELECT ID FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0',
+    'SELECT ID FROM SalesReport_Form_Input WHERE isCarryOver = 0 AND isDeleted = 0',
+    []
+  ]
+];
+
+for (const [name, sqlText, expected, applied] of CASES) {
+  test(`business rules: ${name}`, () => {
+    const result = applyBusinessRules(sqlText, RULES);
+    assert.strictEqual(result.sql, expected);
+    assert.deepStrictEqual(result.applied.map(a => `${a.rule}@${a.location}`).sort(), applied.slice().sort());
+  });
+}
+
+test('rewriting twice adds nothing the second time', () => {
+  for (const [, sqlText] of CASES) {
+    const once = applyBusinessRules(sqlText, RULES);
+    const twice = applyBusinessRules(once.sql, RULES);
+    assert.strictEqual(twice.sql, once.sql);
+    assert.deepStrictEqual(twice.applied, []);
+  }
+});
+
+const COLUMN_TYPES = { DATE_REPORTED: 'datetime', STOCK: 'varchar', DEALER_LOCATION: 'nvarchar' };
+
+// [name, SQL with literals, SQL with parameters, params, invalid dates]
+const LITERALS = [
+  [
+    'comparison, IN and LIKE operands, numbered after the existing params',
+    "SELECT ID FROM SalesReport_Form_Input WHERE YEAR_REPORTED = @year AND DEALER_LOCATION = 'Calgary' AND MAKE IN ('Jayco', N'Keystone') AND STOCK LIKE 'A%'",
+    'SELECT ID FROM SalesReport_Form_Input WHERE YEAR_REPORTED = @year AND DEALER_LOCATION = @p0 AND MAKE IN (@p1, @p2) AND STOCK LIKE @p3',
+    { p0: { type: 'VarChar', value: 'Calgary' }, p1: { type: 'VarChar', value: 'Jayco' }, p2: { type: 'NVarChar', value: 'Keystone' }, p3: { type: 'VarChar', value: 'A%' } },
+    []
+  ],
+  [
+    'real days compared with a date column become Date',
+    "SELECT ID FROM SalesReport_Form_Input WHERE DATE_REPORTED BETWEEN '2025-01-01' AND '2025-02-28' OR '2025-03-01' <= s.DATE_REPORTED",
+    'SELECT ID FROM SalesReport_Form_Input WHERE DATE_REPORTED BETWEEN @p0 AND @p1 OR @p2 <= s.DATE_REPORTED',
+    { p0: { type: 'Date', value: '2025-01-01' }, p1: { type: 'Date', value: '2025-02-28' }, p2: { type: 'Date', value: '2025-03-01' } },
+    []
+  ],
+  [
+    'date-shaped text compared with a text column stays text',
+    "SELECT ID FROM SalesReport_Form_Input s WHERE s.STOCK = '2025-01-01' AND DEALER_LOCATION NOT IN (N'2025-02-30')",
+    'SELECT ID FROM SalesReport_Form_Input s WHERE s.STOCK = @p0 AND DEALER_LOCATION NOT IN (@p1)',
+    { p0: { type: 'VarChar', value: '2025-01-01' }, p1: { type: 'NVarChar', value: '2025-02-30' } },
+    []
+  ],
+  [
+    'a date that does not exist is reported, not bound',
+    "SELECT ID FROM SalesReport_Form_Input WHERE DATE_REPORTED >= '2025-02-30' AND DATE_REPORTED < '2025-13-01' AND CLOSER = 'Mike'",
+    "SELECT ID FROM SalesReport_Form_Input WHERE DATE_REPORTED >= '2025-02-30' AND DATE_REPORTED < '2025-13-01' AND CLOSER = @p0",
+    { p0: { type: 'VarChar', value: 'Mike' } },
+    ['2025-02-30', '2025-13-01']
+  ],
+  [
+    'literals inside comments, brackets and select lists are left alone',
+    "SELECT [O'Neil], 'label' AS Kind FROM SalesReport_Form_Input -- where x = 'y'",
+    "SELECT [O'Neil], 'label' AS Kind FROM SalesReport_Form_Input -- where x = 'y'",
+    {},
+    []
+  ]
+];
+
+for (const [name, sqlText, expected, params, invalidDates] of LITERALS) {
+  test(`literals: ${name}`, () => {
+    const result = parameterizeLiterals(sqlText, { year: { type: 'Int', value: 2026 } }, { columnTypes: COLUMN_TYPES });
+    assert.strictEqual(result.sql, expected);
+    assert.deepStrictEqual(result.params, params);
+    assert.deepStrictEqual(result.invalidDates, invalidDates);
+  });
+}
+
+test('a date-shaped literal with no known column type is a Date when it is a real day', () => {
+  const result = parameterizeLiterals("SELECT ID FROM SalesReport_Form_Input WHERE UPPER(STOCK) = '2025-01-01'");
+  assert.deepStrictEqual(result.params, { p0: { type: 'Date', value: '2025-01-01' } });
+});
+
+test('referencedParams lists @names but not @@ system variables', () => {
+  assert.deepStrictEqual(referencedParams('SELECT @@ROWCOUNT, ID FROM t WHERE a = @p0 AND b = @year AND c = @p0').sort(), ['p0', 'year']);
+});
@@ -0,0 +1,95 @@
+/**
+ * sqlValidator.test.js
+ *
+ * Queries the validator must accept, and the rejection code of each one it must refuse.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildAllowlist, validateSql } = require('../sqlValidator');
+
+const allowlist = buildAllowlist({
+  tables: {
+    SalesReport_Form_Input: ['ID', 'DEALER_LOCATION', 'FRONT_COST', 'STOCK', 'CLOSER', 'isDeleted', 'isCarryOver',
+      'isCounted', 'DATE_REPORTED', 'MONTH_REPORTED', 'YEAR_REPORTED'],
+    Common_Group_401_Vehicle_Inventory: ['StockNumber', 'IsCertified', 'VIN'],
+    SalesApp_LogInActivity: ['UserID', 'Token', 'LogedIn']
+  },
+  hiddenColumns: { SalesApp_LogInActivity: ['Token'] },
+  joins: [{
+    left: { table: 'SalesReport_Form_Input', column: 'STOCK' },
+    right: { table: 'Common_Group_401_Vehicle_Inventory', column: 'StockNumber' }
+  }]
+});
+
+const ACCEPTED = [
+  'SELECT ID FROM SalesReport_Form_Input WHERE isDeleted = 0',
+  'SELECT DEALER_LOCATION, COUNT(ID) AS TotalDeals FROM SalesReport_Form_Input GROUP BY DEALER_LOCATION ORDER BY TotalDeals DESC',
+  'SELECT ID FROM SalesReport_Form_Input WHERE YEAR_REPORTED = @year AND MONTH_REPORTED = @month',
+  'WITH c AS (SELECT CLOSER, SUM(CAST(FRONT_COST AS DECIMAL(13,2))) AS FrontGross FROM SalesReport_Form_Input GROUP BY CLOSER) SELECT CLOSER, FrontGross FROM c',
+  'SELECT ID FROM SalesReport_Form_Input WHERE ID IN (SELECT ID FROM SalesReport_Form_Input WHERE isCounted = 1)',
+  'SELECT s.ID FROM SalesReport_Form_Input s JOIN Common_Group_401_Vehicle_Inventory i ON s.STOCK = i.StockNumber',
+  'SELECT s.ID, i.IsCertified FROM SalesReport_Form_Input s LEFT JOIN Common_Group_401_Vehicle_Inventory i ON s.STOCK = i.StockNumber',
+  'SELECT UserID, COUNT(*) AS Logins FROM SalesApp_LogInActivity GROUP BY UserID',
+  "SELECT ID FROM SalesReport_Form_Input WHERE CLOSER = '@@not a variable'",
+  'SELECT ID FROM SalesReport_Form_Input UNION SELECT UserID FROM SalesApp_LogInActivity',
+  'SELECT TOP (5) CLOSER, RANK() OVER (ORDER BY COUNT(ID) DESC) AS Rank FROM SalesReport_Form_Input GROUP BY CLOSER'
+];
+
+const REJECTED = [
+  ['', 'EMPTY'],
+  ['SELECT FROM WHERE', 'PARSE_ERROR'],
+  ["SELECT ID FROM SalesReport_Form_Input; WAITFOR DELAY '0:0:5'", 'PARSE_ERROR'],
+  ['SELECT ID FROM SalesReport_Form_Input; DROP TABLE SalesReport_Form_Input', 'MULTIPLE_STATEMENTS'],
+  ['DELETE FROM SalesReport_Form_Input', 'NOT_SELECT'],
+  ['UPDATE SalesReport_Form_Input SET isDeleted = 1', 'NOT_SELECT'],
+  ['SELECT ID INTO copy FROM SalesReport_Form_Input', 'SELECT_INTO'],
+  ['SELECT ID FROM otherdb.dbo.SalesReport_Form_Input', 'CROSS_DATABASE'],
+  ['SELECT name FROM sys.objects', 'CROSS_DATABASE'],
+  ['SELECT ID FROM Users', 'TABLE_NOT_ALLOWED'],
+  ["SELECT * FROM OPENQUERY(srv, 'select 1')", 'TABLE_SOURCE_NOT_ALLOWED'],
+  ['SELECT Token FROM SalesApp_LogInActivity', 'COLUMN_NOT_ALLOWED'],
+  ['SELECT * FROM SalesApp_LogInActivity', 'COLUMN_NOT_ALLOWED'],
+  ['SELECT x.Token FROM (SELECT Token FROM SalesApp_LogInActivity) x', 'COLUMN_NOT_ALLOWED'],
+  ['SELECT PASSWORD FROM SalesReport_Form_Input', 'COLUMN_NOT_ALLOWED'],
+  ['SELECT SUSER_NAME() AS u FROM SalesReport_Form_Input', 'FUNCTION_NOT_ALLOWED'],
+  ['SELECT s.ID FROM SalesReport_Form_Input s, Common_Group_401_Vehicle_Inventory i', 'JOIN_NOT_ALLOWED'],
+  ['SELECT s.ID FROM SalesReport_Form_Input s CROSS JOIN Common_Group_401_Vehicle_Inventory i', 'JOIN_NOT_ALLOWED'],
+  ['SELECT s.ID FROM SalesReport_Form_Input s JOIN Common_Group_401_Vehicle_Inventory i ON s.ID = i.VIN', 'JOIN_NOT_ALLOWED'],
+  ['SELECT @@VERSION', 'SYSTEM_VARIABLE'],
+  ['SELECT @@SERVERNAME AS s FROM SalesReport_Form_Input', 'SYSTEM_VARIABLE'],
+  ['SELECT ID FROM SalesReport_Form_Input WHERE @@ROWCOUNT = 0', 'SYSTEM_VARIABLE'],
+  ['SELECT ID FROM SalesReport_Form_Input FOR XML PATH', 'FOR_CLAUSE'],
+  ["SELECT ID FROM SalesReport_Form_Input FOR XML PATH('')", 'FOR_CLAUSE'],
+  ['SELECT ID FROM SalesReport_Form_Input FOR JSON PATH', 'FOR_CLAUSE'],
+  ["SELECT (SELECT CLOSER FROM SalesReport_Form_Input FOR XML PATH('')) AS Closers", 'FOR_CLAUSE']
+];
+
+for (const sqlText of ACCEPTED) {
+  test(`accepts ${sqlText}`, () => {
+    const result = validateSql(sqlText, allowlist);
+    assert.strictEqual(result.ok, true, JSON.stringify(result.reason));
+  });
+}
+
+for (const [sqlText, code] of REJECTED) {
+  test(`rejects ${sqlText || '(empty)'} with ${code}`, () => {
+    const result = validateSql(sqlText, allowlist);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.reason.code, code);
+  });
+}
+
+test('FOR JSON AUTO is refused even though it does not parse', () => {
+  assert.strictEqual(validateSql('SELECT ID FROM SalesReport_Form_Input FOR JSON AUTO', allowlist).ok, false);
+});
+
+test('only bound parameters pass once they are known', () => {
+  const sqlText = 'SELECT ID FROM SalesReport_Form_Input WHERE YEAR_REPORTED = @year AND MONTH_REPORTED = @month';
+  assert.strictEqual(validateSql(sqlText, allowlist, { params: ['year', 'month'] }).ok, true);
+  const result = validateSql(sqlText, allowlist, { params: ['year'] });
+  assert.strictEqual(result.ok, false);
+  assert.deepStrictEqual(result.reason, { code: 'UNBOUND_PARAMETER', message: 'Parameter @month is not bound.', detail: '@month' });
+});
@@ -0,0 +1,55 @@
+/**
+ * valueDictionary.test.js
+ *
+ * Mentions matched to stored values: exact, typos, parts of longer values, and the everyday words
+ * that must not match.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ValueDictionary } = require('../valueDictionary');
+
+const VALUES = {
+  DEALER_LOCATION: ['Calgary', 'Red Deer North', 'Red Deer South', 'Edmonton'],
+  MAKE: ['Jayco', 'Forest River', 'Keystone', 'Grand Design'],
+  LEAD_SOURCE: ['Walk In', 'Website', 'Referral']
+};
+
+const dictionary = new ValueDictionary({
+  columns: () => Object.keys(VALUES).map(column => ({ table: 'SalesReport_Form_Input', column })),
+  getPool: async () => ({
+    request: () => ({
+      query: async (sqlText) => {
+        const column = /TOP \(\d+\) (\w+)/.exec(sqlText)[1];
+        return { recordset: VALUES[column].map(value => ({ value, valueCount: 1 })) };
+      }
+    })
+  })
+});
+
+// [prompt, "COLUMN=value" matches (alternatives after |)]
+const CASES = [
+  ['jayco units this month', ['MAKE=Jayco']],
+  ['Grand Design units last month', ['MAKE=Grand Design']],
+  ['calgray deals', ['DEALER_LOCATION=Calgary']],
+  ['jayko units', ['MAKE=Jayco']],
+  ['keystne units', ['MAKE=Keystone']],
+  ['how many referrals', ['LEAD_SOURCE=Referral']],
+  ['deals at red deer', ['DEALER_LOCATION=Red Deer North|Red Deer South']],
+  ['show the grand total by location', []],
+  ['what is our design for the report', []],
+  ['river units', []],
+  ['calgrey deals', []]
+];
+
+test.before(() => dictionary.refresh());
+
+for (const [prompt, expected] of CASES) {
+  test(`"${prompt}" resolves to ${expected.join(', ') || 'nothing'}`, () => {
+    const matches = dictionary.resolve(prompt)
+      .map(m => `${m.column}=${[m.value, ...m.alternatives].join('|')}`);
+    assert.deepStrictEqual(matches, expected);
+  });
+}
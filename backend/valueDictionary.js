@@ -0,0 +1,241 @@
+/**
+ * valueDictionary.js
+ *
+ * Distinct values of the categorical columns listed in the semantic model's valueColumns
+ * (DEALER_LOCATION, MAKE, LEAD_SOURCE, inventory Lot ...), refreshed in the background, and a fuzzy
+ * matcher that maps what the user typed to the value actually stored:
+ *   "the red deer store" -> DEALER_LOCATION = 'Red Deer', "jayco units" -> MAKE = 'Jayco',
+ *   "calgray" -> DEALER_LOCATION = 'Calgary'.
+ *
+ * A typo is one edit in a value of 5+ letters, two in one of 8+. Part of a longer value only counts
+ * when it is several words ("red deer" of 'Red Deer North') or one distinctive word ("jayco" of 'Jayco
+ * RV'); one everyday word ("grand", "design") never picks 'Grand Design'. Everyday words are not read as
+ * typos of a value either.
+ *
+ * resolve(prompt) returns one match per column: { table, column, value, mention, score, alternatives }.
+ * alternatives lists other values that matched equally well (e.g. "red deer" for 'Red Deer North' and
+ * 'Red Deer South'); the caller should ask instead of guessing.
+ *
+ * The dictionary is empty until the first refresh succeeds; a failed refresh keeps the previous values.
+ */
+
+'use strict';
+
+const DEFAULT_REFRESH_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_VALUES = 500;
+const MIN_SCORE = 0.8;
+const PARTIAL_SCORE = 0.85;
+
+// Prompt words that never name a value on their own
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'in', 'at', 'by', 'on', 'to', 'from', 'with', 'per', 'vs',
+  'me', 'show', 'list', 'what', 'how', 'many', 'much', 'is', 'are', 'was', 'were', 'all', 'only', 'same',
+  'total', 'gross', 'sales', 'sale', 'sold', 'deals', 'deal', 'units', 'unit', 'count', 'number',
+  'store', 'stores', 'location', 'locations', 'dealer', 'dealership', 'branch', 'lot', 'lots',
+  'last', 'this', 'next', 'month', 'year', 'week', 'day', 'quarter', 'today', 'yesterday', 'instead', 'now'
+]);
+
+// Everyday English (and report) words: spelled as typed, and too common to name part of a value alone
+const COMMON_WORDS = new Set(`
+  about above after again against also any back bad before being below best better between big black blue
+  both bottom but can center centre city class classic coach come could country crown custom design did
+  do does down each east easy edge elite even every express family fast few first five forest four free
+  full get give go gold golden good grand great green group has have her here high his home hot house
+  if into it its just king know lake land large last less light like line little long low made main make
+  max may metro mid more most mountain must my new nice no north not off old one open other our out over
+  own park part plain plus point power premier prime pro quality range ready real red report right river
+  road rock royal run say see select should side silver so some south sport star state still such summit
+  sun super take team than that their them then there these they think three time top trail travel true
+  two under up us use used valley very view want way we well west what when where which white who why
+  will work would yes you your`.trim().split(/\s+/));
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Edit distance where swapping two neighbouring letters ("micheal") counts as one edit
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (v, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// 1 for identical strings, falling towards 0 with each edit
+function similarity(a, b) {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 0 : 1 - editDistance(a, b) / longest;
+}
+
+// Edits a typo of the value may have: none under 5 letters, one under 8, two from 8
+function allowedEdits(value) {
+  return value.length >= 8 ? 2 : value.length >= 5 ? 1 : 0;
+}
+
+/**
+ * Score a prompt span against a stored value (both normalized).
+ *  - exact: 1
+ *  - typo (allowedEdits, span not an everyday word): 0.9 with one edit, 0.85 with two
+ *  - the span is a whole-word part of a longer value ("red deer" in "red deer rv"), several words or
+ *    one that is not an everyday word: 0.85
+ */
+function scoreSpan(span, value) {
+  if (span === value) return 1;
+  const words = span.split(' ');
+  const everyday = words.length === 1 && COMMON_WORDS.has(span);
+  if (!everyday && Math.abs(span.length - value.length) <= allowedEdits(value)) {
+    const edits = editDistance(span, value);
+    if (edits <= allowedEdits(value)) return 0.95 - 0.05 * edits;
+  }
+  if (!everyday && span.length >= 4 && ` ${value} `.includes(` ${span} `)) return PARTIAL_SCORE;
+  return 0;
+}
+
+class ValueDictionary {
+  /**
+   * @param {Object} opts
+   *  - columns: () => [{ table, column }] columns to collect (read on every refresh)
+   *  - getPool: async () => mssql pool
+   *  - refreshMs: background refresh interval
+   *  - maxValues: most frequent values kept per column
+   */
+  constructor(opts = {}) {
+    this.columns = opts.columns || (() => []);
+    this.getPool = opts.getPool;
+    this.refreshMs = opts.refreshMs || DEFAULT_REFRESH_MS;
+    this.maxValues = opts.maxValues || DEFAULT_MAX_VALUES;
+    this._values = new Map(); // "TABLE.COLUMN" -> [{ value, count, normalized }]
+    this._errors = {};
+    this._refreshedAt = null;
+    this._timer = null;
+  }
+
+  // Re-read every column; a column that fails keeps its previous values
+  async refresh() {
+    const pool = await this.getPool();
+    this._errors = {};
+    for (const { table, column } of this.columns()) {
+      const key = `${table}.${column}`;
+      try {
+        const result = await pool.request().query(
+          `SELECT TOP (${this.maxValues}) ${column} AS value, COUNT(*) AS valueCount FROM ${table} ` +
+          `WHERE ${column} IS NOT NULL AND LTRIM(RTRIM(${column})) <> '' GROUP BY ${column} ORDER BY COUNT(*) DESC`
+        );
+        this._values.set(key, result.recordset.map(r => ({
+          value: String(r.value).trim(),
+          count: r.valueCount,
+          normalized: normalize(r.value)
+        })).filter(v => v.normalized));
+      } catch (err) {
+        this._errors[key] = err.message;
+      }
+    }
+    this._refreshedAt = new Date().toISOString();
+    const failed = Object.keys(this._errors);
+    if (failed.length > 0) console.warn(`Value dictionary: could not read ${failed.join(', ')}`);
+    return this.info();
+  }
+
+  // Refresh now and every refreshMs; failures are logged, never thrown
+  start() {
+    if (this._timer) return;
+    const run = () => this.refresh().catch(err => console.warn('Value dictionary refresh failed:', err.message));
+    run();
+    this._timer = setInterval(run, this.refreshMs);
+    this._timer.unref();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  // Stored values of a column, most frequent first
+  values(table, column) {
+    return (this._values.get(`${table}.${column}`) || []).map(v => v.value);
+  }
+
+  // Stored values of a column with their row counts: [{ value, count }]
+  entries(table, column) {
+    return (this._values.get(`${table}.${column}`) || []).map(({ value, count }) => ({ value, count }));
+  }
+
+  info() {
+    const columns = {};
+    for (const [key, values] of this._values) columns[key] = values.length;
+    return { refreshedAt: this._refreshedAt, columns, errors: this._errors };
+  }
+
+  /**
+   * Find stored values mentioned in a prompt.
+   * @param {string} prompt
+   * @param {Object} opts - { columns: [{ table, column }] } columns searched (default: all collected);
+   *   { tables: [tableName] } restricts them further
+   * @returns {Array<{ table, column, value, mention, score, alternatives: string[] }>} best match per column,
+   *   highest score first; a prompt span is claimed by one column only
+   */
+  resolve(prompt, opts = {}) {
+    const words = normalize(prompt).split(' ').filter(Boolean);
+    const spans = [];
+    for (let i = 0; i < words.length; i++) {
+      for (let n = 1; n <= 4 && i + n <= words.length; n++) {
+        const parts = words.slice(i, i + n);
+        if (parts.every(w => STOP_WORDS.has(w) || /^\d+$/.test(w))) continue;
+        spans.push({ text: parts.join(' '), start: i, end: i + n });
+      }
+    }
+
+    const matches = [];
+    for (const { table, column } of opts.columns || this.columns()) {
+      if (opts.tables && !opts.tables.includes(table)) continue;
+      let best = null;
+      for (const v of this._values.get(`${table}.${column}`) || []) {
+        if (v.normalized.length < 2 || STOP_WORDS.has(v.normalized)) continue;
+        for (const span of spans) {
+          const score = scoreSpan(span.text, v.normalized);
+          if (score < MIN_SCORE) continue;
+          if (!best || score > best.score || (score === best.score && span.text.length > best.span.text.length)) {
+            best = { score, span, values: [v.value] };
+          } else if (score === best.score && span.text === best.span.text && !best.values.includes(v.value)) {
+            best.values.push(v.value);
+          }
+        }
+      }
+      if (best) {
+        matches.push({
+          table,
+          column,
+          value: best.values[0],
+          mention: words.slice(best.span.start, best.span.end).join(' '),
+          score: Math.round(best.score * 100) / 100,
+          alternatives: best.values.slice(1),
+          _span: best.span
+        });
+      }
+    }
+
+    // Overlapping mentions within a table: the better (then longer) match keeps the words
+    matches.sort((a, b) => b.score - a.score || (b._span.end - b._span.start) - (a._span.end - a._span.start));
+    const kept = [];
+    for (const m of matches) {
+      const overlaps = kept.some(k => k.table === m.table && m._span.start < k._span.end && k._span.start < m._span.end);
+      if (!overlaps) kept.push(m);
+    }
+    return kept.map(({ _span, ...m }) => m);
+  }
+}
+
+module.exports = {
+  ValueDictionary,
+  normalize,
+  similarity
+};
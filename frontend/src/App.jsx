@@ -9,6 +9,16 @@ export default function App(){
   const [sql, setSql] = useState("");
   const [viz, setViz] = useState("table");
   const [error, setError] = useState("");
+  const [mode, setMode] = useState("llm");
+  const [source, setSource] = useState("");
+  const [rulesApplied, setRulesApplied] = useState([]);
+  const [queryParams, setQueryParams] = useState([]);
+  const [attempts, setAttempts] = useState([]);
+  const [clarification, setClarification] = useState(null);
+  const [sessionId, setSessionId] = useState(null);
+  const [followUp, setFollowUp] = useState(null);
+  const [formats, setFormats] = useState({});
+  const [comparison, setComparison] = useState(null);
 
   const [input, setInput] = useState("");
   const [messages, setMessages] = useState([]);
@@ -126,24 +136,57 @@ export default function App(){
   };
 
 
-  async function handleRun() {
+  async function handleRun(promptOverride) {
+    const queryPrompt = typeof promptOverride === "string" ? promptOverride : prompt;
     setError("");
+    setClarification(null);
     setLoading(true);
     try {
       const url = (process.env.REACT_APP_API_BASE || "") + "/api/query";
       console.log(url);
-      const resp = await axios.post(url, { prompt });
+      const resp = await axios.post(url, { prompt: queryPrompt, mode, sessionId });
+      setSessionId(resp.data.sessionId || null);
+      setFollowUp(resp.data.followUp || null);
+      setClarification(resp.data.clarification || null);
       setSql(resp.data.sql);
+      setSource(resp.data.source || "");
+      setRulesApplied(resp.data.rulesApplied || []);
+      setQueryParams(resp.data.params || []);
+      setAttempts(resp.data.attempts || []);
+      setFormats(resp.data.formats || {});
+      setComparison(resp.data.comparison || null);
       setRows(resp.data.rows || []);
       setViz(resp.data.visualization || "table");
     } catch (e) {
       console.log({ error: e });
-      setError(e.response?.data?.error || e.message);
+      const reason = e.response?.data?.reason;
+      setError(
+        (e.response?.data?.error || e.message) +
+          (reason ? ` (${reason.code}: ${reason.message})` : "")
+      );
+      setSql(e.response?.data?.sql || "");
+      setRulesApplied([]);
+      setQueryParams([]);
+      setAttempts(e.response?.data?.attempts || []);
     } finally {
       setLoading(false);
     }
   }
 
+  // Forget the server-side session so the next prompt starts a new conversation
+  function handleNewConversation() {
+    setSessionId(null);
+    setFollowUp(null);
+    setClarification(null);
+    setPrompt("");
+  }
+
+  // Re-run the query with the prompt of the chosen clarification option
+  function handleClarificationChoice(choice) {
+    setPrompt(choice.prompt);
+    handleRun(choice.prompt);
+  }
+
   const FuncExportToExcel = () => {
     console.log(rows);
   if (rows?.length === 0) return;
@@ -213,6 +256,22 @@ export default function App(){
         <button onClick={handleRun} disabled={loading || !prompt}>
           Run
         </button>
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          style={{ marginLeft: 10 }}
+        >
+          <option value="llm">LLM (rules fallback)</option>
+          <option value="auto">Rules first, then LLM</option>
+          <option value="rules">Rules only</option>
+        </select>
+        <button
+          onClick={handleNewConversation}
+          disabled={loading || !sessionId}
+          style={{ marginLeft: 10 }}
+        >
+          New conversation
+        </button>
         <button
           onClick={FuncExportToExcel}
           disabled={rows?.length === 0}
@@ -223,17 +282,64 @@ export default function App(){
       </div>
       {loading && <p>Loading...</p>}
       {error && <p style={{ color: "red" }}>{error}</p>}
+      {clarification && (
+        <div style={{ marginTop: 10, padding: 10, background: "#fff8e1" }}>
+          <p style={{ margin: "0 0 8px" }}>{clarification.question}</p>
+          {clarification.choices.map((choice) => (
+            <button
+              key={choice.id}
+              onClick={() => handleClarificationChoice(choice)}
+              disabled={loading}
+              style={{ marginRight: 8 }}
+            >
+              {choice.label}
+            </button>
+          ))}
+        </div>
+      )}
       {sql && (
         <div style={{ marginTop: 10 }}>
-          <h4>Generated SQL</h4>
+          <h4>Generated SQL{source && ` (${source})`}</h4>
+          {followUp && (
+            <p style={{ fontSize: 12, color: "#555" }}>Follow-up: {followUp.description}</p>
+          )}
           <pre style={{ background: "#f4f4f4", padding: 10 }}>{sql}</pre>
+          {rulesApplied.length > 0 && (
+            <p style={{ fontSize: 12, color: "#555" }}>
+              Business rules added:{" "}
+              {rulesApplied.map((r) => `${r.predicate} (${r.location})`).join(", ")}
+            </p>
+          )}
+          {attempts.length > 1 && (
+            <div style={{ fontSize: 12, color: "#555" }}>
+              Attempts:
+              <ol style={{ margin: "4px 0" }}>
+                {attempts.map((a) => (
+                  <li key={a.attempt}>
+                    {a.source}: {a.ok ? "succeeded" : a.error}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+          {queryParams.length > 0 && (
+            <p style={{ fontSize: 12, color: "#555" }}>
+              Parameters:{" "}
+              {queryParams.map((p) => `${p.name} = ${JSON.stringify(p.value)} (${p.type})`).join(", ")}
+            </p>
+          )}
         </div>
       )}
       <div style={{ marginTop: 10 }}>
         <h4>
           Results ({rows?.length}) — Visualization: {viz}
         </h4>
-        <ChartView rows={rows} viz={viz} />
+        {comparison && (
+          <p style={{ fontSize: 12, color: "#555" }}>
+            Comparing {comparison.current} with {comparison.prior}
+          </p>
+        )}
+        <ChartView rows={rows} viz={viz} formats={formats} comparison={comparison} />
       </div>
       <div style={{ width: "100%", maxWidth: 700, margin: "auto", padding: 20 }}>
       <h2>Grok Streaming Chat</h2>
@@ -1,5 +1,5 @@
 import React from 'react';
-import { BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid, LineChart, Line, ResponsiveContainer, LabelList } from 'recharts';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid, Legend, LineChart, Line, ResponsiveContainer, LabelList } from 'recharts';
 
 function inferColumns(rows){
   if(!rows || rows.length===0) return { xKey: null, yKey: null };
@@ -12,8 +12,75 @@ function inferColumns(rows){
   return { xKey: dateKey || keys[0], yKey: numericKey || keys[1] || keys[0] };
 }
 
-export default function ChartView({ rows, viz }){
+// Display formats from the semantic model (currency, integer, number, percent); others shown as-is
+function formatValue(value, format){
+  if(value === null || value === undefined) return '';
+  const n = Number(String(value).replace(/[^0-9.-]/g,''));
+  if(!format || String(value).trim() === '' || Number.isNaN(n)) return String(value);
+  if(format === 'currency') return '$' + n.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  if(format === 'integer') return Math.round(n).toLocaleString();
+  if(format === 'number') return n.toLocaleString();
+  if(format === 'percent') return `${(n * 100).toFixed(1)}%`;
+  return String(value);
+}
+
+function toNumber(value){
+  return Number(String(value).replace(/[^0-9.-]/g,'')) || 0;
+}
+
+// Period comparison: current and prior bars per dimension value (first metric), then every metric's change
+function ComparisonView({ rows, formats, comparison }){
+  const { dimensions, metrics } = comparison;
+  const label = r => dimensions.length > 0 ? dimensions.map(d => r[d]).join(' / ') : metrics[0].alias;
+  const first = metrics[0];
+  const data = rows.map(r => ({ name: label(r), current: toNumber(r[first.current]), prior: toNumber(r[first.prior]) }));
+  const changeColor = value => toNumber(value) > 0 ? 'green' : toNumber(value) < 0 ? 'red' : undefined;
+  return (
+    <div>
+      <ResponsiveContainer width="100%" height={300}>
+        <BarChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" />
+          <YAxis />
+          <Tooltip formatter={(value) => formatValue(value, formats[first.current])} />
+          <Legend />
+          <Bar dataKey="current" name={`${first.alias} (${comparison.current})`} fill="#1f77b4" />
+          <Bar dataKey="prior" name={`${first.alias} (${comparison.prior})`} fill="#aec7e8" />
+        </BarChart>
+      </ResponsiveContainer>
+      <div style={{overflowX:'auto'}}>
+        <table border="1" cellPadding="6" style={{borderCollapse:'collapse', width:'100%'}}>
+          <thead>
+            <tr>
+              {dimensions.map(d => <th key={d}>{d}</th>)}
+              {metrics.map(m => [
+                <th key={m.current}>{m.alias} ({comparison.current})</th>,
+                <th key={m.prior}>{m.alias} ({comparison.prior})</th>,
+                <th key={m.change}>Change</th>,
+                <th key={m.pctChange}>% Change</th>
+              ])}
+            </tr>
+          </thead>
+          <tbody>{rows.map((r,idx)=> (
+            <tr key={idx}>
+              {dimensions.map(d => <td key={d}>{r[d]}</td>)}
+              {metrics.map(m => [
+                <td key={m.current}>{formatValue(r[m.current], formats[m.current])}</td>,
+                <td key={m.prior}>{formatValue(r[m.prior], formats[m.prior])}</td>,
+                <td key={m.change} style={{color: changeColor(r[m.change])}}>{formatValue(r[m.change], formats[m.change])}</td>,
+                <td key={m.pctChange} style={{color: changeColor(r[m.pctChange])}}>{r[m.pctChange] === null ? 'n/a' : formatValue(r[m.pctChange], 'percent')}</td>
+              ])}
+            </tr>
+          ))}</tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default function ChartView({ rows, viz, formats = {}, comparison = null }){
   if(!rows || rows.length===0) return <div>No data to display</div>;
+  if(viz === 'comparison' && comparison) return <ComparisonView rows={rows} formats={formats} comparison={comparison} />;
   const { xKey, yKey } = inferColumns(rows);
   if(viz === 'bar' && xKey && yKey){
     const data = rows.map(r => ({ ...r, [yKey]: Number(String(r[yKey]).replace(/[^0-9.-]/g,'')) || 0 }));
@@ -48,7 +115,7 @@ export default function ChartView({ rows, viz }){
     <div style={{overflowX:'auto'}}>
       <table border="1" cellPadding="6" style={{borderCollapse:'collapse', width:'100%'}}>
         <thead><tr>{cols.map(c=> <th key={c}>{c}</th>)}</tr></thead>
-        <tbody>{rows.map((r,idx)=> <tr key={idx}>{cols.map(c=> <td key={c}>{String(r[c] ?? '')}</td>)}</tr>)}</tbody>
+        <tbody>{rows.map((r,idx)=> <tr key={idx}>{cols.map(c=> <td key={c}>{formatValue(r[c], formats[c])}</td>)}</tr>)}</tbody>
       </table>
     </div>
   );